@@ -0,0 +1,18 @@
+import GraphTabs from '../../../components/GraphTabs';
+import KnowledgeGraph from '../../../components/KnowledgeGraph';
+
+export const dynamic = 'error';
+
+export default function KnowledgeGraphPage() {
+  return (
+    <div>
+      <h2 style={{ marginTop: 0 }}>Knowledge Graph <a href="/help" style={{ fontSize: 12, marginLeft: 8, textDecoration: 'none' }} title="Open Help">Help</a></h2>
+      <GraphTabs active="knowledge" />
+      <p style={{ fontSize: 12, color: '#64748b' }}>
+        Logs, memory capsules, tags, URLs and rig components, linked by tags, citations, capsule sources and rig mentions.
+        Click a node to see its neighborhood, drag to move it.
+      </p>
+      <KnowledgeGraph />
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import GraphTabs from '../../components/GraphTabs';
 
 export const dynamic = 'error';
 export const dynamicParams = false;
@@ -22,6 +23,7 @@ export default async function GraphPage() {
   return (
     <div>
       <h2 style={{ marginTop: 0 }}>Repo Graph & Tree</h2>
+      <GraphTabs active="commits" />
       <section style={{ marginBottom: 24 }}>
         <h3>Commit Graph (last {commits.length} commits)</h3>
         {commits.length === 0 && <p style={{ color: '#64748b' }}>No commit data available. Run prebuild locally with git present.</p>}
@@ -14,8 +14,35 @@ function loadHealth(){
   return null;
 }
 
+type EvalRun = { retriever: string; k: number; mrr: number; ndcg10: number; recall: number };
+type EvalReport = {
+  generatedAt: string;
+  judged: string;
+  queries: number;
+  k: number;
+  index: { version: number; analyzer: string; chunker?: string; chunks: number; denseDims: number };
+  runs: EvalRun[];
+  previous: { generatedAt: string; runs: EvalRun[] } | null;
+  delta: Record<string, { mrr: number; ndcg10: number; recall: number }>;
+};
+
+// Written by `npm run ai:eval` (scripts/ai-cli.mjs eval); absent until someone runs it.
+function loadEval(): EvalReport | null {
+  try {
+    const p = path.join(process.cwd(), 'public', 'eval-report.json');
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch { /* unreadable report: section hidden */ }
+  return null;
+}
+
+function metric(v: number, d?: number){
+  if (d === undefined || d === 0) return v.toFixed(3);
+  return `${v.toFixed(3)} (${d > 0 ? '+' : ''}${d.toFixed(3)})`;
+}
+
 export default function HealthPage(){
   const health = loadHealth();
+  const evalReport = loadEval();
   return (
     <div>
       <h1>Health</h1>
@@ -38,6 +65,38 @@ export default function HealthPage(){
           <p style={{ marginTop:16 }}><a href="/health.json">Raw JSON</a></p>
         </>
       )}
+      {evalReport && (
+        <>
+          <h2>Search relevance</h2>
+          <p style={{fontSize:14,color:'#475569'}}>
+            {evalReport.queries} judged queries from <code>{evalReport.judged}</code> against index v{evalReport.index.version} ({evalReport.index.analyzer}, {evalReport.index.chunker || 'paragraph'} chunker, {evalReport.index.chunks} chunks), {new Date(evalReport.generatedAt).toISOString().slice(0,16).replace('T',' ')} UTC.
+            {evalReport.previous && <> Changes are against the run of {new Date(evalReport.previous.generatedAt).toISOString().slice(0,16).replace('T',' ')} UTC.</>}
+          </p>
+          <table style={{ borderCollapse:'collapse', fontSize:14 }}>
+            <thead>
+              <tr>
+                {['Retriever', 'MRR', 'nDCG@10', `Recall@${evalReport.k}`].map((h) => (
+                  <th key={h} style={{ textAlign:'left', padding:'4px 8px', borderBottom:'1px solid #e2e8f0' }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {evalReport.runs.map((r) => {
+                const d = evalReport.delta[r.retriever];
+                return (
+                  <tr key={r.retriever}>
+                    <th style={{ textAlign:'left', padding:'4px 8px', borderBottom:'1px solid #e2e8f0' }}>{r.retriever}</th>
+                    {[metric(r.mrr, d?.mrr), metric(r.ndcg10, d?.ndcg10), metric(r.recall, d?.recall)].map((v, i) => (
+                      <td key={i} style={{ padding:'4px 8px', borderBottom:'1px solid #e2e8f0', fontFamily:'ui-monospace,monospace' }}>{v}</td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p style={{ marginTop:16 }}><a href="/eval-report.json">Raw JSON</a> (per-query scores and top hits)</p>
+        </>
+      )}
       <style>{`table tr:nth-child(even){background:#f8fafc;}@media (prefers-color-scheme:dark){table tr:nth-child(even){background:#0f172a;}th{color:#e2e8f0;}td{color:#e2e8f0;border-bottom-color:#1e293b;} }`}</style>
     </div>
   );
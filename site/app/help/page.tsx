@@ -51,6 +51,15 @@ export default function HelpPage() {
         <li>Log page: Arrow keys to move, “t” to scroll to top</li>
       </ul>
 
+      <h3>Search syntax</h3>
+      <ul>
+        <li><code>"exact phrase"</code>, <code>+must</code>, <code>-exclude</code> (or <code>NOT exclude</code>)</li>
+        <li>Filters: <code>tag:vulkan</code> (<code>tag:a,b</code> = any), <code>title:driver</code>, <code>date:2025-09..2025-10</code>, <code>role:user</code> or <code>role:assistant</code></li>
+        <li><code>OR</code> between filters means either; everything else must all match. Tag chips on the results add or remove <code>tag:</code> terms.</li>
+        <li>Retriever toggle: Lexical matches your words, Dense also finds related wording through offline embeddings, Hybrid combines the two. The choice is remembered.</li>
+        <li>Snippets show the part of each result that best matches your words, with matches highlighted. Results open the log at the heading or turn the passage came from, highlight your words there and scroll to the best-matching paragraph.</li>
+      </ul>
+
       <h3>Recent searches</h3>
       <ul>
         <li>Your last 10 searches are saved locally (per‑browser) and shown on the Search page and Home.</li>
@@ -82,6 +91,18 @@ export default function HelpPage() {
         Start the local API and point your other AI tools at it. Endpoints: /ask, /rag, /tool, /fs/read, /fs/write, /make/ui.
         Try the Clip UI at <code>/ui/clip/</code> to scrape pages into memory.
       </p>
+      <p>
+        Memory capsules can be corrected without touching the JSON: <code>ai-cli.mjs tool memory update --id &lt;id&gt; --content … --reason …</code>, <code>delete --id &lt;id&gt;</code> and <code>history --id &lt;id&gt;</code> (also <code>/tool</code> actions <code>memory:update|delete|history</code>). Every edit bumps the version and keeps the old one; deleted capsules leave the index but keep their history. On the <a href="/memory">Memory</a> page, edited capsules have a History list.
+      </p>
+      <p>
+        Capsules that repeat each other (nightly summaries of one log, captures of one page) can be merged with <code>ai-cli.mjs tool memory consolidate</code>; add <code>--dry-run</code> to see the clusters first. The newest capsule of each cluster is kept and lists the ones merged into it (&ldquo;Merged from N capsules&rdquo; on the Memory page). Capsules with <code>ttl</code> (days) or <code>expiresAt</code> drop out of the index once expired; saved URL captures expire after 90 days by default.
+      </p>
+      <p>
+        The nightly maintenance distills logs into memory (<code>npm run memory:distill</code>, add <code>-- --dry-run</code> to preview). Each new or changed log gets a summary capsule and one capsule per key fact: driver and other rig versions, shell commands, and fixes. Summaries take the log&apos;s most central sentences (TextRank), or are written by Gemini or OpenAI when configured. All of them link back to the log through <code>source</code>. A log that changes later revises its capsules instead of adding new ones; unchanged logs are skipped.
+      </p>
+      <p>
+        Questions asked through <code>ai-cli.mjs ask</code> and <code>chat</code> also search memory. Capsules are ranked by how well their full text matches (rare words count more), with older capsules slightly discounted. The best 3 above a minimum score are added to the prompt with their score. Tune this with <code>--mem-k</code> and <code>--mem-min-score</code>, or skip it with <code>--no-memory</code>.
+      </p>
 
       <h3>Next options (self-learning)</h3>
       <p>
@@ -89,8 +110,9 @@ export default function HelpPage() {
       </p>
       <ul>
         <li>Regenerated automatically during prebuild so static exports include fresh suggestions.</li>
-        <li>Refreshed by the nightly maintenance after adding a summary capsule.</li>
+        <li>Refreshed by the nightly maintenance after distilling logs into memory.</li>
         <li>Client components read it at runtime and show tag pills seeded by the current context.</li>
+        <li>It also holds <code>tagSuggestions</code>: tags a log does not have but whose logs its content resembles, with a confidence from 0 to 1. Log pages show them as dashed “Suggested tags” pills; <code>node scripts/ai-cli.mjs tags suggest --apply --min-confidence 0.7</code> writes them into untagged logs.</li>
       </ul>
 
       <h3>Related logs ranking</h3>
@@ -99,6 +121,21 @@ export default function HelpPage() {
         We add a small boost when items share tags (Jaccard overlap), so posts with similar topics are favored.
       </p>
 
+      <h3>Topics</h3>
+      <p>
+        The <a href="/topics">Topics</a> page groups all logs into themes by clustering the same TF‑IDF vectors. Each theme is named after the words that set it apart, with its size, date span and logs. A log page shows its theme under the toolbar. Prebuild refreshes <code>/topics.json</code>; set <code>TOPICS_K</code> to fix the number of themes.
+      </p>
+
+      <h3>Near-duplicates</h3>
+      <p>
+        Prebuild flags logs that are almost the same (for example re-runs of one agent task) in <code>/duplicates.json</code>. The newest copy that is about as complete as the longest one is kept; the other copies show a &ldquo;Superseded&rdquo; banner linking to it, and the kept log lists them. Set <code>DUPES_THRESHOLD</code> (default 0.75) to change how similar they must be. <code>npm run dupes -- archive</code> moves the superseded copies (never one longer than the kept log) to <code>archive/logs/</code>; add <code>--dry-run</code> to preview.
+      </p>
+
+      <h3>Knowledge graph</h3>
+      <p>
+        The <a href="/graph/knowledge">Knowledge</a> tab of <a href="/graph">Graph</a> links logs, memory capsules, tags, URLs and rig components (driver, kernel, …): by tag, by the logs and URLs their text cites, by the log or page a capsule came from, and by the rig versions they mention. Click a node or search for one to see only its neighborhood, up to three hops away; the checkboxes hide node and edge types, and you can drag nodes around. Prebuild refreshes <code>/knowledge-graph.json</code>; MCP clients can query it with <code>graph.neighbors</code> and <code>graph.search</code>.
+      </p>
+
       <h3>UI configuration</h3>
       <p>
         Some small knobs are configurable via <code>/ui/config.json</code> in the public directory:
@@ -107,6 +144,7 @@ export default function HelpPage() {
         <li><strong>related</strong>: {`{ tagWeight, k }`} — tag overlap boost and max related items.</li>
         <li><strong>nextOptions</strong>: {`{ max, fallbackTop }`} — number of suggestion pills and fallback top-tags count.</li>
         <li><strong>search</strong>: {`{ maxResults, maxTagChips }`} — search result limit and max tag chips shown.</li>
+        <li><strong>savedSearches</strong>: {`[{ name, query, retriever?, limit? }]`} — searches listed on /search with unread counts; each gets an RSS feed of new matches at <code>/searches/&lt;slug&gt;/feed.xml</code>.</li>
       </ul>
 
       <h3>Tag aliases</h3>
@@ -116,7 +154,10 @@ export default function HelpPage() {
       <ul>
         <li>Place mappings under <code>"tagAliases"</code>, for example: <code>{`{ "nvidia code:": "nvidia", "nvidia code": "nvidia" }`}</code>.</li>
         <li>Keys and values are normalized (lowercased and trimmed) before applying.</li>
+        <li>A list value splits one tag into several: <code>{`{ "ue5 vulkan": ["ue5", "vulkan"] }`}</code>.</li>
+        <li><code>"tagParents"</code> nests tags, for example <code>{`{ "nvidia": "gpu" }`}</code>; the Tags page then shows a tree where parents count every log under them.</li>
         <li>Safe to change anytime; re-run the prebuild to regenerate indices with the new mapping.</li>
+        <li><code>npm run tags -- rename|merge|split|parent …</code> edits these maps for you; <code>--rewrite</code> also rewrites the tags in logs and memory capsules, and <code>--dry-run</code> prints the diff only.</li>
       </ul>
     </div>
   );
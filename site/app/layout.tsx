@@ -51,6 +51,7 @@ export default function RootLayout({ children }: { children: React.ReactNode })
               <a href="/" style={{ color: '#0ea5e9', textDecoration: 'none' }}>Home</a>
               <a href="/new" style={{ color: '#0ea5e9', textDecoration: 'none' }}>New</a>
               <a href="/tags" style={{ color: '#0ea5e9', textDecoration: 'none' }}>Tags</a>
+              <a href="/topics" style={{ color: '#0ea5e9', textDecoration: 'none' }}>Topics</a>
               <a href="/graph" style={{ color: '#0ea5e9', textDecoration: 'none' }}>Graph</a>
               <a href="/search" style={{ color: '#0ea5e9', textDecoration: 'none' }}>Search</a>
               <a href="/ai" style={{ color: '#0ea5e9', textDecoration: 'none' }}>AI</a>
@@ -9,16 +9,23 @@ import { notFound } from 'next/navigation';
 import LogToolbar from '../../../components/LogToolbar';
 import CodeCopyEnhancer from '../../../components/CodeCopyEnhancer';
 import LogHotkeys from '../../../components/LogHotkeys';
+import TranscriptView, { type TurnView } from '../../../components/TranscriptView';
+import PassageHighlight from '../../../components/PassageHighlight';
 import nextDynamic from 'next/dynamic';
 const ViewTracker = nextDynamic(() => import('../../../components/ViewTracker'), { ssr: false });
 const RelatedLogs = nextDynamic(() => import('../../../components/RelatedLogs'), { ssr: false });
 const NextOptions = nextDynamic(() => import('../../../components/NextOptions'), { ssr: false });
 import type { Metadata } from 'next';
-import { normalizeTags } from '../../../scripts/lib/tags.mjs';
+import { parseLogDoc, headingIdExtension, RIG_FIELDS } from '../../../scripts/lib/logdoc.mjs';
 
 export const dynamic = 'error'; // enforce static generation
 export const dynamicParams = false; // only generate paths from generateStaticParams
 
+// Heading ids use the build's slugs (logdoc.mjs headingIdExtension) so chunk anchors from search
+// and /ask citations land on the heading. Reset before each pass over the whole log.
+const headingIds = headingIdExtension();
+marked.use(headingIds.extension);
+
 function logsRoot() {
   return path.join(process.cwd(), '..', 'logs');
 }
@@ -27,6 +34,39 @@ function fileFromSlug(slug: string[]) {
   return path.join(logsRoot(), ...slug) + '.md';
 }
 
+// Theme from public/topics.json (prebuild); read once per build.
+type TopicRef = { id: string; label: string; size: number };
+let topicsByLog: Map<string, TopicRef> | null = null;
+function topicOf(href: string): TopicRef | undefined {
+  if (!topicsByLog) {
+    topicsByLog = new Map();
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'public', 'topics.json'), 'utf8'));
+      for (const t of data.topics || []) for (const l of t.logs || []) topicsByLog.set(l.href, { id: t.id, label: t.label, size: t.size });
+    } catch { /* no topics built */ }
+  }
+  return topicsByLog.get(href);
+}
+
+// Near-duplicate groups from public/duplicates.json (prebuild): the newer copy a log is superseded
+// by, or the older copies it supersedes.
+type DupeRef = { href: string; title: string; date: string; words: number; similarity?: number };
+type DupeInfo = { keep?: DupeRef; copies: DupeRef[] };
+let dupesByLog: Map<string, DupeInfo> | null = null;
+function duplicatesOf(href: string): DupeInfo | undefined {
+  if (!dupesByLog) {
+    dupesByLog = new Map();
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'public', 'duplicates.json'), 'utf8'));
+      for (const g of data.groups || []) {
+        dupesByLog.set(g.keep.href, { copies: g.copies });
+        for (const c of g.copies) dupesByLog.set(c.href, { keep: { ...g.keep, similarity: c.similarity }, copies: [] });
+      }
+    } catch { /* no report built */ }
+  }
+  return dupesByLog.get(href);
+}
+
 export async function generateStaticParams() {
   const logsDir = logsRoot();
   if (!fs.existsSync(logsDir)) {
@@ -55,26 +95,26 @@ export default async function LogPage({ params }: { params: { slug: string[] } }
       return hljs.highlightAuto(code).value;
     },
   }));
-  const html = marked.parse(md) as string;
-  const titleMatch = md.match(/^#\s*(.+)$/m);
-  const title = titleMatch?.[1]?.trim() || 'Chat Transcript';
-  // Extract optional system metadata commonly found in build logs
-  const first = md.split('\n').slice(0, 60).join('\n');
-  const meta = {
-    gpu: first.match(/^(?:GPU|Graphics)\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    driver: first.match(/^(?:Driver|NVIDIA Driver)\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    ue: first.match(/^(?:UE|Unreal)\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    rust: first.match(/^Rust\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    kernel: first.match(/^(?:Kernel|Linux)\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    distro: first.match(/^Distro\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    cpu: first.match(/^CPU\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    memory: first.match(/^Memory\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    audio: first.match(/^Audio\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    display: first.match(/^Display\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-    openrgb: first.match(/^OpenRGB\s*:\s*([^\n]+)/im)?.[1]?.trim(),
-  };
-  const tagLine = first.match(/Tags:\s*([^\n]+)/i)?.[1] || '';
-  const tags = normalizeTags(tagLine ? tagLine.split(',').map((t) => t.trim()).filter(Boolean) : []);
+  const doc = parseLogDoc(md, { relPath: params.slug.join('/') });
+  // Each turn gets its own section so search hits and shared links can target #turn-N.
+  const part = (from: number, to: number) => marked.parse(doc.body.slice(from - doc.bodyOffset, to - doc.bodyOffset)) as string;
+  headingIds.reset();
+  const html = doc.turns.length
+    ? part(doc.bodyOffset, doc.turns[0].start) + doc.turns.map((t) => `<section id="turn-${t.n}" class="turn turn-${t.role}">${part(t.start, t.end)}</section>`).join('')
+    : marked.parse(doc.body) as string;
+  headingIds.reset();
+  const preambleHtml = marked.parse(doc.preamble) as string;
+  const turnViews: TurnView[] = doc.turns.map((t) => ({
+    n: t.n,
+    role: t.role,
+    html: marked.parse(t.text) as string,
+    anchors: doc.headings.filter((h) => h.start >= t.start && h.start < t.end).map((h) => h.slug),
+    preview: t.text.replace(/```[\s\S]*?(```|$)/g, ' [code] ').replace(/[#*_`>]/g, '').replace(/\s+/g, ' ').trim().slice(0, 160)
+  }));
+  const title = doc.title;
+  const tags = doc.tags;
+  // Optional system metadata commonly found in build logs (rig lines or frontmatter `meta:`)
+  const rig = RIG_FIELDS.filter((f) => doc.rig[f.key]);
   const owner = process.env.GITHUB_REPOSITORY?.split('/')[0];
   const repo = process.env.GITHUB_REPOSITORY?.split('/')[1];
   const githubRel = 'logs/' + params.slug.join('/') + '.md';
@@ -89,6 +129,8 @@ export default async function LogPage({ params }: { params: { slug: string[] } }
   const toHref = (r?: string) => (r ? '/logs/' + r.replace(/\.md$/i, '').split(path.sep).join('/') : undefined);
   const prevHref = toHref(prev);
   const nextHref = toHref(next);
+  const topic = topicOf(toHref(rel)!);
+  const dupes = duplicatesOf(toHref(rel)!);
 
   return (
     <article>
@@ -97,32 +139,53 @@ export default async function LogPage({ params }: { params: { slug: string[] } }
         <Link href="/">&larr; Back</Link>
         <a href="/help" style={{ fontSize: 12, textDecoration: 'none' }} title="Open Help">Help</a>
       </div>
-  <NextOptions contextTags={tags} />
+  <NextOptions contextTags={tags} href={toHref(rel)} />
       <LogToolbar md={md} prevHref={prevHref} nextHref={nextHref} githubUrl={githubUrl} rawUrl={rawUrl} />
   <CodeCopyEnhancer />
       <LogHotkeys prevHref={prevHref} nextHref={nextHref} />
-      {(meta.gpu || meta.driver || meta.ue || meta.rust || meta.kernel || meta.distro || meta.cpu || meta.memory || meta.audio || meta.display || meta.openrgb) && (
+      {dupes?.keep && (
+        <div role="note" style={{ fontSize: 13, margin: '8px 0', padding: '8px 12px', borderRadius: 6, background: '#fffbeb', border: '1px solid #fde68a', color: '#92400e' }}>
+          Superseded: a more complete version of this log exists,{' '}
+          <Link href={dupes.keep.href}>{dupes.keep.title}</Link>
+          {' '}({Math.round((dupes.keep.similarity || 0) * 100)}% similar, {dupes.keep.words} words{dupes.keep.date ? `, ${dupes.keep.date.slice(0, 10)}` : ''}).
+        </div>
+      )}
+      {dupes && dupes.copies.length > 0 && (
+        <div style={{ fontSize: 12, color: '#64748b', margin: '0 0 8px' }}>
+          Supersedes {dupes.copies.length} near-duplicate{dupes.copies.length === 1 ? '' : 's'}:{' '}
+          {dupes.copies.map((c, i) => (
+            <span key={c.href}>{i > 0 && ', '}<Link href={c.href} style={{ textDecoration: 'none' }}>{c.title}</Link> ({Math.round((c.similarity || 0) * 100)}%)</span>
+          ))}
+        </div>
+      )}
+      {topic && (
+        <div style={{ fontSize: 12, color: '#64748b', margin: '0 0 8px' }}>
+          Theme: <Link href={`/topics#${topic.id}`} style={{ textDecoration: 'none' }}>{topic.label}</Link> ({topic.size} log{topic.size === 1 ? '' : 's'})
+        </div>
+      )}
+      {rig.length > 0 && (
         <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, margin: '8px 0 16px' }}>
-          {meta.gpu && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>GPU: {meta.gpu}</span>}
-          {meta.driver && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>Driver: {meta.driver}</span>}
-          {meta.ue && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>UE: {meta.ue}</span>}
-          {meta.rust && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>Rust: {meta.rust}</span>}
-          {meta.kernel && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>Kernel: {meta.kernel}</span>}
-          {meta.distro && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>Distro: {meta.distro}</span>}
-          {meta.cpu && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>CPU: {meta.cpu}</span>}
-          {meta.memory && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>Memory: {meta.memory}</span>}
-          {meta.audio && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>Audio: {meta.audio}</span>}
-          {meta.display && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>Display: {meta.display}</span>}
-          {meta.openrgb && <span style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>OpenRGB: {meta.openrgb}</span>}
+          {rig.map((f) => (
+            <span key={f.key} style={{ fontSize: 12, padding: '4px 8px', borderRadius: 999, background: '#f1f5f9', color: '#334155' }}>{f.label}: {doc.rig[f.key]}</span>
+          ))}
         </div>
       )}
-      <div dangerouslySetInnerHTML={{ __html: html }} />
+      <div id="log-body">
+        {turnViews.length > 0
+          ? <TranscriptView preambleHtml={preambleHtml} rawHtml={html} turns={turnViews} />
+          : <div dangerouslySetInnerHTML={{ __html: html }} />}
+      </div>
+      <PassageHighlight rootId="log-body" />
   <RelatedLogs currentRel={rel} />
       <style>{`
         article :is(h1,h2,h3){ margin-top: 1.5rem; }
         article p, article li { line-height: 1.6; }
         blockquote { color: #475569; border-left: 4px solid #e2e8f0; margin: 1rem 0; padding: 0.5rem 1rem; }
         a { color: #0ea5e9; }
+        section.turn, article :is(h1,h2,h3,h4,h5,h6)[id] { scroll-margin-top: 16px; }
+        section.turn:target { background: #fefce8; box-shadow: -8px 0 0 #fde68a; }
+        mark.hl { background: #fef08a; color: inherit; padding: 0; }
+        .hl-passage { outline: 2px solid #fde68a; outline-offset: 4px; border-radius: 2px; }
       `}</style>
     </article>
   );
@@ -132,7 +195,5 @@ export async function generateMetadata({ params }: { params: { slug: string[] }
   const full = fileFromSlug(params.slug);
   if (!fs.existsSync(full)) return {};
   const md = fs.readFileSync(full, 'utf8');
-  const titleMatch = md.match(/^#\s*(.+)$/m);
-  const title = titleMatch?.[1]?.trim() || 'Chat Transcript';
-  return { title };
+  return { title: parseLogDoc(md).title };
 }
\ No newline at end of file
@@ -3,16 +3,12 @@ import path from 'node:path';
 import fg from 'fast-glob';
 import Link from 'next/link';
 import { notFound } from 'next/navigation';
+import { parseLogDoc } from '../../../../../scripts/lib/logdoc.mjs';
 
 function logsRoot() {
   return path.join(process.cwd(), '..', 'logs');
 }
 
-function parseTitle(md: string) {
-  const m = md.match(/^#\s*(.+)$/m);
-  return m?.[1]?.trim() || 'Chat Transcript';
-}
-
 export async function generateStaticParams() {
   const root = logsRoot();
   if (!fs.existsSync(root)) return [];
@@ -42,7 +38,7 @@ export default async function DayIndex({ params }: { params: { year: string; mon
   const items = files.map((file) => {
     const full = path.join(dayDir, file);
     const md = fs.readFileSync(full, 'utf8');
-    const title = parseTitle(md);
+    const title = parseLogDoc(md).title;
     const href = '/logs/' + [year, month, day, file.replace(/\.md$/i, '')].join('/');
     return { href, title, rel: `logs/${year}/${month}/${day}/${file}` };
   }).sort((a, b) => a.rel.localeCompare(b.rel));
@@ -2,6 +2,19 @@
 import { useEffect, useMemo, useState } from 'react';
 import { withBase } from '../../components/NextUiConfig';
 
+type MemoryRevision = {
+  version: number;
+  ts: string;
+  reason?: string;
+  changed: string[];
+  title: string;
+  tags?: string[];
+  summary?: string;
+  snippet?: string;
+};
+
+type MemorySource = { id: string; title: string; source: string; ts: string };
+
 type MemoryItem = {
   id: string;
   ts: string;
@@ -11,8 +24,52 @@ type MemoryItem = {
   summary?: string;
   snippet?: string;
   file?: string;
+  version?: number;
+  updatedAt?: string;
+  history?: MemoryRevision[];
+  expiresAt?: string;
+  sources?: MemorySource[];
 };
 
+const sourceLink = (source: string) => (/^https?:/i.test(source) ? <a href={source} target="_blank" rel="noreferrer">{source}</a> : <code>{source}</code>);
+
+// Capsules folded into this one by memory consolidation, oldest first.
+function Sources({ sources }: { sources: MemorySource[] }) {
+  return (
+    <details style={{ marginTop: 8 }}>
+      <summary style={{ cursor: 'pointer', fontSize: 12, color: '#475569' }}>Merged from {sources.length} capsules</summary>
+      <ul style={{ margin: '6px 0 0', paddingLeft: 20, fontSize: 13 }}>
+        {[...sources].sort((a, b) => (a.ts < b.ts ? -1 : 1)).map((s) => (
+          <li key={s.id} style={{ margin: '4px 0' }}>
+            {s.title || s.id} <small style={{ color: '#64748b' }}>{s.ts ? new Date(s.ts).toLocaleString() : ''}</small>
+            {s.source && <div><small>{sourceLink(s.source)}</small></div>}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+// Revision list of an edited capsule, newest first.
+function History({ history }: { history: MemoryRevision[] }) {
+  return (
+    <details style={{ marginTop: 8 }}>
+      <summary style={{ cursor: 'pointer', fontSize: 12, color: '#475569' }}>History ({history.length} versions)</summary>
+      <ol reversed style={{ margin: '6px 0 0', paddingLeft: 20, fontSize: 13 }}>
+        {[...history].reverse().map((h) => (
+          <li key={h.version} style={{ margin: '6px 0' }}>
+            <strong>v{h.version}</strong>{' '}
+            <small style={{ color: '#64748b' }}>{new Date(h.ts).toLocaleString()} · {h.changed.length ? `changed ${h.changed.join(', ')}` : 'created'}</small>
+            {h.reason && <div style={{ fontStyle: 'italic', color: '#475569' }}>{h.reason}</div>}
+            <div>{h.title}{h.tags?.length ? <small style={{ color: '#64748b' }}> {h.tags.map((t) => `#${t}`).join(' ')}</small> : null}</div>
+            {(h.summary || h.snippet) && <div style={{ color: '#334155' }}>{h.summary || h.snippet}</div>}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
 export const dynamic = 'error';
 export const dynamicParams = false;
 
@@ -66,11 +123,15 @@ export default function MemoryPage() {
           <li key={it.id} style={{ padding: '12px 8px', borderBottom: '1px solid #e2e8f0' }}>
             <div style={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between', gap: 12 }}>
               <h3 style={{ margin: '4px 0' }}>{it.title || '(untitled)'}</h3>
-              <small style={{ color: '#64748b' }}>{new Date(it.ts).toLocaleString()}</small>
+              <small style={{ color: '#64748b' }}>
+                {new Date(it.ts).toLocaleString()}
+                {(it.version || 1) > 1 && it.updatedAt && <> · v{it.version}, edited {new Date(it.updatedAt).toLocaleString()}</>}
+                {it.expiresAt && <> · expires {new Date(it.expiresAt).toLocaleDateString()}</>}
+              </small>
             </div>
             {it.source && (
               <div style={{ margin: '4px 0 8px 0' }}>
-                <small>Source: {/^https?:/i.test(it.source) ? <a href={it.source} target="_blank" rel="noreferrer">{it.source}</a> : <code>{it.source}</code>}</small>
+                <small>Source: {sourceLink(it.source)}</small>
               </div>
             )}
             {it.summary && <p style={{ margin: '6px 0' }}>{it.summary}</p>}
@@ -79,6 +140,8 @@ export default function MemoryPage() {
                 <span key={t} onClick={()=>setActiveTag(t)} style={{ cursor: 'pointer', background: '#e2e8f0', color: '#0f172a', padding: '2px 8px', borderRadius: 999, fontSize: 12 }}>#{t}</span>
               ))}
             </div>
+            {it.sources && it.sources.length > 1 && <Sources sources={it.sources} />}
+            {it.history && it.history.length > 1 && <History history={it.history} />}
           </li>
         ))}
       </ul>
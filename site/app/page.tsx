@@ -13,35 +13,10 @@ const Favorites = dynamicTop(() => import('../components/Favorites'), { ssr: fal
 const RecentlyViewed = dynamicTop(() => import('../components/RecentlyViewed'), { ssr: false });
 const NextOptions = dynamicTop(() => import('../components/NextOptions'), { ssr: false });
 const RecentSearches = dynamicTop(() => import('../components/RecentSearches'), { ssr: false });
+import { parseLogDoc } from '../scripts/lib/logdoc.mjs';
 
 // Using Entry type from components
 
-function parseHeader(md: string) {
-  const lines = md.split('\n');
-  let fm: Record<string, string> = {};
-  if (lines[0]?.trim() === '---') {
-    for (let i = 1; i < Math.min(lines.length, 50); i++) {
-      const line = lines[i];
-      if (line.trim() === '---') break;
-      const m = /^(\w[\w-]*):\s*(.*)$/.exec(line);
-      if (m) fm[m[1].toLowerCase()] = m[2].trim();
-    }
-  }
-  const first = lines.slice(0, 40).join('\n');
-  const idMatch = first.match(/Conversation ID:\s*(.+)/i) || (fm.id ? [null, fm.id] as any : null);
-  const receivedMatch = first.match(/Received At:\s*([^\n]+)/i) || (fm.receivedat ? [null, fm.receivedat] as any : null) || (fm.date ? [null, fm.date] as any : null);
-  const titleMatch = md.match(/^#\s*(.+)$/m) || (fm.title ? [null, fm.title] as any : null);
-  const tagsStr = fm.tags || first.match(/Tags:\s*([^\n]+)/i)?.[1] || '';
-  const tags = tagsStr ? tagsStr.split(',').map((t) => t.trim()).filter(Boolean) : [];
-
-  return {
-    id: idMatch?.[1]?.trim() ?? '',
-    receivedAt: receivedMatch?.[1]?.trim() ?? '',
-    title: titleMatch?.[1]?.trim() ?? 'Chat Transcript',
-    tags
-  };
-}
-
 function getLogsDir() {
   return path.join(process.cwd(), '..', 'logs');
 }
@@ -63,20 +38,17 @@ export default async function Page() {
     entries = files.map((relPath) => {
       const full = path.join(process.cwd(), '..', relPath);
       const md = fs.readFileSync(full, 'utf8');
-      const meta = parseHeader(md);
+      const doc = parseLogDoc(md, { relPath });
 
       const slugParts = toSlug(relPath);
       const href = '/logs/' + slugParts.join('/');
 
-      const [yyyy, mm, dd] = slugParts;
-      const date = yyyy && mm && dd ? `${yyyy}-${mm}-${dd}` : meta.receivedAt;
-
       const entry: Entry = {
         href,
-        title: meta.title || `Transcript ${relPath}`,
-        date,
+        title: doc.title || `Transcript ${relPath}`,
+        date: doc.date,
         relPath,
-        tags: meta.tags
+        tags: doc.tags
       };
       return entry;
     });
@@ -3,8 +3,13 @@
 import { useEffect, useMemo, useState, useRef } from 'react';
 import Link from 'next/link';
 import CopyLink from '../../components/CopyLink';
+import SavedSearches from '../../components/SavedSearches';
 import { useToast } from '../../components/Toast';
 import { useUiConfig, withBase } from '../../components/NextUiConfig';
+import { parseQuery, needsText, searchChunks, queryTags, toggleTag, clearTags } from '../../scripts/lib/rag-query.mjs';
+import { loadManifest, loadChunks, loadQueryIndex, loadChunkTexts, type RagManifest } from '../../components/ragShards';
+import { RETRIEVERS } from '../../scripts/lib/dense.mjs';
+import { snippetFor, snippetParts, passageHref } from '../../scripts/lib/snippets.mjs';
 
 type Chunk = {
   id: string;
@@ -13,25 +18,58 @@ type Chunk = {
   title: string;
   date: string;
   tags?: string[];
+  turn?: number;
+  role?: string;
+  start?: number;
+  end?: number;
+  headings?: string[];
+  anchor?: string;
   snippet: string;
-  vector: [string, number][];
+  text?: string;
+  vector?: [string, number][];
   norm: number;
 };
 
-function tokenize(text: string) {
-  const STOP = new Set('the,of,and,to,in,a,for,is,that,on,with,as,it,by,from,at,be,an,or,are,this,was,will,can,not,have,has,had,if,then,else,do,does,did,than,which,into,over,under,between,within,without,about,after,before,since,per,each,via'.split(','));
-  return (text.toLowerCase().match(/[a-z0-9_]+/g) || []).filter((t) => t.length > 1 && !STOP.has(t));
+type Index = { version?: number; dense?: unknown; chunks: Chunk[] };
+
+type Retriever = 'lexical' | 'dense' | 'hybrid';
+
+type Snippet = { text: string; start: number; end: number; matches: [number, number][]; words: string[] };
+type Hit = Chunk & { score: number; snip: Snippet; more: boolean };
+
+// Each hit shows the window of its text that best matches the query (lib/snippets.mjs).
+function withSnippets(idx: Parameters<typeof snippetFor>[0], hits: (Chunk & { score: number })[], parsed: ReturnType<typeof parseQuery>): Hit[] {
+  return hits.map((c) => {
+    const text = c.text ?? c.snippet;
+    const snip = snippetFor(idx, text, parsed) as Snippet;
+    return { ...c, snip, more: snip.end < text.length };
+  });
+}
+
+// Hits deep-link to their heading or transcript turn; the log page marks the matched words.
+function hitHref(c: Hit) {
+  return passageHref(c, c.snip.words);
 }
 
 export default function SearchPage() {
   const [q, setQ] = useState('');
   const inputRef = useRef<HTMLInputElement>(null);
   const [recent, setRecent] = useState<string[]>([]);
-  const [idf, setIdf] = useState<Record<string, number>>({});
+  // Sharded index: manifest + chunk metadata up front, term shards fetched per query.
+  // Sites built before shards existed fall back to the whole rag-index.json.
+  const [manifest, setManifest] = useState<RagManifest | null>(null);
   const [chunks, setChunks] = useState<Chunk[]>([]);
+  const [fullIndex, setFullIndex] = useState<Index | null>(null);
+  const [results, setResults] = useState<Hit[]>([]);
+  // Why a query could not run (phrase filters against an index without chunk text).
+  const [searchError, setSearchError] = useState('');
   const [loading, setLoading] = useState(true);
+  // Lexical, dense (LSA embeddings) or hybrid (rank fusion); only offered when the index has embeddings.
+  const [retriever, setRetriever] = useState<Retriever>('lexical');
+  const hasDense = !!(manifest?.dense || fullIndex?.dense);
+  // Chunk id -> position in the index, which picks the text file a hit's text is in.
+  const chunkAt = useMemo(() => new Map(chunks.map((c, i) => [c.id, i])), [chunks]);
   const { toast } = useToast();
-  const [activeTag, setActiveTag] = useState<string>('');
   const cfg = useUiConfig();
 
   useEffect(() => {
@@ -39,14 +77,19 @@ export default function SearchPage() {
     (async () => {
       try {
         setLoading(true);
-  const res = await fetch(withBase('/rag-index.json'), { cache: 'no-store' });
+        const m = await loadManifest();
+        if (m) {
+          const list = await loadChunks<Chunk>(m);
+          if (alive) { setManifest(m); setChunks(list); }
+          return;
+        }
+        const res = await fetch(withBase('/rag-index.json'), { cache: 'no-store' });
         if (res.ok) {
           const data = await res.json();
-          if (alive) {
-            setIdf(data.idf || {});
-            setChunks(data.chunks || []);
-          }
+          if (alive) setFullIndex({ ...data, chunks: data.chunks || [] });
         }
+      } catch {
+        // leave results empty; the "Type to search" hint still shows
       } finally {
         if (alive) setLoading(false);
       }
@@ -55,6 +98,39 @@ export default function SearchPage() {
   }, []);
 
   useEffect(() => {
+    let alive = true;
+    const k = cfg.search.maxResults;
+    setSearchError('');
+    if (!q.trim()) { setResults([]); return; }
+    // Query language (phrases, -exclusions, tag:/date:/title:/role: filters) lives in rag-query.mjs.
+    const parsed = parseQuery(q);
+    const opts = { retriever: hasDense ? retriever : 'lexical' };
+    if (fullIndex) {
+      try { setResults(withSnippets(fullIndex, searchChunks(fullIndex, parsed, k, opts) as (Chunk & { score: number })[], parsed)); }
+      catch (e) { setResults([]); setSearchError(e instanceof Error ? e.message : String(e)); }
+      return;
+    }
+    if (!manifest) return;
+    // All chunk text only for phrase/exclusion filters; otherwise snippets fetch just the text
+    // files holding the hits shown.
+    loadQueryIndex(manifest, chunks, parsed.text, { withText: needsText(parsed), withEmbs: opts.retriever !== 'lexical' })
+      .then(async (idx) => {
+        let hits = searchChunks(idx, parsed, k, opts) as (Chunk & { score: number })[];
+        if (parsed.text.trim() && hits.some((c) => c.text === undefined)) {
+          const texts = await loadChunkTexts(manifest, hits.map((c) => chunkAt.get(c.id) ?? -1).filter((i) => i >= 0));
+          hits = hits.map((c) => (c.text === undefined ? { ...c, text: texts.get(chunkAt.get(c.id) ?? -1) } : c));
+        }
+        if (alive) setResults(withSnippets(idx, hits, parsed));
+      })
+      .catch((e) => { if (alive) { setResults([]); setSearchError(e instanceof Error ? e.message : String(e)); } });
+    return () => { alive = false; };
+  }, [q, manifest, chunks, chunkAt, fullIndex, cfg, retriever, hasDense]);
+
+  useEffect(() => {
+    try {
+      const saved = localStorage.getItem('searchRetriever');
+      if (saved && (RETRIEVERS as string[]).includes(saved)) setRetriever(saved as Retriever);
+    } catch { /* storage unavailable: keep lexical */ }
     try {
       const raw = localStorage.getItem('recentSearches') || '[]';
       const arr = JSON.parse(raw);
@@ -77,6 +153,11 @@ export default function SearchPage() {
     } catch {}
   }, []);
 
+  function chooseRetriever(r: Retriever) {
+    setRetriever(r);
+    try { localStorage.setItem('searchRetriever', r); } catch { /* not persisted */ }
+  }
+
   function saveRecent(term: string) {
     try {
       const t = term.trim();
@@ -87,47 +168,16 @@ export default function SearchPage() {
     } catch {}
   }
 
-  const allResults = useMemo(() => {
-    if (!q.trim()) return [] as (Chunk & { score: number })[];
-    const terms = tokenize(q);
-    if (terms.length === 0) return [] as any[];
-    const tf = new Map<string, number>();
-    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
-    const weights: [string, number][] = [];
-    let sumsq = 0;
-    for (const [t, f] of tf) {
-      const w = f * (idf[t] || 1);
-      if (w > 0) { weights.push([t, w]); sumsq += w * w; }
-    }
-    const qnorm = Math.sqrt(sumsq) || 1;
-    const scores: { i: number; s: number }[] = [];
-    for (let i = 0; i < chunks.length; i++) {
-      const c = chunks[i];
-      let dot = 0;
-      // sparse dot product
-      for (const [t, wq] of weights) {
-        const cw = c.vector.find((x) => x[0] === t)?.[1];
-        if (cw) dot += wq * cw;
-      }
-      const score = dot / (qnorm * (c.norm || 1));
-      if (score > 0) scores.push({ i, s: score });
-    }
-    scores.sort((a, b) => b.s - a.s);
-    return scores.slice(0, cfg.search.maxResults).map(({ i, s }) => ({ ...chunks[i], score: s }));
-  }, [q, chunks, idf, cfg]);
-
   const tagCounts = useMemo(() => {
     const m = new Map<string, number>();
-    for (const r of allResults) {
+    for (const r of results) {
       for (const t of r.tags || []) m.set(t, (m.get(t) || 0) + 1);
     }
     return Array.from(m.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, 12);
-  }, [allResults]);
+  }, [results]);
 
-  const results = useMemo(() => {
-    if (!activeTag) return allResults;
-    return allResults.filter((r) => (r.tags || []).includes(activeTag));
-  }, [allResults, activeTag]);
+  // Tag chips edit `tag:` terms in the query itself, so the URL, recent searches and CLI share one syntax.
+  const activeTags = useMemo(() => queryTags(q), [q]);
 
   return (
     <div>
@@ -137,13 +187,29 @@ export default function SearchPage() {
           ref={inputRef}
           value={q}
           onChange={(e) => setQ(e.target.value)}
-          placeholder="Search logs (TF‑IDF cosine) — Hotkeys: / or s focus, Esc clear, Enter open top"
+          placeholder='Search logs — e.g. "validation layers" tag:vulkan -ue5 date:2025-09..2025-10 role:user'
           style={{ flex: 1, padding: '8px 10px', border: '1px solid #cbd5e1', borderRadius: 6 }}
         />
+        {hasDense && (
+          <div role="group" aria-label="Retriever" style={{ display: 'flex' }}>
+            {(RETRIEVERS as Retriever[]).map((r, i) => (
+              <button
+                key={r}
+                onClick={() => chooseRetriever(r)}
+                aria-pressed={retriever === r}
+                title={r === 'lexical' ? 'Keyword ranking' : r === 'dense' ? 'Related terms via LSA embeddings' : 'Keyword and embedding rankings fused'}
+                style={{ padding: '6px 10px', border: '1px solid #cbd5e1', marginLeft: i ? -1 : 0, borderRadius: i === 0 ? '6px 0 0 6px' : i === RETRIEVERS.length - 1 ? '0 6px 6px 0' : 0, background: retriever === r ? '#0ea5e9' : 'white', color: retriever === r ? '#fff' : '#0f172a', cursor: 'pointer', fontSize: 12, textTransform: 'capitalize' }}
+              >{r}</button>
+            ))}
+          </div>
+        )}
         <a href="/rag-capsule.png" download style={{ color: '#0ea5e9', textDecoration: 'none' }} title="PNG diagram of the retrieval capsule">Download capsule</a>
       </div>
       <div style={{ fontSize: 12, color: '#64748b', marginBottom: 4 }}>
-        Results are ranked by TF‑IDF cosine similarity. Higher score ≈ more relevant. Recent searches are saved locally.
+        Results are ranked by TF‑IDF cosine similarity (BM25 when the index has postings); Dense ranks by LSA embeddings and Hybrid fuses both rankings. Higher score ≈ more relevant. Recent searches are saved locally.
+      </div>
+      <div style={{ fontSize: 12, color: '#64748b', marginBottom: 4 }}>
+        Syntax: <code>"exact phrase"</code>, <code>+must</code>, <code>-exclude</code> or <code>NOT</code>, <code>tag:vulkan</code> (<code>tag:a,b</code> any of), <code>title:driver</code>, <code>date:2025-09..2025-10</code>, <code>role:user|assistant</code>, <code>OR</code> between filters.
       </div>
       <div style={{ fontSize: 12, color: '#64748b', marginBottom: 16 }}>
         Hotkeys: / or s focus, Esc clear, Enter opens the top result.
@@ -151,20 +217,21 @@ export default function SearchPage() {
       {tagCounts.length > 0 && (
         <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', margin: '-6px 0 12px' }}>
           <button
-            onClick={() => setActiveTag('')}
-            style={{ padding: '4px 8px', borderRadius: 999, border: '1px solid #cbd5e1', background: activeTag === '' ? '#0ea5e9' : 'white', color: activeTag === '' ? '#fff' : '#0f172a', cursor: 'pointer', fontSize: 12 }}
-            title="Show all results"
+            onClick={() => setQ(clearTags(q))}
+            style={{ padding: '4px 8px', borderRadius: 999, border: '1px solid #cbd5e1', background: activeTags.length === 0 ? '#0ea5e9' : 'white', color: activeTags.length === 0 ? '#fff' : '#0f172a', cursor: 'pointer', fontSize: 12 }}
+            title="Remove tag: filters from the query"
           >All</button>
           {tagCounts.slice(0, cfg.search.maxTagChips).map(([t, n]) => (
             <button
               key={t}
-              onClick={() => setActiveTag(t)}
-              title={`${n} results`}
-              style={{ padding: '4px 8px', borderRadius: 999, border: '1px solid #cbd5e1', background: activeTag === t ? '#0ea5e9' : 'white', color: activeTag === t ? '#fff' : '#0f172a', cursor: 'pointer', fontSize: 12 }}
+              onClick={() => setQ(toggleTag(q, t))}
+              title={`${n} results — toggles tag:${t} in the query`}
+              style={{ padding: '4px 8px', borderRadius: 999, border: '1px solid #cbd5e1', background: activeTags.includes(t.toLowerCase()) ? '#0ea5e9' : 'white', color: activeTags.includes(t.toLowerCase()) ? '#fff' : '#0f172a', cursor: 'pointer', fontSize: 12 }}
             >#{t}</button>
           ))}
         </div>
       )}
+      <SavedSearches onSelect={(query) => { setQ(query); saveRecent(query); }} />
       {recent.length > 0 && (
         <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: -8, marginBottom: 16 }}>
           {recent.map((r) => (
@@ -173,21 +240,22 @@ export default function SearchPage() {
           <button onClick={() => { setRecent([]); localStorage.setItem('recentSearches', '[]'); }} style={{ padding: '4px 8px', borderRadius: 6, border: '1px solid #cbd5e1', background: 'white', cursor: 'pointer', fontSize: 12 }}>Clear</button>
         </div>
       )}
-  <Hotkeys inputRef={inputRef} topHref={results[0]?.href} onEnter={() => saveRecent(q)} />
+  <Hotkeys inputRef={inputRef} topHref={results[0] && hitHref(results[0])} onEnter={() => saveRecent(q)} />
       {loading && <div style={{ color: '#64748b' }}>Loading index…</div>}
-      {!loading && results.length === 0 && <div style={{ color: '#64748b' }}>Type to search. Results will appear here.</div>}
+      {searchError && <div role="alert" style={{ color: '#b91c1c' }}>{searchError}</div>}
+      {!loading && !searchError && results.length === 0 && <div style={{ color: '#64748b' }}>Type to search. Results will appear here.</div>}
       <ul style={{ listStyle: 'none', padding: 0 }}>
         {results.map((r) => (
           <li key={r.id} style={{ padding: '10px 0', borderBottom: '1px solid #e2e8f0' }}>
-            <Link href={r.href} style={{ color: '#0ea5e9', textDecoration: 'none' }}>{r.title}</Link>
+            <Link href={hitHref(r)} style={{ color: '#0ea5e9', textDecoration: 'none' }}>{r.title}</Link>
             <div style={{ fontSize: 12, color: '#64748b', display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
-              <span>{r.date} — {r.relPath} — score {r.score.toFixed(3)}</span>
+              <span>{r.date} — {r.relPath}{r.turn ? ` — turn ${r.turn}${r.role ? ` (${r.role})` : ''}` : ''}{r.headings?.length ? ` — ${r.headings.join(' › ')}` : ''} — score {r.score.toFixed(3)}</span>
               <span style={{ marginLeft: 'auto' }}>
-                <CopyLink href={r.href} label="Copy" />
+                <CopyLink href={hitHref(r)} label="Copy" />
                 <button
                   onClick={async () => {
                     try {
-                      const url = location.origin + r.href;
+                      const url = location.origin + hitHref(r);
                       const md = `[${r.title}](${url})`;
                       await navigator.clipboard.writeText(md);
                       try { toast('Markdown copied', { type: 'success' }); } catch {}
@@ -209,7 +277,13 @@ export default function SearchPage() {
                 })}
               </div>
             )}
-            <div style={{ fontSize: 13, color: '#334155', marginTop: 6 }}>{r.snippet}…</div>
+            <div style={{ fontSize: 13, color: '#334155', marginTop: 6 }}>
+              {r.snip.start > 0 && '…'}
+              {snippetParts(r.snip).map(([t, hit], i) => (hit
+                ? <mark key={i} style={{ background: '#fef08a', color: 'inherit', padding: 0 }}>{t}</mark>
+                : <span key={i}>{t}</span>))}
+              {r.more && '…'}
+            </div>
           </li>
         ))}
       </ul>
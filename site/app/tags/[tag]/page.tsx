@@ -7,32 +7,12 @@ import nextDynamic from 'next/dynamic';
 const CopyLink = nextDynamic(() => import('../../../components/CopyLink'), { ssr: false });
 const NextOptions = nextDynamic(() => import('../../../components/NextOptions'), { ssr: false });
 import { normalizeTags } from '../../../scripts/lib/tags.mjs';
+import { parseLogDoc } from '../../../scripts/lib/logdoc.mjs';
 
 function logsRoot() {
   return path.join(process.cwd(), '..', 'logs');
 }
 
-function parseHeader(md: string) {
-  const lines = md.split('\n');
-  let fm: Record<string, string> = {};
-  if (lines[0]?.trim() === '---') {
-    for (let i = 1; i < Math.min(lines.length, 50); i++) {
-      const line = lines[i];
-      if (line.trim() === '---') break;
-      const m = /^(\w[\w-]*):\s*(.*)$/.exec(line);
-      if (m) fm[m[1].toLowerCase()] = m[2].trim();
-    }
-  }
-  const first = lines.slice(0, 40).join('\n');
-  const titleMatch = md.match(/^#\s*(.+)$/m) || (fm.title ? [null, fm.title] as any : null);
-  const tagsStr = fm.tags || first.match(/Tags:\s*([^\n]+)/i)?.[1] || '';
-  const tags = normalizeTags(tagsStr ? tagsStr.split(',').map((t) => t.trim()).filter(Boolean) : []);
-  return {
-    title: titleMatch?.[1]?.trim() ?? 'Chat Transcript',
-    tags
-  };
-}
-
 export async function generateStaticParams() {
   const root = logsRoot();
   if (!fs.existsSync(root)) return [];
@@ -40,7 +20,7 @@ export async function generateStaticParams() {
   const set = new Set<string>();
   for (const rel of files) {
     const md = fs.readFileSync(path.join(root, rel), 'utf8');
-    for (const t of parseHeader(md).tags) set.add(t);
+    for (const t of parseLogDoc(md).tags) set.add(t);
   }
   return Array.from(set).map((tag) => ({ tag }));
 }
@@ -56,7 +36,7 @@ export default async function TagPage({ params }: { params: { tag: string } }) {
   const items = files.map((rel) => {
     const full = path.join(root, rel);
     const md = fs.readFileSync(full, 'utf8');
-    const meta = parseHeader(md);
+    const meta = parseLogDoc(md);
     return { rel, title: meta.title, has: meta.tags.includes(tag) };
   }).filter((x) => x.has);
 
@@ -6,28 +6,14 @@ import dynamic from 'next/dynamic';
 const CopyLink = dynamic(() => import('../../components/CopyLink'), { ssr: false });
 const TagsFilter = dynamic(() => import('./tags-filter'), { ssr: false });
 const TopTags = dynamic(() => import('../../components/TopTags'), { ssr: false });
-import { normalizeTags } from '../../scripts/lib/tags.mjs';
+import { parseLogDoc } from '../../scripts/lib/logdoc.mjs';
+import { buildTagTree, loadUiConfigTagParents } from '../../scripts/lib/tags.mjs';
+import TagTree from './tag-tree';
 
 function logsRoot() {
   return path.join(process.cwd(), '..', 'logs');
 }
 
-function parseTags(md: string): string[] {
-  const lines = md.split('\n');
-  let fm: Record<string, string> = {};
-  if (lines[0]?.trim() === '---') {
-    for (let i = 1; i < Math.min(lines.length, 50); i++) {
-      const line = lines[i];
-      if (line.trim() === '---') break;
-      const m = /^(\w[\w-]*):\s*(.*)$/.exec(line);
-      if (m) fm[m[1].toLowerCase()] = m[2].trim();
-    }
-  }
-  const first = lines.slice(0, 40).join('\n');
-  const tagsStr = fm.tags || first.match(/Tags:\s*([^\n]+)/i)?.[1] || '';
-  return normalizeTags(tagsStr ? tagsStr.split(',').map((t) => t.trim()).filter(Boolean) : []);
-}
-
 export default async function TagsIndex() {
   const root = logsRoot();
   if (!fs.existsSync(root)) {
@@ -35,10 +21,15 @@ export default async function TagsIndex() {
   }
   const files = await fg('**/*.md', { cwd: root });
   const counts = new Map<string, number>();
+  const tagLists: string[][] = [];
   for (const rel of files) {
     const md = fs.readFileSync(path.join(root, rel), 'utf8');
-    for (const t of parseTags(md)) counts.set(t, (counts.get(t) || 0) + 1);
+    const { tags } = parseLogDoc(md);
+    tagLists.push(tags);
+    for (const t of tags) counts.set(t, (counts.get(t) || 0) + 1);
   }
+  const tree = buildTagTree(tagLists, loadUiConfigTagParents());
+  const nested = tree.some((n) => n.children.length > 0);
 
   const tags = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
 
@@ -51,6 +42,12 @@ export default async function TagsIndex() {
           <TopTags tags={tags.map(([tag, count]) => ({ tag, count }))} />
         </div>
       )}
+      {nested && (
+        <div style={{ margin: '0 0 16px' }}>
+          <h3 style={{ fontSize: 14, margin: '0 0 6px' }}>Hierarchy</h3>
+          <TagTree nodes={tree} />
+        </div>
+      )}
       <TagsFilter items={tags.map(([tag, count]) => ({ tag, count }))} />
     </div>
   );
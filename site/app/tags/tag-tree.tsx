@@ -0,0 +1,21 @@
+import Link from 'next/link';
+
+// Tag hierarchy from `tagParents` (lib/tags.mjs buildTagTree). A parent's number is the distinct
+// logs under it, its own tag included; "own" is shown when that differs.
+export type TagNode = { tag: string; count: number; total: number; children: TagNode[] };
+
+export default function TagTree({ nodes, depth = 0 }: { nodes: TagNode[]; depth?: number }) {
+  return (
+    <ul style={{ listStyle: 'none', margin: 0, padding: depth ? '0 0 0 18px' : 0, borderLeft: depth ? '1px solid #e2e8f0' : 'none' }}>
+      {nodes.map((n) => (
+        <li key={n.tag} style={{ padding: '2px 0' }}>
+          {n.count > 0
+            ? <Link href={`/tags/${encodeURIComponent(n.tag)}`} style={{ color: '#0ea5e9', textDecoration: 'none' }}>#{n.tag}</Link>
+            : <span style={{ color: '#475569' }}>#{n.tag}</span>}
+          <span style={{ color: '#64748b', marginLeft: 6 }}>({n.total}{n.children.length > 0 && n.count !== n.total ? `, ${n.count} own` : ''})</span>
+          {n.children.length > 0 && <TagTree nodes={n.children} depth={depth + 1} />}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,66 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import Link from 'next/link';
+
+export const dynamic = 'error';
+export const revalidate = false;
+
+type TopicLog = { href: string; title: string; date: string };
+type Topic = { id: string; label: string; terms: string[]; size: number; from: string; to: string; logs: TopicLog[] };
+
+// Written by prebuild (scripts/lib/topics.mjs clusterTopics); absent until the RAG index exists.
+function loadTopics(): { k: number; topics: Topic[] } | null {
+  try {
+    const p = path.join(process.cwd(), 'public', 'topics.json');
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, 'utf8'));
+  } catch { /* unreadable file: treated as not built */ }
+  return null;
+}
+
+function span(t: Topic) {
+  if (!t.from) return 'undated';
+  return t.from === t.to ? t.from : `${t.from} – ${t.to}`;
+}
+
+export default function TopicsPage() {
+  const data = loadTopics();
+  const topics = data?.topics || [];
+  return (
+    <div>
+      <h2>Topics <a href="/help" style={{ fontSize: 12, marginLeft: 8, textDecoration: 'none' }} title="Open Help">Help</a></h2>
+      {topics.length === 0 ? (
+        <p style={{ color: '#64748b' }}>No topics yet. They are built by <code>npm run prebuild</code> once there are logs.</p>
+      ) : (
+        <>
+          <p style={{ fontSize: 12, color: '#64748b' }}>
+            {topics.length} themes found by clustering the logs&apos; content; each is named after the words that set it apart.
+          </p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, margin: '8px 0 16px' }}>
+            {topics.map((t) => (
+              <a key={t.id} href={`#${t.id}`} style={{ padding: '4px 10px', borderRadius: 999, border: '1px solid #cbd5e1', textDecoration: 'none', fontSize: 13 }}>
+                {t.label} <span style={{ color: '#64748b' }}>({t.size})</span>
+              </a>
+            ))}
+          </div>
+          {topics.map((t) => (
+            <section key={t.id} id={t.id} style={{ margin: '0 0 20px', scrollMarginTop: 16 }}>
+              <h3 style={{ margin: '0 0 4px' }}>{t.label}</h3>
+              <div style={{ fontSize: 12, color: '#64748b', marginBottom: 6 }}>
+                {t.size} log{t.size === 1 ? '' : 's'} · {span(t)}
+                {t.terms.length > 3 && <> · also: {t.terms.slice(3).join(', ')}</>}
+              </div>
+              <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+                {t.logs.map((l) => (
+                  <li key={l.href} style={{ padding: '4px 0', borderBottom: '1px solid #e2e8f0', display: 'flex', gap: 8 }}>
+                    <Link href={l.href} style={{ color: '#0ea5e9', textDecoration: 'none', flex: 1 }}>{l.title}</Link>
+                    <span style={{ fontSize: 12, color: '#64748b' }}>{l.date.slice(0, 10)}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// Tab bar shared by the /graph pages: the commit graph and the knowledge graph.
+const TABS = [
+  { key: 'commits', label: 'Commits & Tree', href: '/graph' },
+  { key: 'knowledge', label: 'Knowledge', href: '/graph/knowledge' }
+];
+
+export default function GraphTabs({ active }: { active: 'commits' | 'knowledge' }) {
+  return (
+    <nav style={{ display: 'flex', gap: 4, borderBottom: '1px solid #e2e8f0', marginBottom: 16 }}>
+      {TABS.map((t) => (
+        <a
+          key={t.key}
+          href={t.href}
+          aria-current={t.key === active ? 'page' : undefined}
+          style={{
+            padding: '6px 12px',
+            marginBottom: -1,
+            textDecoration: 'none',
+            color: '#0ea5e9',
+            fontWeight: t.key === active ? 600 : 400,
+            borderBottom: `2px solid ${t.key === active ? '#0ea5e9' : 'transparent'}`
+          }}
+        >
+          {t.label}
+        </a>
+      ))}
+    </nav>
+  );
+}
@@ -0,0 +1,292 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { withBase } from './NextUiConfig';
+import { NODE_TYPES, EDGE_TYPES, neighbors, searchNodes } from '../scripts/lib/knowledge-graph.mjs';
+
+// Force-directed view of public/knowledge-graph.json (scripts/lib/knowledge-graph.mjs). Clicking a
+// node focuses its neighborhood (#node=<id> in the URL); without a focus the best connected nodes
+// are drawn. Drag nodes to pin them while the layout settles.
+type GraphNode = { id: string; type: string; label: string; href?: string; degree: number; distance?: number };
+type GraphEdge = { source: string; target: string; type: string };
+type Graph = { version: 1; counts: { nodes: number; edges: number; byType: Record<string, number>; byEdge: Record<string, number> }; nodes: GraphNode[]; edges: GraphEdge[] };
+type Body = { x: number; y: number; vx: number; vy: number; pinned?: boolean };
+
+const W = 960;
+const H = 600;
+const MAX_NODES = 300;
+const COLORS: Record<string, string> = { log: '#0ea5e9', capsule: '#a855f7', tag: '#22c55e', url: '#f59e0b', rig: '#ef4444' };
+const EDGE_COLORS: Record<string, string> = { tagged: '#cbd5e1', cites: '#94a3b8', 'derived-from': '#c084fc', mentions: '#fca5a5' };
+
+const radius = (n: GraphNode) => 4 + Math.min(10, Math.sqrt(n.degree) * 1.5);
+const short = (s: string, max = 28) => (s.length > max ? s.slice(0, max - 1) + '…' : s);
+
+// Same start position for a node on every render, so the layout does not jump between visits.
+function seeded(id: string): [number, number] {
+  let h = 2166136261;
+  for (let i = 0; i < id.length; i++) h = Math.imul(h ^ id.charCodeAt(i), 16777619);
+  const a = ((h >>> 0) % 3600) / 3600 * Math.PI * 2;
+  const r = 80 + ((h >>> 12) % 200);
+  return [W / 2 + Math.cos(a) * r, H / 2 + Math.sin(a) * r];
+}
+
+function hrefFor(n: GraphNode) {
+  if (!n.href) return '';
+  return n.href.startsWith('/') ? withBase(n.href) : n.href;
+}
+
+export default function KnowledgeGraph() {
+  const [graph, setGraph] = useState<Graph | null>(null);
+  const [error, setError] = useState('');
+  const [types, setTypes] = useState<string[]>(NODE_TYPES);
+  const [edgeTypes, setEdgeTypes] = useState<string[]>(EDGE_TYPES);
+  const [focus, setFocus] = useState('');
+  const [depth, setDepth] = useState(1);
+  const [query, setQuery] = useState('');
+  const [hover, setHover] = useState('');
+  const [, setFrame] = useState(0);
+  const bodies = useRef(new Map<string, Body>());
+  const alpha = useRef(1);
+  const drag = useRef<{ id: string; moved: boolean } | null>(null);
+  const reheat = useRef(() => {});
+  const svgRef = useRef<SVGSVGElement | null>(null);
+
+  useEffect(() => {
+    let alive = true;
+    const m = window.location.hash.match(/^#node=(.+)$/);
+    if (m) setFocus(decodeURIComponent(m[1]));
+    fetch(withBase('/knowledge-graph.json'), { cache: 'no-store' })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(`HTTP ${res.status}`))))
+      .then((data) => { if (alive) setGraph(data); })
+      .catch((e) => { if (alive) setError(e?.message || String(e)); });
+    return () => { alive = false; };
+  }, []);
+
+  useEffect(() => {
+    const hash = focus ? `#node=${encodeURIComponent(focus)}` : '';
+    if (window.location.hash !== hash) history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+  }, [focus]);
+
+  // What is drawn: the focus node's neighborhood, or the best connected nodes of the chosen types.
+  const view = useMemo(() => {
+    if (!graph) return { node: null as GraphNode | null, nodes: [] as GraphNode[], edges: [] as GraphEdge[] };
+    if (focus) {
+      const hood = neighbors(graph, focus, { depth, types, edgeTypes, limit: MAX_NODES });
+      if (hood) return hood as { node: GraphNode; nodes: GraphNode[]; edges: GraphEdge[] };
+    }
+    const nodes = graph.nodes.filter((n) => types.includes(n.type)).sort((a, b) => b.degree - a.degree).slice(0, MAX_NODES);
+    const keep = new Set(nodes.map((n) => n.id));
+    const edges = graph.edges.filter((e) => keep.has(e.source) && keep.has(e.target) && edgeTypes.includes(e.type));
+    return { node: null, nodes, edges };
+  }, [graph, focus, depth, types, edgeTypes]);
+
+  const matches = useMemo(() => (graph && query.trim() ? searchNodes(graph, query, { types, limit: 8 }) as GraphNode[] : []), [graph, query, types]);
+
+  // Layout: repulsion between all drawn nodes, springs along edges, a pull to the center. Each
+  // change of the view reheats it; it stops once the movement has cooled down.
+  useEffect(() => {
+    const map = bodies.current;
+    for (const n of view.nodes) {
+      if (map.has(n.id)) continue;
+      const [x, y] = seeded(n.id);
+      map.set(n.id, { x, y, vx: 0, vy: 0 });
+    }
+    if (view.node) {
+      const b = map.get(view.node.id);
+      if (b) { b.x = W / 2; b.y = H / 2; }
+    }
+    alpha.current = 1;
+    let raf = 0;
+    let running = true;
+    const step = () => {
+      const list = view.nodes.map((n) => map.get(n.id)!);
+      const a = alpha.current;
+      for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+          const p = list[i];
+          const q = list[j];
+          let dx = q.x - p.x;
+          let dy = q.y - p.y;
+          if (!dx && !dy) { dx = 0.1; dy = 0.1; }
+          const d2 = Math.max(dx * dx + dy * dy, 25);
+          const f = (1200 * a) / d2;
+          const d = Math.sqrt(d2);
+          p.vx -= (dx / d) * f; p.vy -= (dy / d) * f;
+          q.vx += (dx / d) * f; q.vy += (dy / d) * f;
+        }
+      }
+      for (const e of view.edges) {
+        const p = map.get(e.source);
+        const q = map.get(e.target);
+        if (!p || !q) continue;
+        const dx = q.x - p.x;
+        const dy = q.y - p.y;
+        const d = Math.sqrt(dx * dx + dy * dy) || 1;
+        const f = (d - 70) * 0.04 * a;
+        p.vx += (dx / d) * f; p.vy += (dy / d) * f;
+        q.vx -= (dx / d) * f; q.vy -= (dy / d) * f;
+      }
+      for (const b of list) {
+        b.vx += (W / 2 - b.x) * 0.005 * a;
+        b.vy += (H / 2 - b.y) * 0.005 * a;
+        if (b.pinned) { b.vx = 0; b.vy = 0; continue; }
+        b.x = Math.min(W - 10, Math.max(10, b.x + b.vx));
+        b.y = Math.min(H - 10, Math.max(10, b.y + b.vy));
+        b.vx *= 0.6; b.vy *= 0.6;
+      }
+      alpha.current = a * 0.98;
+      setFrame((f) => f + 1);
+      running = alpha.current > 0.02 || !!drag.current;
+      if (running) raf = requestAnimationFrame(step);
+    };
+    reheat.current = () => {
+      alpha.current = Math.max(alpha.current, 0.3);
+      if (!running) { running = true; raf = requestAnimationFrame(step); }
+    };
+    raf = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(raf);
+  }, [view]);
+
+  function toSvg(e: React.PointerEvent) {
+    const ctm = svgRef.current?.getScreenCTM();
+    if (!ctm) return null;
+    const pt = new DOMPoint(e.clientX, e.clientY).matrixTransform(ctm.inverse());
+    return { x: pt.x, y: pt.y };
+  }
+
+  function onPointerMove(e: React.PointerEvent) {
+    if (!drag.current) return;
+    const p = toSvg(e);
+    const b = bodies.current.get(drag.current.id);
+    if (!p || !b) return;
+    drag.current.moved = true;
+    b.x = p.x; b.y = p.y; b.pinned = true;
+    reheat.current();
+  }
+
+  function onPointerUp() {
+    const d = drag.current;
+    drag.current = null;
+    if (!d) return;
+    if (!d.moved) {
+      const b = bodies.current.get(d.id);
+      if (b) b.pinned = false;
+      setFocus(d.id);
+    }
+  }
+
+  const toggle = (list: string[], set: (v: string[]) => void, t: string) => set(list.includes(t) ? list.filter((x) => x !== t) : [...list, t]);
+
+  if (error) return <p style={{ color: '#64748b' }}>No knowledge graph yet ({error}). It is built by <code>npm run prebuild</code>.</p>;
+  if (!graph) return <p style={{ color: '#64748b' }}>Loading…</p>;
+
+  const focused = view.node;
+  const labelled = new Set([...(focused ? [focused.id] : []), hover, ...view.nodes.filter((n) => view.nodes.length <= 40 || n.degree >= 6 || n.distance === 1).map((n) => n.id)]);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, alignItems: 'center', fontSize: 13, marginBottom: 8 }}>
+        {NODE_TYPES.map((t) => (
+          <label key={t} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+            <input type="checkbox" checked={types.includes(t)} onChange={() => toggle(types, setTypes, t)} />
+            <span style={{ width: 10, height: 10, borderRadius: 10, background: COLORS[t], display: 'inline-block' }} />
+            {t}
+          </label>
+        ))}
+        <span style={{ color: '#cbd5e1' }}>|</span>
+        {EDGE_TYPES.map((t) => (
+          <label key={t} style={{ display: 'inline-flex', alignItems: 'center', gap: 4 }}>
+            <input type="checkbox" checked={edgeTypes.includes(t)} onChange={() => toggle(edgeTypes, setEdgeTypes, t)} />
+            <span style={{ width: 14, height: 3, background: EDGE_COLORS[t], display: 'inline-block' }} />
+            {t}
+          </label>
+        ))}
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', fontSize: 13, marginBottom: 8 }}>
+        <input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Find a log, capsule, tag, URL or rig part…" style={{ flex: '1 1 260px', padding: '4px 8px' }} />
+        <label>
+          Depth{' '}
+          <select value={depth} onChange={(e) => setDepth(Number(e.target.value))}>
+            {[1, 2, 3].map((d) => <option key={d} value={d}>{d}</option>)}
+          </select>
+        </label>
+        {focus && <button onClick={() => setFocus('')}>Show all</button>}
+        <span style={{ color: '#64748b' }}>
+          {view.nodes.length} of {graph.counts.nodes} nodes, {view.edges.length} of {graph.counts.edges} edges
+        </span>
+      </div>
+      {matches.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 6, marginBottom: 8 }}>
+          {matches.map((n) => (
+            <button key={n.id} onClick={() => { setFocus(n.id); setQuery(''); }} title={n.id} style={{ fontSize: 12, borderRadius: 999, border: `1px solid ${COLORS[n.type]}`, background: 'none', padding: '2px 8px', cursor: 'pointer' }}>
+              {short(n.label, 40)}
+            </button>
+          ))}
+        </div>
+      )}
+      {focus && !focused && <p style={{ color: '#64748b', fontSize: 13 }}>Node {focus} is not in the graph; showing everything.</p>}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, alignItems: 'flex-start' }}>
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${W} ${H}`}
+          style={{ flex: '3 1 560px', maxWidth: '100%', border: '1px solid #e2e8f0', borderRadius: 8, touchAction: 'none', userSelect: 'none' }}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerLeave={onPointerUp}
+        >
+          {view.edges.map((e) => {
+            const p = bodies.current.get(e.source);
+            const q = bodies.current.get(e.target);
+            if (!p || !q) return null;
+            const lit = hover && (e.source === hover || e.target === hover);
+            return <line key={`${e.source}|${e.target}|${e.type}`} x1={p.x} y1={p.y} x2={q.x} y2={q.y} stroke={EDGE_COLORS[e.type]} strokeWidth={lit ? 2.5 : 1} strokeOpacity={hover && !lit ? 0.3 : 0.9} />;
+          })}
+          {view.nodes.map((n) => {
+            const b = bodies.current.get(n.id);
+            if (!b) return null;
+            return (
+              <g
+                key={n.id}
+                transform={`translate(${b.x},${b.y})`}
+                style={{ cursor: 'pointer' }}
+                onPointerDown={(e) => { (e.currentTarget.ownerSVGElement as SVGSVGElement).setPointerCapture(e.pointerId); drag.current = { id: n.id, moved: false }; }}
+                onPointerEnter={() => setHover(n.id)}
+                onPointerLeave={() => setHover('')}
+              >
+                <circle r={radius(n)} fill={COLORS[n.type]} stroke={n.id === focused?.id ? '#0f172a' : '#fff'} strokeWidth={n.id === focused?.id ? 3 : 1} />
+                <title>{`${n.label} (${n.type}, ${n.degree} links)`}</title>
+                {labelled.has(n.id) && <text x={radius(n) + 3} y={4} fontSize={11} fill="currentColor">{short(n.label)}</text>}
+              </g>
+            );
+          })}
+        </svg>
+
+        {focused && (
+          <aside style={{ flex: '1 1 220px', fontSize: 13 }}>
+            <div style={{ fontWeight: 600 }}>{focused.label}</div>
+            <div style={{ color: '#64748b', margin: '2px 0 6px' }}>{focused.type} · {focused.degree} links</div>
+            {focused.href && <a href={hrefFor(focused)} target={focused.type === 'url' ? '_blank' : undefined} rel="noreferrer">Open {focused.type}</a>}
+            {[1, 2, 3].filter((d) => d <= depth).map((d) => {
+              const ring = view.nodes.filter((n) => n.distance === d);
+              if (!ring.length) return null;
+              return (
+                <div key={d} style={{ marginTop: 8 }}>
+                  <div style={{ color: '#64748b' }}>{d === 1 ? 'Linked' : `${d} hops away`} ({ring.length})</div>
+                  <ul style={{ margin: '4px 0', paddingLeft: 18 }}>
+                    {ring.slice(0, 30).map((n) => (
+                      <li key={n.id}>
+                        <button onClick={() => setFocus(n.id)} title={n.id} style={{ border: 'none', background: 'none', padding: 0, cursor: 'pointer', color: COLORS[n.type], textAlign: 'left' }}>{short(n.label, 40)}</button>
+                      </li>
+                    ))}
+                    {ring.length > 30 && <li style={{ color: '#64748b' }}>… {ring.length - 30} more</li>}
+                  </ul>
+                </div>
+              );
+            })}
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+}
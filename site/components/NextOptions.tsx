@@ -8,11 +8,13 @@ type Policy = {
   generatedAt: string;
   topTags: { tag: string; count: number }[];
   tagNext: Record<string, { tag: string; count: number }[]>;
+  // Content-based suggestions per log href (scripts/lib/tag-suggest.mjs)
+  tagSuggestions?: Record<string, { tag: string; confidence: number }[]>;
 };
 
 function uniq<T>(arr: T[]): T[] { return Array.from(new Set(arr)); }
 
-export default function NextOptions({ contextTags = [] as string[] }: { contextTags?: string[] }){
+export default function NextOptions({ contextTags = [] as string[], href }: { contextTags?: string[]; href?: string }){
   const [policy, setPolicy] = useState<Policy | null>(null);
   const [error, setError] = useState<string | null>(null);
   const cfg = useUiConfig();
@@ -44,15 +46,31 @@ export default function NextOptions({ contextTags = [] as string[] }: { contextT
     return Array.from(s).slice(0, cfg.nextOptions.max);
   }, [policy, contextTags, cfg]);
 
-  if (!policy || suggestions.length === 0) return null;
+  const suggested = (href && policy?.tagSuggestions?.[href]) || [];
+
+  if (!policy || (suggestions.length === 0 && suggested.length === 0)) return null;
   return (
     <div style={{ margin: '8px 0 16px' }}>
-      <div style={{ fontSize: 12, color: '#64748b', marginBottom: 6 }}>Next options</div>
-      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
-        {suggestions.map((t) => (
-          <Link key={t} href={`/tags/${encodeURIComponent(t)}`} style={{ padding: '4px 8px', borderRadius: 999, border: '1px solid #cbd5e1', background: 'white', textDecoration: 'none' }}>#{t}</Link>
-        ))}
-      </div>
+      {suggestions.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, color: '#64748b', marginBottom: 6 }}>Next options</div>
+          <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+            {suggestions.map((t) => (
+              <Link key={t} href={`/tags/${encodeURIComponent(t)}`} style={{ padding: '4px 8px', borderRadius: 999, border: '1px solid #cbd5e1', background: 'white', textDecoration: 'none' }}>#{t}</Link>
+            ))}
+          </div>
+        </>
+      )}
+      {suggested.length > 0 && (
+        <>
+          <div style={{ fontSize: 12, color: '#64748b', margin: '8px 0 6px' }}>Suggested tags</div>
+          <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+            {suggested.map((s) => (
+              <Link key={s.tag} href={`/tags/${encodeURIComponent(s.tag)}`} title={`Content looks like #${s.tag} logs (confidence ${s.confidence.toFixed(2)})`} style={{ padding: '4px 8px', borderRadius: 999, border: '1px dashed #cbd5e1', background: 'white', textDecoration: 'none', opacity: 0.5 + s.confidence / 2 }}>#{s.tag} <span style={{ fontSize: 11, color: '#64748b' }}>{Math.round(s.confidence * 100)}%</span></Link>
+            ))}
+          </div>
+        </>
+      )}
     </div>
   );
 }
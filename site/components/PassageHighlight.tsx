@@ -0,0 +1,90 @@
+"use client";
+
+import { useEffect } from 'react';
+
+// Search hits link to `?hl=<words>#<turn or heading>` (lib/snippets.mjs passageHref). Mark those
+// words in the log body and scroll to the block at or after the anchor that holds most of them.
+const BLOCKS = 'p, li, pre, td, blockquote, h1, h2, h3, h4, h5, h6';
+const SKIP = 'mark.hl, script, style, nav, button';
+
+function wordsFromUrl(): string[] {
+  try {
+    return (new URL(window.location.href).searchParams.get('hl') || '').split(/\s+/).filter(Boolean).slice(0, 12);
+  } catch {
+    return [];
+  }
+}
+
+function markWords(root: HTMLElement, re: RegExp) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (n) => (n.parentElement?.closest(SKIP) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  const nodes: Text[] = [];
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) nodes.push(n as Text);
+  for (const node of nodes) {
+    const text = node.data;
+    re.lastIndex = 0;
+    if (!re.test(text)) continue;
+    re.lastIndex = 0;
+    const frag = document.createDocumentFragment();
+    let at = 0;
+    for (const m of text.matchAll(re)) {
+      if (m.index! > at) frag.appendChild(document.createTextNode(text.slice(at, m.index)));
+      const mark = document.createElement('mark');
+      mark.className = 'hl';
+      mark.textContent = m[0];
+      frag.appendChild(mark);
+      at = m.index! + m[0].length;
+    }
+    if (at < text.length) frag.appendChild(document.createTextNode(text.slice(at)));
+    node.replaceWith(frag);
+  }
+}
+
+function bestPassage(root: HTMLElement): HTMLElement | null {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  const anchor = id ? document.getElementById(id) : null;
+  let best: HTMLElement | null = null;
+  let bestScore = 0;
+  for (const b of Array.from(root.querySelectorAll<HTMLElement>(BLOCKS))) {
+    if (anchor && !(anchor === b || anchor.contains(b) || anchor.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING)) continue;
+    const score = new Set(Array.from(b.querySelectorAll('mark.hl'), (m) => m.textContent!.toLowerCase())).size;
+    if (score > bestScore) { best = b; bestScore = score; }
+  }
+  return best;
+}
+
+export default function PassageHighlight({ rootId }: { rootId: string }) {
+  useEffect(() => {
+    const words = wordsFromUrl();
+    const root = document.getElementById(rootId);
+    if (!words.length || !root) return;
+    const esc = words.map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const re = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${esc.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+    // The transcript re-renders turns (view mode, expand/collapse); mark new content as it appears.
+    const observer = new MutationObserver(() => apply());
+    function apply() {
+      observer.disconnect();
+      markWords(root!, re);
+      observer.observe(root!, { childList: true, subtree: true });
+    }
+    function reveal() {
+      apply();
+      root!.querySelectorAll('.hl-passage').forEach((el) => el.classList.remove('hl-passage'));
+      const passage = bestPassage(root!);
+      if (!passage) return;
+      passage.classList.add('hl-passage');
+      passage.scrollIntoView({ block: 'center' });
+    }
+    // After TranscriptView has expanded and scrolled to the anchor.
+    const timer = window.setTimeout(reveal, 150);
+    window.addEventListener('hashchange', reveal);
+    return () => {
+      window.clearTimeout(timer);
+      window.removeEventListener('hashchange', reveal);
+      observer.disconnect();
+    };
+  }, [rootId]);
+
+  return null;
+}
@@ -4,6 +4,9 @@ import { useEffect, useMemo, useState } from 'react';
 import Link from 'next/link';
 import { useUiConfig, withBase } from './NextUiConfig';
 import CopyLink from './CopyLink';
+import { loadManifest, loadChunkVectors } from './ragShards';
+// Per-log vectors shared with the prebuild models (tag suggestions, topics)
+import { buildDocVectors, cosine } from '../scripts/lib/doc-vectors.mjs';
 
 type Chunk = {
   id: string;
@@ -27,41 +30,6 @@ type DocVec = {
   tags?: string[];
 };
 
-function buildDocVectors(chunks: Chunk[]): Map<string, DocVec> {
-  const docs = new Map<string, { href: string; title: string; date: string; count: number; sum: Map<string, number>; tags: Set<string> }>();
-  for (const c of chunks) {
-    const d = docs.get(c.relPath) || { href: c.href, title: c.title, date: c.date, count: 0, sum: new Map(), tags: new Set<string>() };
-    d.count += 1;
-    for (const [t, w] of c.vector) {
-      d.sum.set(t, (d.sum.get(t) || 0) + w);
-    }
-    for (const t of (c.tags || [])) d.tags.add(t);
-    // Keep the earliest href/title/date we saw (they should be consistent per relPath)
-    if (!docs.has(c.relPath)) docs.set(c.relPath, d);
-  }
-  const out = new Map<string, DocVec>();
-  for (const [rel, d] of docs.entries()) {
-    const avg = new Map<string, number>();
-    for (const [t, s] of d.sum) avg.set(t, s / Math.max(1, d.count));
-    let sumsq = 0;
-    for (const w of avg.values()) sumsq += w * w;
-    const norm = Math.sqrt(sumsq) || 1;
-    out.set(rel, { href: d.href, title: d.title, date: d.date, relPath: rel, vec: avg, norm, tags: Array.from(d.tags) });
-  }
-  return out;
-}
-
-function cosine(a: DocVec, b: DocVec): number {
-  // sparse dot using the smaller map
-  const [small, large] = a.vec.size <= b.vec.size ? [a.vec, b.vec] : [b.vec, a.vec];
-  let dot = 0;
-  for (const [t, wa] of small) {
-    const wb = large.get(t);
-    if (wb) dot += wa * wb;
-  }
-  return dot / (a.norm * b.norm);
-}
-
 export default function RelatedLogs({ currentRel, k, tagWeight }: { currentRel: string; k?: number; tagWeight?: number }) {
   const [chunks, setChunks] = useState<Chunk[] | null>(null);
   const [error, setError] = useState<string | null>(null);
@@ -71,7 +39,13 @@ export default function RelatedLogs({ currentRel, k, tagWeight }: { currentRel:
     let alive = true;
     (async () => {
       try {
-  const res = await fetch(withBase('/rag-index.json'), { cache: 'no-store' });
+        const m = await loadManifest();
+        if (m) {
+          const list = await loadChunkVectors<Chunk>(m);
+          if (alive) setChunks(list);
+          return;
+        }
+        const res = await fetch(withBase('/rag-index.json'), { cache: 'no-store' });
         if (!res.ok) throw new Error(`Index load failed: ${res.status}`);
         const data = await res.json();
         if (alive) setChunks(Array.isArray(data?.chunks) ? data.chunks : []);
@@ -0,0 +1,59 @@
+"use client";
+
+import { useEffect, useState } from 'react';
+import { withBase } from './NextUiConfig';
+
+// Saved searches from ui/config.json, evaluated by prebuild (public/searches/index.json).
+// A log counts as unread until its search is opened in this browser.
+type SavedSearch = { slug: string; name: string; query: string; count: number; added: number; updatedAt: string; hrefs: string[] };
+
+const SEEN_KEY = 'savedSearchSeen';
+
+function loadSeen(): Record<string, string[]> {
+  try {
+    const v = JSON.parse(localStorage.getItem(SEEN_KEY) || '{}');
+    return v && typeof v === 'object' ? v : {};
+  } catch {
+    return {};
+  }
+}
+
+export default function SavedSearches({ onSelect }: { onSelect: (query: string) => void }) {
+  const [searches, setSearches] = useState<SavedSearch[]>([]);
+  const [seen, setSeen] = useState<Record<string, string[]>>({});
+
+  useEffect(() => {
+    let alive = true;
+    setSeen(loadSeen());
+    fetch(withBase('/searches/index.json'), { cache: 'no-store' })
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => { if (alive && Array.isArray(data)) setSearches(data); })
+      .catch(() => { /* no saved searches built */ });
+    return () => { alive = false; };
+  }, []);
+
+  function open(s: SavedSearch) {
+    const next = { ...seen, [s.slug]: s.hrefs };
+    setSeen(next);
+    try { localStorage.setItem(SEEN_KEY, JSON.stringify(next)); } catch { /* unread counts not persisted */ }
+    onSelect(s.query);
+  }
+
+  if (!searches.length) return null;
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center', marginBottom: 16 }}>
+      <span style={{ fontSize: 12, color: '#64748b' }}>Saved:</span>
+      {searches.map((s) => {
+        const read = new Set(seen[s.slug] || []);
+        const unread = s.hrefs.filter((h) => !read.has(h)).length;
+        return (
+          <span key={s.slug} style={{ display: 'inline-flex', alignItems: 'center', gap: 4, padding: '2px 4px 2px 8px', borderRadius: 999, border: '1px solid #cbd5e1', fontSize: 12 }}>
+            <button onClick={() => open(s)} title={`${s.query} — ${s.count} matching logs`} style={{ border: 'none', background: 'none', padding: 0, cursor: 'pointer', fontSize: 12, fontWeight: unread ? 600 : 400 }}>{s.name}</button>
+            {unread > 0 && <span title={`${unread} new since you last opened it`} style={{ background: '#0ea5e9', color: '#fff', borderRadius: 999, padding: '0 6px' }}>{unread}</span>}
+            <a href={withBase(`/searches/${s.slug}/feed.xml`)} title="RSS feed of new matches" style={{ color: '#f97316', textDecoration: 'none', padding: '0 4px' }}>RSS</a>
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+"use client";
+
+import { useCallback, useEffect, useState } from 'react';
+
+export type TurnView = {
+  n: number;
+  role: 'user' | 'assistant';
+  html: string;
+  preview: string;
+  /** Heading ids inside the turn, so heading links (#some-heading) can expand it. */
+  anchors?: string[];
+};
+
+type Mode = 'chat' | 'markdown';
+
+const btn = { padding: '6px 10px', border: '1px solid #cbd5e1', borderRadius: 6, background: 'white', cursor: 'pointer', fontSize: 12 } as const;
+const LABEL = { user: 'User', assistant: 'Assistant' } as const;
+
+function turnFromHash(turns: TurnView[]): number {
+  const m = /^#turn-(\d+)$/.exec(window.location.hash);
+  if (m) return Number(m[1]);
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  return (id && turns.find((t) => t.anchors?.includes(id))?.n) || 0;
+}
+
+export default function TranscriptView({ preambleHtml, rawHtml, turns }: { preambleHtml: string; rawHtml: string; turns: TurnView[] }) {
+  const [mode, setMode] = useState<Mode>('chat');
+  const [collapsed, setCollapsed] = useState<Set<number>>(new Set());
+  const [active, setActive] = useState(0);
+
+  useEffect(() => {
+    try { if (localStorage.getItem('logViewMode') === 'markdown') setMode('markdown'); } catch { /* storage unavailable */ }
+  }, []);
+  useEffect(() => {
+    try { localStorage.setItem('logViewMode', mode); } catch { /* storage unavailable */ }
+  }, [mode]);
+
+  // Deep links (#turn-N or a heading id) expand the target turn and bring it into view.
+  const reveal = useCallback(() => {
+    const n = turnFromHash(turns);
+    if (!n) return;
+    setCollapsed((cur) => {
+      if (!cur.has(n)) return cur;
+      const next = new Set(cur);
+      next.delete(n);
+      return next;
+    });
+    setActive(n);
+    const target = window.location.hash.startsWith('#turn-') ? `turn-${n}` : decodeURIComponent(window.location.hash.slice(1));
+    requestAnimationFrame(() => document.getElementById(target)?.scrollIntoView({ block: 'start' }));
+  }, [turns]);
+  useEffect(() => {
+    reveal();
+    window.addEventListener('hashchange', reveal);
+    return () => window.removeEventListener('hashchange', reveal);
+  }, [reveal, mode]);
+
+  // Track the turn nearest the top of the viewport for the mini-map.
+  useEffect(() => {
+    if (typeof IntersectionObserver === 'undefined') return;
+    const els = turns.map((t) => document.getElementById(`turn-${t.n}`)).filter(Boolean) as HTMLElement[];
+    const io = new IntersectionObserver((entries) => {
+      const seen = entries.filter((e) => e.isIntersecting).map((e) => Number(e.target.id.slice(5)));
+      if (seen.length) setActive(Math.min(...seen));
+    }, { rootMargin: '0px 0px -70% 0px' });
+    els.forEach((el) => io.observe(el));
+    return () => io.disconnect();
+  }, [turns, mode, collapsed]);
+
+  const assistantTurns = turns.filter((t) => t.role === 'assistant').map((t) => t.n);
+  const allAssistantCollapsed = assistantTurns.length > 0 && assistantTurns.every((n) => collapsed.has(n));
+
+  function toggle(n: number) {
+    setCollapsed((cur) => {
+      const next = new Set(cur);
+      if (next.has(n)) next.delete(n); else next.add(n);
+      return next;
+    });
+  }
+
+  function toggleAssistant() {
+    setCollapsed((cur) => {
+      const next = new Set(cur);
+      for (const n of assistantTurns) {
+        if (allAssistantCollapsed) next.delete(n); else next.add(n);
+      }
+      return next;
+    });
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', margin: '8px 0 12px' }}>
+        <span style={{ fontSize: 12, color: '#64748b' }}>View:</span>
+        <button onClick={() => setMode('chat')} aria-pressed={mode === 'chat'} style={{ ...btn, background: mode === 'chat' ? '#e0f2fe' : 'white' }}>Conversation</button>
+        <button onClick={() => setMode('markdown')} aria-pressed={mode === 'markdown'} style={{ ...btn, background: mode === 'markdown' ? '#e0f2fe' : 'white' }}>Markdown</button>
+        {mode === 'chat' && assistantTurns.length > 0 && (
+          <button onClick={toggleAssistant} style={btn}>{allAssistantCollapsed ? 'Expand assistant turns' : 'Collapse all assistant turns'}</button>
+        )}
+        <span style={{ fontSize: 12, color: '#64748b', marginLeft: 'auto' }}>{turns.length} turns</span>
+      </div>
+
+      {mode === 'markdown' && <div dangerouslySetInnerHTML={{ __html: rawHtml }} />}
+
+      {mode === 'chat' && (
+        <div style={{ display: 'flex', gap: 16, alignItems: 'flex-start' }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div dangerouslySetInnerHTML={{ __html: preambleHtml }} />
+            {turns.map((t) => {
+              const isUser = t.role === 'user';
+              const isCollapsed = collapsed.has(t.n);
+              return (
+                <section
+                  key={t.n}
+                  id={`turn-${t.n}`}
+                  className={`turn turn-${t.role}`}
+                  style={{
+                    margin: isUser ? '12px 0 12px 10%' : '12px 10% 12px 0',
+                    border: '1px solid ' + (isUser ? '#bae6fd' : '#e2e8f0'),
+                    background: isUser ? '#f0f9ff' : '#ffffff',
+                    borderRadius: 12,
+                    padding: '8px 12px'
+                  }}
+                >
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: '#475569' }}>
+                    <strong style={{ color: isUser ? '#0369a1' : '#334155' }}>{LABEL[t.role]}</strong>
+                    <a href={`#turn-${t.n}`} title="Link to this turn" style={{ color: '#94a3b8', textDecoration: 'none' }}>#{t.n}</a>
+                    <button
+                      onClick={() => toggle(t.n)}
+                      aria-expanded={!isCollapsed}
+                      aria-controls={`turn-${t.n}-body`}
+                      style={{ ...btn, padding: '2px 8px', marginLeft: 'auto' }}
+                    >{isCollapsed ? 'Expand' : 'Collapse'}</button>
+                  </div>
+                  {isCollapsed
+                    ? <div style={{ fontSize: 13, color: '#64748b', marginTop: 4 }}>{t.preview}</div>
+                    : <div id={`turn-${t.n}-body`} className="turn-body" dangerouslySetInnerHTML={{ __html: t.html }} />}
+                </section>
+              );
+            })}
+          </div>
+          <nav aria-label="Turns" style={{ position: 'sticky', top: 12, width: 120, flexShrink: 0, maxHeight: '80vh', overflowY: 'auto', fontSize: 12 }}>
+            {turns.map((t) => (
+              <a
+                key={t.n}
+                href={`#turn-${t.n}`}
+                title={t.preview}
+                style={{
+                  display: 'flex', alignItems: 'center', gap: 6, padding: '2px 6px', borderRadius: 4, textDecoration: 'none',
+                  color: '#334155', background: active === t.n ? '#fef9c3' : 'transparent'
+                }}
+              >
+                <span style={{ width: 6, height: 14, borderRadius: 2, background: t.role === 'user' ? '#38bdf8' : '#cbd5e1', opacity: collapsed.has(t.n) ? 0.4 : 1 }} />
+                <span>{t.n}. {LABEL[t.role]}</span>
+              </a>
+            ))}
+          </nav>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+"use client";
+
+import { withBase } from './NextUiConfig';
+import { assembleIndex, shardsForQuery, textFilesFor } from '../scripts/lib/rag-score.mjs';
+
+// Client loader for the sharded RAG index (public/rag-shards/, layout in scripts/lib/rag-score.mjs).
+// The manifest is revalidated on every visit; everything it points at is content-hashed, so the
+// browser cache can serve those files without asking again.
+
+export type RagManifest = {
+  version: number;
+  builtAt: string;
+  analyzer?: { name: string; stem?: boolean; fuzzy?: boolean };
+  chunker?: { name: string; min: number; max: number; overlap: number };
+  chunksCount: number;
+  shards: number;
+  chunks: string;
+  vectors: string;
+  textPerFile: number;
+  text: string[];
+  vocab?: string;
+  terms: string[];
+  bm25?: unknown;
+  avgLen?: Record<string, number>;
+  dense?: { method: string; dims: number; embs: string };
+};
+
+const files = new Map<string, Promise<unknown>>();
+
+function hashed<T = unknown>(rel: string): Promise<T> {
+  let p = files.get(rel);
+  if (!p) {
+    p = fetch(withBase('/' + rel), { cache: 'force-cache' }).then((res) => {
+      if (!res.ok) throw new Error(`${rel}: ${res.status}`);
+      return res.json();
+    });
+    p.catch(() => files.delete(rel));
+    files.set(rel, p);
+  }
+  return p as Promise<T>;
+}
+
+let manifestP: Promise<RagManifest | null> | null = null;
+
+/** Manifest, or null when the site was built without shards (fall back to rag-index.json). */
+export function loadManifest(): Promise<RagManifest | null> {
+  if (!manifestP) {
+    manifestP = fetch(withBase('/rag-shards/manifest.json'), { cache: 'no-cache' })
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null);
+  }
+  return manifestP;
+}
+
+export function loadChunks<T>(m: RagManifest): Promise<T[]> {
+  return hashed<T[]>(m.chunks);
+}
+
+/** Chunks with their version-1 vectors re-attached (what Related Logs needs). */
+export async function loadChunkVectors<T>(m: RagManifest): Promise<T[]> {
+  const [chunks, vectors] = await Promise.all([hashed<T[]>(m.chunks), hashed<[string, number][][]>(m.vectors)]);
+  return chunks.map((c, i) => ({ ...c, vector: vectors[i] || [] }));
+}
+
+/**
+ * Index holding just the shards `query` touches; rankChunks over it matches the full index.
+ * `withText` attaches every chunk's text for phrase/exclusion filters (rag-query.mjs needsText);
+ * `withEmbs` attaches the LSA chunk embeddings for the dense and hybrid retrievers.
+ */
+export async function loadQueryIndex<T>(m: RagManifest, chunks: T[], query: string, { withText = false, withEmbs = false } = {}) {
+  // Fuzzy analyzers expand typos against the whole vocabulary before picking shards.
+  const vocab = m.vocab ? await hashed<string[]>(m.vocab) : undefined;
+  const [shards, texts, embs] = await Promise.all([
+    Promise.all(shardsForQuery(m, query, vocab).map((i: number) => hashed(m.terms[i]))),
+    withText ? Promise.all(m.text.map((f) => hashed<string[]>(f))).then((parts) => parts.flat()) : null,
+    withEmbs && m.dense ? hashed<unknown[]>(m.dense.embs) : null
+  ]);
+  const list = texts || embs
+    ? chunks.map((c, i) => ({ ...c, ...(texts ? { text: texts[i] } : {}), ...(embs ? { emb: embs[i] } : {}) }))
+    : chunks;
+  return assembleIndex(m, list, shards, vocab);
+}
+
+/** Text of the chunks at `indices`, from just the text files that hold them (for snippets). */
+export async function loadChunkTexts(m: RagManifest, indices: number[]): Promise<Map<number, string>> {
+  const nums: number[] = textFilesFor(m, indices);
+  const parts = await Promise.all(nums.map((f) => hashed<string[]>(m.text[f])));
+  const texts = new Map<number, string>();
+  for (const i of indices) {
+    const f = Math.floor(i / m.textPerFile);
+    const t = parts[nums.indexOf(f)]?.[i - f * m.textPerFile];
+    if (t !== undefined) texts.set(i, t);
+  }
+  return texts;
+}
@@ -5,6 +5,8 @@
 //  - chat: interactive session
 //  - rag: retrieve-only from local TF-IDF index
 //  - serve: lightweight JSON server for /ask and /rag
+//  - eval: score judged queries (MRR, nDCG@10, recall@k) and write public/eval-report.json
+//  - tags suggest: content-based tags for untagged logs (lib/tag-suggest.mjs), optionally written back
 // Transcripts are saved to logs/incoming and can be routed with route-logs.mjs.
 
 import fs from 'node:fs';
@@ -17,8 +19,18 @@ import { analyzeFile } from './tools/analyze.mjs';
 import { execJS } from './tools/exec-js.mjs';
 import { grepText } from './tools/grep.mjs';
 import { execShell } from './tools/sh.mjs';
-import { addMemory, buildMemoryIndex, listMemory, searchMemory } from './tools/memory.mjs';
+import { MEMORY_CONTEXT_MIN_SCORE } from './lib/memory-rank.mjs';
+import { addMemory, updateMemory, deleteMemory, getMemoryHistory, consolidateMemory, buildMemoryIndex, listMemory, searchMemory } from './tools/memory.mjs';
 import { scrapeUrl, scrapeFile, makeMemoryFromScrape } from './tools/scraper.mjs';
+import { loadRegistry, saveRegistry, checkDuplicate, recordFile, updateInPlace } from './lib/dedupe.mjs';
+import { searchChunks } from './lib/rag-query.mjs';
+import { chunkHref } from './lib/rag-score.mjs';
+import { readRagIndex } from './lib/rag-index.mjs';
+import { snippetFor, markSnippet, passageHref } from './lib/snippets.mjs';
+import { retrieve, RETRIEVERS } from './lib/dense.mjs';
+import { evaluate, compareRuns } from './lib/rag-eval.mjs';
+import { trainTagModel, suggestTags } from './lib/tag-suggest.mjs';
+import { addLogTags } from './lib/tag-admin.mjs';
 
 // Resolve siteDir relative to this file, not process.cwd()
 const __filename = fileURLToPath(import.meta.url);
@@ -37,7 +49,7 @@ function slugify(s) {
   return s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'chat';
 }
 
-// Save transcript as a markdown log in logs/incoming
+// Save transcript as a markdown log in logs/incoming (unless the dedupe registry already holds it)
 function saveTranscript({ title, messages, tags = [] }) {
   ensureDirs();
   const ts = new Date();
@@ -51,52 +63,31 @@ function saveTranscript({ title, messages, tags = [] }) {
   const tagLine = tags.length ? `\nTags: ${tags.join(', ')}` : '';
   const header = `# ${title || 'Chat Transcript'}\n\nReceived At: ${nowISO()}${tagLine}\n\n`;
   const body = messages.map(m => `**${m.role.toUpperCase()}**: ${m.content}`).join('\n\n');
-  fs.writeFileSync(p, header + body + '\n');
+  const md = header + body + '\n';
+  const reg = loadRegistry();
+  const dup = checkDuplicate(reg, md);
+  if (dup.action === 'skip') return path.join(repoRoot, dup.existing);
+  if (dup.action === 'update') {
+    updateInPlace(reg, dup.existing, md);
+    saveRegistry(reg);
+    return path.join(repoRoot, dup.existing);
+  }
+  fs.writeFileSync(p, md);
+  recordFile(reg, path.relative(repoRoot, p), md);
+  saveRegistry(reg);
   return p;
 }
 
-// --------- RAG: load and query local TF-IDF index
-const STOP = new Set('the,of,and,to,in,a,for,is,that,on,with,as,it,by,from,at,be,an,or,are,this,was,will,can,not,have,has,had,if,then,else,do,does,did,than,which,into,over,under,between,within,without,about,after,before,since,per,each,via'.split(','));
-function tokenize(text) { return (text.toLowerCase().match(/[a-z0-9_]+/g) || []).filter(t => t.length > 1 && !STOP.has(t)); }
-
+// --------- RAG: load the local index with its chunk text (ranking lives in lib/rag-score.mjs)
 function loadRagIndex() {
-  const ragPath = path.join(publicDir, 'rag-index.json');
-  if (!fs.existsSync(ragPath)) return null;
-  try { return JSON.parse(fs.readFileSync(ragPath, 'utf8')); } catch { return null; }
+  return readRagIndex(publicDir);
 }
 
-function buildQueryVector(q, idf) {
-  const toks = tokenize(q);
-  const tf = new Map();
-  for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
-  const vec = [];
-  let sumsq = 0;
-  for (const [t, f] of tf) {
-    const w = f * (idf[t] || 1);
-    if (w > 0) { vec.push([t, w]); sumsq += w * w; }
-  }
-  const norm = Math.sqrt(sumsq) || 1;
-  return { vec, norm };
-}
-
-function cosineRank(rag, q, topK = 6) {
-  if (!rag?.chunks?.length) return [];
-  const { vec, norm } = buildQueryVector(q, rag.idf || {});
-  const scores = [];
-  const qWeights = Object.fromEntries(vec);
-  for (let i = 0; i < rag.chunks.length; i++) {
-    const c = rag.chunks[i];
-    let dot = 0;
-    for (const [t, w] of c.vector) {
-      const qw = qWeights[t];
-      if (qw) dot += w * qw;
-    }
-    const denom = (c.norm || 1) * norm;
-    const score = denom ? dot / denom : 0;
-    if (score > 0) scores.push([i, score]);
-  }
-  scores.sort((a, b) => b[1] - a[1]);
-  return scores.slice(0, topK).map(([i, s]) => ({ score: s, ...rag.chunks[i] }));
+// --retriever=lexical|dense|hybrid (lib/dense.mjs); lexical unless asked otherwise.
+function retrieverOf(value) {
+  const r = String(value || process.env.RAG_RETRIEVER || 'lexical').toLowerCase();
+  if (!RETRIEVERS.includes(r)) throw new Error(`Unknown retriever: ${r} (expected ${RETRIEVERS.join('|')})`);
+  return r;
 }
 
 // --------- Providers (loaded dynamically)
@@ -123,7 +114,7 @@ async function getProvider(name) {
       name: 'rag',
       async ask({ prompt, context }) {
         // Simple summarizer over top contexts
-        const ctx = (context || []).map((c, i) => `[[CTX ${i + 1}]] ${c.snippet} …\nSource: ${c.href}`).join('\n\n');
+        const ctx = (context || []).map((c, i) => `[[CTX ${i + 1}]] ${c.snippet} …\nSource: ${chunkHref(c)}`).join('\n\n');
         const answer = `Local RAG (no LLM):\n\nTop matches for: "${prompt}"\n\n${ctx || '(no matches)'}\n\nTip: run with --provider=gemini or --provider=openai to synthesize an answer using cloud LLMs.`;
         return answer;
       }
@@ -132,10 +123,21 @@ async function getProvider(name) {
   throw new Error(`Unknown provider: ${name}`);
 }
 
+// Memory capsules for a question: --mem-k (3) best above --mem-min-score, off with --no-memory.
+function memoryContext(question, args) {
+  if (args['no-memory']) return [];
+  const minScore = args['mem-min-score'] !== undefined ? Number(args['mem-min-score']) : MEMORY_CONTEXT_MIN_SCORE;
+  try { return searchMemory({ query: question, k: Number(args['mem-k'] || 3), minScore }); } catch { return []; }
+}
+
+function memoryNoteOf(memCtx) {
+  return memCtx.length ? `\nMEMORY:\n${memCtx.map((m,i)=>`(${i+1}) score ${m.score.toFixed(2)} [${(m.tags||[]).join(', ')}] ${m.title} — ${m.source || m.file || ''}\n${m.summary || m.snippet || ''}`).join('\n\n')}` : '';
+}
+
 // Compose a prompt with optional retrieved context
 function buildPromptWithContext(question, contexts, extraTooling = '') {
   const ctx = contexts?.length
-    ? `You are a helpful assistant with a clear, human tone. Explain step-by-step and prefer examples. Use CONTEXT for facts and cite sources by their /logs path.\n\nCONTEXT:\n${contexts.map((c, i) => `(${i + 1}) [${(c.tags||[]).join(', ')}] ${c.title} — ${c.href}\n${c.snippet}`).join('\n\n')}\n\n${extraTooling ? `TOOLS:\n${extraTooling}\n\n` : ''}QUESTION: ${question}`
+    ? `You are a helpful assistant with a clear, human tone. Explain step-by-step and prefer examples. Use CONTEXT for facts and cite sources by their /logs path.\n\nCONTEXT:\n${contexts.map((c, i) => `(${i + 1}) [${(c.tags||[]).join(', ')}] ${c.title} — ${chunkHref(c)}\n${c.snippet}`).join('\n\n')}\n\n${extraTooling ? `TOOLS:\n${extraTooling}\n\n` : ''}QUESTION: ${question}`
     : `You are a helpful assistant with a clear, human tone. Explain step-by-step and prefer examples.${extraTooling ? `\n\nTOOLS:\n${extraTooling}` : ''}\n\nQUESTION: ${question}`;
   return ctx;
 }
@@ -150,12 +152,8 @@ async function handleAsk(args) {
     try { execSync('node scripts/build-rag.mjs', { cwd: siteDir, stdio: 'inherit' }); rag = loadRagIndex(); } catch {}
   }
   const k = Number(args.k || 6);
-  const ctx = rag ? cosineRank(rag, question, k) : [];
-  // Memory context
-  let memCtx = [];
-  if (!args['no-memory']) {
-    try { memCtx = searchMemory({ query: question, k: Number(args['mem-k'] || 3) }); } catch {}
-  }
+  const ctx = rag ? retrieve(rag, question, k, retrieverOf(args.retriever)) : [];
+  const memCtx = memoryContext(question, args);
   const providerName = args.provider || process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : (process.env.OPENAI_API_KEY ? 'openai' : 'rag'));
   // Optional tool usage
   let toolsNote = '';
@@ -172,7 +170,7 @@ async function handleAsk(args) {
     }
   }
   const provider = await getProvider(providerName);
-  const memoryNote = memCtx.length ? `\nMEMORY:\n${memCtx.map((m,i)=>`(${i+1}) [${(m.tags||[]).join(', ')}] ${m.title} — ${m.source || m.file || ''}\n${m.summary || m.snippet || ''}`).join('\n\n')}` : '';
+  const memoryNote = memoryNoteOf(memCtx);
   const prompt = buildPromptWithContext(question, ctx, (toolsNote.trim()+memoryNote).trim());
   const answer = await provider.ask({ prompt, model: args.model, context: ctx });
   console.log(answer);
@@ -202,11 +200,8 @@ async function handleChat(args) {
     if (q.trim() === ':save') { saveTranscript({ title, messages, tags: ['ai', provider.name] }); console.error('Saved.'); continue; }
     if (!messages.length) title = q.slice(0, 80);
     // retrieve
-    const ctx = rag ? cosineRank(rag, q, Number(args.k || 6)) : [];
-    let memCtx = [];
-    if (!args['no-memory']) {
-      try { memCtx = searchMemory({ query: q, k: Number(args['mem-k'] || 3) }); } catch {}
-    }
+    const ctx = rag ? retrieve(rag, q, Number(args.k || 6), retrieverOf(args.retriever)) : [];
+    const memCtx = memoryContext(q, args);
     let toolsNote = '';
     if (args.analyze && args.file) {
       const fp = path.isAbsolute(args.file) ? args.file : path.join(repoRoot, args.file);
@@ -216,7 +211,7 @@ async function handleChat(args) {
       try { const { result, logs } = execJS(String(args.code)); toolsNote += `\nCODE(exec-js): result=${JSON.stringify(result)} logs=${logs.join(' | ')}`; }
       catch (e) { toolsNote += `\nCODE(exec-js) error: ${e?.message || e}`; }
     }
-  const memoryNote = memCtx.length ? `\nMEMORY:\n${memCtx.map((m,i)=>`(${i+1}) [${(m.tags||[]).join(', ')}] ${m.title} — ${m.source || m.file || ''}\n${m.summary || m.snippet || ''}`).join('\n\n')}` : '';
+  const memoryNote = memoryNoteOf(memCtx);
   const prompt = buildPromptWithContext(q, ctx, (toolsNote.trim()+memoryNote).trim());
     const ans = await provider.ask({ prompt, model: args.model, context: ctx });
     messages.push({ role: 'user', content: q }, { role: 'assistant', content: ans });
@@ -235,14 +230,116 @@ async function handleRag(args) {
   if (!rag) { try { execSync('node scripts/build-rag.mjs', { cwd: siteDir, stdio: 'inherit' }); rag = loadRagIndex(); } catch {} }
   if (!rag) throw new Error('RAG index missing and build failed.');
   const k = Number(args.k || 8);
-  const ctx = cosineRank(rag, question, k);
+  const ctx = searchChunks(rag, question, k, { retriever: retrieverOf(args.retriever) });
+  // Matches in bold on a terminal; plain when piped or NO_COLOR is set.
+  const bold = process.stdout.isTTY && !process.env.NO_COLOR;
   for (const c of ctx) {
-    console.log(`${c.score.toFixed(3)} ${c.href} :: ${c.title}`);
-    console.log(c.snippet);
+    const snip = snippetFor(rag, c.text ?? c.snippet, question);
+    console.log(`${c.score.toFixed(3)} ${passageHref(c, snip.words)} :: ${c.title}${c.headings?.length ? ` › ${c.headings.join(' › ')}` : ''}`);
+    console.log(bold ? markSnippet(snip) : snip.text);
     console.log('');
   }
 }
 
+// Judged queries -> metrics per retriever, compared with the previous report (lib/rag-eval.mjs).
+async function handleEval(args) {
+  const file = path.resolve(siteDir, String(args.file || path.join('eval', 'judged-queries.json')));
+  if (!fs.existsSync(file)) throw new Error(`Judged queries not found: ${path.relative(siteDir, file)}`);
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const judged = (Array.isArray(raw) ? raw : raw.queries || []).filter((q) => q && q.query);
+  if (!judged.length) throw new Error('No judged queries in ' + path.relative(siteDir, file));
+  const rag = loadRagIndex();
+  if (!rag) throw new Error('RAG index missing. Run: npm run rag:build');
+  let ui = {};
+  try { ui = JSON.parse(fs.readFileSync(path.join(uiRoot, 'config.json'), 'utf8')); } catch { /* defaults */ }
+  const k = Number(args.k || 10);
+  // Default: every retriever the index supports; --retriever=a,b or all to choose.
+  const asked = !args.retriever || args.retriever === 'all' ? (rag.dense ? RETRIEVERS : ['lexical']) : String(args.retriever).split(',');
+  const runs = asked.map((r) => evaluate(rag, judged, { retriever: retrieverOf(r), k }));
+
+  const out = path.resolve(siteDir, String(args.out || path.join('public', 'eval-report.json')));
+  let prev = null;
+  try { prev = JSON.parse(fs.readFileSync(out, 'utf8')); } catch { /* first run */ }
+  const summary = (rs) => rs.map(({ queries: _queries, ...r }) => r);
+  const report = {
+    generatedAt: nowISO(),
+    judged: path.relative(siteDir, file),
+    queries: judged.length,
+    k,
+    index: { builtAt: rag.builtAt, version: rag.version, analyzer: rag.analyzer?.name || 'ascii', chunker: rag.chunker?.name || 'paragraph', chunks: rag.chunks?.length || 0, denseDims: rag.dense?.dims || 0 },
+    config: { search: ui.search || {}, related: ui.related || {} },
+    runs,
+    previous: prev?.runs ? { generatedAt: prev.generatedAt, index: prev.index, config: prev.config, runs: summary(prev.runs) } : null,
+    delta: compareRuns(runs, prev?.runs)
+  };
+  if (!args['no-write']) {
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+  }
+  if (args.json) { console.log(JSON.stringify(report, null, 2)); return; }
+  const fmt = (x) => x.toFixed(3);
+  const d = (x) => (x === undefined ? '' : ` (${x >= 0 ? '+' : ''}${x.toFixed(3)})`);
+  console.log(`${judged.length} judged queries, k=${k}, index v${report.index.version} ${report.index.analyzer}, ${report.index.chunks} chunks`);
+  for (const r of runs) {
+    const dl = report.delta[r.retriever] || {};
+    console.log(`${r.retriever.padEnd(8)} MRR ${fmt(r.mrr)}${d(dl.mrr)}  nDCG@10 ${fmt(r.ndcg10)}${d(dl.ndcg10)}  recall@${k} ${fmt(r.recall)}${d(dl.recall)}`);
+  }
+  if (args.verbose) {
+    for (const r of runs) {
+      for (const q of r.queries) console.log(`  [${r.retriever}] rr ${fmt(q.rr)} ndcg ${fmt(q.ndcg10)} recall ${fmt(q.recall)}  ${q.query}`);
+    }
+  }
+  if (!args['no-write']) console.error(`Wrote ${path.relative(siteDir, out)}`);
+}
+
+// Suggested tags from the centroid classifier; --apply adds them to each log's Tags line / frontmatter.
+async function handleTags(args) {
+  if (args._[1] !== 'suggest') {
+    console.log('Usage: ai tags suggest [--min-confidence=0.7] [--k=3] [--all] [--apply] [--json]');
+    return;
+  }
+  const rag = loadRagIndex();
+  if (!rag) throw new Error('RAG index missing. Run: npm run rag:build');
+  const minConfidence = Number(args['min-confidence'] ?? 0.7);
+  const model = trainTagModel(rag);
+  const rows = [];
+  for (const d of model.docs.values()) {
+    // Logs that already have tags only with --all.
+    if (d.tags.length && !args.all) continue;
+    const tags = suggestTags(model, d, { minConfidence, k: Number(args.k || 3) });
+    if (tags.length) rows.push({ href: d.href, relPath: d.relPath, tags });
+  }
+  if (args.json) console.log(JSON.stringify(rows, null, 2));
+  else {
+    if (!model.tags.length) console.log('No tag is on enough logs to learn from yet.');
+    for (const r of rows) console.log(`${r.href}  ${r.tags.map((t) => `${t.tag} ${t.confidence.toFixed(2)}`).join(', ')}`);
+  }
+  if (!args.apply) return;
+  let applied = 0;
+  for (const r of rows) {
+    const file = path.join(repoRoot, r.relPath);
+    const res = fs.existsSync(file) ? addLogTags(fs.readFileSync(file, 'utf8'), r.tags.map((t) => t.tag)) : null;
+    if (!res) continue;
+    fs.writeFileSync(file, res.text);
+    applied++;
+  }
+  console.error(`Tagged ${applied} log(s). Run npm run prebuild to rebuild the indexes.`);
+}
+
+// The retriever a request asked for, or null after answering 400 for an unknown one.
+function requestRetriever(res, value) {
+  try { return retrieverOf(value); } catch (e) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ ok: false, error: e.message }));
+    return null;
+  }
+}
+
+// Hits as served over HTTP: without the full chunk text and dense embedding (as MCP rag.search).
+function hitForClient({ text: _text, emb: _emb, ...c }) {
+  return c;
+}
+
 async function handleServe(args) {
   const port = Number(args.port || 11435);
   let rag = loadRagIndex();
@@ -255,7 +352,7 @@ async function handleServe(args) {
         const u = new URL(req.url, 'http://localhost');
         const question = u.searchParams.get('q') || u.searchParams.get('question') || '';
         if (!rag) { try { execSync('node scripts/build-rag.mjs', { cwd: siteDir, stdio: 'inherit' }); rag = loadRagIndex(); } catch {} }
-        const ctx = rag ? cosineRank(rag, question, 6) : [];
+        const ctx = rag ? retrieve(rag, question, 6, retrieverOf(u.searchParams.get('retriever') || args.retriever)) : [];
         const providerName = args.provider || process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : process.env.OPENAI_API_KEY ? 'openai' : 'rag');
         const provider = await getProvider(providerName);
         const prompt = buildPromptWithContext(question, ctx, '');
@@ -281,22 +378,26 @@ async function handleServe(args) {
         let body = '';
         req.on('data', (c) => body += c);
         req.on('end', async () => {
-          const { question, k = 6, analyze: doAnalyze, file, code } = JSON.parse(body || '{}');
-          if (!rag) { try { execSync('node scripts/build-rag.mjs', { cwd: siteDir, stdio: 'inherit' }); rag = loadRagIndex(); } catch {} }
-          const ctx = rag ? cosineRank(rag, question, Number(k)) : [];
-          let toolsNote = '';
-          if (doAnalyze && file) {
-            const fp = path.isAbsolute(file) ? file : path.join(repoRoot, file);
-            if (fs.existsSync(fp)) toolsNote += `\nANALYZE(${file}):\n${analyzeFile(fp)}`;
-          }
-          if (code) {
-            try { const { result, logs } = execJS(String(code)); toolsNote += `\nCODE(exec-js): result=${JSON.stringify(result)} logs=${logs.join(' | ')}`; }
-            catch (e) { toolsNote += `\nCODE(exec-js) error: ${e?.message || e}`; }
-          }
-          const prompt = buildPromptWithContext(question, ctx, toolsNote.trim());
-          const answer = await provider.ask({ prompt, context: ctx, model: args.model });
-          res.writeHead(200, { 'content-type': 'application/json' });
-          res.end(JSON.stringify({ answer, ctx }));
+          try {
+            const { question, k = 6, analyze: doAnalyze, file, code, retriever } = JSON.parse(body || '{}');
+            const mode = requestRetriever(res, retriever || args.retriever);
+            if (!mode) return;
+            if (!rag) { try { execSync('node scripts/build-rag.mjs', { cwd: siteDir, stdio: 'inherit' }); rag = loadRagIndex(); } catch {} }
+            const ctx = rag ? retrieve(rag, question, Number(k), mode) : [];
+            let toolsNote = '';
+            if (doAnalyze && file) {
+              const fp = path.isAbsolute(file) ? file : path.join(repoRoot, file);
+              if (fs.existsSync(fp)) toolsNote += `\nANALYZE(${file}):\n${analyzeFile(fp)}`;
+            }
+            if (code) {
+              try { const { result, logs } = execJS(String(code)); toolsNote += `\nCODE(exec-js): result=${JSON.stringify(result)} logs=${logs.join(' | ')}`; }
+              catch (e) { toolsNote += `\nCODE(exec-js) error: ${e?.message || e}`; }
+            }
+            const prompt = buildPromptWithContext(question, ctx, toolsNote.trim());
+            const answer = await provider.ask({ prompt, context: ctx, model: args.model });
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ answer, ctx: ctx.map(hitForClient) }));
+          } catch (e) { res.writeHead(500, { 'content-type': 'application/json' }); res.end(JSON.stringify({ ok: false, error: e?.message || e })); }
         });
         return;
       }
@@ -305,7 +406,7 @@ async function handleServe(args) {
         req.on('data', (c) => body += c);
         req.on('end', async () => {
           try {
-            const { action, file, code, input, cmd, pattern, flags, title, content, tags, source, summary, data, query, k, limit, tag, url, format, save } = JSON.parse(body || '{}');
+            const { action, file, code, input, cmd, pattern, flags, id, reason, minScore, title, content, tags, source, summary, data, ttl, expiresAt, threshold, dryRun, query, k, limit, tag, url, format, save } = JSON.parse(body || '{}');
             if (action === 'analyze' && file) {
               const fp = path.isAbsolute(file) ? file : path.join(repoRoot, file);
               const out = fs.existsSync(fp) ? analyzeFile(fp) : 'File not found';
@@ -346,7 +447,7 @@ async function handleServe(args) {
                 if (save) {
                   const arr = Array.isArray(tags) ? tags : String(tags||'').split(',').map(s=>s.trim()).filter(Boolean);
                   const mem = makeMemoryFromScrape({ out, kind: 'url' });
-                  const saved = addMemory({ ...mem, tags: arr, data: { links: out.links||[], contentType: out.contentType||'' } });
+                  const saved = addMemory({ ...mem, tags: arr, data: { links: out.links||[], contentType: out.contentType||'' }, ...(ttl !== undefined ? { ttl } : {}) });
                   res.writeHead(200, { 'content-type': 'application/json' });
                   res.end(JSON.stringify({ ok: true, out, saved }));
                 } else {
@@ -381,7 +482,31 @@ async function handleServe(args) {
             if (action === 'memory:add') {
               try {
                 const arr = Array.isArray(tags) ? tags : String(tags||'').split(',').map(s=>s.trim()).filter(Boolean);
-                const out = addMemory({ title, content, tags: arr, source, summary, data });
+                const out = addMemory({ title, content, tags: arr, source, summary, data, ttl, expiresAt });
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ ok: true, out }));
+              } catch (e) {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ ok: false, error: e?.message || e }));
+              }
+              return;
+            }
+            if (action === 'memory:update' || action === 'memory:delete' || action === 'memory:history') {
+              try {
+                const out = action === 'memory:update' ? updateMemory({ id, reason, title, content, tags, source, summary, data, ttl, expiresAt })
+                  : action === 'memory:delete' ? deleteMemory({ id, reason })
+                  : getMemoryHistory({ id });
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ ok: true, out }));
+              } catch (e) {
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ ok: false, error: e?.message || e }));
+              }
+              return;
+            }
+            if (action === 'memory:consolidate') {
+              try {
+                const out = consolidateMemory({ threshold: Number(threshold) || undefined, dryRun: !!dryRun });
                 res.writeHead(200, { 'content-type': 'application/json' });
                 res.end(JSON.stringify({ ok: true, out }));
               } catch (e) {
@@ -414,7 +539,7 @@ async function handleServe(args) {
             }
             if (action === 'memory:search') {
               try {
-                const items = searchMemory({ query, k: Number(k)||10 });
+                const items = searchMemory({ query, k: Number(k)||10, minScore: Number(minScore)||0 });
                 res.writeHead(200, { 'content-type': 'application/json' });
                 res.end(JSON.stringify({ ok: true, items }));
               } catch (e) {
@@ -480,11 +605,15 @@ async function handleServe(args) {
         let body = '';
         req.on('data', (c) => body += c);
         req.on('end', async () => {
-          const { question, k = 8 } = JSON.parse(body || '{}');
-          if (!rag) { try { execSync('node scripts/build-rag.mjs', { cwd: siteDir, stdio: 'inherit' }); rag = loadRagIndex(); } catch {} }
-          const ctx = rag ? cosineRank(rag, question, Number(k)) : [];
-          res.writeHead(200, { 'content-type': 'application/json' });
-          res.end(JSON.stringify({ ctx }));
+          try {
+            const { question, k = 8, retriever } = JSON.parse(body || '{}');
+            const mode = requestRetriever(res, retriever || args.retriever);
+            if (!mode) return;
+            if (!rag) { try { execSync('node scripts/build-rag.mjs', { cwd: siteDir, stdio: 'inherit' }); rag = loadRagIndex(); } catch {} }
+            const ctx = rag ? searchChunks(rag, question, Number(k), { retriever: mode }) : [];
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ ctx: ctx.map(hitForClient) }));
+          } catch (e) { res.writeHead(500, { 'content-type': 'application/json' }); res.end(JSON.stringify({ ok: false, error: e?.message || e })); }
         });
         return;
       }
@@ -578,6 +707,8 @@ async function main() {
   if (cmd === 'chat') return handleChat(args);
   if (cmd === 'rag') return handleRag(args);
   if (cmd === 'serve') return handleServe(args);
+  if (cmd === 'eval') return handleEval(args);
+  if (cmd === 'tags') return handleTags(args);
   if (cmd === 'tool') {
     const sub = args._[1];
     if (sub === 'scrape') {
@@ -588,7 +719,7 @@ async function main() {
         const out = await scrapeUrl({ url: args.url, format });
         if (save) {
           const mem = makeMemoryFromScrape({ out, kind: 'url' });
-          const saved = addMemory({ ...mem, tags: (args.tags?String(args.tags).split(',').map(s=>s.trim()).filter(Boolean):[]), data: { links: out.links||[], contentType: out.contentType||'' } });
+          const saved = addMemory({ ...mem, tags: (args.tags?String(args.tags).split(',').map(s=>s.trim()).filter(Boolean):[]), data: { links: out.links||[], contentType: out.contentType||'' }, ...(args.ttl !== undefined ? { ttl: Number(args.ttl) } : {}) });
           console.log(JSON.stringify({ ok: true, scrape: out, saved }, null, 2));
         } else {
           console.log(JSON.stringify({ ok: true, out }, null, 2));
@@ -606,7 +737,7 @@ async function main() {
         }
         return;
       }
-      console.log('Usage: ai tool scrape url --url https://example.com [--format markdown|text|json] [--save] [--tags a,b] | ai tool scrape file --file logs/foo.md [--format markdown|text|json] [--save] [--tags a,b]');
+      console.log('Usage: ai tool scrape url --url https://example.com [--format markdown|text|json] [--save] [--tags a,b] [--ttl days] | ai tool scrape file --file logs/foo.md [--format markdown|text|json] [--save] [--tags a,b]');
       return;
     }
     if (sub === 'memory') {
@@ -618,10 +749,49 @@ async function main() {
         const source = args.source || '';
         const summary = args.summary || '';
         const data = args.data ? JSON.parse(String(args.data)) : null;
-        const out = addMemory({ title, content, tags, source, data, summary });
+        const out = addMemory({ title, content, tags, source, data, summary, ttl: args.ttl, expiresAt: args['expires-at'] });
         console.log(JSON.stringify({ ok: true, out }, null, 2));
         return;
       }
+      if (action === 'update') {
+        // Only the fields given are changed; the previous version is kept in the capsule's history.
+        const patch = {};
+        for (const f of ['title', 'content', 'source', 'summary']) if (args[f] !== undefined) patch[f] = String(args[f]);
+        if (args.tags !== undefined) patch.tags = String(args.tags).split(',').map(s=>s.trim()).filter(Boolean);
+        if (args.data !== undefined) patch.data = JSON.parse(String(args.data));
+        if (args.ttl !== undefined) patch.ttl = args.ttl;
+        if (args['expires-at'] !== undefined) patch.expiresAt = args['expires-at'];
+        const out = updateMemory({ id: args.id, reason: args.reason || '', ...patch });
+        console.log(JSON.stringify({ ok: true, changed: out.changed, version: out.capsule.version, path: out.path }, null, 2));
+        return;
+      }
+      if (action === 'delete') {
+        const out = deleteMemory({ id: args.id, reason: args.reason || '' });
+        console.log(JSON.stringify({ ok: true, changed: out.changed, version: out.capsule.version, path: out.path }, null, 2));
+        return;
+      }
+      if (action === 'history') {
+        const out = getMemoryHistory({ id: args.id });
+        if (args.json) { console.log(JSON.stringify(out, null, 2)); return; }
+        for (const h of out.history) {
+          const what = h.deleted ? 'deleted' : h.changed.length ? `changed ${h.changed.join(', ')}` : 'created';
+          console.log(`v${h.version}  ${h.ts}  ${what}${h.reason ? ` — ${h.reason}` : ''}\n    ${h.title} [${h.tags.join(', ')}]${h.summary ? `: ${h.summary}` : ''}`);
+        }
+        return;
+      }
+      if (action === 'consolidate') {
+        // Merges near-identical capsules into the newest one; --dry-run only prints the report.
+        const out = consolidateMemory({ threshold: args.threshold !== undefined ? Number(args.threshold) : undefined, dryRun: !!args['dry-run'] });
+        if (args.json) { console.log(JSON.stringify(out, null, 2)); return; }
+        for (const c of out.clusters) {
+          console.log(`${out.dryRun ? 'would keep' : 'kept'} ${c.keep.id}  ${c.keep.title}`);
+          for (const m of c.merge) console.log(`  ${out.dryRun ? 'merge' : 'merged'} ${m.id}  ${m.sameSource ? 'same source' : `similarity ${m.similarity}`}`);
+        }
+        for (const e of out.expired) console.log(`expired ${e.id}  ${e.title} (${e.expiresAt})`);
+        const n = out.clusters.reduce((s, c) => s + c.merge.length, 0);
+        console.log(`${out.clusters.length} cluster(s), ${n} capsule(s) ${out.dryRun ? 'to merge' : 'merged'}, ${out.expired.length} expired (left out of the index) at threshold ${out.threshold}`);
+        return;
+      }
       if (action === 'build') {
         const out = buildMemoryIndex();
         console.log(JSON.stringify({ ok: true, out }, null, 2));
@@ -633,11 +803,11 @@ async function main() {
         return;
       }
       if (action === 'search') {
-        const out = searchMemory({ query: args.query || args.q || '', k: args.k || 10 });
+        const out = searchMemory({ query: args.query || args.q || '', k: args.k || 10, minScore: args['min-score'] || 0 });
         console.log(JSON.stringify({ ok: true, items: out }, null, 2));
         return;
       }
-      console.log('Usage: ai tool memory add --title t --content c [--tags a,b] [--source s] [--summary s] [--data JSON] | build | list [--limit N] [--tag t] | search --query q [--k 10]');
+      console.log('Usage: ai tool memory add --title t --content c [--tags a,b] [--source s] [--summary s] [--data JSON] [--ttl days] [--expires-at ISO] | update --id ID [--title t] [--content c] [--tags a,b] [--source s] [--summary s] [--data JSON] [--ttl days] [--expires-at ISO] [--reason r] | delete --id ID [--reason r] | history --id ID [--json] | consolidate [--threshold 0.8] [--dry-run] [--json] | build | list [--limit N] [--tag t] | search --query q [--k 10] [--min-score 0.1]');
       return;
     }
     if (sub === 'analyze' && args.file) {
@@ -672,7 +842,7 @@ async function main() {
       console.log(JSON.stringify(out, null, 2));
       return;
     }
-    console.log('Usage: ai tool analyze --file <path> | ai tool exec --code "..." | ai tool grep --pattern p --file <path> [--flags i] | ai tool sh --cmd "echo hello" | ai tool memory <add|build|list|search> ... | ai tool scrape url|file ...');
+    console.log('Usage: ai tool analyze --file <path> | ai tool exec --code "..." | ai tool grep --pattern p --file <path> [--flags i] | ai tool sh --cmd "echo hello" | ai tool memory <add|update|delete|history|consolidate|build|list|search> ... | ai tool scrape url|file ...');
     return;
   }
   if (cmd === 'make' && args._[1] === 'ui') {
@@ -685,28 +855,32 @@ async function main() {
   }
   const help = `AI CLI
 Usage:
-  node scripts/ai-cli.mjs ask "How do I build?" [--provider=gemini|openai|rag] [--k=6] [--model=...] [--route] [--analyze --file <path>] [--code "..."]
-  node scripts/ai-cli.mjs chat [--provider=...] [--k=6] [--model=...] [--route] [--analyze --file <path>] [--code "..."]
-  node scripts/ai-cli.mjs rag "vulkan shader" [--k=8]
-  node scripts/ai-cli.mjs serve [--port=11435] [--provider=...] [--model=...]
+  node scripts/ai-cli.mjs ask "How do I build?" [--provider=gemini|openai|rag] [--k=6] [--retriever=lexical|dense|hybrid] [--model=...] [--route] [--analyze --file <path>] [--code "..."] [--mem-k=3] [--mem-min-score=0.08] [--no-memory]
+  node scripts/ai-cli.mjs chat [--provider=...] [--k=6] [--retriever=...] [--model=...] [--route] [--analyze --file <path>] [--code "..."] [--mem-k=3] [--mem-min-score=0.08] [--no-memory]
+  node scripts/ai-cli.mjs rag "vulkan shader" [--k=8] [--retriever=lexical|dense|hybrid]   (query syntax: "phrase" +must -not tag:x title:x date:2025-09..2025-10 role:user)
+  node scripts/ai-cli.mjs serve [--port=11435] [--provider=...] [--model=...] [--retriever=...]
+  node scripts/ai-cli.mjs eval [--file=eval/judged-queries.json] [--retriever=all|lexical,dense,hybrid] [--k=10] [--out=public/eval-report.json] [--no-write] [--json] [--verbose]
+  node scripts/ai-cli.mjs tags suggest [--min-confidence=0.7] [--k=3] [--all] [--apply] [--json]
   node scripts/ai-cli.mjs tool analyze --file <path>
   node scripts/ai-cli.mjs tool exec --code "const x=2; return x*2;"
   node scripts/ai-cli.mjs tool grep --pattern "foo" --file logs/2025/09/17/sample.md [--flags i]
   node scripts/ai-cli.mjs tool sh --cmd "ls logs/2025"
   node scripts/ai-cli.mjs tool memory add --title t --content c [--tags a,b]
-  node scripts/ai-cli.mjs tool memory build | list [--limit N] [--tag t] | search --query q [--k 10]
-  node scripts/ai-cli.mjs tool scrape url --url https://example.com [--format markdown|text|json] [--save] [--tags a,b]
+  node scripts/ai-cli.mjs tool memory build | list [--limit N] [--tag t] | search --query q [--k 10] [--min-score 0.1]
+  node scripts/ai-cli.mjs tool memory update --id <id> [--content c] [--tags a,b] [--ttl days] [--reason r] | delete --id <id> [--reason r] | history --id <id> [--json]
+  node scripts/ai-cli.mjs tool memory consolidate [--threshold 0.8] [--dry-run] [--json]
+  node scripts/ai-cli.mjs tool scrape url --url https://example.com [--format markdown|text|json] [--save] [--tags a,b] [--ttl days]
   node scripts/ai-cli.mjs tool scrape file --file logs/foo.md [--format markdown|text|json] [--save] [--tags a,b]
   node scripts/ai-cli.mjs make ui --name <name> --spec "Short description"
 
 Env:
-  GEMINI_API_KEY, OPENAI_API_KEY, AI_PROVIDER=gemini|openai|rag
+  GEMINI_API_KEY, OPENAI_API_KEY, AI_PROVIDER=gemini|openai|rag, RAG_RETRIEVER=lexical|dense|hybrid
 
 HTTP:
-  POST /ask { question, k?, analyze?, file?, code? }
-  POST /rag { question, k? }
-  POST /tool { action: analyze|exec-js|grep|exec-sh|memory:add|memory:build|memory:list|memory:search, ... }
-  GET  /stream?q=your+question  # text/event-stream of answer chunks
+  POST /ask { question, k?, retriever?, analyze?, file?, code? }
+  POST /rag { question, k?, retriever? }
+  POST /tool { action: analyze|exec-js|grep|exec-sh|memory:add|memory:update|memory:delete|memory:history|memory:consolidate|memory:build|memory:list|memory:search, ... }
+  GET  /stream?q=your+question[&retriever=hybrid]  # text/event-stream of answer chunks
 `;
   console.log(help);
 }
@@ -3,8 +3,15 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import zlib from 'node:zlib';
+import crypto from 'node:crypto';
 import fg from 'fast-glob';
-import { normalizeTags, loadUiConfigTagAliases, applyTagAliases } from './lib/tags.mjs';
+import { parseLogDoc } from './lib/logdoc.mjs';
+import { splitShards, BM25_DEFAULTS } from './lib/rag-score.mjs';
+import { createAnalyzer, DEFAULT_ANALYZER, LEGACY_ANALYZER } from './lib/analyzer.mjs';
+import { buildDense } from './lib/dense.mjs';
+import { chunkLog, CHUNKERS, CHUNK_DEFAULTS } from './lib/chunkers.mjs';
+import { loadUiConfigTagAliases } from './lib/tags.mjs';
+import { loadBuildCache, saveBuildCache, fileState, pruneMissing, sha1 } from './lib/build-cache.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,80 +20,80 @@ const repoRoot = path.resolve(siteDir, '..');
 const logsDir = path.join(repoRoot, 'logs');
 const publicDir = path.join(siteDir, 'public');
 
-function parseHeader(md) {
-  const lines = md.split('\n');
-  let fm = {};
-  if (lines[0]?.trim() === '---') {
-    for (let i = 1; i < Math.min(lines.length, 50); i++) {
-      const line = lines[i];
-      if (line.trim() === '---') break;
-      const m = /^(\w[\w-]*):\s*(.*)$/.exec(line);
-      if (m) fm[m[1].toLowerCase()] = m[2].trim();
-    }
-  }
-  const head = lines.slice(0, 40).join('\n');
-  const id = (head.match(/Conversation ID:\s*(.+)/i)?.[1] ?? fm.id ?? '').trim();
-  const receivedAt = (head.match(/Received At:\s*([^\n]+)/i)?.[1] ?? fm.receivedat ?? fm.date ?? '').trim();
-  const title = (md.match(/^#\s*(.+)$/m)?.[1] ?? fm.title ?? 'Chat Transcript').trim();
-  const tagsStr = fm.tags || head.match(/Tags:\s*([^\n]+)/i)?.[1] || '';
-  const raw = tagsStr ? tagsStr.split(',').map((t) => t.trim()).filter(Boolean) : [];
-  const norm = normalizeTags(raw);
-  const aliases = loadUiConfigTagAliases();
-  const tags = applyTagAliases(norm, aliases);
-  return { id, receivedAt, title, tags };
+// Version 2 (BM25F postings) is opt-in: `node scripts/build-rag.mjs --bm25` or RAG_BM25=1.
+const BM25 = process.argv.includes('--bm25') || process.env.RAG_BM25 === '1';
+
+// Analyzer (lib/analyzer.mjs), recorded in the index so queries are analyzed the same way:
+// unicode + stemming + fuzzy by default; `--analyzer=ascii` / RAG_ANALYZER=ascii for the old
+// tokenizer, RAG_STEM=0 / RAG_FUZZY=0 to switch off parts of the unicode one.
+function analyzerSpec() {
+  const arg = process.argv.find((a) => a.startsWith('--analyzer='));
+  const name = (arg ? arg.slice('--analyzer='.length) : process.env.RAG_ANALYZER) || DEFAULT_ANALYZER.name;
+  if (name === 'ascii') return LEGACY_ANALYZER;
+  return { name: 'unicode', stem: process.env.RAG_STEM !== '0', fuzzy: process.env.RAG_FUZZY !== '0' };
 }
+const ANALYZER = createAnalyzer(analyzerSpec());
+const TERMS_PER_SHARD = Number(process.env.RAG_TERMS_PER_SHARD || 256);
+// Chunk texts per rag-shards/text-NNN file; search snippets fetch only the files their hits are in.
+const TEXT_PER_FILE = Number(process.env.RAG_TEXT_PER_FILE || 64);
+// LSA embeddings for dense/hybrid retrieval (lib/dense.mjs); `--no-dense` / RAG_DENSE=0 to skip.
+// Dimensions default to √chunks capped at 64 (few dimensions are what make LSA generalize on a
+// small corpus); RAG_DENSE_DIMS sets them explicitly.
+const DENSE = !process.argv.includes('--no-dense') && process.env.RAG_DENSE !== '0';
+const DENSE_DIMS = Number(process.env.RAG_DENSE_DIMS || 0);
+const denseDims = (n) => DENSE_DIMS || Math.min(64, Math.max(2, Math.round(Math.sqrt(n))));
+// Chunker (lib/chunkers.mjs), recorded in the index: `--chunker=paragraph|turn|heading|code` or
+// RAG_CHUNKER; RAG_CHUNK_MIN / RAG_CHUNK_MAX / RAG_CHUNK_OVERLAP size it (characters).
+function chunkerSpec() {
+  const arg = process.argv.find((a) => a.startsWith('--chunker='));
+  const name = (arg ? arg.slice('--chunker='.length) : process.env.RAG_CHUNKER) || CHUNK_DEFAULTS.name;
+  if (!CHUNKERS.includes(name)) throw new Error(`Unknown chunker: ${name} (expected ${CHUNKERS.join('|')})`);
+  const num = (v, d) => (v ? Number(v) : d);
+  return {
+    name,
+    min: num(process.env.RAG_CHUNK_MIN, CHUNK_DEFAULTS.min),
+    max: num(process.env.RAG_CHUNK_MAX, CHUNK_DEFAULTS.max),
+    overlap: num(process.env.RAG_CHUNK_OVERLAP, CHUNK_DEFAULTS.overlap)
+  };
+}
+const CHUNKER = chunkerSpec();
+// Bump when analyzeLog's output changes so cached chunks are rebuilt.
+const RAG_CACHE_FORMAT = 2;
+// Bump when the written files change shape so an otherwise up-to-date build rewrites them.
+const RAG_OUTPUT_FORMAT = 3;
+const tokenize = ANALYZER.tokenize;
 
-const STOP = new Set('the,of,and,to,in,a,for,is,that,on,with,as,it,by,from,at,be,an,or,are,this,was,will,can,not,have,has,had,if,then,else,do,does,did,than,which,into,over,under,between,within,without,about,after,before,since,per,each,via'.split(','));
+const count = (tokens) => {
+  const tf = new Map();
+  for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+};
 
-function tokenize(text) {
-  return (text.toLowerCase().match(/[a-z0-9_]+/g) || []).filter((t) => t.length > 1 && !STOP.has(t));
+/**
+ * Chunk and tokenize one log; this is what the build cache keeps per log, so unchanged logs are
+ * never re-chunked. Term frequencies are stored as [term, n] pairs.
+ */
+function analyzeLog(doc, title, tags) {
+  // Chunks stay within turns (or pair a question with its answer) so hits can deep-link to
+  // #turn-N, or to a heading anchor when there is one.
+  const chunks = chunkLog(doc, CHUNKER).map((c) => ({ ...c, tf: Array.from(count(tokenize(c.text))) }));
+  return { chunks, title: Array.from(count(tokenize(title))), tags: Array.from(count(tokenize((tags || []).join(' ')))) };
 }
 
-function paragraphChunks(text, minLen = 600, maxLen = 1200) {
-  const paras = text.split(/\n\n+/);
-  const out = [];
-  let cur = '';
-  for (const p of paras) {
-    const block = p.trim();
-    if (!block) continue;
-    if ((cur + '\n\n' + block).length <= maxLen) {
-      cur = cur ? cur + '\n\n' + block : block;
-    } else {
-      if (cur) out.push(cur);
-      cur = block;
-      if (cur.length > maxLen) {
-        // hard split long paragraph
-        for (let i = 0; i < cur.length; i += maxLen) out.push(cur.slice(i, i + maxLen));
-        cur = '';
-      }
+/** Add (sign 1) or remove (sign -1) a log's chunks from the stored document frequencies. */
+function adjustDf(df, analyzed, sign) {
+  for (const c of analyzed.chunks) {
+    for (const [t] of c.tf) {
+      const n = (df.get(t) || 0) + sign;
+      if (n > 0) df.set(t, n); else df.delete(t);
     }
   }
-  if (cur) out.push(cur);
-  // Merge small tails
-  const merged = [];
-  for (const c of out) {
-    if (merged.length && merged[merged.length - 1].length < minLen) {
-      merged[merged.length - 1] += '\n\n' + c;
-    } else {
-      merged.push(c);
-    }
-  }
-  return merged;
 }
 
-function buildIndex(entries) {
-  const df = new Map();
+function buildIndex(entries, df, { bm25 = false, dense = false } = {}) {
   const chunks = [];
   for (const e of entries) {
-    const parts = paragraphChunks(e.body);
-    for (let i = 0; i < parts.length; i++) {
-      const text = parts[i];
-      const tokens = tokenize(text);
-      const tf = new Map();
-      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
-      for (const t of new Set(tokens)) df.set(t, (df.get(t) || 0) + 1);
-      chunks.push({ e, i, text, tf });
-    }
+    e.analyzed.chunks.forEach((c, i) => chunks.push({ e, i, ...c, tf: new Map(c.tf) }));
   }
   const N = chunks.length || 1;
   const idf = new Map();
@@ -115,7 +122,15 @@ function buildIndex(entries) {
       title: c.e.title,
       date: c.e.date,
       tags: c.e.tags,
+      ...(c.turn ? { turn: c.turn, role: c.role } : {}),
+      // Where the chunk sits in the log (lib/chunkers.mjs): file offsets, heading path, heading anchor.
+      start: c.start,
+      end: c.end,
+      ...(c.headings?.length ? { headings: c.headings } : {}),
+      ...(c.anchor ? { anchor: c.anchor } : {}),
       snippet: c.text.slice(0, 280).replace(/\s+/g, ' '),
+      // Full chunk text for phrase and exclusion filters (lib/rag-query.mjs); only the shards keep it.
+      text: c.text.replace(/\s+/g, ' '),
       vector: top,
       norm
     });
@@ -123,7 +138,27 @@ function buildIndex(entries) {
   // idf map only for used terms to reduce size
   const idfObj = {};
   for (const t of vocab) idfObj[t] = idf.get(t) || 1;
-  return { chunks: out, idf: idfObj };
+  const lsa = dense ? buildDense(chunks.map((c) => c.tf), idf, { dims: denseDims(chunks.length) }) : null;
+  lsa?.embs.forEach((emb, i) => { out[i].emb = emb; });
+  return { chunks: out, idf: idfObj, postings: bm25 ? buildPostings(chunks, out) : undefined, dense: lsa?.dense };
+}
+
+/** Full BM25F postings: term -> [[chunkIndex, tf(title), tf(tags), tf(body)], …]; adds `len` to chunks. */
+function buildPostings(chunks, out) {
+  const postings = {};
+  const total = [0, 0, 0];
+  chunks.forEach((c, i) => {
+    const fields = [new Map(c.e.analyzed.title), new Map(c.e.analyzed.tags), c.tf];
+    const len = fields.map((tf) => Array.from(tf.values()).reduce((a, b) => a + b, 0));
+    len.forEach((n, f) => { total[f] += n; });
+    out[i].len = len;
+    const terms = new Set([...fields[0].keys(), ...fields[1].keys(), ...fields[2].keys()]);
+    for (const t of terms) {
+      (postings[t] ||= []).push([i, fields[0].get(t) || 0, fields[1].get(t) || 0, fields[2].get(t) || 0]);
+    }
+  });
+  const n = chunks.length || 1;
+  return { postings, avgLen: { title: total[0] / n, tags: total[1] / n, body: total[2] / n } };
 }
 
 function crc32(buf) {
@@ -168,37 +203,107 @@ function writePNGWithzTXt(chunksData) {
   return Buffer.concat(parts);
 }
 
+
+/** Write the term-sharded copy of the index to public/rag-shards/ (layout in lib/rag-score.mjs). */
+function writeShards(ragIndex) {
+  const dir = path.join(publicDir, 'rag-shards');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  const put = (name, data) => {
+    const json = JSON.stringify(data);
+    const hash = crypto.createHash('sha1').update(json).digest('hex').slice(0, 12);
+    const file = `${name}.${hash}.json`;
+    fs.writeFileSync(path.join(dir, file), json);
+    return `rag-shards/${file}`;
+  };
+
+  const split = splitShards(ragIndex, TERMS_PER_SHARD, TEXT_PER_FILE);
+  const manifest = {
+    version: ragIndex.version,
+    builtAt: ragIndex.builtAt,
+    analyzer: ragIndex.analyzer,
+    chunker: ragIndex.chunker,
+    chunksCount: split.chunks.length,
+    shards: split.shards,
+    chunks: put('chunks', split.chunks),
+    vectors: put('vectors', split.vectors),
+    textPerFile: TEXT_PER_FILE,
+    text: split.texts.map((t, i) => put(`text-${String(i).padStart(3, '0')}`, t)),
+    ...(ragIndex.analyzer?.fuzzy ? { vocab: put('vocab', split.vocab) } : {}),
+    terms: split.terms.map((b, i) => put(`terms-${String(i).padStart(3, '0')}`, b)),
+    ...(ragIndex.bm25 ? { bm25: ragIndex.bm25, avgLen: ragIndex.avgLen } : {}),
+    ...(ragIndex.dense ? { dense: { method: ragIndex.dense.method, dims: ragIndex.dense.dims, embs: put('embs', split.embs) } } : {})
+  };
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return split.shards;
+}
+
 async function run() {
   if (!fs.existsSync(logsDir)) {
     console.log('No logs dir for RAG, skipping.');
     return;
   }
   fs.mkdirSync(publicDir, { recursive: true });
-  const files = await fg('**/*.md', { cwd: logsDir });
+  const files = (await fg('**/*.md', { cwd: logsDir })).sort();
+
+  // Only new or edited logs are parsed and tokenized; document frequencies are kept in the cache
+  // and adjusted for the logs that changed, so IDF never needs a full pass over the text.
+  const cache = loadBuildCache();
+  const key = JSON.stringify([RAG_CACHE_FORMAT, ANALYZER.spec, CHUNKER, sha1(JSON.stringify(loadUiConfigTagAliases()))]);
+  if (cache.rag.key !== key) cache.rag = { key, logs: {}, df: {} };
+  const rc = cache.rag;
+  const df = new Map(Object.entries(rc.df));
+  let reanalyzed = 0;
   const entries = files.map((rel) => {
-    const full = path.join(logsDir, rel);
-    const md = fs.readFileSync(full, 'utf8');
-    const meta = parseHeader(md);
+    const { hash, read } = fileState(cache, rel, path.join(logsDir, rel));
+    let a = rc.logs[rel];
+    if (!a || a.hash !== hash) {
+      if (a) adjustDf(df, a, -1);
+      const doc = parseLogDoc(read(), { relPath: rel });
+      const meta = { title: doc.title || rel, date: doc.date, tags: doc.tags };
+      a = rc.logs[rel] = { hash, meta, ...analyzeLog(doc, meta.title, meta.tags) };
+      adjustDf(df, a, 1);
+      reanalyzed++;
+    }
     const slug = rel.replace(/\.md$/i, '');
-    const [yyyy, mm, dd] = slug.split(path.sep);
-    const date = yyyy && mm && dd ? `${yyyy}-${mm}-${dd}` : meta.receivedAt;
     return {
       href: '/logs/' + slug.split(path.sep).join('/'),
       relPath: 'logs/' + rel,
-      title: meta.title || rel,
-      date,
-      tags: meta.tags,
-      body: md
+      ...a.meta,
+      analyzed: a
     };
   });
+  const keep = new Set(files);
+  for (const [rel, a] of Object.entries(rc.logs)) {
+    if (!keep.has(rel)) adjustDf(df, a, -1);
+  }
+  pruneMissing(keep, rc.logs, cache.files);
+  rc.df = Object.fromEntries(df);
+
+  // Same inputs and settings as the last build: keep the existing files byte-for-byte.
+  const sourceHash = sha1(JSON.stringify([key, RAG_OUTPUT_FORMAT, BM25, TERMS_PER_SHARD, TEXT_PER_FILE, DENSE && DENSE_DIMS, files.map((rel) => [rel, rc.logs[rel].hash])]));
+  const outputs = ['rag-index.json', 'rag-capsule.png', path.join('rag-shards', 'manifest.json')];
+  if (rc.sourceHash === sourceHash && outputs.every((f) => fs.existsSync(path.join(publicDir, f)))) {
+    saveBuildCache(cache);
+    console.log(JSON.stringify({ upToDate: true, logs: files.length }));
+    return;
+  }
+
+  const { chunks, idf, postings, dense } = buildIndex(entries, df, { bm25: BM25, dense: DENSE });
+  const rag = { version: postings ? 2 : 1, builtAt: new Date().toISOString(), analyzer: ANALYZER.spec, chunker: CHUNKER, idf, chunksCount: chunks.length, ...(dense ? { dense } : {}) };
+  const ragIndex = postings
+    ? { ...rag, bm25: BM25_DEFAULTS, avgLen: postings.avgLen, chunks, postings: postings.postings }
+    : { ...rag, chunks };
+  // Chunk text ships once, in the rag-shards/text-NNN files. The committed index and the PNG capsule
+  // stay small, and lib/rag-index.mjs joins the text back for the CLI and MCP server.
+  const stored = { ...ragIndex, chunks: chunks.map(({ text: _text, ...c }) => c) };
+  // Postings are large; pretty-printing them would multiply the file size.
+  fs.writeFileSync(path.join(publicDir, 'rag-index.json'), postings ? JSON.stringify(stored) : JSON.stringify(stored, null, 2));
 
-  const { chunks, idf } = buildIndex(entries);
-  const rag = { version: 1, builtAt: new Date().toISOString(), idf, chunksCount: chunks.length };
-  const ragIndex = { ...rag, chunks };
-  fs.writeFileSync(path.join(publicDir, 'rag-index.json'), JSON.stringify(ragIndex, null, 2));
+  const shards = writeShards(ragIndex);
 
   // Build PNG capsule; split into segments ~60KB after compression
-  const json = JSON.stringify(ragIndex);
+  const json = JSON.stringify(stored);
   const comp = zlib.deflateSync(Buffer.from(json));
   const maxSeg = 60 * 1024;
   const segments = [];
@@ -209,7 +314,10 @@ async function run() {
   });
   const png = writePNGWithzTXt(chunksData);
   fs.writeFileSync(path.join(publicDir, 'rag-capsule.png'), png);
-  console.log(JSON.stringify({ chunks: chunks.length, terms: Object.keys(idf).length, capsuleParts: segments.length }));
+  rc.sourceHash = sourceHash;
+  saveBuildCache(cache);
+  console.log(JSON.stringify({ version: rag.version, analyzer: ANALYZER.spec.name, chunker: CHUNKER.name, reanalyzed, chunks: chunks.length, terms: postings ? Object.keys(postings.postings).length : Object.keys(idf).length, shards, denseDims: dense?.dims || 0, capsuleParts: segments.length }));
 }
 
-run().catch((e) => { console.error(e); process.exit(1); });
+// Awaited so `await import('./build-rag.mjs')` in prebuild.mjs resumes once the index is written.
+await run().catch((e) => { console.error(e); process.exit(1); });
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Near-duplicate logs (npm run dupes -- <command>)
+// Usage examples:
+//  node scripts/dupes-cli.mjs                            # groups at the default threshold (0.75)
+//  node scripts/dupes-cli.mjs list --threshold 0.7 --json
+//  node scripts/dupes-cli.mjs archive --dry-run          # what would move
+//  node scripts/dupes-cli.mjs archive                    # move superseded copies to archive/logs/
+//
+// Same report as prebuild's public/duplicates.json, computed from the logs on disk. `archive` moves
+// every superseded copy from logs/<path> to archive/logs/<path>, outside the site's index (a copy
+// longer than its kept log stays, so no text is lost from the site),
+// and records the new location in the content-hash registry so ingest and route-logs keep treating
+// that content as already stored instead of importing it again.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { parseLogDoc } from './lib/logdoc.mjs';
+import { normalizeBody, loadRegistry, saveRegistry, forgetPath, recordFile } from './lib/dedupe.mjs';
+import { DUPE_DEFAULTS, signature, logTimestamp, findNearDuplicates, archivable } from './lib/near-dupes.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, '..', '..');
+const logsDir = path.join(repoRoot, 'logs');
+const archiveDir = path.join(repoRoot, 'archive', 'logs');
+
+function help(exitCode = 0) {
+  console.log(`Usage:
+  dupes-cli.mjs [list] [--threshold <0..1>] [--json]
+  dupes-cli.mjs archive [--threshold <0..1>] [--dry-run]   move superseded copies to archive/logs/`);
+  process.exit(exitCode);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { cmd: 'list', threshold: DUPE_DEFAULTS.threshold };
+  if (args[0] && !args[0].startsWith('--')) opts.cmd = args.shift();
+  while (args.length) {
+    const a = args.shift();
+    if (a === '--help' || a === '-h') help();
+    else if (a === '--threshold') opts.threshold = Number(args.shift());
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--json') opts.json = true;
+    else { console.error('Unknown option:', a); help(1); }
+  }
+  if (!['list', 'archive'].includes(opts.cmd)) { console.error('Unknown command:', opts.cmd); help(1); }
+  if (!(opts.threshold > 0 && opts.threshold <= 1)) { console.error('--threshold must be in (0, 1]'); help(1); }
+  return opts;
+}
+
+async function report(threshold) {
+  const files = fs.existsSync(logsDir) ? (await fg('**/*.md', { cwd: logsDir })).sort() : [];
+  const docs = files.map((rel) => {
+    const md = fs.readFileSync(path.join(logsDir, rel), 'utf8');
+    const doc = parseLogDoc(md, { relPath: rel });
+    const href = '/logs/' + rel.replace(/\.md$/i, '').split(path.sep).join('/');
+    return { href, relPath: `logs/${rel}`, title: doc.title || rel, date: logTimestamp(doc), ...signature(normalizeBody(md)) };
+  });
+  return findNearDuplicates(docs, { threshold });
+}
+
+async function main() {
+  const opts = parseArgs();
+  const res = await report(opts.threshold);
+  if (opts.json) return console.log(JSON.stringify(res, null, 2));
+  for (const g of res.groups) {
+    console.log(`keep  ${g.keep.relPath}  (${g.keep.words} words, ${g.keep.date || 'undated'})`);
+    for (const c of g.copies) console.log(`  ${Math.round(c.similarity * 100)}%  ${c.relPath}  (${c.words} words, ${c.date || 'undated'})`);
+  }
+  const copies = res.groups.flatMap((g) => g.copies);
+  console.log(`${res.groups.length} group(s), ${copies.length} superseded copies at threshold ${res.threshold}`);
+  if (opts.cmd !== 'archive') return;
+  const movable = archivable(res.groups);
+  for (const c of copies) if (!movable.includes(c)) console.log(`Keeping ${c.relPath}: longer than the log that supersedes it`);
+  if (!movable.length) return;
+
+  const reg = opts.dryRun ? null : loadRegistry();
+  for (const c of movable) {
+    const from = path.join(repoRoot, c.relPath);
+    const to = path.join(archiveDir, path.relative(logsDir, from));
+    console.log(`${opts.dryRun ? 'Would move' : 'Moved'} ${c.relPath} -> ${path.relative(repoRoot, to)}`);
+    if (opts.dryRun) continue;
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.renameSync(from, to);
+    forgetPath(reg, from);
+    recordFile(reg, to, fs.readFileSync(to, 'utf8'));
+  }
+  if (reg) {
+    saveRegistry(reg);
+    console.log('Run npm run prebuild to rebuild the indexes.');
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
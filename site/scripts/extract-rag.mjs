@@ -57,6 +57,8 @@ async function run() {
   const out = path.join(publicDir, 'rag-index.json');
   fs.writeFileSync(out, json);
   console.log('Extracted rag-index.json with', JSON.parse(json).chunks?.length || 0, 'chunks');
+  // The capsule has no chunk text (build-rag.mjs ships it in rag-shards/ only).
+  console.log('Note: without public/rag-shards/ from the same build, phrase and -exclusion queries fail on this index.');
 }
 
 run().catch((e) => { console.error(e); process.exit(1); });
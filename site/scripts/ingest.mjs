@@ -1,17 +1,28 @@
 #!/usr/bin/env node
-/**
- * Ingestion helper
- * Usage examples:
- *  node scripts/ingest.mjs dir ./external-dump --tag imported,ext
- *  node scripts/ingest.mjs file ./some-note.md --tag research
- *  node scripts/ingest.mjs glob "./captures/**/*.md" --tag capture
- *
- * Writes files into logs/incoming/ preserving original base name
- * Adds a leading heading if missing; optional frontmatter for tags.
- */
+// Ingestion helper
+// Usage examples:
+//  node scripts/ingest.mjs dir ./external-dump --tag imported,ext
+//  node scripts/ingest.mjs file ./some-note.md --tag research
+//  node scripts/ingest.mjs glob "./captures/**/*.md" --tag capture
+//  node scripts/ingest.mjs chatgpt ./chatgpt-export.zip --tag chatgpt
+//  node scripts/ingest.mjs claude ./claude-export.zip
+//  node scripts/ingest.mjs gemini ./takeout.zip --source gemini-work
+//  node scripts/ingest.mjs jsonl ./transcripts.jsonl --source agent-runs
+//
+// Writes files into logs/incoming/ preserving original base name
+// Adds a leading heading if missing; optional frontmatter for tags.
+// Export modes (chatgpt, claude, gemini, jsonl — see lib/importers/) write one log per
+// conversation. `--source` adds a tag naming where the logs came from (defaults to the adapter
+// name for export modes).
+// Every write goes through the content-hash registry (lib/dedupe.mjs): exact duplicates are
+// skipped and a longer copy of a known Conversation ID updates the existing log in place.
+// `--report` lists what was merged or skipped.
 import fs from 'node:fs';
 import path from 'node:path';
 import fg from 'fast-glob';
+import { importers, getImporter } from './lib/importers/index.mjs';
+import { renderTranscript, transcriptFileName } from './lib/transcript.mjs';
+import { loadRegistry, saveRegistry, checkDuplicate, recordFile, updateInPlace, printReport } from './lib/dedupe.mjs';
 
 const root = path.join(process.cwd(), '..');
 const incomingDir = path.join(root, 'logs', 'incoming');
@@ -20,13 +31,17 @@ fs.mkdirSync(incomingDir, { recursive: true });
 function parseArgs(){
   const args = process.argv.slice(2);
   if (!args.length) help();
-  let mode = args.shift();
+  const mode = args.shift();
   const opts = { tags: [] };
   while (args.length) {
     const a = args.shift();
     if (a === '--tag' || a === '--tags') {
       const t = (args.shift() || '').split(/[, ]+/).filter(Boolean);
       opts.tags.push(...t);
+    } else if (a === '--source') {
+      opts.source = (args.shift() || '').trim();
+    } else if (a === '--report') {
+      opts.report = true;
     } else if (!opts.target) {
       opts.target = a;
     } else {
@@ -42,6 +57,10 @@ function help(exitCode=0){
   ingest.mjs dir <folder> [--tag tag1,tag2]
   ingest.mjs file <path.md> [--tag tag]
   ingest.mjs glob "pattern/**/*.md" [--tag t]
+${Object.values(importers).map((i) => `  ingest.mjs ${i.name} <file> [--tag t] [--source label]   # ${i.description}`).join('\n')}
+
+  --source label   record where the logs came from as a tag (export modes default to their name)
+  --report         list logs merged into (or skipped as duplicates of) existing ones
 `);
   process.exit(exitCode);
 }
@@ -52,8 +71,52 @@ function ensureTitle(md, filename){
   return `# ${base}\n\n` + md;
 }
 
+function withSource(tags, source){
+  return Array.from(new Set([...tags, source].filter(Boolean)));
+}
+
+// Write one log unless the registry already holds it; returns the dedupe action taken.
+function writeDeduped(reg, out, md, label, events){
+  const dup = checkDuplicate(reg, md);
+  if (dup.action === 'skip') {
+    events.push({ source: label, ...dup });
+    return 'skip';
+  }
+  if (dup.action === 'update') {
+    updateInPlace(reg, dup.existing, md);
+    events.push({ source: label, ...dup });
+    return 'update';
+  }
+  fs.writeFileSync(out, md, 'utf8');
+  recordFile(reg, path.relative(root, out), md);
+  return 'new';
+}
+
+function summarize(counts, what, events, report){
+  console.log(`Ingested ${counts.new} ${what}, merged ${counts.update}, skipped ${counts.skip} duplicate(s) -> ${path.relative(root, incomingDir)}`);
+  if (report) printReport(events);
+}
+
+async function ingestExport(importer, target, tags, source, report){
+  const conversations = importer.parse(fs.readFileSync(path.resolve(target)));
+  const reg = loadRegistry();
+  const counts = { new: 0, update: 0, skip: 0 };
+  const events = [];
+  for (const conv of conversations) {
+    const out = path.join(incomingDir, transcriptFileName(conv));
+    const convTags = withSource([...tags, ...(conv.tags || [])], source || importer.name);
+    const md = renderTranscript(conv, { tags: convTags });
+    counts[writeDeduped(reg, out, md, conv.id || conv.title, events)]++;
+  }
+  saveRegistry(reg);
+  summarize(counts, 'conversation(s)', events, report);
+}
+
 async function run(){
-  const { mode, target, tags } = parseArgs();
+  const { mode, target, tags: baseTags, source, report } = parseArgs();
+  const importer = getImporter(mode);
+  if (importer) return ingestExport(importer, target, baseTags, source, report);
+  const tags = withSource(baseTags, source);
   let files = [];
   if (mode === 'dir') {
     files = (await fg('**/*.md', { cwd: target, absolute: true }));
@@ -67,7 +130,9 @@ async function run(){
   if (!files.length) {
     console.error('No files found'); process.exit(2);
   }
-  let count = 0;
+  const reg = loadRegistry();
+  const counts = { new: 0, update: 0, skip: 0 };
+  const events = [];
   for (const f of files) {
     try {
       const raw = fs.readFileSync(f, 'utf8');
@@ -81,13 +146,13 @@ async function run(){
           tagged = fm + content;
         }
       }
-      fs.writeFileSync(out, tagged, 'utf8');
-      count++;
+      counts[writeDeduped(reg, out, tagged, path.relative(process.cwd(), f), events)]++;
     } catch (e) {
       console.warn('Skip', f, e.message);
     }
   }
-  console.log(`Ingested ${count} file(s) -> ${path.relative(root, incomingDir)}`);
+  saveRegistry(reg);
+  summarize(counts, 'file(s)', events, report);
 }
 
 run().catch(e => { console.error(e); process.exit(1); });
@@ -3,7 +3,8 @@ import fs from 'node:fs';
 import path from 'node:path';
 import fg from 'fast-glob';
 import { fileURLToPath } from 'node:url';
-import { normalizeTags, loadUiConfigTagAliases, applyTagAliases } from './lib/tags.mjs';
+import { parseLogDoc } from './lib/logdoc.mjs';
+import { suggestAll } from './lib/tag-suggest.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,42 +12,35 @@ const siteDir = path.resolve(__dirname, '..');
 const repoRoot = path.resolve(siteDir, '..');
 const logsDir = path.join(repoRoot, 'logs');
 const outFile = path.join(siteDir, 'public', 'learn-policy.json');
+const ragFile = path.join(siteDir, 'public', 'rag-index.json');
 
-// Load aliases once
-const TAG_ALIASES = loadUiConfigTagAliases();
-
-function parseTags(md) {
-  const lines = md.split('\n');
-  const fm = {};
-  if (lines[0]?.trim() === '---') {
-    for (let i = 1; i < Math.min(lines.length, 50); i++) {
-      const line = lines[i];
-      if (line.trim() === '---') break;
-      const m = /^(\w[\w-]*):\s*(.*)$/.exec(line);
-      if (m) fm[m[1].toLowerCase()] = m[2].trim();
-    }
+// Content-based tag suggestions per log (lib/tag-suggest.mjs) over the RAG index's TF-IDF vectors;
+// none until the index has been built.
+function tagSuggestions() {
+  if (!fs.existsSync(ragFile)) return {};
+  try {
+    return suggestAll(JSON.parse(fs.readFileSync(ragFile, 'utf8')));
+  } catch (e) {
+    console.warn('Skipping tag suggestions:', e?.message || e);
+    return {};
   }
-  const first = lines.slice(0, 40).join('\n');
-  const tagsStr = fm.tags || (first.match(/Tags:\s*([^\n]+)/i)?.[1] || '');
-  const norm = normalizeTags(tagsStr ? tagsStr.split(',').map((t) => t.trim()).filter(Boolean) : []);
-  return applyTagAliases(norm, TAG_ALIASES);
 }
 
 async function main() {
   if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(path.dirname(outFile), { recursive: true });
-    fs.writeFileSync(outFile, JSON.stringify({ generatedAt: new Date().toISOString(), topTags: [], tagNext: {}, pairCounts: {} }, null, 2));
+    fs.writeFileSync(outFile, JSON.stringify({ generatedAt: new Date().toISOString(), topTags: [], tagNext: {}, pairCounts: {}, tagSuggestions: {} }, null, 2));
     console.log('No logs found. Wrote empty policy to', path.relative(siteDir, outFile));
     return;
   }
-  const files = await fg('**/*.md', { cwd: logsDir });
+  const files = (await fg('**/*.md', { cwd: logsDir })).sort();
   const tagCounts = new Map();
   const pairCounts = new Map(); // key: a|b (sorted)
   const nextMap = new Map(); // tag -> Map<otherTag,count>
 
   for (const rel of files) {
   const md = fs.readFileSync(path.join(logsDir, rel), 'utf8');
-    const tags = Array.from(new Set(parseTags(md)));
+    const tags = parseLogDoc(md).tags;
     for (const t of tags) tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
     // co-occurrence within a document
     for (let i = 0; i < tags.length; i++) {
@@ -76,19 +70,29 @@ async function main() {
     tagNext[tag] = arr;
   }
   const pairCountsObj = Object.fromEntries(Array.from(pairCounts.entries()));
+  const suggestions = tagSuggestions();
 
   const policy = {
     generatedAt: new Date().toISOString(),
     topTags,
     tagNext,
-    pairCounts: pairCountsObj
+    pairCounts: pairCountsObj,
+    tagSuggestions: suggestions
   };
+  // Only the timestamp would change: keep the committed file as it is.
+  let prev = null;
+  try { prev = JSON.parse(fs.readFileSync(outFile, 'utf8')); } catch { /* first run */ }
+  if (prev && JSON.stringify({ ...prev, generatedAt: policy.generatedAt }) === JSON.stringify(policy)) {
+    console.log('Learned policy unchanged:', path.relative(siteDir, outFile));
+    return;
+  }
   fs.mkdirSync(path.dirname(outFile), { recursive: true });
   fs.writeFileSync(outFile, JSON.stringify(policy, null, 2));
-  console.log('Learned policy written to', path.relative(siteDir, outFile), JSON.stringify({ topTags: topTags.length, tagNext: Object.keys(tagNext).length }, null, 0));
+  console.log('Learned policy written to', path.relative(siteDir, outFile), JSON.stringify({ topTags: topTags.length, tagNext: Object.keys(tagNext).length, tagSuggestions: Object.keys(suggestions).length }, null, 0));
 }
 
-main().catch((e) => {
+// Awaited so prebuild's import() returns once the policy is written.
+await main().catch((e) => {
   console.error('learn.mjs failed:', e);
   process.exit(1);
 });
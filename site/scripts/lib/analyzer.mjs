@@ -0,0 +1,205 @@
+// Text analyzers shared by build-rag.mjs, rag-score.mjs (search page, ai-cli.mjs, mcp-server.mjs)
+// and tools/memory.mjs. Pure (no Node APIs) so the browser bundle can import it too.
+//
+// An index records the analyzer it was built with (`analyzer` in rag-index.json and the shard
+// manifest) and queries are analyzed the same way. Indexes without the field use 'ascii'.
+//
+//   { name: 'ascii' }                      legacy: /[a-z0-9_]+/ words, nothing else
+//   { name: 'unicode', stem, fuzzy }       Intl.Segmenter words in any script, Latin accents
+//                                          folded (café → cafe), CJK runs as overlapping bigrams,
+//                                          optional Porter stemming of English words, optional
+//                                          edit-distance-1 expansion of unknown query terms
+
+export const STOP = new Set('the,of,and,to,in,a,for,is,that,on,with,as,it,by,from,at,be,an,or,are,this,was,will,can,not,have,has,had,if,then,else,do,does,did,than,which,into,over,under,between,within,without,about,after,before,since,per,each,via'.split(','));
+
+export const LEGACY_ANALYZER = { name: 'ascii' };
+export const DEFAULT_ANALYZER = { name: 'unicode', stem: true, fuzzy: true };
+
+/** The original tokenizer; also what 'ascii' indexes use. */
+export function asciiTokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9_]+/g) || []).filter((t) => t.length > 1 && !STOP.has(t));
+}
+
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const CJK_SPLIT_RE = new RegExp(`([${CJK}]+)`, 'u');
+const CJK_RUN_RE = new RegExp(`^[${CJK}]+$`, 'u');
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter('en', { granularity: 'word' }) : null;
+
+/** Lowercase and strip accents from Latin letters only (Cyrillic й, Hangul etc. stay intact). */
+export function foldText(s) {
+  return String(s || '').normalize('NFKC').toLowerCase().normalize('NFD').replace(/(\p{Script=Latin})\p{M}+/gu, '$1').normalize('NFC');
+}
+
+function words(s) {
+  const raw = segmenter
+    ? Array.from(segmenter.segment(s), (x) => (x.isWordLike ? x.segment : '')).filter(Boolean)
+    : s.match(/[\p{L}\p{N}\p{M}_]+/gu) || [];
+  // Segmenter keeps "don't" and "e.g" together; split on anything that is not a word character.
+  return raw.flatMap((w) => w.split(/[^\p{L}\p{N}\p{M}_]+/u)).filter(Boolean);
+}
+
+function bigrams(run) {
+  const cs = Array.from(run);
+  if (cs.length < 2) return cs;
+  const out = [];
+  for (let i = 0; i < cs.length - 1; i++) out.push(cs[i] + cs[i + 1]);
+  return out;
+}
+
+function unicodeTokenize(text, stem) {
+  const out = [];
+  for (const part of foldText(text).split(CJK_SPLIT_RE)) {
+    if (!part) continue;
+    if (CJK_RUN_RE.test(part)) { out.push(...bigrams(part)); continue; }
+    for (const w of words(part)) {
+      if (Array.from(w).length < 2 || STOP.has(w)) continue;
+      out.push(stem && /^[a-z]+$/.test(w) ? porterStem(w) : w);
+    }
+  }
+  return out;
+}
+
+const cache = new Map();
+
+/** `{ spec, tokenize(text) }` for an analyzer spec (see the header). Unknown names fall back to ascii. */
+export function createAnalyzer(spec = LEGACY_ANALYZER) {
+  const key = JSON.stringify(spec || LEGACY_ANALYZER);
+  let a = cache.get(key);
+  if (!a) {
+    a = spec?.name === 'unicode'
+      ? { spec, tokenize: (text) => unicodeTokenize(text, !!spec.stem) }
+      : { spec: LEGACY_ANALYZER, tokenize: asciiTokenize };
+    cache.set(key, a);
+  }
+  return a;
+}
+
+/** Analyzer an index (or shard manifest) was built with. */
+export function analyzerFor(rag) {
+  return createAnalyzer(rag?.analyzer || LEGACY_ANALYZER);
+}
+
+/** True when `a` and `b` differ by one insertion, deletion, substitution or adjacent swap. */
+export function withinOneEdit(a, b) {
+  if (a === b) return true;
+  const la = a.length;
+  const lb = b.length;
+  if (Math.abs(la - lb) > 1) return false;
+  let i = 0;
+  while (i < la && i < lb && a[i] === b[i]) i++;
+  if (la === lb) {
+    if (a.slice(i + 1) === b.slice(i + 1)) return true;
+    return a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2);
+  }
+  return la > lb ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+/**
+ * Typo tolerance: query terms of 4+ characters that are not in `vocab` are replaced by up to
+ * `max` vocabulary terms one edit away (none found: the term is kept and simply matches nothing).
+ */
+export function expandFuzzy(terms, vocab, max = 3) {
+  if (!vocab?.size) return terms;
+  const out = [];
+  for (const t of terms) {
+    if (vocab.has(t) || t.length < 4) { out.push(t); continue; }
+    const near = [];
+    for (const v of vocab) {
+      if (withinOneEdit(t, v)) near.push(v);
+    }
+    out.push(...(near.length ? near.sort().slice(0, max) : [t]));
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Porter (1980) stemmer for lowercase English words.
+
+const isCons = (w, i) => {
+  const c = w[i];
+  if ('aeiou'.includes(c)) return false;
+  if (c === 'y') return i === 0 || !isCons(w, i - 1);
+  return true;
+};
+
+/** Number of VC sequences in `w` (Porter's m). */
+function measure(w) {
+  let m = 0;
+  let i = 0;
+  const n = w.length;
+  while (i < n && isCons(w, i)) i++;
+  while (i < n) {
+    while (i < n && !isCons(w, i)) i++;
+    if (i >= n) break;
+    while (i < n && isCons(w, i)) i++;
+    m++;
+  }
+  return m;
+}
+
+const hasVowel = (w) => Array.from(w).some((_, i) => !isCons(w, i));
+const doubleCons = (w) => w.length > 1 && w[w.length - 1] === w[w.length - 2] && isCons(w, w.length - 1);
+const cvc = (w) => {
+  const n = w.length;
+  return n >= 3 && isCons(w, n - 3) && !isCons(w, n - 2) && isCons(w, n - 1) && !'wxy'.includes(w[n - 1]);
+};
+
+function replaceSuffix(w, rules, minM) {
+  for (const [suf, rep] of rules) {
+    if (w.endsWith(suf)) {
+      const stem = w.slice(0, -suf.length);
+      return measure(stem) > minM ? stem + rep : w;
+    }
+  }
+  return w;
+}
+
+const STEP2 = [['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']];
+const STEP3 = [['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']];
+const STEP4 = ['al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'];
+
+export function porterStem(word) {
+  let w = word;
+  if (w.length <= 2) return w;
+
+  // 1a
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies')) w = w.slice(0, -2);
+  else if (!w.endsWith('ss') && w.endsWith('s')) w = w.slice(0, -1);
+
+  // 1b
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suf = w.endsWith('ed') ? 'ed' : w.endsWith('ing') ? 'ing' : '';
+    if (suf && hasVowel(w.slice(0, -suf.length))) {
+      w = w.slice(0, -suf.length);
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) w += 'e';
+      else if (doubleCons(w) && !'lsz'.includes(w[w.length - 1])) w = w.slice(0, -1);
+      else if (measure(w) === 1 && cvc(w)) w += 'e';
+    }
+  }
+
+  // 1c
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) w = w.slice(0, -1) + 'i';
+
+  w = replaceSuffix(w, STEP2, 0);
+  w = replaceSuffix(w, STEP3, 0);
+
+  // 4
+  for (const suf of STEP4) {
+    if (!w.endsWith(suf)) continue;
+    const stem = w.slice(0, -suf.length);
+    if (measure(stem) > 1 && (suf !== 'ion' || /[st]$/.test(stem))) w = stem;
+    break;
+  }
+
+  // 5
+  if (w.endsWith('e')) {
+    const stem = w.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !cvc(stem))) w = stem;
+  }
+  if (measure(w) > 1 && doubleCons(w) && w.endsWith('l')) w = w.slice(0, -1);
+  return w;
+}
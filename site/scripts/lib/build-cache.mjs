@@ -0,0 +1,84 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+// Build cache shared by prebuild.mjs and build-rag.mjs so a run only re-reads, re-parses and
+// re-tokenizes logs that changed, and leaves unchanged artifacts alone (small git diffs from the
+// continuous-agents workflow).
+//
+// site/.cache/build-cache.json (gitignored; CI keeps it with actions/cache):
+//   { version,
+//     files:   { 'YYYY/MM/DD/x.md': { mtimeMs, size, hash } },       mtime+size short-circuit hashing
+//     entries: { key, logs: { rel: { hash, entry } } },              prebuild: logs-index entries
+//     commits: { sha: [file, …] },                                    prebuild: `git show` results
+//     rag:     { key, sourceHash, df: { term: n }, logs: { rel: { hash, meta, chunks, title, tags } } },
+//     dupes:   { key, logs: { rel: { hash, date, sig, words } } },          prebuild: MinHash signatures
+//     graph:   { key, logs: { rel: { hash, rig, links } } } }               prebuild: knowledge-graph inputs
+// Derived records keep the file hash they were built from, so each consumer notices changes on its
+// own. A `key` change (analyzer, tag aliases, format) drops that section. `--full` or BUILD_CACHE=0
+// starts from an empty cache.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const siteDir = path.resolve(__dirname, '..', '..');
+
+export const CACHE_VERSION = 1;
+export const cacheFile = path.join(siteDir, '.cache', 'build-cache.json');
+
+export function sha1(s) {
+  return crypto.createHash('sha1').update(s).digest('hex');
+}
+
+function empty() {
+  return { version: CACHE_VERSION, files: {}, entries: { key: '', logs: {} }, commits: {}, rag: { key: '', logs: {}, df: {} }, dupes: { key: '', logs: {} }, graph: { key: '', logs: {} } };
+}
+
+export function loadBuildCache(file = cacheFile) {
+  if (process.argv.includes('--full') || process.env.BUILD_CACHE === '0') return empty();
+  try {
+    const c = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (c?.version === CACHE_VERSION) return { ...empty(), ...c };
+  } catch { /* first run */ }
+  return empty();
+}
+
+export function saveBuildCache(cache, file = cacheFile) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(cache));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Content hash of a log, re-read only when mtime or size moved. `read()` returns the text
+ * (at most one read per call site).
+ */
+export function fileState(cache, relPath, fullPath) {
+  const st = fs.statSync(fullPath);
+  let text = null;
+  const read = () => (text ??= fs.readFileSync(fullPath, 'utf8'));
+  const prev = cache.files[relPath];
+  if (prev && prev.mtimeMs === st.mtimeMs && prev.size === st.size) return { hash: prev.hash, read };
+  const hash = sha1(read());
+  cache.files[relPath] = { mtimeMs: st.mtimeMs, size: st.size, hash };
+  return { hash, read };
+}
+
+/** Forget files (and derived records in `maps`) that no longer exist. */
+export function pruneMissing(keep, ...maps) {
+  for (const map of maps) {
+    for (const rel of Object.keys(map)) if (!keep.has(rel)) delete map[rel];
+  }
+}
+
+/** Write only when the content differs, so unchanged artifacts keep their mtime and git stays quiet. */
+export function writeIfChanged(file, data) {
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  try {
+    if (fs.readFileSync(file).equals(buf)) return false;
+  } catch { /* missing */ }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, buf);
+  return true;
+}
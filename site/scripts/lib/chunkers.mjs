@@ -0,0 +1,221 @@
+// Chunking strategies for build-rag.mjs. Pure (no Node APIs); input is a parseLogDoc() result.
+//
+//   paragraph (default)  blank-line paragraphs packed to min..max characters, long ones hard-split
+//   turn                 a user turn plus the assistant answer(s) that follow it
+//   heading              one chunk per Markdown heading section
+//   code                 windows of whole blocks (paragraphs, fenced code never split) with overlap
+//
+// Chunks never cross the preamble/turn boundary, except `turn` pairing a question with its answer.
+// Oversized turn and heading sections fall back to `code` windows. Every chunk records where it
+// sits in the log so hits can link to it:
+//   { text, start, end, turn?, role?, headings: [text…], anchor? }
+// `start`/`end` are file offsets (CRLF counted as LF, like logdoc.mjs), `headings` the enclosing
+// heading path (the title H1 left out) and `anchor` the slug of the innermost heading when that
+// heading lies in the same turn (the log page gives headings these ids).
+
+import { parseHeadings } from './logdoc.mjs';
+
+export const CHUNKERS = ['paragraph', 'turn', 'heading', 'code'];
+export const CHUNK_DEFAULTS = { name: 'paragraph', min: 600, max: 1200, overlap: 200 };
+
+const TURN_MARK_RE = /^\*\*(?:USER|ASSISTANT)\*\*:[ \t]*/i;
+const FENCE_RE = /^[ \t]{0,3}(`{3,}|~{3,})/;
+
+/** [start, end) trimmed of surrounding whitespace. */
+function trimRange(src, start, end) {
+  while (start < end && /\s/.test(src[start])) start++;
+  while (end > start && /\s/.test(src[end - 1])) end--;
+  return [start, end];
+}
+
+/** Preamble and turn sections as file ranges (turn ranges skip the `**ROLE**:` marker). */
+function sections(doc, src) {
+  const base = doc.bodyOffset;
+  const end = base + doc.body.length;
+  if (!doc.turns.length) return [{ turn: 0, start: base, end }];
+  const out = [{ turn: 0, start: base, end: doc.turns[0].start }];
+  for (const t of doc.turns) {
+    const mark = TURN_MARK_RE.exec(src.slice(t.start, t.end));
+    out.push({ turn: t.n, role: t.role, start: t.start + (mark ? mark[0].length : 0), end: t.end });
+  }
+  return out;
+}
+
+/** Blank-line separated paragraphs in [start, end), ignoring code fences (the legacy split). */
+function paragraphs(src, start, end) {
+  const out = [];
+  const re = /\n[ \t]*\n\s*/g;
+  re.lastIndex = start;
+  let from = start;
+  for (let m = re.exec(src); m && m.index < end; m = re.exec(src)) {
+    out.push(trimRange(src, from, m.index));
+    from = m.index + m[0].length;
+  }
+  out.push(trimRange(src, from, end));
+  return out.filter(([s, e]) => e > s);
+}
+
+/** Paragraphs and whole fenced code blocks in [start, end): { start, end, code }. */
+function blocks(src, start, end) {
+  const out = [];
+  let para = -1;
+  let fence = null;
+  let pos = start;
+  const close = (at) => {
+    if (para >= 0) out.push({ start: para, end: at, code: false });
+    para = -1;
+  };
+  while (pos < end) {
+    const nl = src.indexOf('\n', pos);
+    const lineEnd = nl < 0 || nl > end ? end : nl;
+    const line = src.slice(pos, lineEnd);
+    if (fence) {
+      const t = line.trim();
+      if (t.startsWith(fence.mark) && /^([`~])\1*$/.test(t)) {
+        out.push({ start: fence.start, end: lineEnd, code: true });
+        fence = null;
+      }
+    } else if (FENCE_RE.test(line)) {
+      close(pos);
+      fence = { mark: FENCE_RE.exec(line)[1], start: pos };
+    } else if (!line.trim()) {
+      close(pos);
+    } else if (para < 0) {
+      para = pos;
+    }
+    pos = lineEnd + 1;
+  }
+  if (fence) out.push({ start: fence.start, end, code: true });
+  close(end);
+  return out
+    .map((b) => {
+      const [s, e] = trimRange(src, b.start, b.end);
+      return { start: s, end: e, code: b.code };
+    })
+    .filter((b) => b.end > b.start);
+}
+
+/** The legacy packing: paragraphs joined up to `max`, long ones hard-split, short tails merged. */
+function packParagraphs(src, start, end, { min, max }) {
+  const out = [];
+  let cur = null;
+  for (const [s, e] of paragraphs(src, start, end)) {
+    if (cur && e - cur[0] <= max) { cur[1] = e; continue; }
+    if (cur) out.push(cur);
+    cur = [s, e];
+    if (e - s > max) {
+      for (let i = s; i < e; i += max) out.push(trimRange(src, i, Math.min(e, i + max)));
+      cur = null;
+    }
+  }
+  if (cur) out.push(cur);
+  const merged = [];
+  for (const r of out) {
+    const last = merged[merged.length - 1];
+    if (last && last[1] - last[0] < min) last[1] = r[1];
+    else merged.push([...r]);
+  }
+  return merged.filter(([s, e]) => e > s);
+}
+
+/**
+ * Windows of whole blocks up to `max` characters; each window repeats trailing blocks of the
+ * previous one up to `overlap` characters. Paragraphs over `max` and fenced blocks over 4 × max
+ * are cut at line ends; smaller fenced blocks are never split.
+ */
+function windows(src, start, end, { max, overlap }) {
+  const units = [];
+  for (const b of blocks(src, start, end)) {
+    if (b.end - b.start <= (b.code ? max * 4 : max)) { units.push(b); continue; }
+    let s = b.start;
+    while (s < b.end) {
+      let e = Math.min(b.end, s + max);
+      const nl = src.lastIndexOf('\n', e);
+      if (e < b.end && nl > s) e = nl;
+      units.push({ start: s, end: e, code: b.code });
+      s = e + (src[e] === '\n' ? 1 : 0);
+    }
+  }
+  const out = [];
+  let i = 0;
+  while (i < units.length) {
+    let j = i;
+    while (j + 1 < units.length && units[j + 1].end - units[i].start <= max) j++;
+    out.push([units[i].start, units[j].end]);
+    if (j + 1 >= units.length) break;
+    // Step back over trailing units that fit in the overlap and still leave room for the next unit.
+    let k = j + 1;
+    while (k - 1 > i && units[j].end - units[k - 1].start <= overlap && units[j + 1].end - units[k - 1].start <= max) k--;
+    i = k;
+  }
+  return out;
+}
+
+/** Split [start, end) at headings (a section keeps its heading line); text before the first one stays. */
+function headingSections(headings, start, end) {
+  const cuts = headings.map((h) => h.start).filter((p) => p > start && p < end);
+  const bounds = [start, ...cuts, end];
+  return bounds.slice(0, -1).map((s, i) => [s, bounds[i + 1]]);
+}
+
+function rangesFor(name, src, sec, headings, opts) {
+  const cap = (ranges, limit) => ranges.flatMap(([s, e]) => (e - s > limit ? windows(src, s, e, opts) : [trimRange(src, s, e)]));
+  switch (name) {
+    case 'code':
+      return windows(src, sec.start, sec.end, opts);
+    case 'heading':
+      return cap(headingSections(headings, sec.start, sec.end), opts.max * 2);
+    case 'turn':
+      return cap([[sec.start, sec.end]], opts.max * 4);
+    default:
+      return packParagraphs(src, sec.start, sec.end, opts);
+  }
+}
+
+/** Chunk one parsed log with the named strategy (see the header). */
+export function chunkLog(doc, spec = CHUNK_DEFAULTS) {
+  const opts = { ...CHUNK_DEFAULTS, ...spec };
+  const src = ' '.repeat(doc.bodyOffset) + doc.body; // file coordinates; frontmatter is never chunked
+  const headings = doc.headings || parseHeadings(doc.body, doc.bodyOffset);
+  // The title heading is the log's name, not a section of it.
+  const title = headings.find((h) => h.level === 1 && (!doc.turns.length || h.start < doc.turns[0].start));
+  const path = headings.filter((h) => h !== title);
+  let secs = sections(doc, src);
+  if (opts.name === 'turn') {
+    // A user turn absorbs the assistant turns that answer it.
+    const paired = [];
+    for (const s of secs) {
+      const last = paired[paired.length - 1];
+      if (s.role === 'assistant' && last?.turn && (last.role === 'user' || last.paired)) {
+        last.end = s.end;
+        last.paired = true;
+        continue;
+      }
+      paired.push({ ...s });
+    }
+    secs = paired;
+  }
+  const out = [];
+  for (const sec of secs) {
+    for (const [start, end] of rangesFor(opts.name, src, sec, path, opts)) {
+      if (end <= start) continue;
+      const stack = [];
+      for (const h of path) {
+        if (h.start > start) break;
+        while (stack.length && stack[stack.length - 1].level >= h.level) stack.pop();
+        stack.push(h);
+      }
+      const inner = stack[stack.length - 1];
+      out.push({
+        text: src.slice(start, end),
+        start,
+        end,
+        turn: sec.turn,
+        ...(sec.turn && !sec.paired ? { role: sec.role } : {}),
+        headings: stack.map((h) => h.text),
+        ...(inner && inner.start >= sec.start ? { anchor: inner.slug } : {})
+      });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,131 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import fg from 'fast-glob';
+import { fileURLToPath } from 'node:url';
+import { parseLogDoc } from './logdoc.mjs';
+
+// Persistent content-hash registry shared by ingest.mjs, save-chat.mjs, route-logs.mjs and
+// ai-cli.mjs saveTranscript so repeated imports and the watch:incoming loop stop piling up
+// `-2`, `-3` copies of the same log.
+//
+// logs/memory/agent-state/content-hashes.json:
+//   { version, updatedAt, byHash: { sha256: 'logs/…md' }, byConversation: { id: 'logs/…md' } }
+// Paths are repo-relative and may go stale (files moved or deleted); stale entries are ignored.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const siteDir = path.resolve(__dirname, '..', '..');
+const repoRoot = path.resolve(siteDir, '..');
+const logsDir = path.join(repoRoot, 'logs');
+const registryFile = path.join(logsDir, 'memory', 'agent-state', 'content-hashes.json');
+
+const HEADER_RE = /^(Conversation ID|Received At|Tags):.*$/gim;
+
+/** Body used for hashing: frontmatter and volatile header lines dropped, whitespace collapsed. */
+export function normalizeBody(md) {
+  let s = String(md || '').replace(/\r\n/g, '\n');
+  s = s.replace(/^---\n[\s\S]*?\n---\n/, '');
+  const lines = s.split('\n');
+  const head = lines.slice(0, 40).join('\n').replace(HEADER_RE, '');
+  return (head + '\n' + lines.slice(40).join('\n')).replace(/\s+/g, ' ').trim();
+}
+
+export function contentHash(md) {
+  return crypto.createHash('sha256').update(normalizeBody(md)).digest('hex');
+}
+
+export function conversationId(md) {
+  return parseLogDoc(String(md || ''), { aliases: {} }).id;
+}
+
+function rel(p) {
+  return path.relative(repoRoot, path.resolve(repoRoot, p)).split(path.sep).join('/');
+}
+
+function exists(relPath) {
+  return !!relPath && fs.existsSync(path.join(repoRoot, relPath));
+}
+
+/** Index every existing log so the first run after upgrading already knows what is on disk. */
+function seed(reg) {
+  if (!fs.existsSync(logsDir)) return;
+  for (const f of fg.sync('**/*.md', { cwd: logsDir })) {
+    try { recordFile(reg, path.join('logs', f), fs.readFileSync(path.join(logsDir, f), 'utf8')); } catch { /* unreadable */ }
+  }
+}
+
+export function loadRegistry() {
+  let reg = null;
+  try { reg = JSON.parse(fs.readFileSync(registryFile, 'utf8')); } catch { /* first run */ }
+  if (!reg || reg.version !== 1) {
+    reg = { version: 1, updatedAt: '', byHash: {}, byConversation: {} };
+    seed(reg);
+  }
+  return reg;
+}
+
+export function saveRegistry(reg) {
+  reg.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(registryFile), { recursive: true });
+  const tmp = registryFile + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(reg, null, 2));
+  fs.renameSync(tmp, registryFile);
+}
+
+/** Remember that `relPath` now holds `md`. */
+export function recordFile(reg, relPath, md) {
+  const r = rel(relPath);
+  reg.byHash[contentHash(md)] = r;
+  const id = conversationId(md);
+  if (id) reg.byConversation[id] = r;
+}
+
+/** Drop entries pointing at a path (e.g. an incoming file that was routed or discarded). */
+export function forgetPath(reg, relPath) {
+  const r = rel(relPath);
+  for (const map of [reg.byHash, reg.byConversation]) {
+    for (const [k, v] of Object.entries(map)) if (v === r) delete map[k];
+  }
+}
+
+/**
+ * Decide what to do with new content:
+ *  - { action: 'skip', existing, reason: 'exact' }  identical body already stored
+ *  - { action: 'skip', existing, reason: 'shorter' } same Conversation ID, stored copy is as long or longer
+ *  - { action: 'update', existing }                  same Conversation ID, new body is longer: rewrite in place
+ *  - { action: 'new' }
+ * `self` is the path the content currently lives at, so a file never matches itself.
+ */
+export function checkDuplicate(reg, md, { self } = {}) {
+  const me = self ? rel(self) : '';
+  const hit = reg.byHash[contentHash(md)];
+  if (hit && hit !== me && exists(hit)) return { action: 'skip', existing: hit, reason: 'exact' };
+  const id = conversationId(md);
+  const prev = id ? reg.byConversation[id] : '';
+  if (prev && prev !== me && exists(prev)) {
+    const old = fs.readFileSync(path.join(repoRoot, prev), 'utf8');
+    if (normalizeBody(md).length > normalizeBody(old).length) return { action: 'update', existing: prev };
+    return { action: 'skip', existing: prev, reason: 'shorter' };
+  }
+  return { action: 'new' };
+}
+
+/** Overwrite an existing log in place with longer content for the same conversation. */
+export function updateInPlace(reg, existing, md) {
+  fs.writeFileSync(path.join(repoRoot, existing), md);
+  forgetPath(reg, existing);
+  recordFile(reg, existing, md);
+}
+
+/** Print a `--report` table of merge/skip events collected during a run. */
+export function printReport(events) {
+  if (!events.length) { console.log('Dedupe report: nothing merged or skipped.'); return; }
+  console.log('Dedupe report:');
+  for (const e of events) {
+    const what = e.action === 'update' ? 'merged into' : `skipped (${e.reason}) duplicate of`;
+    console.log(`  ${e.source} -> ${what} ${e.existing}`);
+  }
+}
+
+export { registryFile };
@@ -0,0 +1,329 @@
+// Offline dense retrieval: LSA embeddings computed by build-rag.mjs, plus the dense and hybrid
+// rankers used by the search page, ai-cli.mjs and mcp-server.mjs. Pure (no Node APIs, no model
+// download) so the browser bundle can import it too.
+//
+// Build side: a truncated SVD (randomized, seeded, so rebuilds are reproducible) of the TF-IDF
+// chunk × term matrix X ≈ U Σ Vᵀ. Each term gets a row of V (scaled by its idf), each chunk the
+// L2-normalized fold-in x·V. A query is folded in the same way, so "GPU driver version" lands near
+// chunks about nvidia-smi when the corpus uses those words together elsewhere.
+//
+// Stored in rag-index.json (and the shards) as Int8 vectors, base64, with one scale per vector:
+//   dense:     { method: 'lsa', dims, terms: { term: [scale, b64] } }
+//   chunks[i]: { …, emb: [scale, b64] }
+//
+// Retrievers: 'lexical' (rankChunks), 'dense' (cosine in LSA space), 'hybrid' (reciprocal rank
+// fusion of the two, k = 60).
+
+import { queryTerms, rankChunks } from './rag-score.mjs';
+
+export const RETRIEVERS = ['lexical', 'dense', 'hybrid'];
+export const RRF_K = 60;
+
+// ---------------------------------------------------------------------------
+// Int8 quantization
+
+const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const B64_INDEX = new Map(Array.from(B64, (c, i) => [c, i]));
+
+function toBase64(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    out += B64[(n >> 18) & 63] + B64[(n >> 12) & 63];
+    out += i + 1 < bytes.length ? B64[(n >> 6) & 63] : '=';
+    out += i + 2 < bytes.length ? B64[n & 63] : '=';
+  }
+  return out;
+}
+
+function fromBase64(s) {
+  const clean = s.replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let n = 0;
+  let bits = 0;
+  let j = 0;
+  for (const c of clean) {
+    n = (n << 6) | (B64_INDEX.get(c) ?? 0);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[j++] = (n >> bits) & 255;
+    }
+  }
+  return bytes;
+}
+
+/** Int8-quantize a vector: [scale, base64]; value ≈ int8 * scale. */
+export function quantize(vec) {
+  let max = 0;
+  for (const v of vec) max = Math.max(max, Math.abs(v));
+  const scale = max / 127 || 1;
+  const q = new Int8Array(vec.length);
+  for (let i = 0; i < vec.length; i++) q[i] = Math.round(vec[i] / scale);
+  return [Number(scale.toPrecision(6)), toBase64(new Uint8Array(q.buffer))];
+}
+
+/** Inverse of quantize. */
+export function dequantize([scale, b64]) {
+  const q = new Int8Array(fromBase64(b64).buffer);
+  const out = new Float32Array(q.length);
+  for (let i = 0; i < q.length; i++) out[i] = q[i] * scale;
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Truncated SVD
+
+/** mulberry32: small seeded PRNG so the projection (and the output files) are reproducible. */
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Orthonormalize the columns of a rows × l row-major matrix in place (modified Gram–Schmidt). */
+function orthonormalize(m, rows, l) {
+  for (let j = 0; j < l; j++) {
+    for (let p = 0; p < j; p++) {
+      let dot = 0;
+      for (let r = 0; r < rows; r++) dot += m[r * l + j] * m[r * l + p];
+      for (let r = 0; r < rows; r++) m[r * l + j] -= dot * m[r * l + p];
+    }
+    let norm = 0;
+    for (let r = 0; r < rows; r++) norm += m[r * l + j] ** 2;
+    norm = Math.sqrt(norm);
+    for (let r = 0; r < rows; r++) m[r * l + j] = norm > 1e-12 ? m[r * l + j] / norm : 0;
+  }
+}
+
+/** Eigen-decomposition of a symmetric l × l matrix (cyclic Jacobi): { values, vectors (columns) }. */
+function symmetricEigen(a, l) {
+  const v = new Float64Array(l * l);
+  for (let i = 0; i < l; i++) v[i * l + i] = 1;
+  for (let sweep = 0; sweep < 60; sweep++) {
+    let off = 0;
+    for (let p = 0; p < l; p++) for (let q = p + 1; q < l; q++) off += a[p * l + q] ** 2;
+    if (off < 1e-20) break;
+    for (let p = 0; p < l; p++) {
+      for (let q = p + 1; q < l; q++) {
+        const apq = a[p * l + q];
+        if (Math.abs(apq) < 1e-15) continue;
+        const theta = (a[q * l + q] - a[p * l + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < l; k++) {
+          const akp = a[k * l + p];
+          const akq = a[k * l + q];
+          a[k * l + p] = c * akp - s * akq;
+          a[k * l + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < l; k++) {
+          const apk = a[p * l + k];
+          const aqk = a[q * l + k];
+          a[p * l + k] = c * apk - s * aqk;
+          a[q * l + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < l; k++) {
+          const vkp = v[k * l + p];
+          const vkq = v[k * l + q];
+          v[k * l + p] = c * vkp - s * vkq;
+          v[k * l + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: Array.from({ length: l }, (_, i) => a[i * l + i]), vectors: v };
+}
+
+/**
+ * Right singular vectors of a sparse docs × terms matrix (`rows`: [[termIndex, weight], …] per doc),
+ * by randomized SVD with two power iterations. Returns a Float64Array terms × dims (row-major) and
+ * the number of dims actually kept (never more than the matrix rank).
+ */
+export function truncatedSvd(rows, nTerms, dims, seed = 1) {
+  const n = rows.length;
+  const l = Math.min(dims + 8, n, nTerms);
+  if (l < 1) return { v: new Float64Array(0), dims: 0 };
+  const rand = rng(seed);
+  const gauss = () => Math.sqrt(-2 * Math.log(rand() || 1e-12)) * Math.cos(2 * Math.PI * rand());
+
+  const xTimes = (z) => { // X · Z (terms × l) → docs × l
+    const y = new Float64Array(n * l);
+    rows.forEach((row, r) => {
+      for (const [t, w] of row) for (let j = 0; j < l; j++) y[r * l + j] += w * z[t * l + j];
+    });
+    return y;
+  };
+  const xtTimes = (y) => { // Xᵀ · Y (docs × l) → terms × l
+    const z = new Float64Array(nTerms * l);
+    rows.forEach((row, r) => {
+      for (const [t, w] of row) for (let j = 0; j < l; j++) z[t * l + j] += w * y[r * l + j];
+    });
+    return z;
+  };
+
+  const omega = Float64Array.from({ length: nTerms * l }, gauss);
+  let y = xTimes(omega);
+  orthonormalize(y, n, l);
+  for (let it = 0; it < 2; it++) {
+    const z = xtTimes(y);
+    orthonormalize(z, nTerms, l);
+    y = xTimes(z);
+    orthonormalize(y, n, l);
+  }
+  // B = Qᵀ X, kept transposed (terms × l); its SVD comes from the eigenvectors of B Bᵀ.
+  const bt = xtTimes(y);
+  const gram = new Float64Array(l * l);
+  for (let t = 0; t < nTerms; t++) {
+    for (let i = 0; i < l; i++) {
+      const bi = bt[t * l + i];
+      if (!bi) continue;
+      for (let j = 0; j < l; j++) gram[i * l + j] += bi * bt[t * l + j];
+    }
+  }
+  const { values, vectors } = symmetricEigen(gram, l);
+  const order = values.map((val, i) => [val, i]).sort((a, b) => b[0] - a[0]);
+  const keep = order.slice(0, dims).filter(([val]) => val > 1e-10 * (order[0][0] || 1));
+  const k = keep.length;
+  const v = new Float64Array(nTerms * k);
+  keep.forEach(([val, i], j) => {
+    const sigma = Math.sqrt(val);
+    for (let t = 0; t < nTerms; t++) {
+      let s = 0;
+      for (let p = 0; p < l; p++) s += bt[t * l + p] * vectors[p * l + i];
+      v[t * k + j] = s / sigma;
+    }
+  });
+  return { v, dims: k };
+}
+
+function normalized(vec) {
+  let s = 0;
+  for (const x of vec) s += x * x;
+  const n = Math.sqrt(s);
+  return n ? vec.map((x) => x / n) : vec;
+}
+
+/**
+ * LSA embeddings for build-rag.mjs. `docs`: Map(term → tf) per chunk; `idf`: Map(term → idf).
+ * Terms in fewer than `minDf` chunks carry no co-occurrence signal and are left out.
+ * Returns `{ dense, embs }` (embs aligned with docs), or null when there is too little text.
+ */
+export function buildDense(docs, idf, { dims = 64, minDf = 2, seed = 1 } = {}) {
+  const df = new Map();
+  for (const tf of docs) for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const terms = Array.from(df.keys()).filter((t) => df.get(t) >= minDf).sort();
+  if (terms.length < 2 || docs.length < 2) return null;
+  const index = new Map(terms.map((t, i) => [t, i]));
+  const rows = docs.map((tf) => {
+    const row = [];
+    let s = 0;
+    for (const [t, f] of tf) {
+      const i = index.get(t);
+      if (i === undefined) continue;
+      const w = f * (idf.get(t) || 1);
+      row.push([i, w]);
+      s += w * w;
+    }
+    const norm = Math.sqrt(s) || 1;
+    return row.map(([i, w]) => [i, w / norm]);
+  });
+  const { v, dims: k } = truncatedSvd(rows, terms.length, dims, seed);
+  if (!k) return null;
+  const termRows = {};
+  terms.forEach((t, i) => {
+    const w = idf.get(t) || 1;
+    termRows[t] = quantize(Array.from({ length: k }, (_, j) => v[i * k + j] * w));
+  });
+  const embs = rows.map((row) => {
+    const e = new Array(k).fill(0);
+    for (const [i, w] of row) for (let j = 0; j < k; j++) e[j] += w * v[i * k + j];
+    return quantize(normalized(e));
+  });
+  return { dense: { method: 'lsa', dims: k, terms: termRows }, embs };
+}
+
+// ---------------------------------------------------------------------------
+// Ranking
+
+const embCache = new WeakMap();
+
+/** Decoded chunk embedding, cached per stored vector (assembled shard indexes copy the chunks). */
+function chunkEmb(c) {
+  if (!c.emb) return null;
+  let e = embCache.get(c.emb);
+  if (!e) {
+    e = normalized(dequantize(c.emb));
+    embCache.set(c.emb, e);
+  }
+  return e;
+}
+
+/** Query vector folded into the index's LSA space (null when no query term is known). */
+export function embedQuery(rag, query) {
+  const d = rag?.dense;
+  if (!d?.terms) return null;
+  const q = new Float32Array(d.dims);
+  let hit = false;
+  for (const t of queryTerms(rag, query)) {
+    const row = d.terms[t];
+    if (!row) continue;
+    const r = dequantize(row);
+    for (let j = 0; j < q.length; j++) q[j] += r[j];
+    hit = true;
+  }
+  return hit ? normalized(q) : null;
+}
+
+/** Dense ranking: cosine between the folded-in query and each chunk embedding. */
+export function denseRank(rag, query, k = 6) {
+  const q = embedQuery(rag, query);
+  if (!q || !rag.chunks?.length) return [];
+  const scores = [];
+  rag.chunks.forEach((c, i) => {
+    const e = chunkEmb(c);
+    if (!e) return;
+    let dot = 0;
+    for (let j = 0; j < q.length; j++) dot += q[j] * e[j];
+    if (dot > 0) scores.push([i, dot]);
+  });
+  scores.sort((a, b) => b[1] - a[1]);
+  return scores.slice(0, k).map(([i, s]) => ({ score: s, ...rag.chunks[i] }));
+}
+
+/** Reciprocal rank fusion of ranked lists (each an array of chunks with `id`). */
+export function fuseRankings(lists, k = 6) {
+  const acc = new Map();
+  for (const list of lists) {
+    list.forEach((c, rank) => {
+      const cur = acc.get(c.id) || { chunk: c, score: 0 };
+      cur.score += 1 / (RRF_K + rank + 1);
+      acc.set(c.id, cur);
+    });
+  }
+  return Array.from(acc.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ chunk, score }) => ({ ...chunk, score }));
+}
+
+/** Hybrid ranking: RRF over the lexical and dense top `pool` (at least 50). */
+export function hybridRank(rag, query, k = 6) {
+  const pool = Math.max(50, k * 4);
+  return fuseRankings([rankChunks(rag, query, pool), denseRank(rag, query, pool)], k);
+}
+
+/**
+ * Rank with the chosen retriever. 'dense' and 'hybrid' fall back to lexical for indexes built
+ * without embeddings.
+ */
+export function retrieve(rag, query, k = 6, retriever = 'lexical') {
+  if (retriever === 'lexical' || !rag?.dense) return rankChunks(rag, query, k);
+  return retriever === 'dense' ? denseRank(rag, query, k) : hybridRank(rag, query, k);
+}
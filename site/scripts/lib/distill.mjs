@@ -0,0 +1,159 @@
+// Memory distillation: turn a log into a summary and a handful of key facts. The summary is
+// extractive (TextRank over the log's sentences) unless nightly-summarize.mjs has a provider to
+// write one; facts are the rig lines (driver, kernel, …), shell commands and fix sentences, each
+// stored as its own capsule whose `source` points back at the log. Pure (no Node APIs).
+//
+// Agent state (logs/memory/agent-state/distilled.json):
+//   { version, updatedAt, logs: { 'logs/…md': { hash, distilledAt, mode, summaryId, facts: { key: capsuleId } } } }
+// A log is distilled again only when its content hash changes.
+
+import { createAnalyzer, DEFAULT_ANALYZER } from './analyzer.mjs';
+import { RIG_FIELDS } from './logdoc.mjs';
+
+export const DISTILL_DEFAULTS = { sentences: 3, damping: 0.85, iterations: 50, maxFacts: 12 };
+
+const SHELL_LANGS = new Set(['', 'sh', 'bash', 'shell', 'console', 'zsh', 'fish', 'powershell', 'ps1', 'cmd']);
+const HEADER_RE = /^(Conversation ID|Received At|Tags|Code)\s*:/i;
+const FIX_RE = /\b(fix(?:ed|es)?|solved|resolved|workaround|the (?:issue|problem|cause) (?:is|was)|turned out)\b/i;
+
+/** Sentences of Markdown prose: code fences, header lines and list/quote markers dropped. */
+export function splitSentences(text) {
+  const out = [];
+  let fence = '';
+  for (let line of String(text || '').replace(/\r\n/g, '\n').split('\n')) {
+    const mark = line.match(/^[ \t]{0,3}(`{3,}|~{3,})/)?.[1];
+    if (fence) {
+      if (mark && mark[0] === fence[0] && mark.length >= fence.length) fence = '';
+      continue;
+    }
+    if (mark) { fence = mark; continue; }
+    line = line.replace(/^\s*(?:#{1,6}\s+|[-*+]\s+|\d+[.)]\s+|>\s*)/, '').replace(/\*\*(USER|ASSISTANT)\*\*:\s*/i, '').trim();
+    if (!line || HEADER_RE.test(line) || RIG_FIELDS.some((f) => f.names.some((n) => line.startsWith(`${n}:`)))) continue;
+    for (const s of line.split(/(?<=[.!?])\s+(?=[A-Z0-9`"'(])/)) {
+      const t = s.trim();
+      if (t.split(/\s+/).length >= 4) out.push(t.length > 400 ? `${t.slice(0, 399)}…` : t);
+    }
+  }
+  return out;
+}
+
+/**
+ * TextRank scores for sentences (Mihalcea & Tarau): edges weighted by shared terms over
+ * log(|a|) + log(|b|), PageRank with `damping`, `iterations` rounds of power iteration.
+ * @param {string[]} sentences
+ */
+export function textRank(sentences, { damping = DISTILL_DEFAULTS.damping, iterations = DISTILL_DEFAULTS.iterations, analyzer = DEFAULT_ANALYZER } = {}) {
+  const an = createAnalyzer(analyzer);
+  const sets = sentences.map((s) => new Set(an.tokenize(s)));
+  const n = sentences.length;
+  const w = sets.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const a = sets[i];
+      const b = sets[j];
+      const denom = Math.log(a.size + 1) + Math.log(b.size + 1);
+      let shared = 0;
+      for (const t of a) if (b.has(t)) shared++;
+      w[i][j] = w[j][i] = shared && denom ? shared / denom : 0;
+    }
+  }
+  const out = w.map((row) => row.reduce((s, x) => s + x, 0));
+  let score = new Array(n).fill(1);
+  for (let it = 0; it < iterations; it++) {
+    score = score.map((_, i) => {
+      let sum = 0;
+      for (let j = 0; j < n; j++) if (w[j][i] && out[j]) sum += (w[j][i] / out[j]) * score[j];
+      return 1 - damping + damping * sum;
+    });
+  }
+  return score.map((s) => Math.round(s * 1e4) / 1e4);
+}
+
+/** The `sentences` best-ranked distinct sentences, in the order they appear in the text. */
+export function extractiveSummary(text, { sentences = DISTILL_DEFAULTS.sentences, ...opts } = {}) {
+  const all = splitSentences(text);
+  const scores = textRank(all, opts);
+  const seen = new Set();
+  return all
+    .map((s, i) => ({ s, i, score: scores[i] }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .filter((x) => !seen.has(x.s.toLowerCase()) && seen.add(x.s.toLowerCase()))
+    .slice(0, sentences)
+    .sort((a, b) => a.i - b.i)
+    .map((x) => x.s);
+}
+
+function commandsOf(turns) {
+  const out = [];
+  for (const t of turns) {
+    for (const block of t.code || []) {
+      if (!SHELL_LANGS.has(block.lang)) continue;
+      for (const line of block.code.split('\n')) {
+        const cmd = line.replace(/^\s*[$>]\s+/, '').trim();
+        if (cmd && !cmd.startsWith('#') && /^[\w./~-]/.test(cmd)) out.push(cmd);
+      }
+    }
+    for (const m of String(t.text || '').matchAll(/^\s*\$\s+(.+)$/gm)) out.push(m[1].trim());
+  }
+  return out;
+}
+
+/**
+ * Key facts of a parsed log (lib/logdoc.mjs LogDoc): `[{ key, kind, title, text }]` with kind
+ * `rig` (driver, GPU, kernel, … versions), `command` (shell lines from code blocks or `$ ` lines)
+ * or `fix` (sentences saying what fixed a problem). `key` is stable across runs so a changed log
+ * updates its fact capsules instead of adding new ones.
+ */
+export function extractFacts(doc, { maxFacts = DISTILL_DEFAULTS.maxFacts } = {}) {
+  const facts = [];
+  const seen = new Set();
+  const add = (f) => {
+    if (seen.has(f.key) || facts.length >= maxFacts) return;
+    seen.add(f.key);
+    facts.push(f);
+  };
+  for (const f of RIG_FIELDS) {
+    const v = doc.rig?.[f.key];
+    if (v) add({ key: `rig:${f.key}`, kind: 'rig', title: `${f.label} ${v}`, text: `${f.label}: ${v} (${doc.title})` });
+  }
+  const turns = doc.turns?.length ? doc.turns : [{ text: doc.body || '', code: [] }];
+  for (const cmd of commandsOf(turns)) {
+    const c = cmd.length > 200 ? cmd.slice(0, 200) : cmd;
+    add({ key: `command:${c}`, kind: 'command', title: `Command: ${c.slice(0, 60)}`, text: c });
+  }
+  for (const s of splitSentences(turns.filter((t) => t.role !== 'user').map((t) => t.text).join('\n'))) {
+    if (!FIX_RE.test(s)) continue;
+    add({ key: `fix:${s.toLowerCase().replace(/\W+/g, ' ').trim().slice(0, 120)}`, kind: 'fix', title: `Fix: ${s.slice(0, 60)}`, text: s });
+  }
+  return facts;
+}
+
+/**
+ * Logs that need distilling: never distilled, or changed since (content hash differs).
+ * Oldest first, so a backlog drains in order; `limit` caps one run.
+ * @param {{ rel: string, hash: string, date?: string }[]} logs
+ * @param {{ logs?: Record<string, { hash: string }> }} state
+ */
+export function pendingLogs(logs, state, { limit = Infinity } = {}) {
+  const done = state?.logs || {};
+  return logs
+    .filter((l) => done[l.rel]?.hash !== l.hash)
+    .sort((a, b) => (a.date || '').localeCompare(b.date || '') || (a.rel < b.rel ? -1 : 1))
+    .slice(0, limit);
+}
+
+/**
+ * What to do with a log's fact capsules given the facts from the last run (`previous`: key → id):
+ * `{ add: fact[], update: [{ id, fact }], remove: id[] }`.
+ */
+export function planFacts(facts, previous = {}) {
+  const add = [];
+  const update = [];
+  for (const f of facts) {
+    if (previous[f.key]) update.push({ id: previous[f.key], fact: f });
+    else add.push(f);
+  }
+  const keys = new Set(facts.map((f) => f.key));
+  const remove = Object.entries(previous).filter(([k]) => !keys.has(k)).map(([, id]) => id);
+  return { add, update, remove };
+}
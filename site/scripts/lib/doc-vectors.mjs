@@ -0,0 +1,51 @@
+// Per-log TF-IDF vectors from RAG chunks: the mean of a log's chunk vectors, as
+// components/RelatedLogs.tsx computes them in the browser. Used by the prebuild models
+// (tag suggestions) that work on whole logs rather than chunks.
+
+/**
+ * @typedef {{ href: string, relPath: string, title: string, date: string, tags: string[], vec: Map<string, number>, norm: number }} DocVec
+ */
+
+/**
+ * One vector per log (keyed by relPath), in first-seen order.
+ * @param {{ href: string, relPath: string, title: string, date?: string, tags?: string[], vector: [string, number][] }[]} chunks
+ * @returns {Map<string, DocVec>}
+ */
+export function buildDocVectors(chunks) {
+  const docs = new Map();
+  for (const c of chunks || []) {
+    let d = docs.get(c.relPath);
+    if (!d) {
+      d = { href: c.href, relPath: c.relPath, title: c.title, date: c.date || '', tags: new Set(), count: 0, sum: new Map() };
+      docs.set(c.relPath, d);
+    }
+    d.count++;
+    for (const [t, w] of c.vector || []) d.sum.set(t, (d.sum.get(t) || 0) + w);
+    for (const t of c.tags || []) d.tags.add(t);
+  }
+  const out = new Map();
+  for (const [rel, d] of docs) {
+    const vec = new Map();
+    for (const [t, s] of d.sum) vec.set(t, s / d.count);
+    out.set(rel, { href: d.href, relPath: rel, title: d.title, date: d.date, tags: Array.from(d.tags), vec, norm: vectorNorm(vec) });
+  }
+  return out;
+}
+
+/** Euclidean norm of a sparse vector; 1 for an empty one so divisions stay finite. */
+export function vectorNorm(vec) {
+  let sumsq = 0;
+  for (const w of vec.values()) sumsq += w * w;
+  return Math.sqrt(sumsq) || 1;
+}
+
+/** Cosine similarity of two sparse vectors `{ vec, norm }`. */
+export function cosine(a, b) {
+  const [small, large] = a.vec.size <= b.vec.size ? [a.vec, b.vec] : [b.vec, a.vec];
+  let dot = 0;
+  for (const [t, w] of small) {
+    const o = large.get(t);
+    if (o) dot += w * o;
+  }
+  return dot / (a.norm * b.norm);
+}
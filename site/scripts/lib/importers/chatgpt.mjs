@@ -0,0 +1,100 @@
+import { isZip, readZipEntry } from '../zip.mjs';
+
+// ChatGPT data export adapter. The export ships `conversations.json`: an array of
+// conversations whose messages live in a `mapping` tree (node id -> { message, parent, children }).
+// Regenerated answers and edited prompts create sibling branches; only the active branch
+// (from `current_node` back to the root) is what the user last saw.
+
+/** Walk the active branch of a conversation and return its nodes root-first. */
+export function activeBranch(conv) {
+  const mapping = conv?.mapping || {};
+  let id = conv?.current_node;
+  if (!id || !mapping[id]) {
+    // No pointer to the leaf: start at the root and keep following the newest child.
+    id = Object.keys(mapping).find((k) => !mapping[k]?.parent || !mapping[mapping[k].parent]);
+    while (id && mapping[id]?.children?.length) {
+      const kids = mapping[id].children;
+      id = kids[kids.length - 1];
+    }
+  }
+  const out = [];
+  const seen = new Set();
+  while (id && mapping[id] && !seen.has(id)) {
+    seen.add(id);
+    out.push(mapping[id]);
+    id = mapping[id].parent;
+  }
+  return out.reverse();
+}
+
+function fence(code, lang) {
+  const body = String(code || '').replace(/\n+$/, '');
+  const ticks = /```/.test(body) ? '````' : '```';
+  return `${ticks}${lang && lang !== 'unknown' ? lang : ''}\n${body}\n${ticks}`;
+}
+
+/** Render one export message to Markdown, or '' when it carries nothing worth keeping. */
+export function messageText(message) {
+  const content = message?.content || {};
+  const type = content.content_type;
+  if (type === 'code') return fence(content.text, content.language);
+  if (type === 'text' || type === 'multimodal_text') {
+    const parts = (content.parts || []).map((p) => {
+      if (typeof p === 'string') return p;
+      if (p?.content_type === 'image_asset_pointer') return '_[image]_';
+      return '';
+    }).filter((s) => s.trim());
+    const text = parts.join('\n\n').trim();
+    // Assistant messages addressed to a tool (e.g. the python sandbox) are code, not prose.
+    if (text && message.recipient && message.recipient !== 'all' && message.author?.role === 'assistant') {
+      return fence(text, message.recipient === 'python' ? 'python' : '');
+    }
+    return text;
+  }
+  return '';
+}
+
+/** Convert one raw export conversation to the normalized transcript shape. */
+export function normalizeConversation(conv) {
+  const messages = [];
+  for (const node of activeBranch(conv)) {
+    const m = node.message;
+    const role = m?.author?.role;
+    if (role !== 'user' && role !== 'assistant') continue;
+    if (m.metadata?.is_visually_hidden_from_conversation) continue;
+    const text = messageText(m);
+    if (!text) continue;
+    const last = messages[messages.length - 1];
+    // Assistant replies are often split across several nodes (tool call + answer); keep one turn.
+    if (last && last.role === role) last.text += '\n\n' + text;
+    else messages.push({ role, text });
+  }
+  const ts = Number(conv.create_time || 0);
+  return {
+    id: String(conv.conversation_id || conv.id || ''),
+    title: String(conv.title || '').trim() || 'Untitled conversation',
+    createdAt: ts ? new Date(ts * 1000).toISOString() : '',
+    messages
+  };
+}
+
+/**
+ * Parse a ChatGPT export from the raw bytes of either the export zip or `conversations.json`.
+ * Returns normalized transcripts, skipping conversations without any visible turns.
+ */
+export function parseChatGPTExport(buf) {
+  let json = buf;
+  if (isZip(buf)) {
+    json = readZipEntry(buf, (n) => n === 'conversations.json' || n.endsWith('/conversations.json'));
+    if (!json) throw new Error('conversations.json not found in export zip');
+  }
+  const data = JSON.parse(String(json));
+  const list = Array.isArray(data) ? data : (Array.isArray(data?.conversations) ? data.conversations : []);
+  return list.map(normalizeConversation).filter((c) => c.messages.length);
+}
+
+export default {
+  name: 'chatgpt',
+  description: 'ChatGPT data export (zip or conversations.json)',
+  parse: parseChatGPTExport
+};
@@ -0,0 +1,51 @@
+import { isZip, readZipEntry } from '../zip.mjs';
+import { isoDate } from '../transcript.mjs';
+
+// Claude.ai data export adapter. The export's `conversations.json` is an array of
+// { uuid, name, created_at, chat_messages: [{ sender: 'human'|'assistant', text, content[], attachments[] }] }.
+// Newer exports put the message body in typed `content` parts; older ones only have `text`.
+
+function partsText(msg) {
+  const parts = Array.isArray(msg.content) ? msg.content : [];
+  const texts = parts.filter((p) => p?.type === 'text' && p.text).map((p) => p.text);
+  const text = (texts.length ? texts.join('\n\n') : String(msg.text || '')).trim();
+  const files = (msg.attachments || []).map((a) => a?.file_name).filter(Boolean);
+  return files.length ? `${text}\n\n_Attachments: ${files.join(', ')}_`.trim() : text;
+}
+
+export function normalizeConversation(conv) {
+  const messages = [];
+  for (const msg of conv.chat_messages || []) {
+    const role = msg.sender === 'human' ? 'user' : msg.sender === 'assistant' ? 'assistant' : '';
+    if (!role) continue;
+    const text = partsText(msg);
+    if (!text) continue;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) last.text += '\n\n' + text;
+    else messages.push({ role, text });
+  }
+  return {
+    id: String(conv.uuid || ''),
+    title: String(conv.name || '').trim() || 'Untitled conversation',
+    createdAt: isoDate(conv.created_at),
+    messages
+  };
+}
+
+/** Parse a Claude export from the raw bytes of the export zip or its `conversations.json`. */
+export function parseClaudeExport(buf) {
+  let json = buf;
+  if (isZip(buf)) {
+    json = readZipEntry(buf, (n) => n === 'conversations.json' || n.endsWith('/conversations.json'));
+    if (!json) throw new Error('conversations.json not found in export zip');
+  }
+  const data = JSON.parse(String(json));
+  const list = Array.isArray(data) ? data : [data];
+  return list.map(normalizeConversation).filter((c) => c.messages.length);
+}
+
+export default {
+  name: 'claude',
+  description: 'Claude.ai data export (zip or conversations.json)',
+  parse: parseClaudeExport
+};
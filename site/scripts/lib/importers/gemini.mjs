@@ -0,0 +1,53 @@
+import { isZip, readZipEntry } from '../zip.mjs';
+import { stableId, titleFromMessages, isoDate } from '../transcript.mjs';
+import { htmlToMarkdown } from '../../tools/scraper.mjs';
+
+// Google Takeout "My Activity" adapter for Gemini Apps (formerly Bard). Choose JSON as the
+// activity format when exporting. Each activity item is one prompt + response pair:
+// { title: 'Prompted …', time, products: ['Gemini Apps'], safeHtmlItem: [{ html }] }.
+// Takeout has no conversation grouping, so every prompt becomes its own log.
+
+const ACTIVITY_RE = /(^|\/)My Activity\/(Gemini Apps|Bard)\/MyActivity\.json$/i;
+
+export function normalizeActivity(item) {
+  const raw = String(item?.title || '');
+  // Other activity kinds ("Used …", "Created Gem") carry no conversation.
+  if (!/^Prompted\s/i.test(raw)) return null;
+  const prompt = raw.replace(/^Prompted\s+/i, '').trim();
+  if (!prompt) return null;
+  const answer = (item.safeHtmlItem || [])
+    .map((h) => htmlToMarkdown(String(h?.html || '')).markdown)
+    .filter(Boolean)
+    .join('\n\n')
+    .trim();
+  const messages = [{ role: 'user', text: prompt }];
+  if (answer) messages.push({ role: 'assistant', text: answer });
+  const createdAt = isoDate(item.time);
+  return {
+    id: stableId('gemini', item.time, prompt),
+    title: titleFromMessages(messages) || 'Gemini prompt',
+    createdAt,
+    messages
+  };
+}
+
+/** Parse Gemini activity from a Takeout zip or the MyActivity.json file itself. */
+export function parseGeminiTakeout(buf) {
+  let json = buf;
+  if (isZip(buf)) {
+    json = readZipEntry(buf, (n) => ACTIVITY_RE.test(n));
+    if (!json) throw new Error('My Activity/Gemini Apps/MyActivity.json not found in Takeout zip (export activity as JSON)');
+  }
+  const data = JSON.parse(String(json));
+  const list = Array.isArray(data) ? data : [];
+  return list
+    .filter((it) => !it.products || it.products.some((p) => /gemini|bard/i.test(p)))
+    .map(normalizeActivity)
+    .filter(Boolean);
+}
+
+export default {
+  name: 'gemini',
+  description: 'Google Takeout Gemini Apps activity (zip or MyActivity.json)',
+  parse: parseGeminiTakeout
+};
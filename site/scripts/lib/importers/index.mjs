@@ -0,0 +1,14 @@
+import chatgpt from './chatgpt.mjs';
+import claude from './claude.mjs';
+import gemini from './gemini.mjs';
+import jsonl from './jsonl.mjs';
+
+// Source adapter registry for ingest.mjs. An adapter is { name, description, parse(buf) } where
+// parse returns normalized transcripts: [{ id, title, createdAt, tags?, messages: [{ role, text }] }].
+// To add a source, drop a module next to this one and register it here.
+
+export const importers = { chatgpt, claude, gemini, jsonl };
+
+export function getImporter(name) {
+  return importers[String(name || '').toLowerCase()] || null;
+}
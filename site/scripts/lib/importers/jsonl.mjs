@@ -0,0 +1,66 @@
+import { stableId, titleFromMessages, isoDate } from '../transcript.mjs';
+
+// Generic OpenAI-messages JSONL adapter. One conversation per line, either a bare messages
+// array `[{ role, content }, …]` or an object `{ id?, title?, created_at?, tags?, messages: [...] }`.
+// `content` may be a string or an array of `{ type: 'text', text }` parts.
+
+function contentText(content) {
+  if (typeof content === 'string') return content.trim();
+  if (Array.isArray(content)) {
+    return content
+      .map((p) => (typeof p === 'string' ? p : (p?.type === 'text' || p?.type === 'input_text' || p?.type === 'output_text') ? p.text : ''))
+      .filter(Boolean)
+      .join('\n\n')
+      .trim();
+  }
+  return '';
+}
+
+export function normalizeLine(rec) {
+  const raw = Array.isArray(rec) ? rec : (Array.isArray(rec?.messages) ? rec.messages : null);
+  if (!raw) return null;
+  const messages = [];
+  for (const m of raw) {
+    const role = m?.role === 'user' ? 'user' : m?.role === 'assistant' ? 'assistant' : '';
+    if (!role) continue;
+    const text = contentText(m.content);
+    if (!text) continue;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) last.text += '\n\n' + text;
+    else messages.push({ role, text });
+  }
+  if (!messages.length) return null;
+  const meta = Array.isArray(rec) ? {} : rec;
+  const when = meta.created_at ?? meta.createdAt ?? meta.timestamp;
+  const createdAt = when ? isoDate(typeof when === 'number' && when < 1e12 ? when * 1000 : when) : '';
+  return {
+    id: meta.id ? String(meta.id) : stableId('jsonl', JSON.stringify(messages)),
+    title: String(meta.title || '').trim() || titleFromMessages(messages) || 'Chat Transcript',
+    createdAt,
+    tags: Array.isArray(meta.tags) ? meta.tags.map(String) : [],
+    messages
+  };
+}
+
+/** Parse JSONL text; malformed lines are reported and skipped rather than aborting the import. */
+export function parseMessagesJsonl(buf) {
+  const out = [];
+  const lines = String(buf).split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    try {
+      const conv = normalizeLine(JSON.parse(line));
+      if (conv) out.push(conv);
+    } catch (e) {
+      console.warn(`jsonl: skip line ${i + 1}: ${e?.message || e}`);
+    }
+  }
+  return out;
+}
+
+export default {
+  name: 'jsonl',
+  description: 'OpenAI-style messages JSONL (one conversation per line)',
+  parse: parseMessagesJsonl
+};
@@ -0,0 +1,204 @@
+// Knowledge graph: logs, memory capsules, tags, URLs and rig components as nodes, with the links
+// between them materialized as edges. Pure and import-free, so the /graph/knowledge page can bundle
+// it: prebuild.mjs writes public/knowledge-graph.json (passing LogDoc's RIG_FIELDS), the page draws it
+// and the MCP server answers neighbor queries.
+//
+// Node ids are prefixed by type: `log:/logs/…`, `capsule:<id>`, `tag:<tag>`, `url:<url>`,
+// `rig:<field>:<value>`. Edges (`source` → `target`):
+//   tagged        log/capsule → tag
+//   cites         log/capsule → log or URL linked from its text
+//   derived-from  capsule → the log or URL in its `source` (and those of capsules merged into it)
+//   mentions      log/capsule → rig component (Driver: 555.55, Kernel: 6.9, … lines)
+
+export const NODE_TYPES = ['log', 'capsule', 'tag', 'url', 'rig'];
+export const EDGE_TYPES = ['tagged', 'cites', 'derived-from', 'mentions'];
+
+const URL_RE = /https?:\/\/[^\s<>()"'`[\]{}|\\^]+/g;
+const LOG_HREF_RE = /(?:^|[\s("'[<])(\/logs\/[\w./%-]+)/g;
+const LOG_PATH_RE = /(?:^|[^\w/])((?:logs\/)?\d{4}\/\d{2}\/\d{2}\/[\w.%-]+?\.md)\b/g;
+
+const trimPunct = (s) => s.replace(/[.,;:!?]+$/, '');
+
+/** URL as a node key: no #fragment, no trailing slash or sentence punctuation. */
+export function normalizeUrl(url) {
+  return trimPunct(String(url || '')).replace(/#.*$/, '').replace(/\/+$/, '');
+}
+
+/** `/logs/…` href of a log reference: an href, `logs/…md` path or `YYYY/MM/DD/…md` path. */
+export function logHref(ref) {
+  const s = trimPunct(String(ref || '')).replace(/#.*$/, '').replace(/\/+$/, '').replace(/\.md$/i, '');
+  if (s.startsWith('/logs/')) return s;
+  return '/logs/' + s.replace(/^\/?(logs\/)?/, '');
+}
+
+/** Links in Markdown: `{ logs: [href], urls: [url] }`, each once, in order of appearance. */
+export function extractLinks(text) {
+  const s = String(text || '');
+  const logs = new Set();
+  const urls = new Set();
+  for (const m of s.matchAll(URL_RE)) urls.add(normalizeUrl(m[0]));
+  for (const m of s.matchAll(LOG_HREF_RE)) logs.add(logHref(m[1]));
+  for (const m of s.matchAll(LOG_PATH_RE)) logs.add(logHref(m[1]));
+  urls.delete('');
+  return { logs: [...logs], urls: [...urls] };
+}
+
+/**
+ * `Label: value` rig lines in free text (capsule content), as `{ key: value }` like LogDoc.rig.
+ * @param {string} text
+ * @param {{ key: string, names: string[] }[]} fields  RIG_FIELDS from lib/logdoc.mjs
+ */
+export function rigMentions(text, fields = []) {
+  const s = String(text || '');
+  const out = {};
+  for (const f of fields) {
+    for (const name of f.names) {
+      const m = s.match(new RegExp(`^[ \\t>*-]*${name}:[ \\t]*(.+)$`, 'mi'));
+      const v = m?.[1].replace(/\s*\([^)]*\)\s*$/, '').trim();
+      if (v) { out[f.key] = v; break; }
+    }
+  }
+  return out;
+}
+
+/**
+ * Build the graph.
+ * @param {{ logs: { href: string, title: string, tags?: string[], date?: string, rig?: Record<string, string>, links?: { logs: string[], urls: string[] } }[],
+ *           capsules: { id: string, title?: string, tags?: string[], source?: string, content?: string, summary?: string, sources?: { source?: string }[] }[],
+ *           rigFields?: { key: string, label: string, names: string[] }[] }} input  rigFields: RIG_FIELDS, for labels and capsule mentions
+ * @returns {{ version: 1, counts: { nodes: number, edges: number, byType: Record<string, number>, byEdge: Record<string, number> },
+ *             nodes: { id: string, type: string, label: string, href?: string, degree: number }[],
+ *             edges: { source: string, target: string, type: string }[] }}
+ */
+export function buildKnowledgeGraph({ logs = [], capsules = [], rigFields = [] }) {
+  const rigLabel = Object.fromEntries(rigFields.map((f) => [f.key, f.label]));
+  const nodes = new Map();
+  const edges = new Map();
+  const node = (id, type, label, href) => {
+    if (!nodes.has(id)) nodes.set(id, { id, type, label, ...(href ? { href } : {}), degree: 0 });
+    return id;
+  };
+  const edge = (source, target, type) => {
+    if (source !== target) edges.set(`${source}|${target}|${type}`, { source, target, type });
+  };
+  const logIds = new Set(logs.map((l) => `log:${l.href}`));
+  const tag = (t) => node(`tag:${t}`, 'tag', `#${t}`, `/tags/${encodeURIComponent(t)}`);
+  const url = (u) => node(`url:${u}`, 'url', u.replace(/^https?:\/\//, ''), u);
+  const rig = (key, value) => node(`rig:${key}:${String(value).toLowerCase()}`, 'rig', `${rigLabel[key] || key} ${value}`);
+  // A log path or URL that something cites or derives from; unknown logs are dropped.
+  const target = (ref) => {
+    if (/^https?:\/\//i.test(ref || '')) return url(normalizeUrl(ref));
+    const id = ref ? `log:${logHref(ref)}` : '';
+    return logIds.has(id) ? id : '';
+  };
+
+  for (const l of logs) node(`log:${l.href}`, 'log', l.title || l.href, l.href);
+  for (const l of logs) {
+    const id = `log:${l.href}`;
+    for (const t of l.tags || []) edge(id, tag(t), 'tagged');
+    for (const h of l.links?.logs || []) if (logIds.has(`log:${h}`)) edge(id, `log:${h}`, 'cites');
+    for (const u of l.links?.urls || []) edge(id, url(u), 'cites');
+    for (const [k, v] of Object.entries(l.rig || {})) edge(id, rig(k, v), 'mentions');
+  }
+  for (const c of capsules) {
+    const id = node(`capsule:${c.id}`, 'capsule', c.title || c.id);
+    for (const t of c.tags || []) edge(id, tag(t), 'tagged');
+    for (const ref of [c.source, ...(c.sources || []).map((s) => s.source)]) {
+      const to = target(ref);
+      if (to) edge(id, to, 'derived-from');
+    }
+    const links = extractLinks(`${c.summary || ''}\n${c.content || ''}`);
+    for (const h of links.logs) if (logIds.has(`log:${h}`) && !edges.has(`${id}|log:${h}|derived-from`)) edge(id, `log:${h}`, 'cites');
+    for (const u of links.urls) if (!edges.has(`${id}|url:${u}|derived-from`)) edge(id, url(u), 'cites');
+    for (const [k, v] of Object.entries(rigMentions(c.content, rigFields))) edge(id, rig(k, v), 'mentions');
+  }
+
+  const edgeList = [...edges.values()].sort((a, b) => a.source.localeCompare(b.source) || a.target.localeCompare(b.target) || a.type.localeCompare(b.type));
+  for (const e of edgeList) {
+    nodes.get(e.source).degree++;
+    nodes.get(e.target).degree++;
+  }
+  const nodeList = [...nodes.values()].sort((a, b) => NODE_TYPES.indexOf(a.type) - NODE_TYPES.indexOf(b.type) || a.id.localeCompare(b.id));
+  const count = (list, key) => {
+    const out = {};
+    for (const x of list) out[x[key]] = (out[x[key]] || 0) + 1;
+    return out;
+  };
+  return {
+    version: 1,
+    counts: { nodes: nodeList.length, edges: edgeList.length, byType: count(nodeList, 'type'), byEdge: count(edgeList, 'type') },
+    nodes: nodeList,
+    edges: edgeList
+  };
+}
+
+/**
+ * Node for a loose reference: a node id, a log href or path, a capsule id, a tag or a URL.
+ * @param {ReturnType<typeof buildKnowledgeGraph>} graph
+ */
+export function resolveNode(graph, ref) {
+  const byId = new Map((graph?.nodes || []).map((n) => [n.id, n]));
+  const r = String(ref || '').trim();
+  if (!r) return null;
+  const candidates = [r, `capsule:${r}`, `tag:${r.replace(/^#/, '')}`, `url:${normalizeUrl(r)}`];
+  if (/^(\/?logs\/|\d{4}\/)/.test(r)) candidates.push(`log:${logHref(r)}`);
+  for (const id of candidates) if (byId.has(id)) return byId.get(id);
+  return null;
+}
+
+/**
+ * Neighborhood of a node: everything within `depth` hops (edges followed both ways), optionally
+ * limited to some node and edge types. Nodes come nearest first with their `distance`; `edges` are
+ * the edges among the returned nodes. `null` if the node is unknown.
+ * @param {ReturnType<typeof buildKnowledgeGraph>} graph
+ * @param {string} ref
+ * @param {{ depth?: number, types?: string[], edgeTypes?: string[], limit?: number }} [opts]
+ */
+export function neighbors(graph, ref, { depth = 1, types = [], edgeTypes = [], limit = 200 } = {}) {
+  const start = resolveNode(graph, ref);
+  if (!start) return null;
+  const byId = new Map(graph.nodes.map((n) => [n.id, n]));
+  const adj = new Map();
+  for (const e of graph.edges) {
+    if (edgeTypes.length && !edgeTypes.includes(e.type)) continue;
+    for (const [a, b] of [[e.source, e.target], [e.target, e.source]]) {
+      if (!adj.has(a)) adj.set(a, []);
+      adj.get(a).push(b);
+    }
+  }
+  const dist = new Map([[start.id, 0]]);
+  let frontier = [start.id];
+  for (let d = 1; d <= depth && frontier.length; d++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const nb of adj.get(id) || []) {
+        if (dist.has(nb) || (types.length && !types.includes(byId.get(nb).type))) continue;
+        dist.set(nb, d);
+        next.push(nb);
+      }
+    }
+    frontier = next;
+  }
+  const nodes = [...dist]
+    .map(([id, distance]) => ({ ...byId.get(id), distance }))
+    .sort((a, b) => a.distance - b.distance || b.degree - a.degree || a.id.localeCompare(b.id))
+    .slice(0, Math.max(1, limit));
+  const keep = new Set(nodes.map((n) => n.id));
+  const edges = graph.edges.filter((e) => keep.has(e.source) && keep.has(e.target) && (!edgeTypes.length || edgeTypes.includes(e.type)));
+  return { node: start, nodes, edges };
+}
+
+/**
+ * Nodes whose label or id contains every word of `query`, best connected first.
+ * @param {ReturnType<typeof buildKnowledgeGraph>} graph
+ * @param {string} query
+ * @param {{ types?: string[], limit?: number }} [opts]
+ */
+export function searchNodes(graph, query, { types = [], limit = 20 } = {}) {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  return (graph?.nodes || [])
+    .filter((n) => (!types.length || types.includes(n.type)) && words.every((w) => `${n.label} ${n.id}`.toLowerCase().includes(w)))
+    .sort((a, b) => b.degree - a.degree || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
@@ -0,0 +1,475 @@
+import { normalizeTags, loadUiConfigTagAliases, applyTagAliases } from './tags.mjs';
+
+// One parser for log Markdown, shared by prebuild, build-rag, learn, route-logs and the pages.
+// A log may carry YAML frontmatter, the legacy header lines written by save-chat/ingest
+// (`Conversation ID:`, `Received At:`, `Tags:`) and rig lines (`GPU: …`, `Kernel: …`).
+// Frontmatter wins over legacy lines; the first H1 is the title because that is what renders.
+
+/**
+ * @typedef {Object} LogDoc
+ * @property {string} title        First `# ` heading, else frontmatter title, else 'Chat Transcript'
+ * @property {boolean} hasTitle    Whether the title came from the document rather than the fallback
+ * @property {string} id           Conversation ID ('' when absent or blank)
+ * @property {string} receivedAt   Received At / date as written
+ * @property {string} date         YYYY-MM-DD from the logs/YYYY/MM/DD path, else receivedAt
+ * @property {string[]} rawTags    Tags as written
+ * @property {string[]} tags       Normalized tags with UI aliases applied
+ * @property {Record<string, string>} rig  Known rig fields (see RIG_FIELDS) keyed by `key`
+ * @property {Record<string, any>} frontmatter  Parsed YAML frontmatter ({} when none)
+ * @property {string} body         Markdown without the frontmatter block
+ * @property {number} bodyLine     0-based line in the original file where `body` starts
+ * @property {number} bodyOffset   Character offset of `body` in the file (CRLF counted as LF)
+ * @property {string} preamble     Body text before the first turn (title and header lines)
+ * @property {Turn[]} turns        `**USER**:` / `**ASSISTANT**:` turns in order
+ * @property {Heading[]} headings  ATX headings outside code fences, in order
+ */
+
+/**
+ * @typedef {Object} Heading
+ * @property {number} level  1–6
+ * @property {string} text   Heading text without the #s and inline markup
+ * @property {string} slug   Anchor id the log page gives the heading (unique within the log)
+ * @property {number} start  Offset of the heading line in the file
+ */
+
+/**
+ * @typedef {Object} CodeBlock
+ * @property {string} lang   Fence info word ('' when none)
+ * @property {string} code   Contents without the fences
+ * @property {number} start  Offset of the opening fence
+ * @property {number} end    Offset just past the closing fence
+ */
+
+/**
+ * @typedef {Object} Turn
+ * @property {number} n      1-based turn number, used for `#turn-N` anchors
+ * @property {'user'|'assistant'} role
+ * @property {string} text   Turn Markdown without the role marker, trimmed
+ * @property {number} start  Offset of the `**ROLE**:` marker in the file
+ * @property {number} end    Offset where the next turn (or the file) starts
+ * @property {CodeBlock[]} code
+ */
+
+/** Rig metadata shown as pills on the log page. `names` are the accepted line labels / meta keys. */
+export const RIG_FIELDS = [
+  { key: 'gpu', label: 'GPU', names: ['GPU', 'Graphics'] },
+  { key: 'driver', label: 'Driver', names: ['Driver', 'NVIDIA Driver', 'NVIDIA'] },
+  { key: 'ue', label: 'UE', names: ['UE', 'Unreal'] },
+  { key: 'rust', label: 'Rust', names: ['Rust'] },
+  { key: 'kernel', label: 'Kernel', names: ['Kernel', 'Linux'] },
+  { key: 'distro', label: 'Distro', names: ['Distro'] },
+  { key: 'cpu', label: 'CPU', names: ['CPU'] },
+  { key: 'memory', label: 'Memory', names: ['Memory'] },
+  { key: 'audio', label: 'Audio', names: ['Audio'] },
+  { key: 'display', label: 'Display', names: ['Display'] },
+  { key: 'openrgb', label: 'OpenRGB', names: ['OpenRGB'] }
+];
+
+export const HEADER_LINES = 60;
+export const TURN_RE = /^\*\*(USER|ASSISTANT)\*\*:[ \t]*/i;
+const FENCE_RE = /^[ \t]{0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)/;
+const KEY_RE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"-][^:]*?|-[^\s:][^:]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+
+// ---------------------------------------------------------------------------
+// YAML subset: block maps and lists (nested by indentation), `- key: v` list items,
+// flow lists/maps, single/double quoted strings, `|` / `>` block scalars, comments,
+// booleans and null. Numbers stay strings so versions like `rust: 1.80` survive intact.
+// Anchors, tags and multi-document streams are not supported.
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function isBlank(line) {
+  const t = line.trim();
+  return !t || t.startsWith('#');
+}
+
+function splitFlow(inner) {
+  const parts = [];
+  let cur = '';
+  let depth = 0;
+  let quote = '';
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (quote) {
+      cur += ch;
+      if (ch === '\\' && quote === '"') { cur += inner[++i] ?? ''; continue; }
+      if (ch === quote) quote = '';
+      continue;
+    }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '[' || ch === '{') depth++;
+    else if (ch === ']' || ch === '}') depth--;
+    else if (ch === ',' && depth === 0) { parts.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  if (cur.trim()) parts.push(cur);
+  return parts.map((p) => p.trim()).filter((p) => p !== '');
+}
+
+function unquoteKey(k) {
+  const v = parseScalar(k);
+  return String(v ?? '');
+}
+
+/** Parse one inline YAML value. */
+export function parseScalar(raw) {
+  const s = String(raw ?? '').trim();
+  if (!s) return '';
+  if (s[0] === '"') {
+    const m = /^"((?:[^"\\]|\\.)*)"/.exec(s);
+    if (m) {
+      try { return JSON.parse(`"${m[1]}"`); } catch { return m[1]; }
+    }
+  }
+  if (s[0] === "'") {
+    const m = /^'((?:[^']|'')*)'/.exec(s);
+    if (m) return m[1].replace(/''/g, "'");
+  }
+  if (s[0] === '[' && s.endsWith(']')) return splitFlow(s.slice(1, -1)).map(parseScalar);
+  if (s[0] === '{' && s.endsWith('}')) {
+    const out = {};
+    for (const part of splitFlow(s.slice(1, -1))) {
+      const m = KEY_RE.exec(part);
+      if (m) out[unquoteKey(m[1])] = parseScalar(m[2] ?? '');
+    }
+    return out;
+  }
+  const plain = s.replace(/\s+#.*$/, '');
+  if (/^(true|yes|on)$/i.test(plain)) return true;
+  if (/^(false|no|off)$/i.test(plain)) return false;
+  if (/^(null|~)$/i.test(plain)) return null;
+  return plain;
+}
+
+function blockScalar(lines, i, parentIndent, style) {
+  const out = [];
+  let ind = -1;
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim()) { out.push(''); continue; }
+    const n = indentOf(line);
+    if (n <= parentIndent) break;
+    if (ind < 0) ind = n;
+    out.push(line.slice(Math.min(n, ind)));
+  }
+  while (out.length && out[out.length - 1] === '') out.pop();
+  const keep = style.startsWith('|');
+  const text = keep ? out.join('\n') : out.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+  return [style.endsWith('-') ? text : text + (text ? '\n' : ''), i];
+}
+
+function nextContent(lines, i) {
+  while (i < lines.length && isBlank(lines[i])) i++;
+  return i;
+}
+
+function parseNode(lines, i, minIndent) {
+  i = nextContent(lines, i);
+  if (i >= lines.length || indentOf(lines[i]) < minIndent) return [null, i];
+  const ind = indentOf(lines[i]);
+  const text = lines[i].trim();
+  if (text === '-' || text.startsWith('- ')) return parseSeq(lines, i, ind);
+  return parseMap(lines, i, ind);
+}
+
+function parseSeq(lines, i, ind) {
+  const out = [];
+  for (i = nextContent(lines, i); i < lines.length; i = nextContent(lines, i)) {
+    const text = lines[i].trim();
+    if (indentOf(lines[i]) !== ind || !(text === '-' || text.startsWith('- '))) break;
+    const rest = text.slice(1).trim();
+    if (!rest) {
+      let v;
+      [v, i] = parseNode(lines, i + 1, ind + 1);
+      out.push(v);
+    } else if (KEY_RE.test(rest) && !/^["'[{]/.test(rest)) {
+      // `- key: value` starts a map whose keys line up with `key`.
+      const sub = lines.slice();
+      const childIndent = ind + (text.length - rest.length);
+      sub[i] = ' '.repeat(childIndent) + rest;
+      let v;
+      [v, i] = parseMap(sub, i, childIndent);
+      out.push(v);
+    } else {
+      out.push(parseScalar(rest));
+      i++;
+    }
+  }
+  return [out, i];
+}
+
+function parseMap(lines, i, ind) {
+  const out = {};
+  for (i = nextContent(lines, i); i < lines.length; i = nextContent(lines, i)) {
+    const n = indentOf(lines[i]);
+    if (n < ind) break;
+    const m = n === ind ? KEY_RE.exec(lines[i].trim()) : null;
+    if (!m) { if (n === ind) break; i++; continue; } // stray deeper line: skip
+    const key = unquoteKey(m[1]);
+    const rest = (m[2] ?? '').replace(/^#.*$/, '').trim();
+    if (/^[|>][+-]?$/.test(rest)) {
+      [out[key], i] = blockScalar(lines, i + 1, ind, rest);
+    } else if (!rest) {
+      const j = nextContent(lines, i + 1);
+      const t = lines[j]?.trim() || '';
+      const child = j < lines.length && (indentOf(lines[j]) > ind || (indentOf(lines[j]) === ind && (t === '-' || t.startsWith('- '))));
+      if (child) [out[key], i] = parseNode(lines, j, ind);
+      else { out[key] = null; i++; }
+    } else {
+      out[key] = parseScalar(rest);
+      i++;
+    }
+  }
+  return [out, i];
+}
+
+/** Parse a YAML document (the subset above). Returns {} for empty input. */
+export function parseYaml(src) {
+  const lines = String(src || '').replace(/\r\n/g, '\n').replace(/\t/g, '  ').split('\n');
+  const [v] = parseNode(lines, 0, 0);
+  return v ?? {};
+}
+
+/** Split a leading `---` … `---` block off Markdown. */
+export function parseFrontmatter(md) {
+  const text = String(md || '').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n');
+  const lines = text.split('\n');
+  if (lines[0]?.trim() !== '---') return { data: {}, body: text, bodyLine: 0 };
+  for (let i = 1; i < lines.length; i++) {
+    const t = lines[i].trim();
+    if (t !== '---' && t !== '...') continue;
+    let data = {};
+    try { data = parseYaml(lines.slice(1, i).join('\n')); } catch { /* malformed: treat as empty */ }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) data = {};
+    return { data, body: lines.slice(i + 1).join('\n'), bodyLine: i + 1 };
+  }
+  return { data: {}, body: text, bodyLine: 0 };
+}
+
+// ---------------------------------------------------------------------------
+// Turns
+
+/**
+ * Split Markdown into turns at `**USER**:` / `**ASSISTANT**:` lines outside code fences.
+ * Offsets are relative to `md` plus `base`; text before the first marker is not a turn.
+ * @param {string} md
+ * @param {number} [base]
+ * @returns {Turn[]}
+ */
+export function parseTurns(md, base = 0) {
+  const text = String(md || '');
+  const turns = [];
+  let cur = null;
+  let fence = null; // { mark, lang, start, from }
+  let pos = 0;
+  for (const line of text.split('\n')) {
+    const next = pos + line.length + 1;
+    if (fence) {
+      const t = line.trim();
+      if (t.startsWith(fence.mark) && /^([`~])\1*$/.test(t) && t[0] === fence.mark[0]) {
+        cur?.code.push({ lang: fence.lang, code: text.slice(fence.from, pos).replace(/\n$/, ''), start: base + fence.start, end: base + Math.min(next, text.length) });
+        fence = null;
+      }
+    } else if (FENCE_RE.test(line)) {
+      const m = FENCE_RE.exec(line);
+      fence = { mark: m[1], lang: m[2].toLowerCase(), start: pos, from: Math.min(next, text.length) };
+    } else {
+      const m = TURN_RE.exec(line);
+      if (m) {
+        if (cur) cur.end = base + pos;
+        cur = { n: turns.length + 1, role: /** @type {'user'|'assistant'} */ (m[1].toLowerCase()), text: '', start: base + pos, end: base + text.length, code: [], from: pos + m[0].length };
+        turns.push(cur);
+      }
+    }
+    pos = next;
+  }
+  if (fence && cur) cur.code.push({ lang: fence.lang, code: text.slice(fence.from), start: base + fence.start, end: base + text.length });
+  return turns.map(({ from, ...t }) => ({ ...t, text: text.slice(from, t.end - base).trim() }));
+}
+
+// ---------------------------------------------------------------------------
+// Headings
+
+const HEADING_RE = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+
+/** Heading text as rendered: link text kept, code ticks, emphasis markers and escapes dropped. */
+export function plainHeading(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/`+/g, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/\*(.+?)\*/g, '$1')
+    .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1$2')
+    .replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1')
+    .trim();
+}
+
+/**
+ * GitHub-style heading ids: lowercase, punctuation dropped, spaces to dashes, repeats numbered
+ * (`setup`, `setup-1`, …). One slugger per rendered document, fed headings in order.
+ * @returns {(text: string) => string}
+ */
+export function headingSlugger() {
+  const seen = new Map();
+  return (text) => {
+    const base = String(text || '').toLowerCase().replace(/<[^>]*>/g, '').replace(/[^\p{L}\p{N}\p{M}\s_-]/gu, '').trim().replace(/\s/g, '-') || 'section';
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    return n ? `${base}-${n}` : base;
+  };
+}
+
+/**
+ * marked extension that gives rendered headings the ids parseHeadings computes (the chunk
+ * anchors): each heading's own Markdown goes through plainHeading and the same slugger, so links,
+ * autolinks, code and entities in a heading cannot make the two disagree. `reset()` before each
+ * pass over a whole log.
+ */
+export function headingIdExtension() {
+  let slug = headingSlugger();
+  const ids = [];
+  return {
+    reset() {
+      slug = headingSlugger();
+      ids.length = 0;
+    },
+    extension: {
+      walkTokens(token) {
+        if (token.type === 'heading') ids.push(slug(plainHeading(token.text)));
+      },
+      renderer: {
+        heading(text, level) {
+          return `<h${level} id="${ids.shift() ?? ''}">${text}</h${level}>\n`;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * ATX headings (`## Title`) outside code fences; offsets are relative to `md` plus `base`.
+ * @param {string} md
+ * @param {number} [base]
+ * @returns {Heading[]}
+ */
+export function parseHeadings(md, base = 0) {
+  const slug = headingSlugger();
+  const out = [];
+  let fence = null;
+  let pos = 0;
+  for (const line of String(md || '').split('\n')) {
+    if (fence) {
+      const t = line.trim();
+      if (t.startsWith(fence) && /^([`~])\1*$/.test(t)) fence = null;
+    } else if (FENCE_RE.test(line)) {
+      fence = FENCE_RE.exec(line)[1];
+    } else {
+      const m = HEADING_RE.exec(line);
+      if (m) {
+        const text = plainHeading(m[2]);
+        out.push({ level: m[1].length, text, slug: slug(text), start: base + pos });
+      }
+    }
+    pos += line.length + 1;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Document model
+
+const fold = (k) => String(k).toLowerCase().replace(/[\s_-]+/g, '');
+
+/** Case/separator-insensitive lookup: pick(fm, 'receivedAt') matches received_at, ReceivedAt, … */
+function pick(obj, ...names) {
+  if (!obj || typeof obj !== 'object') return undefined;
+  const want = new Set(names.map(fold));
+  for (const [k, v] of Object.entries(obj)) {
+    if (want.has(fold(k)) && v !== null && v !== undefined && v !== '') return v;
+  }
+  return undefined;
+}
+
+const str = (v) => (v === undefined || v === null ? '' : v instanceof Date ? v.toISOString() : String(v).trim());
+
+/** Tags from a YAML list or a comma-separated string. */
+export function splitTags(v) {
+  if (Array.isArray(v)) return v.flatMap(splitTags);
+  if (v && typeof v === 'object') return [];
+  const s = str(v);
+  return s ? s.split(',').map((t) => t.trim()).filter(Boolean) : [];
+}
+
+function headerLine(head, label) {
+  const re = new RegExp(`^${label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[ \\t]*:[ \\t]*(.*)$`, 'im');
+  return head.match(re)?.[1]?.trim() || '';
+}
+
+let cachedAliases = null;
+
+/**
+ * Parse a log into a LogDoc.
+ * @param {string} md
+ * @param {{ relPath?: string, aliases?: Record<string, string> }} [opts]
+ *   relPath: path under the repo or logs/ (used for `date`); aliases: tag alias map
+ *   (defaults to public/ui/config.json tagAliases; pass {} to skip aliasing).
+ * @returns {LogDoc}
+ */
+export function parseLogDoc(md, opts = {}) {
+  const { data: fm, body, bodyLine } = parseFrontmatter(md);
+  const lines = body.split('\n');
+  const headLines = [];
+  for (const line of lines.slice(0, HEADER_LINES)) {
+    if (TURN_RE.test(line)) break;
+    headLines.push(line);
+  }
+  const head = headLines.join('\n');
+
+  const h1 = body.match(/^#[ \t]+(.+)$/m)?.[1]?.trim() || '';
+  const title = h1 || str(pick(fm, 'title'));
+  const id = str(pick(fm, 'id', 'conversationId')) || headerLine(head, 'Conversation ID');
+  const receivedAt = str(pick(fm, 'receivedAt', 'received', 'date', 'created', 'createdAt')) || headerLine(head, 'Received At');
+
+  const fmTags = pick(fm, 'tags');
+  const rawTags = fmTags !== undefined ? splitTags(fmTags) : splitTags(headerLine(head, 'Tags'));
+  if (!opts.aliases && !cachedAliases) cachedAliases = loadUiConfigTagAliases();
+  const tags = applyTagAliases(normalizeTags(rawTags), opts.aliases || cachedAliases);
+
+  const meta = pick(fm, 'meta', 'rig');
+  const rig = {};
+  for (const f of RIG_FIELDS) {
+    let v = str(pick(meta, f.key, ...f.names));
+    for (const name of f.names) {
+      if (v) break;
+      v = headerLine(head, name);
+    }
+    if (v) rig[f.key] = v;
+  }
+
+  const bodyOffset = String(md || '').replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').length - body.length;
+  const turns = parseTurns(body, bodyOffset);
+  const preamble = body.slice(0, turns.length ? turns[0].start - bodyOffset : body.length).trim();
+
+  const pathDate = String(opts.relPath || '').split(/[\\/]/).join('/').match(/(?:^|\/)(\d{4})\/(\d{2})\/(\d{2})\//);
+  const date = pathDate ? `${pathDate[1]}-${pathDate[2]}-${pathDate[3]}` : receivedAt;
+
+  return {
+    title: title || 'Chat Transcript',
+    hasTitle: !!title,
+    id,
+    receivedAt,
+    date,
+    rawTags,
+    tags,
+    rig,
+    frontmatter: fm,
+    body,
+    bodyLine,
+    bodyOffset,
+    preamble,
+    turns,
+    headings: parseHeadings(body, bodyOffset)
+  };
+}
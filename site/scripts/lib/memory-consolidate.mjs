@@ -0,0 +1,120 @@
+// Memory consolidation: cluster capsules that say the same thing (repeated nightly summaries,
+// re-captures of one page) and fold each cluster into one canonical capsule, plus expiry for
+// capsules that carry `ttl` or `expiresAt`. Pure (no Node APIs); tools/memory.mjs reads and writes
+// the files and buildMemoryIndex leaves merged and expired capsules out.
+//
+// Clusters: MinHash groups over title, summary and content (lib/near-dupes.mjs), joined with
+// captures of the same http(s) `source`. The newest capsule of a cluster is canonical; it gets the
+// union of the tags and `sources` (id, title, source, ts of every capsule folded into it), and the
+// others get `mergedInto`. Both are new versions (lib/memory-revisions.mjs), so nothing is lost.
+
+import { signature, similarity, findNearDuplicates } from './near-dupes.mjs';
+import { applyRevision } from './memory-revisions.mjs';
+
+export const CONSOLIDATE_DEFAULTS = { threshold: 0.8 };
+
+const DAY = 86400000;
+
+/** When a capsule expires (ISO), or '' if it does not: `expiresAt`, else last edit + `ttl` days. */
+export function expiresAtOf(capsule) {
+  if (capsule.expiresAt && Number.isFinite(Date.parse(capsule.expiresAt))) return new Date(capsule.expiresAt).toISOString();
+  const at = Date.parse(capsule.updatedAt || capsule.ts);
+  return Number(capsule.ttl) > 0 && Number.isFinite(at) ? new Date(at + Number(capsule.ttl) * DAY).toISOString() : '';
+}
+
+export function isExpired(capsule, now = Date.now()) {
+  const at = expiresAtOf(capsule);
+  return !!at && Date.parse(at) <= now;
+}
+
+/** Capsules that belong in the index and search: not deleted, merged or expired. */
+export function isLive(capsule, now = Date.now()) {
+  return !capsule.deleted && !capsule.mergedInto && !isExpired(capsule, now);
+}
+
+const textOf = (c) => [c.title, c.summary, c.content].filter(Boolean).join('\n');
+const lastEdit = (c) => c.updatedAt || c.ts || '';
+const urlOf = (c) => (/^https?:\/\//i.test(c.source || '') ? String(c.source).replace(/#.*$/, '').replace(/\/+$/, '') : '');
+const brief = (c) => ({ id: c.id, title: c.title || '', source: c.source || '', at: lastEdit(c) });
+
+/**
+ * What consolidation would do: `{ threshold, clusters: [{ keep, merge: [{ id, title, source, at, similarity,
+ * sameSource }] }], expired: [{ id, title, source, at, expiresAt }] }`. Deleted, merged and expired
+ * capsules are never clustered.
+ * @param {any[]} capsules
+ * @param {{ threshold?: number, now?: number }} [opts]
+ */
+export function planConsolidation(capsules, { threshold = CONSOLIDATE_DEFAULTS.threshold, now = Date.now() } = {}) {
+  const live = capsules.filter((c) => c?.id && !c.deleted && !c.mergedInto);
+  const expired = live.filter((c) => isExpired(c, now)).map((c) => ({ ...brief(c), expiresAt: expiresAtOf(c) }));
+  const list = live.filter((c) => !isExpired(c, now)).sort((a, b) => (a.id < b.id ? -1 : 1));
+  const sigs = new Map(list.map((c) => [c.id, signature(textOf(c))]));
+
+  const parent = new Map(list.map((c) => [c.id, c.id]));
+  const find = (id) => {
+    const p = parent.get(id);
+    if (p === id) return id;
+    const root = find(p);
+    parent.set(id, root);
+    return root;
+  };
+  const union = (a, b) => parent.set(find(b), find(a));
+  const docs = list.map((c) => ({ href: c.id, relPath: c.id, title: c.title || '', date: lastEdit(c), ...sigs.get(c.id) }));
+  for (const g of findNearDuplicates(docs, { threshold }).groups) for (const c of g.copies) union(g.keep.href, c.href);
+  const byUrl = new Map();
+  for (const c of list) {
+    const url = urlOf(c);
+    if (!url) continue;
+    if (byUrl.has(url)) union(byUrl.get(url), c.id);
+    else byUrl.set(url, c.id);
+  }
+
+  const members = new Map();
+  for (const c of list) {
+    const root = find(c.id);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(c);
+  }
+  const clusters = [];
+  for (const group of members.values()) {
+    if (group.length < 2) continue;
+    group.sort((a, b) => lastEdit(b).localeCompare(lastEdit(a)) || (b.content || '').length - (a.content || '').length || (a.id < b.id ? -1 : 1));
+    const [keep, ...rest] = group;
+    clusters.push({
+      keep: brief(keep),
+      merge: rest.map((c) => ({
+        ...brief(c),
+        similarity: Math.round(similarity(sigs.get(keep.id).sig, sigs.get(c.id).sig) * 100) / 100,
+        sameSource: !!urlOf(c) && urlOf(c) === urlOf(keep)
+      }))
+    });
+  }
+  clusters.sort((a, b) => b.merge.length - a.merge.length || (a.keep.id < b.keep.id ? -1 : 1));
+  return { threshold, clusters, expired };
+}
+
+/**
+ * Fold `others` into `keep`: returns `{ keep, merged }`, the new versions of the canonical
+ * capsule (tags unioned, `sources` extended, earlier provenance of merged canonicals carried over)
+ * and of each merged capsule (`mergedInto` set).
+ */
+export function mergeCapsules(keep, others, { now = new Date().toISOString() } = {}) {
+  const sources = [...(keep.sources || [])];
+  const seen = new Set(sources.map((s) => s.id));
+  const addSource = (s) => {
+    if (seen.has(s.id)) return;
+    seen.add(s.id);
+    sources.push(s);
+  };
+  addSource({ id: keep.id, title: keep.title || '', source: keep.source || '', ts: keep.ts || '' });
+  for (const c of others) {
+    for (const s of c.sources || []) addSource(s);
+    addSource({ id: c.id, title: c.title || '', source: c.source || '', ts: c.ts || '' });
+  }
+  const tags = [...new Set([...(keep.tags || []), ...others.flatMap((c) => c.tags || [])])];
+  const reason = `consolidated ${others.length} capsule${others.length === 1 ? '' : 's'}`;
+  return {
+    keep: applyRevision(keep, { tags, sources }, { now, reason }),
+    merged: others.map((c) => applyRevision(c, { mergedInto: keep.id }, { now, reason: `merged into ${keep.id}` }))
+  };
+}
@@ -0,0 +1,93 @@
+// Ranked memory retrieval: TF-IDF vectors over the full capsule text (title, tags, summary,
+// content), weighted like the RAG index (idf = ln((N + 1) / (df + 1)) + 1), and a recency decay
+// so that of two equally relevant capsules the fresher one wins. Pure (no Node APIs);
+// tools/memory.mjs builds public/memory-vectors.json with buildMemoryIndex and ranks with it.
+
+import { createAnalyzer, expandFuzzy, DEFAULT_ANALYZER } from './analyzer.mjs';
+
+/**
+ * halfLifeDays: age at which the recency factor is halved; recencyWeight: share of the score that
+ * decays (0 turns recency off, 1 lets old capsules fall to 0); minScore: cutoff for the results.
+ */
+export const MEMORY_RANK_DEFAULTS = {
+  k: 10,
+  minScore: 0,
+  halfLifeDays: 180,
+  recencyWeight: 0.3,
+  fields: { title: 2, tags: 1.5, summary: 1.5, content: 1 }
+};
+
+/** Score below which ai-cli ask/chat leave a capsule out of the prompt. */
+export const MEMORY_CONTEXT_MIN_SCORE = 0.08;
+
+const DAY = 86400000;
+
+/**
+ * Vector index of capsules: `{ version, analyzer, idf, items: [{ id, at, vector, norm }] }`.
+ * `at` is the capsule's last edit (updatedAt, else ts); vectors keep every term.
+ * @param {{ id: string, ts?: string, updatedAt?: string, title?: string, tags?: string[], summary?: string, content?: string }[]} capsules
+ */
+export function buildMemoryVectors(capsules, { analyzer = DEFAULT_ANALYZER, fields = MEMORY_RANK_DEFAULTS.fields } = {}) {
+  const an = createAnalyzer(analyzer);
+  const tfs = capsules.map((c) => {
+    const tf = new Map();
+    for (const [f, w] of Object.entries(fields)) {
+      const text = f === 'tags' ? (c.tags || []).join(' ') : c[f] || '';
+      for (const t of an.tokenize(text)) tf.set(t, (tf.get(t) || 0) + w);
+    }
+    return tf;
+  });
+  const df = new Map();
+  for (const tf of tfs) for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const N = capsules.length;
+  const idf = {};
+  for (const [t, n] of [...df].sort((a, b) => (a[0] < b[0] ? -1 : 1))) idf[t] = Math.round((Math.log((N + 1) / (n + 1)) + 1) * 1e4) / 1e4;
+  const items = capsules.map((c, i) => {
+    const vector = [...tfs[i]].map(([t, f]) => [t, Math.round(f * idf[t] * 1e4) / 1e4]).sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+    const norm = Math.sqrt(vector.reduce((s, [, w]) => s + w * w, 0)) || 1;
+    return { id: c.id, at: c.updatedAt || c.ts || '', vector, norm };
+  });
+  return { version: 1, analyzer: an.spec, idf, items };
+}
+
+/** Recency factor in (1 - recencyWeight, 1]: 1 for a capsule edited now, halved decay every halfLifeDays. */
+export function recencyFactor(at, now, { halfLifeDays = MEMORY_RANK_DEFAULTS.halfLifeDays, recencyWeight = MEMORY_RANK_DEFAULTS.recencyWeight } = {}) {
+  const t = Date.parse(at);
+  if (!Number.isFinite(t) || !halfLifeDays) return 1 - recencyWeight;
+  const age = Math.max(0, (now - t) / DAY);
+  return 1 - recencyWeight + recencyWeight * 0.5 ** (age / halfLifeDays);
+}
+
+/**
+ * Capsules for a query, best first: `[{ id, score, relevance, recency }]`. relevance is the cosine
+ * between the query and capsule vectors; score = relevance × recency, rounded to 4 decimals.
+ * @param {ReturnType<typeof buildMemoryVectors>} index
+ * @param {string} query
+ * @param {{ k?: number, minScore?: number, halfLifeDays?: number, recencyWeight?: number, now?: number }} [opts]
+ */
+export function rankMemory(index, query, opts = {}) {
+  const D = MEMORY_RANK_DEFAULTS;
+  const { k = D.k, minScore = D.minScore, halfLifeDays = D.halfLifeDays, recencyWeight = D.recencyWeight, now = Date.now() } = opts;
+  const an = createAnalyzer(index?.analyzer || DEFAULT_ANALYZER);
+  const idf = index?.idf || {};
+  const terms = expandFuzzy(an.tokenize(String(query || '')), new Set(Object.keys(idf)));
+  const q = new Map();
+  for (const t of terms) if (idf[t]) q.set(t, (q.get(t) || 0) + idf[t]);
+  if (!q.size) return [];
+  const qNorm = Math.sqrt([...q.values()].reduce((s, w) => s + w * w, 0));
+  const out = [];
+  for (const it of index.items || []) {
+    let dot = 0;
+    for (const [t, w] of it.vector) {
+      const qw = q.get(t);
+      if (qw) dot += w * qw;
+    }
+    if (!dot) continue;
+    const relevance = dot / (it.norm * qNorm);
+    const recency = recencyFactor(it.at, now, { halfLifeDays, recencyWeight });
+    const score = Math.round(relevance * recency * 1e4) / 1e4;
+    if (score >= minScore) out.push({ id: it.id, score, relevance: Math.round(relevance * 1e4) / 1e4, recency: Math.round(recency * 1e4) / 1e4 });
+  }
+  out.sort((a, b) => b.score - a.score || (a.id < b.id ? 1 : -1));
+  return out.slice(0, Number(k) || MEMORY_RANK_DEFAULTS.k);
+}
@@ -0,0 +1,100 @@
+// Memory capsule revisions. A capsule keeps its earlier states in `revisions` (oldest first), so a
+// corrected fact is one edit that bumps `version` instead of a hand-edited JSON file. Deleting
+// leaves a tombstone (`deleted: true`) with the last content still in its history. Pure (no Node
+// APIs); tools/memory.mjs reads and writes the files.
+//
+// Capsule fields: { id, ts, title, tags, source, summary, content, data, version,
+//                   ttl?, expiresAt?, updatedAt?, reason?, deleted?, mergedInto?, sources?,
+//                   revisions?: [earlier capsule states] }
+// `ttl` (days after the last edit) and `expiresAt` age a capsule out; `mergedInto` and `sources`
+// are written by memory consolidation (lib/memory-consolidate.mjs).
+
+/** Fields an update may change. */
+export const EDITABLE_FIELDS = ['title', 'tags', 'source', 'summary', 'content', 'data', 'ttl', 'expiresAt'];
+
+const LIMITS = { summary: 2000, content: 10000 };
+
+function normalizeTags(tags) {
+  return Array.isArray(tags) ? tags.map((t) => String(t).trim()).filter(Boolean) : String(tags || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+function normalizeField(f, v) {
+  if (f === 'tags') return normalizeTags(v);
+  if (f === 'data') return v;
+  if (f === 'ttl') return v === null || v === '' || !(Number(v) > 0) ? null : Number(v);
+  if (f === 'expiresAt') {
+    if (!v) return null;
+    if (!Number.isFinite(Date.parse(v))) throw new Error(`Invalid expiresAt: ${v}`);
+    return new Date(v).toISOString();
+  }
+  return String(v ?? '').slice(0, LIMITS[f] || Infinity);
+}
+
+const EMPTY = { tags: [], data: null, ttl: null, expiresAt: null };
+
+/** The capsule without its history: what a revision entry stores. */
+function snapshot(capsule) {
+  const { revisions: _revisions, ...rest } = capsule;
+  return rest;
+}
+
+/**
+ * Write `changes` as a new version: `version` + 1, `updatedAt`, the previous state appended to
+ * `revisions`. No validation; use reviseCapsule for user edits.
+ */
+export function applyRevision(capsule, changes, { now = new Date().toISOString(), reason = '' } = {}) {
+  const out = { ...capsule, ...changes, version: (Number(capsule.version) || 1) + 1, updatedAt: now, revisions: [...(capsule.revisions || []), snapshot(capsule)] };
+  if (reason) out.reason = String(reason);
+  else delete out.reason;
+  return out;
+}
+
+/**
+ * Apply an edit. Only fields present in `patch` are considered; an edit that changes nothing
+ * returns `null`. Throws on a deleted or merged capsule.
+ * @param {any} capsule
+ * @param {{ title?: string, tags?: string[] | string, source?: string, summary?: string, content?: string, data?: any }} patch
+ * @param {{ now?: string, reason?: string }} [opts]
+ */
+export function reviseCapsule(capsule, patch, { now = new Date().toISOString(), reason = '' } = {}) {
+  if (capsule.deleted) throw new Error(`Memory ${capsule.id} is deleted`);
+  if (capsule.mergedInto) throw new Error(`Memory ${capsule.id} was merged into ${capsule.mergedInto}`);
+  const changes = {};
+  for (const f of EDITABLE_FIELDS) {
+    if (patch[f] === undefined) continue;
+    const v = normalizeField(f, patch[f]);
+    if (JSON.stringify(v) !== JSON.stringify(capsule[f] ?? (f in EMPTY ? EMPTY[f] : ''))) changes[f] = v;
+  }
+  return Object.keys(changes).length ? applyRevision(capsule, changes, { now, reason }) : null;
+}
+
+/** Tombstone a capsule; `null` if it already is one. */
+export function tombstoneCapsule(capsule, { now = new Date().toISOString(), reason = '' } = {}) {
+  return capsule.deleted ? null : applyRevision(capsule, { deleted: true }, { now, reason });
+}
+
+/**
+ * Every version of a capsule, oldest first: `[{ version, ts, reason, deleted, changed, title, tags,
+ * source, summary, content, data }]`. `ts` is when that version was written; `changed` lists the
+ * fields that differ from the version before it.
+ */
+export function capsuleHistory(capsule) {
+  const states = [...(capsule.revisions || []), snapshot(capsule)];
+  return states.map((s, i) => {
+    const prev = states[i - 1];
+    const changed = prev ? [...EDITABLE_FIELDS, 'deleted', 'mergedInto', 'sources'].filter((f) => JSON.stringify(s[f] ?? null) !== JSON.stringify(prev[f] ?? null)) : [];
+    return {
+      version: Number(s.version) || i + 1,
+      ts: s.updatedAt || s.ts,
+      reason: s.reason || '',
+      deleted: !!s.deleted,
+      changed,
+      title: s.title,
+      tags: s.tags || [],
+      source: s.source || '',
+      summary: s.summary || '',
+      content: s.content || '',
+      data: s.data ?? null
+    };
+  });
+}
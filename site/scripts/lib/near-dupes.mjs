@@ -0,0 +1,172 @@
+// Near-duplicate logs: MinHash signatures over word shingles, LSH banding for candidate pairs,
+// and groups of logs whose estimated Jaccard similarity reaches a threshold. Pure (no Node APIs);
+// prebuild.mjs caches signatures per log and writes public/duplicates.json, scripts/dupes-cli.mjs
+// archives the superseded copies.
+//
+// In each group the newest of the most complete logs is kept: the newest one with at least
+// `complete` (90%) of the longest member's words, so a re-run that stopped early does not supersede
+// a fuller older report, and an undated log can still be kept. The other copies are superseded.
+// On the repo's own multi-agent reports the 1112-word "small" run stays and the newer 977-word
+// "tiny" run is the copy. Text is expected to be normalized first (dedupe.mjs normalizeBody drops
+// frontmatter and the Conversation ID / Received At / Tags lines, which differ between re-runs).
+// Logs rendered from one template (agent runs) share a lot of boilerplate and sit around 0.6-0.7
+// even when their content differs, hence the 0.75 default. On the repo's own logs the three
+// multi-agent "UI to browse logs" runs of 2025-09-18 score 0.77 (small/tiny) and 0.66-0.70 (minimal
+// against either), while the unrelated `hello` and sanity-check runs of the same template score
+// 0.70 against each other; no whole-log threshold separates them, so only the closest pair is
+// grouped and lowering DUPES_THRESHOLD to 0.66 also groups unrelated runs.
+//
+// Pairs are joined into candidate clusters transitively, but every copy in a reported group reaches
+// the threshold against its group's kept log itself; members that only resemble another copy form
+// groups of their own (or none), so archiving never moves a log that is not close to its keeper.
+
+export const DUPE_DEFAULTS = { threshold: 0.75, complete: 0.9, shingle: 5, hashes: 128, bands: 32 };
+
+const WORD_RE = /[\p{L}\p{N}]+/gu;
+const PRIME = 4294967311; // > 2^32
+
+/** 32-bit FNV-1a. */
+function fnv(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/** Fixed (a, b) pairs for the hash family, from a small LCG so signatures are stable across runs. */
+function coefficients(n) {
+  const out = [];
+  let x = 0x2545f491;
+  const next = () => (x = (Math.imul(x, 1664525) + 1013904223) >>> 0);
+  for (let i = 0; i < n; i++) out.push([(next() % (PRIME - 1)) + 1, next() % PRIME]);
+  return out;
+}
+const COEFFS = new Map();
+
+/** (a * x + b) mod p without leaving exact double precision (a, x < 2^32). */
+function mulmod(a, x, b) {
+  const hi = Math.floor(a / 65536);
+  const lo = a % 65536;
+  return (((hi * x) % PRIME) * 65536 + lo * x + b) % PRIME;
+}
+
+/** Hashed word shingles (`size` consecutive words) of a text; short texts give one shingle. */
+export function shingles(text, size = DUPE_DEFAULTS.shingle) {
+  const words = String(text || '').toLowerCase().match(WORD_RE) || [];
+  const out = new Set();
+  if (!words.length) return out;
+  for (let i = 0; i + size <= Math.max(words.length, size); i++) out.add(fnv(words.slice(i, i + size).join(' ')));
+  return out;
+}
+
+/**
+ * MinHash signature of a text: `{ sig: number[], words }`.
+ * @param {string} text
+ * @param {{ shingle?: number, hashes?: number }} [opts]
+ */
+export function signature(text, opts = {}) {
+  const { shingle, hashes } = { ...DUPE_DEFAULTS, ...opts };
+  if (!COEFFS.has(hashes)) COEFFS.set(hashes, coefficients(hashes));
+  const coeffs = COEFFS.get(hashes);
+  const sig = new Array(hashes).fill(PRIME);
+  for (const s of shingles(text, shingle)) {
+    for (let i = 0; i < hashes; i++) {
+      const h = mulmod(coeffs[i][0], s, coeffs[i][1]);
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return { sig, words: (String(text || '').match(WORD_RE) || []).length };
+}
+
+/** Sortable time of a parsed log: its Received At timestamp, else the YYYY-MM-DD date, else ''. */
+export function logTimestamp(doc) {
+  const at = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+Z?)?/;
+  return (String(doc?.receivedAt || '').match(at) || String(doc?.date || '').match(at) || [''])[0];
+}
+
+/** Estimated Jaccard similarity: the share of signature slots that agree. */
+export function similarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return a.length ? same / a.length : 0;
+}
+
+/**
+ * @typedef {{ href: string, relPath: string, title: string, date: string, sig: number[], words: number }} DupeDoc  date: Received At timestamp or YYYY-MM-DD
+ * @typedef {{ href: string, relPath: string, title: string, date: string, words: number }} DupeLog
+ */
+
+/**
+ * Group near-duplicate logs. Candidate pairs share at least one LSH band; pairs at or above
+ * `threshold` are joined (transitively) into clusters, which are split into groups so that every
+ * copy is at or above `threshold` against the group's kept log.
+ * @param {DupeDoc[]} docs
+ * @param {{ threshold?: number, complete?: number, bands?: number }} [opts]
+ * @returns {{ threshold: number, groups: { keep: DupeLog, copies: (DupeLog & { similarity: number })[] }[], byLog: Record<string, { keep: string, similarity: number } | { copies: number }> }}
+ */
+export function findNearDuplicates(docs, opts = {}) {
+  const { threshold, complete, bands } = { ...DUPE_DEFAULTS, ...opts };
+  const list = [...docs].filter((d) => d.words > 0).sort((a, b) => a.relPath.localeCompare(b.relPath));
+  const parent = list.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const pairs = new Map();
+  const buckets = new Map();
+  list.forEach((d, i) => {
+    const rows = Math.max(1, Math.floor(d.sig.length / bands));
+    for (let b = 0; b * rows < d.sig.length; b++) {
+      const key = `${b}:${d.sig.slice(b * rows, (b + 1) * rows).join(',')}`;
+      const bucket = buckets.get(key) || [];
+      for (const j of bucket) {
+        const id = `${j},${i}`;
+        if (pairs.has(id)) continue;
+        const s = similarity(list[j].sig, d.sig);
+        pairs.set(id, s);
+        if (s >= threshold) parent[find(i)] = find(j);
+      }
+      bucket.push(i);
+      buckets.set(key, bucket);
+    }
+  });
+
+  const members = new Map();
+  list.forEach((_, i) => {
+    const root = find(i);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(i);
+  });
+  const log = ({ href, relPath, title, date, words }) => ({ href, relPath, title, date: date || '', words });
+  const groups = [];
+  for (const idx of members.values()) {
+    let ranked = [...idx].sort((a, b) => String(list[b].date || '').localeCompare(String(list[a].date || '')) || list[b].words - list[a].words || list[a].relPath.localeCompare(list[b].relPath));
+    // The newest nearly-complete remaining log keeps the ones close to it; the rest try again
+    // among themselves.
+    while (ranked.length > 1) {
+      const most = Math.max(...ranked.map((i) => list[i].words));
+      const at = ranked.findIndex((i) => list[i].words >= most * complete);
+      const keep = list[ranked[at]];
+      const others = ranked.filter((_, n) => n !== at);
+      const close = others.filter((i) => similarity(keep.sig, list[i].sig) >= threshold);
+      if (close.length) {
+        groups.push({
+          keep: log(keep),
+          copies: close.map((i) => ({ ...log(list[i]), similarity: Math.round(similarity(keep.sig, list[i].sig) * 100) / 100 }))
+        });
+      }
+      ranked = others.filter((i) => !close.includes(i));
+    }
+  }
+  groups.sort((a, b) => b.copies.length - a.copies.length || a.keep.relPath.localeCompare(b.keep.relPath));
+  const byLog = {};
+  for (const g of groups) {
+    byLog[g.keep.href] = { copies: g.copies.length };
+    for (const c of g.copies) byLog[c.href] = { keep: g.keep.href, similarity: c.similarity };
+  }
+  return { threshold, groups, byLog };
+}
+
+/** Copies that may be archived: never one with more words than the log that supersedes it. */
+export function archivable(groups) {
+  return groups.flatMap((g) => g.copies.filter((c) => c.words <= g.keep.words));
+}
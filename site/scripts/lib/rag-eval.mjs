@@ -0,0 +1,87 @@
+// Search relevance evaluation for `ai-cli.mjs eval`: runs judged queries against a rag index with
+// a chosen retriever and scores the ranked logs. Pure (no Node APIs); the CLI does the file I/O.
+//
+// Judged queries (site/eval/judged-queries.json by default):
+//   { "queries": [
+//       { "query": "nvidia driver version", "relevant": ["/logs/2025/09/18/how-to-…"] },
+//       { "query": "tag:vulkan layers",     "relevant": { "/logs/a": 2, "/logs/b": 1 } } ] }
+// `relevant` is a list of log hrefs (grade 1) or href → grade (used as gain by nDCG). Hrefs may
+// carry #turn-N or be log paths (logs/2025/…/x.md); judgments are per log, so chunk hits are
+// collapsed to their log at its best rank. Queries use the search query language.
+//
+// Metrics per query, averaged over queries:
+//   mrr      1 / rank of the first relevant log (0 when none is found)
+//   ndcg10   nDCG@10 with gain 2^grade − 1
+//   recall   share of relevant logs in the top k
+
+import { searchChunks } from './rag-query.mjs';
+
+/** '/logs/a/b', '/logs/a/b#turn-2', 'logs/a/b.md' and '/logs/a/b/' all name the same log. */
+export function normalizeHref(href) {
+  let h = String(href || '').trim().replace(/#.*$/, '').replace(/\.md$/i, '').replace(/\/+$/, '');
+  if (!h.startsWith('/')) h = '/' + h;
+  return h;
+}
+
+/** Judgments as Map(href → grade), dropping zero grades. */
+export function judgmentsOf(relevant) {
+  const entries = Array.isArray(relevant) ? relevant.map((h) => [h, 1]) : Object.entries(relevant || {});
+  return new Map(entries.map(([h, g]) => [normalizeHref(h), Number(g)]).filter(([, g]) => g > 0));
+}
+
+/** Log hrefs in rank order, each at the rank of its best chunk. */
+export function rankedLogs(chunks) {
+  const seen = new Set();
+  for (const c of chunks) seen.add(normalizeHref(c.href || c.relPath));
+  return Array.from(seen);
+}
+
+const dcg = (gains) => gains.reduce((s, g, i) => s + (2 ** g - 1) / Math.log2(i + 2), 0);
+
+/** { rr, ndcg10, recall } for one ranked log list against its judgments. */
+export function scoreRanking(ranked, judged, k = 10) {
+  if (!judged.size) return { rr: 0, ndcg10: 0, recall: 0 };
+  const first = ranked.findIndex((h) => judged.has(h));
+  const ideal = dcg(Array.from(judged.values()).sort((a, b) => b - a).slice(0, 10));
+  const found = ranked.slice(0, k).filter((h) => judged.has(h)).length;
+  return {
+    rr: first < 0 ? 0 : 1 / (first + 1),
+    ndcg10: ideal ? dcg(ranked.slice(0, 10).map((h) => judged.get(h) || 0)) / ideal : 0,
+    recall: found / judged.size
+  };
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : 0);
+const round = (x) => Math.round(x * 10000) / 10000;
+
+/**
+ * Run every judged query with one retriever. Returns `{ retriever, k, mrr, ndcg10, recall, queries }`
+ * where `queries` holds the per-query scores and the top ranked logs.
+ */
+export function evaluate(rag, judged, { retriever = 'lexical', k = 10 } = {}) {
+  const depth = rag?.chunks?.length || 0;
+  const queries = judged.map(({ query, relevant }) => {
+    const judgments = judgmentsOf(relevant);
+    const ranked = rankedLogs(searchChunks(rag, query, depth, { retriever }));
+    const s = scoreRanking(ranked, judgments, k);
+    return { query, rr: round(s.rr), ndcg10: round(s.ndcg10), recall: round(s.recall), top: ranked.slice(0, 3) };
+  });
+  return {
+    retriever,
+    k,
+    mrr: round(mean(queries.map((q) => q.rr))),
+    ndcg10: round(mean(queries.map((q) => q.ndcg10))),
+    recall: round(mean(queries.map((q) => q.recall))),
+    queries
+  };
+}
+
+/** Metric differences (current − previous) per retriever present in both runs. */
+export function compareRuns(runs, previous) {
+  const delta = {};
+  for (const r of runs) {
+    const p = (previous || []).find((x) => x.retriever === r.retriever);
+    if (p) delta[r.retriever] = { mrr: round(r.mrr - p.mrr), ndcg10: round(r.ndcg10 - p.ndcg10), recall: round(r.recall - p.recall) };
+  }
+  return delta;
+}
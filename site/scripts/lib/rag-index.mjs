@@ -0,0 +1,23 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Node-side loader for public/rag-index.json (CLI, MCP server, prebuild steps). build-rag.mjs keeps
+// chunk text out of that file and the PNG capsule; it is written once, to the sharded copy's text
+// files (layout in lib/rag-score.mjs), and joined back here for phrase filters and snippets.
+
+/**
+ * The index in `publicDir` with each chunk's `text` attached from rag-shards/ when the shards come
+ * from the same build; chunks keep only their `snippet` otherwise. Null when there is no index.
+ */
+export function readRagIndex(publicDir) {
+  let rag;
+  try { rag = JSON.parse(fs.readFileSync(path.join(publicDir, 'rag-index.json'), 'utf8')); } catch { return null; }
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(publicDir, 'rag-shards', 'manifest.json'), 'utf8'));
+    if (Array.isArray(manifest.text) && manifest.builtAt === rag.builtAt) {
+      const texts = manifest.text.flatMap((f) => JSON.parse(fs.readFileSync(path.join(publicDir, f), 'utf8')));
+      if (texts.length === rag.chunks?.length) rag.chunks.forEach((c, i) => { c.text = texts[i]; });
+    }
+  } catch { /* no shards */ }
+  return rag;
+}
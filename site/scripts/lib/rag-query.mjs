@@ -0,0 +1,171 @@
+// Search query language shared by the search page, ai-cli.mjs (`rag`, POST /rag) and mcp-server.mjs
+// (`rag.search`). Pure (no Node APIs) so the browser bundle can import it too.
+//
+//   vulkan layers            free words: ranked by rankChunks, any of them may match
+//   "validation layers"      phrase: must appear in the chunk text (its words are ranked too)
+//   +driver                  word that must appear
+//   -ue5  NOT ue5  -"a b"    exclude chunks containing the word / phrase (any clause can be negated)
+//   tag:vulkan  tag:a,b      tag filter (comma = any of)
+//   title:driver             title contains the text (quote for spaces: title:"driver update")
+//   date:2025-09..2025-10    date range, inclusive at the given precision; date:2025-09, date:..2025-10
+//   role:user                chunk comes from a user (or assistant) turn
+//   a OR b                   either filter; AND between clauses is implied
+//
+// Free words alone rank exactly like a plain rankChunks query (or the chosen dense/hybrid
+// retriever, lib/dense.mjs). Filter-only queries list matching chunks newest first.
+
+import { retrieve } from './dense.mjs';
+import { analyzerFor, createAnalyzer, foldText, DEFAULT_ANALYZER } from './analyzer.mjs';
+
+const FIELDS = { tag: 'tag', tags: 'tag', title: 'title', date: 'date', role: 'role' };
+const TOKEN_RE = /([+-]?)(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+// Parsing only needs to know whether a term has any words in it, in any script.
+const parseAnalyzer = createAnalyzer({ ...DEFAULT_ANALYZER, stem: false, fuzzy: false });
+
+/** Case-, accent- and punctuation-insensitive form used for phrase and title matching. */
+export function normalizeText(s) {
+  return ' ' + foldText(s).replace(/[^\p{L}\p{N}\p{M}_]+/gu, ' ').trim() + ' ';
+}
+
+function atom(field, raw) {
+  if (field === 'date') {
+    const [from, to] = raw.includes('..') ? raw.split('..') : [raw, raw];
+    return { field, value: raw, from: from || '', to: to || '' };
+  }
+  if (field === 'tag' || field === 'role') return { field, value: raw.toLowerCase() };
+  return { field, value: raw };
+}
+
+/**
+ * Parse a query into `{ text, clauses }`. `text` is what gets ranked; every clause must hold for a
+ * hit: `{ neg, any: [{ field: 'word'|'phrase'|'tag'|'title'|'date'|'role', value, from?, to? }] }`.
+ */
+export function parseQuery(input) {
+  const words = [];
+  const clauses = [];
+  let negateNext = false;
+  let orPending = false;
+  let lastWasClause = false;
+  for (const m of String(input || '').matchAll(TOKEN_RE)) {
+    const [, sign, rawField, quoted, bare] = m;
+    const value = quoted ?? bare ?? '';
+    const field = rawField ? FIELDS[rawField.toLowerCase()] : undefined;
+    if (!sign && !rawField && quoted === undefined) {
+      if (value === 'NOT') { negateNext = true; continue; }
+      if (value === 'OR') { orPending = lastWasClause; continue; }
+      if (value === 'AND') continue;
+    }
+    const neg = sign === '-' || negateNext;
+    negateNext = false;
+
+    let atoms;
+    if (field) {
+      atoms = field === 'tag' ? value.split(',').filter(Boolean).map((v) => atom('tag', v)) : value ? [atom(field, value)] : [];
+    } else {
+      // Unknown `foo:bar` prefixes are plain text.
+      const text = rawField ? `${rawField}:${value}` : value;
+      const toks = parseAnalyzer.tokenize(text);
+      if (quoted === undefined && !neg && sign !== '+') {
+        words.push(text);
+        orPending = lastWasClause = false;
+        continue;
+      }
+      if (!toks.length) atoms = [];
+      else atoms = [quoted === undefined && toks.length === 1 ? { field: 'word', value: text } : { field: 'phrase', value: text }];
+      if (!neg && atoms.length) words.push(text);
+    }
+    if (!atoms.length) { orPending = lastWasClause = false; continue; }
+    const prev = clauses[clauses.length - 1];
+    if (orPending && prev.neg === neg) prev.any.push(...atoms);
+    else clauses.push({ neg, any: atoms });
+    orPending = false;
+    lastWasClause = true;
+  }
+  return { text: words.join(' '), clauses };
+}
+
+/** Whether matching needs chunk `text` (phrase and word clauses), which the sharded index loads lazily. */
+export function needsText(parsed) {
+  return parsed.clauses.some((c) => c.any.some((a) => a.field === 'phrase' || a.field === 'word'));
+}
+
+function atomMatches(chunk, a, an) {
+  switch (a.field) {
+    case 'tag':
+      return (chunk.tags || []).some((t) => String(t).toLowerCase() === a.value);
+    case 'title':
+      return normalizeText(chunk.title).includes(normalizeText(a.value));
+    case 'date': {
+      const d = String(chunk.date || '');
+      if (!d) return false;
+      if (a.from && d < a.from) return false;
+      if (a.to && d.slice(0, a.to.length) > a.to) return false;
+      return true;
+    }
+    case 'role':
+      return chunk.role === a.value;
+    case 'phrase':
+      return normalizeText(`${chunk.title} ${chunk.text ?? chunk.snippet ?? ''}`).includes(normalizeText(a.value));
+    case 'word': {
+      // Analyzed like the index, so -drivers also excludes "driver" when the index is stemmed.
+      const want = an.tokenize(a.value);
+      const have = new Set(an.tokenize(`${chunk.title} ${(chunk.tags || []).join(' ')} ${chunk.text ?? chunk.snippet ?? ''}`));
+      return want.length > 0 && want.every((t) => have.has(t));
+    }
+    default:
+      return false;
+  }
+}
+
+/** True when `chunk` satisfies every clause of a parsed query; `an` is the index's analyzer. */
+export function matchesQuery(chunk, parsed, an = createAnalyzer()) {
+  return parsed.clauses.every((c) => c.any.some((a) => atomMatches(chunk, a, an)) !== c.neg);
+}
+
+/**
+ * Ranking with the query language applied. Accepts a query string or a parseQuery result;
+ * `retriever` is 'lexical' (default), 'dense' or 'hybrid'.
+ */
+export function searchChunks(rag, query, k = 6, { retriever = 'lexical' } = {}) {
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  if (!parsed.clauses.length) return retrieve(rag, parsed.text, k, retriever);
+  if (!rag?.chunks?.length) return [];
+  // rag-index.json and the PNG capsule carry no chunk text (it lives in rag-shards/); checking a
+  // phrase against the 280-character snippet would quietly give wrong hits.
+  if (needsText(parsed) && rag.chunks.some((c) => typeof c.text !== 'string')) {
+    throw new Error('Phrase and -exclusion filters need the chunk text, which this index does not include (it ships in public/rag-shards/).');
+  }
+  const an = analyzerFor(rag);
+  if (!an.tokenize(parsed.text).length) {
+    return rag.chunks
+      .filter((c) => matchesQuery(c, parsed, an))
+      .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+      .slice(0, k)
+      .map((c) => ({ score: 0, ...c }));
+  }
+  return retrieve(rag, parsed.text, rag.chunks.length, retriever).filter((c) => matchesQuery(c, parsed, an)).slice(0, k);
+}
+
+/** Positive `tag:` filters in a query (what the search page highlights as active chips). */
+export function queryTags(query) {
+  const out = [];
+  for (const c of parseQuery(query).clauses) {
+    if (!c.neg) for (const a of c.any) if (a.field === 'tag') out.push(a.value);
+  }
+  return out;
+}
+
+/** Add `tag:<tag>` to a query, or remove it when already present. */
+export function toggleTag(query, tag) {
+  const q = String(query || '');
+  const esc = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = new RegExp(`(^|\\s)tags?:("${esc}"|${esc})(?=\\s|$)`, 'gi');
+  if (re.test(q)) return q.replace(re, '').replace(/\s+/g, ' ').trim();
+  return `${q.trim()} tag:${/\s/.test(tag) ? `"${tag}"` : tag}`.trim();
+}
+
+/** Remove every `tag:` term from a query. */
+export function clearTags(query) {
+  return String(query || '').replace(/(^|\s)tags?:("[^"]*"|\S+)/gi, '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,225 @@
+// Shared RAG query scoring for ai-cli.mjs, mcp-server.mjs and the search page.
+// Pure (no Node APIs) so the browser bundle can import it too.
+//
+// rag-index.json versions:
+//   1  TF-IDF: each chunk keeps its top-32 weighted terms in `vector`; ranked by cosine.
+//   2  BM25F: adds `postings` (every term, per-field term frequencies) and per-chunk field
+//      lengths, so rare terms outside a chunk's top 32 are still findable. Chunks keep
+//      `vector`/`norm`, so code that only understands version 1 keeps working.
+
+import { asciiTokenize, analyzerFor, expandFuzzy } from './analyzer.mjs';
+
+export { STOP } from './analyzer.mjs';
+
+/** Legacy ASCII tokenizer. Scoring analyzes with the index's own analyzer (lib/analyzer.mjs). */
+export const tokenize = asciiTokenize;
+
+const vocabCache = new WeakMap();
+
+/** Term set of an index (or of a vocab list), cached per object. */
+function vocabOf(src) {
+  let v = vocabCache.get(src);
+  if (!v) {
+    v = new Set(Array.isArray(src) ? src : src.vocab || [...Object.keys(src.postings || src.idf || {}), ...Object.keys(src.dense?.terms || {})]);
+    vocabCache.set(src, v);
+  }
+  return v;
+}
+
+/**
+ * Query terms as the index sees them: analyzed like its chunks and, when the analyzer has `fuzzy`,
+ * with unknown terms swapped for vocabulary terms one edit away. `vocab` overrides the index's own
+ * term list (the sharded layout ships it separately).
+ */
+export function queryTerms(rag, query, vocab) {
+  const an = analyzerFor(rag);
+  const terms = an.tokenize(query);
+  if (!an.spec.fuzzy) return terms;
+  return expandFuzzy(terms, vocabOf(vocab || rag));
+}
+
+/** Field order inside a version-2 posting: [chunkIndex, tf(title), tf(tags), tf(body)]. */
+export const BM25_FIELDS = ['title', 'tags', 'body'];
+
+export const BM25_DEFAULTS = { k1: 1.2, b: 0.75, weights: { title: 2.0, tags: 1.5, body: 1.0 } };
+
+function top(scores, rag, k) {
+  scores.sort((a, b) => b[1] - a[1]);
+  return scores.slice(0, k).map(([i, s]) => ({ score: s, ...rag.chunks[i] }));
+}
+
+/** Version-1 ranking: cosine between the query's TF-IDF vector and each chunk's top terms. */
+export function cosineRank(rag, query, k = 6) {
+  if (!rag?.chunks?.length) return [];
+  const idf = rag.idf || {};
+  const tf = new Map();
+  for (const t of queryTerms(rag, query)) tf.set(t, (tf.get(t) || 0) + 1);
+  const qWeights = {};
+  let sumsq = 0;
+  for (const [t, f] of tf) {
+    const w = f * (idf[t] || 1);
+    if (w > 0) { qWeights[t] = w; sumsq += w * w; }
+  }
+  const norm = Math.sqrt(sumsq) || 1;
+  const scores = [];
+  for (let i = 0; i < rag.chunks.length; i++) {
+    const c = rag.chunks[i];
+    let dot = 0;
+    for (const [t, w] of c.vector || []) {
+      const qw = qWeights[t];
+      if (qw) dot += w * qw;
+    }
+    const denom = (c.norm || 1) * norm;
+    const s = denom ? dot / denom : 0;
+    if (s > 0) scores.push([i, s]);
+  }
+  return top(scores, rag, k);
+}
+
+/** Version-2 ranking: BM25F over title/tags/body postings. */
+export function bm25Rank(rag, query, k = 6) {
+  if (!rag?.chunks?.length || !rag.postings) return [];
+  const { k1, b, weights } = { ...BM25_DEFAULTS, ...(rag.bm25 || {}) };
+  const N = rag.chunks.length;
+  const avg = rag.avgLen || {};
+  const acc = new Map();
+  for (const term of new Set(queryTerms(rag, query))) {
+    const plist = rag.postings[term];
+    if (!plist?.length) continue;
+    const idf = Math.log(1 + (N - plist.length + 0.5) / (plist.length + 0.5));
+    for (const p of plist) {
+      const lens = rag.chunks[p[0]].len || [];
+      let tf = 0;
+      for (let f = 0; f < BM25_FIELDS.length; f++) {
+        const raw = p[f + 1];
+        if (!raw) continue;
+        const name = BM25_FIELDS[f];
+        const norm = 1 - b + b * ((lens[f] || 0) / (avg[name] || 1));
+        tf += (weights[name] ?? 1) * raw / norm;
+      }
+      acc.set(p[0], (acc.get(p[0]) || 0) + idf * tf / (k1 + tf));
+    }
+  }
+  return top(Array.from(acc.entries()), rag, k);
+}
+
+// ---------------------------------------------------------------------------
+// Sharded layout (public/rag-shards/, written by build-rag.mjs next to rag-index.json):
+//   manifest.json            { version, builtAt, analyzer?, shards, chunks, vectors, textPerFile, text: [file…], vocab?,
+//                              terms: [file…], bm25?, avgLen?, dense?: { method, dims, embs } }
+//   chunks.<hash>.json       chunk metadata in index order (no vectors)
+//   vectors.<hash>.json      version-1 chunk vectors, aligned with chunks (for Related Logs)
+//   text-NNN.<hash>.json     chunk text for chunks NNN*textPerFile onward (loaded on demand: the files holding
+//                            the shown hits for snippets, all of them for phrase/exclusion filters)
+//   vocab.<hash>.json        every indexed term, for fuzzy query expansion (only with a fuzzy analyzer)
+//   embs.<hash>.json         LSA chunk embeddings, aligned with chunks (lib/dense.mjs, loaded for dense/hybrid)
+//   terms-NNN.<hash>.json    { idf: { term: w }, postings: { term: [[chunkIndex, …], …] }, dense?: { term: [scale, b64] } }
+// Version-1 postings are [chunkIndex, weight] taken from the chunk vectors; version-2 postings are
+// the BM25F ones. File names carry a content hash so everything but the manifest can be cached forever.
+
+/** FNV-1a shard assignment; build and query side must agree. */
+export function shardOf(term, shards) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    h ^= term.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h % Math.max(1, shards);
+}
+
+/**
+ * Split a rag-index.json into `perShard`-term shards: { shards, chunks (no vectors/text/emb), vectors,
+ * texts (runs of `textPerFile` chunk texts), embs, vocab, terms }. Query norms use the idf of every query term, so idf-only terms (in no top-32 vector) are
+ * sharded too, as are terms that only have an LSA row.
+ */
+export function splitShards(rag, perShard = 256, textPerFile = 64) {
+  let postings = rag.postings;
+  if (!postings) {
+    postings = {};
+    rag.chunks.forEach((c, i) => {
+      for (const [t, w] of c.vector || []) (postings[t] ||= []).push([i, w]);
+    });
+  }
+  const idf = rag.idf || {};
+  const dense = rag.dense?.terms || {};
+  const terms = Array.from(new Set([...Object.keys(idf), ...Object.keys(postings), ...Object.keys(dense)])).sort();
+  const shards = Math.max(1, Math.ceil(terms.length / perShard));
+  const buckets = Array.from({ length: shards }, () => (rag.dense ? { idf: {}, postings: {}, dense: {} } : { idf: {}, postings: {} }));
+  for (const t of terms) {
+    const b = buckets[shardOf(t, shards)];
+    if (idf[t] !== undefined) b.idf[t] = idf[t];
+    if (postings[t]) b.postings[t] = postings[t];
+    if (dense[t]) b.dense[t] = dense[t];
+  }
+  return {
+    shards,
+    chunks: rag.chunks.map(({ vector: _vector, text: _text, emb: _emb, ...c }) => c),
+    vectors: rag.chunks.map((c) => c.vector || []),
+    texts: Array.from({ length: Math.ceil(rag.chunks.length / textPerFile) }, (_, f) =>
+      rag.chunks.slice(f * textPerFile, (f + 1) * textPerFile).map((c) => c.text || '')),
+    embs: rag.dense ? rag.chunks.map((c) => c.emb || null) : null,
+    vocab: Array.from(new Set([...Object.keys(postings), ...Object.keys(dense)])).sort(),
+    terms: buckets
+  };
+}
+
+/** Text file numbers holding the chunks at `indices`. */
+export function textFilesFor(manifest, indices) {
+  return Array.from(new Set(indices.map((i) => Math.floor(i / manifest.textPerFile)))).sort((a, b) => a - b);
+}
+
+/** Shard numbers needed to score `query` (`vocab`: the manifest's term list, for fuzzy expansion). */
+export function shardsForQuery(manifest, query, vocab) {
+  const terms = queryTerms({ analyzer: manifest.analyzer }, query, vocab);
+  return Array.from(new Set(terms.map((t) => shardOf(t, manifest.shards)))).sort((a, b) => a - b);
+}
+
+/**
+ * Rebuild the slice of rag-index.json that rankChunks needs for the loaded shards, so ranking is
+ * the same as against the full index. Version-1 chunks get sparse vectors holding just the
+ * loaded terms (norms are the stored full-vector norms). Chunks that carry `emb` (joined from the
+ * embs file) plus the shards' LSA rows make the slice usable for dense ranking too.
+ */
+export function assembleIndex(manifest, chunks, shardPayloads, vocab) {
+  const idf = {};
+  const postings = {};
+  const dense = {};
+  for (const sh of shardPayloads) {
+    Object.assign(idf, sh?.idf || {});
+    Object.assign(postings, sh?.postings || {});
+    Object.assign(dense, sh?.dense || {});
+  }
+  const head = {
+    analyzer: manifest.analyzer,
+    ...(vocab ? { vocab } : {}),
+    ...(manifest.dense ? { dense: { method: manifest.dense.method, dims: manifest.dense.dims, terms: dense } } : {})
+  };
+  if (manifest.version >= 2) {
+    return { version: manifest.version, ...head, bm25: manifest.bm25, avgLen: manifest.avgLen, idf, chunks, postings };
+  }
+  const vectors = chunks.map(() => []);
+  for (const [t, plist] of Object.entries(postings)) {
+    for (const [i, w] of plist) vectors[i].push([t, w]);
+  }
+  return {
+    version: 1,
+    ...head,
+    idf,
+    chunks: chunks.map((c, i) => ({ ...c, vector: vectors[i].sort((a, b) => b[1] - a[1]) }))
+  };
+}
+
+/** Rank chunks with whatever the index supports (BM25 for version 2, cosine otherwise). */
+export function rankChunks(rag, query, k = 6) {
+  if (rag?.version >= 2 && rag.postings) return bm25Rank(rag, query, k);
+  return cosineRank(rag, query, k);
+}
+
+/**
+ * Link to the spot a chunk came from: its heading anchor when it starts under one inside its turn,
+ * else `#turn-N`, else the log itself. Chunk `start`/`end`/`headings`/`anchor` come from lib/chunkers.mjs.
+ */
+export function chunkHref(c) {
+  if (c.anchor) return `${c.href}#${c.anchor}`;
+  return c.turn ? `${c.href}#turn-${c.turn}` : c.href;
+}
@@ -0,0 +1,96 @@
+// Saved searches: named queries from `savedSearches` in public/ui/config.json that prebuild.mjs
+// runs against the RAG index after every build. Pure (no Node APIs); prebuild does the file I/O.
+//
+//   "savedSearches": [
+//     { "name": "Vulkan crash", "query": "vulkan crash" },
+//     { "name": "Driver regression", "query": "driver regression tag:nvidia", "retriever": "hybrid", "limit": 20 }
+//   ]
+//
+// Output under public/searches/:
+//   index.json             [{ slug, name, query, count, added, updatedAt, hrefs }]
+//   <slug>/hits.json       { slug, name, query, hits: [{ href, link, title, date, tags, snippet, seenAt }], added: [href…] }
+//   <slug>/feed.xml        RSS 2.0, newest match first
+// Hits are per log (its best chunk). `seenAt` is the first build that matched the log and is carried
+// over from the previous hits.json, so `added` lists exactly what is new since the last build.
+
+import { searchChunks, parseQuery } from './rag-query.mjs';
+import { RETRIEVERS } from './dense.mjs';
+import { snippetFor, passageHref } from './snippets.mjs';
+
+export const SAVED_SEARCH_LIMIT = 50;
+
+/** URL-safe slug for a search name (`Vulkan crash` → `vulkan-crash`). */
+export function searchSlug(name) {
+  return String(name || '').toLowerCase().normalize('NFKD').replace(/\p{M}+/gu, '').replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'search';
+}
+
+/** Valid saved searches from a ui config, with unique slugs; entries without a name or query are skipped. */
+export function savedSearchesOf(config) {
+  const seen = new Set();
+  const out = [];
+  for (const s of Array.isArray(config?.savedSearches) ? config.savedSearches : []) {
+    if (!s || !String(s.name || '').trim() || !String(s.query || '').trim()) continue;
+    let slug = searchSlug(s.name);
+    for (let n = 2; seen.has(slug); n++) slug = `${searchSlug(s.name)}-${n}`;
+    seen.add(slug);
+    out.push({
+      slug,
+      name: String(s.name).trim(),
+      query: String(s.query).trim(),
+      retriever: RETRIEVERS.includes(s.retriever) ? s.retriever : 'lexical',
+      limit: Number(s.limit) > 0 ? Number(s.limit) : SAVED_SEARCH_LIMIT
+    });
+  }
+  return out;
+}
+
+/** Logs matching a saved search, best first: `[{ href, link, title, date, tags, snippet }]`. */
+export function runSavedSearch(rag, search) {
+  if (!rag?.chunks?.length) return [];
+  const parsed = parseQuery(search.query);
+  const byLog = new Map();
+  for (const c of searchChunks(rag, parsed, rag.chunks.length, { retriever: search.retriever })) {
+    if (byLog.has(c.href)) continue;
+    const snip = snippetFor(rag, c.text ?? c.snippet, parsed);
+    byLog.set(c.href, { href: c.href, link: passageHref(c, snip.words), title: c.title, date: c.date || '', tags: c.tags || [], snippet: snip.text });
+    if (byLog.size >= search.limit) break;
+  }
+  return Array.from(byLog.values());
+}
+
+/**
+ * Carry `seenAt` over from the previous build's hits; logs matching for the first time get `now`.
+ * Returns `{ hits, added }` with `added` the hrefs that are new since `previous`.
+ */
+export function mergeHits(hits, previous, now) {
+  const before = new Map((previous?.hits || []).map((h) => [h.href, h.seenAt]));
+  const added = [];
+  const out = hits.map((h) => {
+    if (!before.has(h.href)) added.push(h.href);
+    return { ...h, seenAt: before.get(h.href) || now };
+  });
+  return { hits: out, added };
+}
+
+const esc = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** RSS 2.0 feed for one saved search; items newest match first, dated by when they first matched. */
+export function savedSearchFeed(search, hits, base) {
+  const items = [...hits].sort((a, b) => String(b.seenAt).localeCompare(String(a.seenAt)) || String(b.date).localeCompare(String(a.date)));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${esc(search.name)} - Saved search - Chat Logs</title>
+    <link>${esc(`${base}/search/?q=${encodeURIComponent(search.query)}`)}</link>
+    <description>New logs matching ${esc(search.query)}</description>
+    ${items.map((h) => `
+    <item>
+      <title>${esc(h.title)}</title>
+      <link>${esc(`${base}${h.href}/${h.link.slice(h.href.length)}`)}</link>
+      <guid>${esc(`${base}${h.href}/`)}</guid>
+      <pubDate>${new Date(h.seenAt).toUTCString()}</pubDate>
+      <description>${esc(h.snippet)}</description>
+    </item>`).join('')}
+  </channel>
+</rss>`;
+}
@@ -0,0 +1,121 @@
+// Query-dependent snippets for search hits: the window of a chunk's text that best covers the
+// query, with the matching words marked. Used by the search page, ai-cli.mjs `rag` and
+// mcp-server.mjs `rag.search`. Pure (no Node APIs) so the browser bundle can import it too.
+//
+// Words match when they analyze to one of the query's terms (lib/rag-score.mjs queryTerms), so
+// stemming and typo expansion highlight what ranking matched: "drivers" marks "driver".
+// Excluded words and filters never highlight.
+//
+//   { text, start, end, matches: [[s, e], …], words: [...] }
+// `start`/`end` locate the window in the chunk text, `matches` are offsets inside `text` and
+// `words` are the distinct matched words (what `?hl=` carries to the log page).
+
+import { parseQuery } from './rag-query.mjs';
+import { analyzerFor } from './analyzer.mjs';
+import { queryTerms, chunkHref } from './rag-score.mjs';
+
+export const SNIPPET_SIZE = 280;
+
+const WORD_RE = /[\p{L}\p{N}\p{M}_]+/gu;
+
+/** `[start, end, word]` for every word of `text` that analyzes to one of `terms`. */
+export function matchRanges(text, terms, an) {
+  const want = new Set(terms);
+  const seen = new Map();
+  const out = [];
+  if (!want.size) return out;
+  for (const m of String(text || '').matchAll(WORD_RE)) {
+    const w = m[0];
+    let hit = seen.get(w);
+    if (hit === undefined) {
+      hit = an.tokenize(w).some((t) => want.has(t));
+      seen.set(w, hit);
+    }
+    if (hit) out.push([m.index, m.index + w.length, w]);
+  }
+  return out;
+}
+
+/** Window start/end snapped outward to whitespace so words are not cut. */
+function snap(text, start, end) {
+  while (start > 0 && !/\s/.test(text[start - 1])) start--;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+  return [start, end];
+}
+
+/**
+ * Best `size`-character window of `text` for `query` (a string or parseQuery result): the one
+ * covering the most distinct query words, then the most matches. Falls back to the head of the
+ * text when nothing matches. `vocab` is the term list for typo expansion (sharded layout).
+ */
+export function snippetFor(rag, text, query, { size = SNIPPET_SIZE, vocab } = {}) {
+  const src = String(text || '');
+  const parsed = typeof query === 'string' ? parseQuery(query) : query;
+  const an = analyzerFor(rag);
+  const ranges = matchRanges(src, queryTerms(rag, parsed.text, vocab), an);
+  let best = null;
+  for (let i = 0, j = 0; i < ranges.length; i++) {
+    while (j < ranges.length && ranges[j][1] - ranges[i][0] <= size) j++;
+    const span = ranges.slice(i, j);
+    const score = [new Set(span.map((r) => r[2].toLowerCase())).size, span.length];
+    if (!best || score[0] > best.score[0] || (score[0] === best.score[0] && score[1] > best.score[1])) best = { i, score };
+  }
+  let start = 0;
+  if (best) {
+    // A little lead-in before the first match, without wasting the window on it.
+    const first = ranges[best.i][0];
+    start = Math.max(0, Math.min(first - Math.floor(size / 5), src.length - size));
+  }
+  let end = Math.min(src.length, start + size);
+  if (start > 0 || end < src.length) {
+    [start, end] = snap(src, start, end);
+    // Snapping outward can overshoot on long tokens; trim back to whole words inside.
+    if (end - start > size + 40) {
+      const ws = src.slice(start, start + size).search(/\s\S*$/);
+      end = ws > 0 ? start + ws : start + size;
+    }
+  }
+  const out = src.slice(start, end);
+  const lead = out.length - out.trimStart().length;
+  const matches = ranges.filter((r) => r[0] >= start && r[1] <= end).map((r) => [r[0] - start - lead, r[1] - start - lead]);
+  return {
+    text: out.trim(),
+    start: start + lead,
+    end: start + lead + out.trim().length,
+    matches,
+    words: Array.from(new Set(ranges.map((r) => r[2].toLowerCase())))
+  };
+}
+
+/**
+ * Snippet text split into `[text, hit]` parts for rendering.
+ * @returns {[string, boolean][]}
+ */
+export function snippetParts(snip) {
+  const parts = [];
+  let at = 0;
+  for (const [s, e] of snip.matches) {
+    if (s > at) parts.push([snip.text.slice(at, s), false]);
+    parts.push([snip.text.slice(s, e), true]);
+    at = e;
+  }
+  if (at < snip.text.length) parts.push([snip.text.slice(at), false]);
+  return parts;
+}
+
+/** Snippet text with each match wrapped in `open`/`close` (ANSI bold by default). */
+export function markSnippet(snip, open = '\x1b[1m', close = '\x1b[22m') {
+  return snippetParts(snip).map(([t, hit]) => (hit ? open + t + close : t)).join('');
+}
+
+/**
+ * Link to a hit's passage: chunkHref plus `?hl=` with the matched words, which the log page marks
+ * and scrolls to (components/PassageHighlight.tsx).
+ */
+export function passageHref(c, words = []) {
+  const href = chunkHref(c);
+  if (!words.length) return href;
+  const hash = href.indexOf('#');
+  const hl = `?hl=${encodeURIComponent(words.slice(0, 12).join(' '))}`;
+  return hash < 0 ? href + hl : href.slice(0, hash) + hl + href.slice(hash);
+}
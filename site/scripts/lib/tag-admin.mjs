@@ -0,0 +1,265 @@
+// Tag administration for scripts/tags-cli.mjs: turn rename / merge / split / parent operations
+// into a tag mapping plus edits to `tagAliases` / `tagParents`, and rewrite the tags stored in
+// logs (frontmatter `tags:` and the legacy `Tags:` line) and memory capsules (as a new version).
+// Pure (no Node APIs); the CLI does the file I/O and prints the returned hunks as a diff.
+//
+// A mapping is normalized tag → tags replacing it: rename a→b is { a: ['b'] }, a split is
+// { 'ue5 vulkan': ['ue5', 'vulkan'] }. Tags not in the mapping keep their original spelling.
+
+import { normalizeTag, normalizeTags, tagAliasesOf, tagParentsOf, tagAncestors } from './tags.mjs';
+import { parseYaml, splitTags, HEADER_LINES, TURN_RE } from './logdoc.mjs';
+import { reviseCapsule } from './memory-revisions.mjs';
+
+/**
+ * @typedef {{ kind: 'rename', from: string, to: string }
+ *   | { kind: 'merge', from: string[], to: string }
+ *   | { kind: 'split', from: string, to: string[] }
+ *   | { kind: 'parent', child: string, parent: string }
+ *   | { kind: 'unparent', child: string }
+ *   | { kind: 'apply' }} TagOp
+ * @typedef {{ line: number, remove: string[], add: string[] }} Hunk  1-based line in the old text
+ */
+
+function need(tag, what) {
+  const n = normalizeTag(tag);
+  if (!n) throw new Error(`missing ${what}`);
+  return n;
+}
+
+/**
+ * Tag mapping for an operation; `apply` maps through the config's current aliases.
+ * Throws on operations that would not change anything.
+ * @param {TagOp} op
+ * @param {object} [config]  ui/config.json contents
+ * @returns {Record<string, string[]>}
+ */
+export function tagMapping(op, config = {}) {
+  switch (op.kind) {
+    case 'rename': {
+      const from = need(op.from, 'tag to rename');
+      const to = need(op.to, 'new name');
+      if (from === to) throw new Error(`"${from}" already has that name`);
+      return { [from]: [to] };
+    }
+    case 'merge': {
+      const to = need(op.to, 'merge target (--into)');
+      const from = normalizeTags(op.from).filter((t) => t !== to);
+      if (!from.length) throw new Error('nothing to merge');
+      return Object.fromEntries(from.map((t) => [t, [to]]));
+    }
+    case 'split': {
+      const from = need(op.from, 'tag to split');
+      const to = normalizeTags(op.to);
+      if (to.length < 2) throw new Error('split needs at least two new tags');
+      return { [from]: to };
+    }
+    case 'apply':
+      return Object.fromEntries(Object.entries(tagAliasesOf(config.tagAliases)).map(([k, v]) => [k, [v].flat()]));
+    default:
+      return {};
+  }
+}
+
+/** Map tags, keeping order and the spelling of untouched tags; deduped by normalized form. */
+export function mapTags(tags, mapping) {
+  const out = [];
+  const seen = new Set();
+  for (const t of tags || []) {
+    for (const m of mapping[normalizeTag(t)] || [t]) {
+      const n = normalizeTag(m);
+      if (n && !seen.has(n)) { seen.add(n); out.push(m); }
+    }
+  }
+  return out;
+}
+
+/**
+ * ui config after an operation (a new object; only `tagAliases` / `tagParents` change).
+ * Renames, merges and splits add an alias from the old tag so future logs still map, and redirect
+ * existing aliases that pointed at it. A renamed or merged tag keeps its place in the hierarchy;
+ * a split tag's parent entry is dropped and its children become roots.
+ * @param {object} config
+ * @param {TagOp} op
+ */
+export function updateTagConfig(config, op) {
+  const next = { ...config };
+  const parents = { ...(config.tagParents || {}) };
+  if (op.kind === 'parent') {
+    const child = need(op.child, 'child tag');
+    const parent = need(op.parent, 'parent tag');
+    if (child === parent || tagAncestors(parent, tagParentsOf(parents)).includes(child)) {
+      throw new Error(`"${parent}" cannot be the parent of "${child}": that would make a cycle`);
+    }
+    for (const k of Object.keys(parents)) if (normalizeTag(k) === child) delete parents[k];
+    parents[child] = parent;
+    next.tagParents = parents;
+    return next;
+  }
+  if (op.kind === 'unparent') {
+    const child = need(op.child, 'child tag');
+    for (const k of Object.keys(parents)) if (normalizeTag(k) === child) delete parents[k];
+    next.tagParents = parents;
+    return next;
+  }
+  const mapping = tagMapping(op, config);
+  if (op.kind === 'apply') return next;
+
+  const aliases = { ...(config.tagAliases || {}) };
+  for (const [from, to] of Object.entries(mapping)) {
+    for (const [k, v] of Object.entries(aliases)) {
+      const vs = [v].flat();
+      if (vs.some((x) => normalizeTag(x) === from)) {
+        const mapped = mapTags(vs, mapping);
+        aliases[k] = mapped.length === 1 ? mapped[0] : mapped;
+      }
+      if (normalizeTag(k) === from) delete aliases[k];
+    }
+    aliases[from] = to.length === 1 ? to[0] : to;
+  }
+  next.tagAliases = aliases;
+
+  if (config.tagParents) {
+    const moved = {};
+    for (const [k, v] of Object.entries(parents)) {
+      const child = normalizeTag(k);
+      const parent = normalizeTag(v);
+      const c = mapping[child];
+      const p = mapping[parent];
+      if ((c && c.length > 1) || (p && p.length > 1)) continue;
+      const nc = c ? c[0] : k;
+      const np = p ? p[0] : v;
+      if (normalizeTag(nc) !== normalizeTag(np)) moved[nc] = np;
+    }
+    next.tagParents = moved;
+  }
+  return next;
+}
+
+const PLAIN_ITEM = /^[\p{L}\p{N}_][\p{L}\p{N}_ ./+-]*$/u;
+const yamlItem = (t) => (PLAIN_ITEM.test(t) && !/\s$/.test(t) ? t : JSON.stringify(t));
+const same = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
+/**
+ * Rewrite a log's tags through a mapping. Both the frontmatter `tags:` entry (flow list, block
+ * list or comma string; its style is kept) and a `Tags:` header line above the first turn are
+ * rewritten so they stay in step. Returns null when no tag changes.
+ * @param {string} md
+ * @param {Record<string, string[]>} mapping
+ * @returns {{ text: string, hunks: Hunk[] } | null}
+ */
+export function rewriteLogTags(md, mapping) {
+  return editLogTags(md, (old) => mapTags(old, mapping));
+}
+
+/**
+ * Add tags to a log, after the ones it has. A log without tags gets a `Tags:` line below its
+ * `Conversation ID:` / `Received At:` lines, else below its title, else at the top of the body.
+ * Returns null when it already has them all.
+ * @param {string} md
+ * @param {string[]} tags
+ * @returns {{ text: string, hunks: Hunk[] } | null}
+ */
+export function addLogTags(md, tags) {
+  return editLogTags(md, (old) => mapTags([...old, ...tags], {}), tags);
+}
+
+function editLogTags(md, edit, insert = []) {
+  const raw = String(md || '');
+  const bom = raw.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const eol = raw.includes('\r\n') ? '\r\n' : '\n';
+  const lines = raw.slice(bom.length).replace(/\r\n/g, '\n').split('\n');
+  const hunks = [];
+  let found = false;
+
+  let bodyStart = 0;
+  if (lines[0]?.trim() === '---') {
+    const close = lines.findIndex((l, i) => i > 0 && (l.trim() === '---' || l.trim() === '...'));
+    if (close > 0) {
+      bodyStart = close + 1;
+      const at = lines.findIndex((l, i) => i > 0 && i < close && /^tags[ \t]*:/i.test(l));
+      if (at > 0) {
+        let end = at + 1;
+        while (end < close && /^([ \t]+\S|-)/.test(lines[end])) end++;
+        const block = lines.slice(at, end);
+        const parsed = parseYaml(block.join('\n'));
+        const old = splitTags(Object.values(parsed || {})[0]);
+        const tags = edit(old);
+        found = true;
+        if (!same(old, tags)) {
+          const [, key, value] = /^([^:]+):[ \t]*(.*)$/.exec(block[0]);
+          const indent = /^([ \t]*)-/.exec(block[1] || '')?.[1] ?? '  ';
+          let add;
+          if (!tags.length) add = [`${key}: []`];
+          else if (!value.trim() && end > at + 1) add = [`${key}:`, ...tags.map((t) => `${indent}- ${yamlItem(t)}`)];
+          else if (value.trim().startsWith('[')) add = [`${key}: [${tags.map(yamlItem).join(', ')}]`];
+          else add = [`${key}: ${tags.join(', ')}`];
+          hunks.push({ line: at + 1, remove: block, add });
+        }
+      }
+    }
+  }
+
+  // Where a new Tags line goes: only the leading title / `Key: value` / blank lines count.
+  let headerAt = -1;
+  let titleAt = -1;
+  let lead = true;
+  for (let i = bodyStart; i < Math.min(lines.length, bodyStart + HEADER_LINES); i++) {
+    if (TURN_RE.test(lines[i])) break;
+    lead = lead && /^(#[ \t]|[A-Za-z][\w .-]*:|[ \t]*$)/.test(lines[i]);
+    if (lead && /^(Conversation ID|Received At)[ \t]*:/i.test(lines[i])) headerAt = i;
+    if (lead && titleAt < 0 && /^#[ \t]+\S/.test(lines[i])) titleAt = i;
+    const m = /^(Tags)[ \t]*:[ \t]*(.*)$/i.exec(lines[i]);
+    if (!m) continue;
+    const old = splitTags(m[2]);
+    const tags = edit(old);
+    found = true;
+    if (!same(old, tags)) hunks.push({ line: i + 1, remove: [lines[i]], add: [`${m[1]}: ${tags.join(', ')}`] });
+    break;
+  }
+  const added = normalizeTags(insert);
+  if (!found && added.length) {
+    const at = headerAt >= 0 ? headerAt + 1 : titleAt >= 0 ? titleAt + 1 : bodyStart;
+    hunks.push({ line: at + 1, remove: [], add: [`Tags: ${added.join(', ')}`] });
+  }
+
+  if (!hunks.length) return null;
+  const out = [...lines];
+  for (const h of [...hunks].reverse()) out.splice(h.line - 1, h.remove.length, ...h.add);
+  return { text: bom + out.join(eol), hunks };
+}
+
+/**
+ * The next version of a memory capsule with its `tags` mapped (lib/memory-revisions.mjs, so the
+ * old tags stay in its history), or null when they do not change. Deleted and merged capsules are
+ * left alone.
+ */
+export function rewriteCapsuleTags(capsule, mapping, { now, reason = 'tags rewritten' } = {}) {
+  if (!capsule?.id || capsule.deleted || capsule.mergedInto) return null;
+  const old = Array.isArray(capsule.tags) ? capsule.tags : [];
+  const tags = mapTags(old, mapping);
+  return same(old, tags) ? null : reviseCapsule(capsule, { tags }, { now, reason });
+}
+
+/** One hunk covering the lines that differ between two texts (common head and tail trimmed). */
+export function lineHunks(before, after) {
+  const a = String(before).split('\n');
+  const b = String(after).split('\n');
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  if (head === a.length && head === b.length) return [];
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  return [{ line: head + 1, remove: a.slice(head, a.length - tail), add: b.slice(head, b.length - tail) }];
+}
+
+/** Unified-diff text for one file's hunks. */
+export function formatDiff(file, hunks) {
+  let shift = 0;
+  const out = [`--- a/${file}`, `+++ b/${file}`];
+  for (const h of hunks) {
+    out.push(`@@ -${h.line},${h.remove.length} +${h.line + shift},${h.add.length} @@`);
+    out.push(...h.remove.map((l) => `-${l}`), ...h.add.map((l) => `+${l}`));
+    shift += h.add.length - h.remove.length;
+  }
+  return out.join('\n');
+}
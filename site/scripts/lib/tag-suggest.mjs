@@ -0,0 +1,69 @@
+// Content-based tag suggestions: a centroid classifier over the TF-IDF vectors of the RAG index.
+// Each tag's centroid is the mean of its logs' unit vectors. A log is scored against the centroids
+// of tags it does not carry; confidence is its cosine to the centroid relative to how close the
+// tag's own logs sit (their mean cosine), capped at 1, so 1 means "as typical as a tagged log".
+// learn.mjs writes the suggestions to learn-policy.json; `ai-cli.mjs tags suggest` applies them.
+
+import { buildDocVectors, cosine, vectorNorm } from './doc-vectors.mjs';
+
+export const SUGGEST_DEFAULTS = { minDocs: 2, terms: 300, k: 3, minConfidence: 0.3 };
+
+/**
+ * Train per-tag centroids from the chunks of a RAG index.
+ * @param {{ chunks: any[] }} rag
+ * @param {{ minDocs?: number, terms?: number }} [opts]  tags on fewer logs are skipped; centroids keep their top `terms` weights
+ * @returns {{ docs: Map<string, import('./doc-vectors.mjs').DocVec>, tags: { tag: string, docs: number, spread: number, vec: Map<string, number>, norm: number }[] }}
+ */
+export function trainTagModel(rag, opts = {}) {
+  const { minDocs, terms } = { ...SUGGEST_DEFAULTS, ...opts };
+  const docs = buildDocVectors(rag?.chunks || []);
+  const members = new Map();
+  for (const d of docs.values()) {
+    for (const t of d.tags) {
+      if (!members.has(t)) members.set(t, []);
+      members.get(t).push(d);
+    }
+  }
+  const tags = [];
+  for (const [tag, list] of [...members].sort((a, b) => a[0].localeCompare(b[0]))) {
+    if (list.length < minDocs) continue;
+    const sum = new Map();
+    for (const d of list) {
+      for (const [t, w] of d.vec) sum.set(t, (sum.get(t) || 0) + w / d.norm);
+    }
+    const vec = new Map([...sum].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, terms));
+    const centroid = { vec, norm: vectorNorm(vec) };
+    const spread = list.reduce((s, d) => s + cosine(d, centroid), 0) / list.length;
+    tags.push({ tag, docs: list.length, spread, ...centroid });
+  }
+  return { docs, tags };
+}
+
+/**
+ * Tags a log does not carry, most confident first: `[{ tag, confidence }]` (confidence 0..1, two decimals).
+ * @param {ReturnType<typeof trainTagModel>} model
+ * @param {import('./doc-vectors.mjs').DocVec} doc
+ * @param {{ k?: number, minConfidence?: number }} [opts]
+ */
+export function suggestTags(model, doc, opts = {}) {
+  const { k, minConfidence } = { ...SUGGEST_DEFAULTS, ...opts };
+  const own = new Set(doc.tags);
+  const out = [];
+  for (const t of model.tags) {
+    if (own.has(t.tag) || !t.spread) continue;
+    const confidence = Math.round(Math.min(1, cosine(doc, t) / t.spread) * 100) / 100;
+    if (confidence >= minConfidence) out.push({ tag: t.tag, confidence });
+  }
+  return out.sort((a, b) => b.confidence - a.confidence || a.tag.localeCompare(b.tag)).slice(0, k);
+}
+
+/** Suggestions for every log that has some, keyed by href (the learn-policy.json `tagSuggestions` map). */
+export function suggestAll(rag, opts = {}) {
+  const model = trainTagModel(rag, opts);
+  const out = {};
+  for (const d of model.docs.values()) {
+    const s = suggestTags(model, d, opts);
+    if (s.length) out[d.href] = s;
+  }
+  return out;
+}
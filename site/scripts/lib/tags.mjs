@@ -4,7 +4,10 @@ import { fileURLToPath } from 'node:url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const siteDir = path.resolve(__dirname, '..');
+const siteDir = path.resolve(__dirname, '..', '..');
+
+/** Runtime UI config holding `tagAliases` and `tagParents`. */
+export const UI_CONFIG_FILE = path.join(siteDir, 'public', 'ui', 'config.json');
 
 export function normalizeTag(tag) {
   let s = String(tag || '')
@@ -29,27 +32,37 @@ export function normalizeTags(arr) {
   return out;
 }
 
-/** Load tag alias map from public UI config if present. Keys and values are normalized. */
-export function loadUiConfigTagAliases() {
+function readUiConfig() {
   try {
-    const cfgFile = path.join(siteDir, 'public', 'ui', 'config.json');
-    if (!fs.existsSync(cfgFile)) return {};
-    const raw = JSON.parse(fs.readFileSync(cfgFile, 'utf8')) || {};
-    const aliases = raw.tagAliases || {};
-    const out = {};
-    for (const [k, v] of Object.entries(aliases)) {
-      const nk = normalizeTag(k);
-      const nv = normalizeTag(v);
-      if (!nk || !nv) continue;
-      if (nk === nv) continue; // ignore self-maps
-      out[nk] = nv;
-    }
-    return out;
+    if (!fs.existsSync(UI_CONFIG_FILE)) return {};
+    return JSON.parse(fs.readFileSync(UI_CONFIG_FILE, 'utf8')) || {};
   } catch {
     return {};
   }
 }
 
+/**
+ * Normalized alias map from a `tagAliases` object. A value is one tag, or a list of tags for a
+ * split (`"ue5 vulkan": ["ue5", "vulkan"]`); self-maps and empty entries are dropped.
+ * @returns {Record<string, string | string[]>}
+ */
+export function tagAliasesOf(aliases) {
+  const out = {};
+  for (const [k, v] of Object.entries(aliases || {})) {
+    const nk = normalizeTag(k);
+    const nv = normalizeTags(Array.isArray(v) ? v : [v]);
+    if (!nk || !nv.length) continue;
+    if (nv.length === 1 && nv[0] === nk) continue; // ignore self-maps
+    out[nk] = nv.length === 1 ? nv[0] : nv;
+  }
+  return out;
+}
+
+/** Load tag alias map from public UI config if present. Keys and values are normalized. */
+export function loadUiConfigTagAliases() {
+  return tagAliasesOf(readUiConfig().tagAliases);
+}
+
 /** Map tags through alias table and dedupe; assumes inputs are normalized or will be normalized. */
 export function applyTagAliases(tags, aliasMap) {
   const seen = new Set();
@@ -57,7 +70,78 @@ export function applyTagAliases(tags, aliasMap) {
   for (const t of tags || []) {
     const n = normalizeTag(t);
     const mapped = aliasMap && aliasMap[n] ? aliasMap[n] : n;
-    if (!seen.has(mapped)) { seen.add(mapped); out.push(mapped); }
+    for (const m of Array.isArray(mapped) ? mapped : [mapped]) {
+      if (!seen.has(m)) { seen.add(m); out.push(m); }
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Hierarchy: `tagParents` maps a child tag to its parent ({ "nvidia": "gpu" } is gpu/nvidia).
+
+/**
+ * Normalized child → parent map; entries that would form a cycle are dropped.
+ * @returns {Record<string, string>}
+ */
+export function tagParentsOf(parents) {
+  /** @type {Record<string, string>} */
+  const out = {};
+  for (const [k, v] of Object.entries(parents || {})) {
+    const child = normalizeTag(k);
+    const parent = normalizeTag(v);
+    if (!child || !parent || child === parent) continue;
+    if (tagAncestors(parent, out).includes(child)) continue;
+    out[child] = parent;
   }
   return out;
 }
+
+export function loadUiConfigTagParents() {
+  return tagParentsOf(readUiConfig().tagParents);
+}
+
+/** Parent, grandparent, … of a tag, nearest first. */
+export function tagAncestors(tag, parents) {
+  const out = [];
+  for (let p = parents?.[tag]; p && !out.includes(p) && p !== tag; p = parents[p]) out.push(p);
+  return out;
+}
+
+/** `gpu/nvidia/rtx` for a tag and its ancestors. */
+export function tagPath(tag, parents) {
+  return [...tagAncestors(tag, parents).reverse(), tag].join('/');
+}
+
+/**
+ * Tag tree with rolled-up counts from each log's tags. `count` is logs carrying the tag itself,
+ * `total` is distinct logs carrying it or any descendant. Parents without logs of their own still
+ * appear. Siblings sort by total, then name.
+ * @param {string[][]} tagLists
+ * @param {Record<string, string>} parents
+ * @returns {{ tag: string, count: number, total: number, children: any[] }[]}
+ */
+export function buildTagTree(tagLists, parents = {}) {
+  const nodes = new Map();
+  const node = (tag) => {
+    if (!nodes.has(tag)) nodes.set(tag, { tag, count: 0, total: 0, children: [], logs: new Set() });
+    return nodes.get(tag);
+  };
+  tagLists.forEach((tags, i) => {
+    for (const t of new Set(tags)) {
+      node(t).count++;
+      for (const a of [t, ...tagAncestors(t, parents)]) node(a).logs.add(i);
+    }
+  });
+  const roots = [];
+  for (const n of nodes.values()) {
+    n.total = n.logs.size;
+    const p = parents[n.tag];
+    if (p && nodes.has(p)) nodes.get(p).children.push(n);
+    else roots.push(n);
+  }
+  const strip = (list) => list
+    .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag))
+    .map(({ tag, count, total, children }) => ({ tag, count, total, children: strip(children) }));
+  return strip(roots);
+}
@@ -0,0 +1,144 @@
+// Topic clustering over whole logs: spherical k-means on the per-log TF-IDF vectors
+// (lib/doc-vectors.mjs, the vectors Related Logs compares). Deterministic: logs are taken in
+// relPath order and seeded farthest-first, so the same index always gives the same topics.
+// Each topic is labelled by its most distinctive terms (centroid weight above the corpus mean),
+// shown as the word most often written for each (stems like `brows` read as `browse`).
+// prebuild.mjs writes the result to public/topics.json for /topics and the log pages.
+
+import { buildDocVectors, cosine, vectorNorm } from './doc-vectors.mjs';
+import { analyzerFor, porterStem, STOP } from './analyzer.mjs';
+import { matchRanges } from './snippets.mjs';
+
+export const TOPIC_DEFAULTS = { k: 0, iterations: 20, terms: 500, labelTerms: 3 };
+
+/** Default topic count for n logs: about sqrt(n / 2), between 1 and 12. */
+export function autoTopicCount(n) {
+  return Math.max(1, Math.min(12, Math.round(Math.sqrt(n / 2))));
+}
+
+function unit(d) {
+  const vec = new Map();
+  for (const [t, w] of d.vec) vec.set(t, w / d.norm);
+  return { vec, norm: 1 };
+}
+
+/** Mean of unit vectors, truncated to the heaviest `terms` weights. */
+function centroid(members, terms) {
+  const sum = new Map();
+  for (const m of members) for (const [t, w] of m.vec) sum.set(t, (sum.get(t) || 0) + w / members.length);
+  const vec = new Map([...sum].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, terms));
+  return { vec, norm: vectorNorm(vec) };
+}
+
+// Function words the index keeps (it only drops STOP) say nothing about a topic; matched both as
+// written and stemmed, since index terms may be either.
+const LABEL_STOP = new Set([...STOP, ...'no,yes,but,so,all,any,some,just,also,only,more,most,other,very,too,here,there,what,how,why,when,where,who,i,me,my,we,our,you,your,they,them,their,he,she,his,her,its,these,those,been,being,were,would,should,could,may,might,must,get,got,use,used,using,one'.split(',')]
+  .flatMap((w) => [w, porterStem(w)]));
+
+// Mostly-digit tokens (dates, times, hashes) and function words make poor labels.
+const labelable = (t) => t.length > 1 && !LABEL_STOP.has(t) && (t.match(/\p{L}/gu) || []).length > (t.match(/\d/g) || []).length;
+
+/** Most frequent surface word for each index term in the given chunks' text. */
+function surfaceForms(chunks, terms, an) {
+  const counts = new Map(terms.map((t) => [t, new Map()]));
+  for (const c of chunks) {
+    for (const [, , w] of matchRanges(c.text ?? c.snippet ?? '', terms, an)) {
+      const word = w.toLowerCase();
+      for (const t of an.tokenize(word)) {
+        const m = counts.get(t);
+        if (m) m.set(word, (m.get(word) || 0) + 1);
+      }
+    }
+  }
+  return terms.map((t) => [...counts.get(t)].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || t);
+}
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'topic';
+}
+
+/**
+ * @typedef {{ href: string, title: string, date: string }} TopicLog
+ * @typedef {{ id: string, label: string, terms: string[], size: number, from: string, to: string, logs: TopicLog[] }} Topic
+ */
+
+/**
+ * Cluster the logs of a RAG index into topics, largest first.
+ * @param {{ chunks: any[] }} rag
+ * @param {{ k?: number, iterations?: number, terms?: number, labelTerms?: number }} [opts]  k 0 picks autoTopicCount
+ * @returns {{ k: number, topics: Topic[], byLog: Record<string, string> }}
+ */
+export function clusterTopics(rag, opts = {}) {
+  const { k: wantK, iterations, terms, labelTerms } = { ...TOPIC_DEFAULTS, ...opts };
+  const docs = [...buildDocVectors(rag?.chunks || []).values()]
+    .filter((d) => d.vec.size)
+    .sort((a, b) => a.relPath.localeCompare(b.relPath));
+  if (!docs.length) return { k: 0, topics: [], byLog: {} };
+  const units = docs.map(unit);
+  const an = analyzerFor(rag);
+  const k = Math.min(docs.length, wantK > 0 ? wantK : autoTopicCount(docs.length));
+
+  // Seeds: the most central log, then repeatedly the log least similar to every seed so far.
+  const corpus = centroid(units, Infinity);
+  let first = 0;
+  units.forEach((u, i) => { if (cosine(u, corpus) > cosine(units[first], corpus)) first = i; });
+  const seeds = [first];
+  const closest = units.map((u) => cosine(u, units[first]));
+  while (seeds.length < k) {
+    let next = -1;
+    closest.forEach((s, i) => { if (!seeds.includes(i) && (next < 0 || s < closest[next])) next = i; });
+    seeds.push(next);
+    units.forEach((u, i) => { closest[i] = Math.max(closest[i], cosine(u, units[next])); });
+  }
+  let centers = seeds.map((i) => units[i]);
+
+  let assign = [];
+  for (let it = 0; it < iterations; it++) {
+    const next = units.map((u) => {
+      let best = 0;
+      centers.forEach((c, j) => { if (cosine(u, c) > cosine(u, centers[best])) best = j; });
+      return best;
+    });
+    const stable = next.every((c, i) => c === assign[i]);
+    assign = next;
+    if (stable) break;
+    centers = centers.map((c, j) => {
+      const members = units.filter((_, i) => assign[i] === j);
+      return members.length ? centroid(members, terms) : c;
+    });
+  }
+
+  const used = new Set();
+  const topics = [];
+  centers.forEach((c, j) => {
+    const members = docs.filter((_, i) => assign[i] === j);
+    if (!members.length) return;
+    const hrefs = new Set(members.map((d) => d.href));
+    const top = surfaceForms(rag.chunks.filter((ch) => hrefs.has(ch.href)), [...c.vec]
+      .map(([t, w]) => [t, w / c.norm - (corpus.vec.get(t) || 0) / corpus.norm])
+      .filter(([t, d]) => d > 0 && labelable(t))
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, 8)
+      .map(([t]) => t), an);
+    const label = top.slice(0, labelTerms).join(', ') || members[0].title;
+    let id = slug(top.slice(0, 2).join(' ') || label);
+    for (let n = 2; used.has(id); n++) id = `${slug(top.slice(0, 2).join(' ') || label)}-${n}`;
+    used.add(id);
+    const dates = members.map((d) => String(d.date || '').slice(0, 10)).filter(Boolean).sort();
+    topics.push({
+      id,
+      label,
+      terms: top,
+      size: members.length,
+      from: dates[0] || '',
+      to: dates[dates.length - 1] || '',
+      logs: members
+        .map((d) => ({ href: d.href, title: d.title, date: d.date || '' }))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.href.localeCompare(b.href))
+    });
+  });
+  topics.sort((a, b) => b.size - a.size || a.id.localeCompare(b.id));
+  const byLog = {};
+  for (const t of topics) for (const l of t.logs) byLog[l.href] = t.id;
+  return { k, topics, byLog };
+}
@@ -0,0 +1,50 @@
+import crypto from 'node:crypto';
+
+export function slugify(s) {
+  return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64) || 'chat';
+}
+
+/** Deterministic conversation ID for sources that do not carry one (so re-imports dedupe). */
+export function stableId(prefix, ...parts) {
+  const h = crypto.createHash('sha1').update(parts.map((p) => String(p ?? '')).join('\u0000')).digest('hex');
+  return `${prefix}-${h.slice(0, 16)}`;
+}
+
+/** ISO timestamp of a date string or epoch milliseconds; '' when missing or malformed. */
+export function isoDate(value) {
+  if (value === undefined || value === null || value === '') return '';
+  const d = new Date(typeof value === 'number' ? value : Date.parse(value));
+  return Number.isFinite(d.getTime()) ? d.toISOString() : '';
+}
+
+/** First line of the first user message, trimmed for use as a title. */
+export function titleFromMessages(messages, max = 80) {
+  const first = (messages || []).find((m) => m.role === 'user')?.text || '';
+  const line = first.split('\n').map((l) => l.trim()).find(Boolean) || '';
+  return line.length > max ? line.slice(0, max - 1) + '…' : line;
+}
+
+/**
+ * Render a normalized transcript ({ id, title, createdAt, messages: [{ role, text }] }) to the
+ * Markdown log layout route-logs.mjs and prebuild.mjs understand.
+ */
+export function renderTranscript({ id, title, createdAt, messages }, { tags = [] } = {}) {
+  const head = [`# ${title || 'Chat Transcript'}`, ''];
+  head.push(`Conversation ID: ${id || ''}`);
+  head.push(`Received At: ${createdAt || new Date().toISOString()}`);
+  if (tags.length) head.push(`Tags: ${tags.join(', ')}`);
+  const body = messages.map((m) => {
+    const text = String(m.text || '').trim();
+    // A fence has to open its own line to render as a code block.
+    const sep = /^(```|~~~)/.test(text) ? '\n\n' : ' ';
+    return `**${m.role.toUpperCase()}**:${sep}${text}`;
+  });
+  return head.join('\n') + '\n\n' + body.join('\n\n') + '\n';
+}
+
+/** File name for an imported transcript in logs/incoming (date + title + short id). */
+export function transcriptFileName({ id, title, createdAt }) {
+  const date = (createdAt || new Date().toISOString()).slice(0, 10);
+  const suffix = id ? '-' + String(id).replace(/[^a-zA-Z0-9]/g, '').slice(0, 8) : '';
+  return `${date}-${slugify(title)}${suffix}.md`;
+}
@@ -0,0 +1,59 @@
+import zlib from 'node:zlib';
+
+// Minimal read-only ZIP reader (stored + deflate entries, no ZIP64) so data exports
+// can be ingested without pulling in an archive dependency.
+
+const EOCD_SIG = 0x06054b50;
+const CDIR_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+/** True when the buffer starts with a local file header (PK\x03\x04). */
+export function isZip(buf) {
+  return Buffer.isBuffer(buf) && buf.length > 4 && buf.readUInt32LE(0) === LOCAL_SIG;
+}
+
+function findEndOfCentralDirectory(buf) {
+  // EOCD is 22 bytes plus an optional comment of up to 64KB
+  const min = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= min; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIG) return i;
+  }
+  throw new Error('Not a zip archive (end of central directory not found)');
+}
+
+/** List entries in a zip buffer: [{ name, method, compressedSize, size, offset }] */
+export function listZipEntries(buf) {
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let off = buf.readUInt32LE(eocd + 16);
+  if (off === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(off) !== CDIR_SIG) throw new Error('Corrupt zip central directory');
+    const method = buf.readUInt16LE(off + 10);
+    const compressedSize = buf.readUInt32LE(off + 20);
+    const size = buf.readUInt32LE(off + 24);
+    const nameLen = buf.readUInt16LE(off + 28);
+    const extraLen = buf.readUInt16LE(off + 30);
+    const commentLen = buf.readUInt16LE(off + 32);
+    const offset = buf.readUInt32LE(off + 42);
+    const name = buf.slice(off + 46, off + 46 + nameLen).toString('utf8');
+    out.push({ name, method, compressedSize, size, offset });
+    off += 46 + nameLen + extraLen + commentLen;
+  }
+  return out;
+}
+
+/** Read one entry's bytes. `match` is an exact name or a predicate over the entry name. */
+export function readZipEntry(buf, match) {
+  const test = typeof match === 'function' ? match : (n) => n === match;
+  const entry = listZipEntries(buf).find((e) => test(e.name));
+  if (!entry) return null;
+  const lo = entry.offset;
+  if (buf.readUInt32LE(lo) !== LOCAL_SIG) throw new Error(`Corrupt local header for ${entry.name}`);
+  const start = lo + 30 + buf.readUInt16LE(lo + 26) + buf.readUInt16LE(lo + 28);
+  const data = buf.slice(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+}
@@ -1,14 +1,23 @@
 #!/usr/bin/env node
-// Minimal MCP-style JSON-RPC 2.0 server (read-only phase 1)
-// Methods implemented (all read-only):
+// Minimal MCP-style JSON-RPC 2.0 server (read-only phase 1, plus memory edits)
+// Methods implemented:
 //  - logs.list      params: { tag?, limit? }
-//  - logs.get       params: { href | path }
+//  - logs.get       params: { href | path, turn? }  (turn: 1-based, returns that turn only; a heading
+//                   anchor on href, as in rag.search hits, returns that heading's section)
 //  - memory.list    params: { tag?, limit? }
 //  - memory.get     params: { id }
-//  - rag.search     params: { query, k? }
+//  - memory.history params: { id }                      every version of a capsule, oldest first
+//  - memory.update  params: { id, reason?, title?, content?, tags?, source?, summary?, data? }   (write)
+//  - memory.delete  params: { id, reason? }             tombstone; history is kept           (write)
+//  - rag.search     params: { query, k?, retriever? }  (query syntax: lib/rag-query.mjs; retriever: lexical|dense|hybrid)
+//                   hits carry the best-matching snippet with match offsets (lib/snippets.mjs)
+//  - graph.neighbors params: { id, depth?, types?, edgeTypes?, limit? }   (id: node id, log href, capsule id,
+//                   tag or URL; nodes within depth hops of it, from public/knowledge-graph.json)
+//  - graph.search   params: { query, types?, limit? }    nodes whose label or id match, best connected first
 //  - health.snapshot (no params)
 //  - token.ledger   (no params)
-// Auth (optional): set MCP_API_KEY env; client must send header x-api-key.
+// Auth (optional): set MCP_API_KEY env; client must send header x-api-key. Write methods are only
+// served when MCP_API_KEY is set.
 // Usage: node scripts/mcp-server.mjs [--port 12812]
 // Add script alias: npm run mcp:serve
 
@@ -16,13 +25,20 @@ import fs from 'node:fs';
 import path from 'node:path';
 import http from 'node:http';
 import crypto from 'node:crypto';
+import { parseLogDoc } from './lib/logdoc.mjs';
+import { searchChunks } from './lib/rag-query.mjs';
+import { chunkHref } from './lib/rag-score.mjs';
+import { readRagIndex } from './lib/rag-index.mjs';
+import { snippetFor } from './lib/snippets.mjs';
+import { RETRIEVERS } from './lib/dense.mjs';
+import { NODE_TYPES, EDGE_TYPES, neighbors, searchNodes } from './lib/knowledge-graph.mjs';
+import { getMemory, getMemoryHistory, updateMemory, deleteMemory } from './tools/memory.mjs';
 
 const repoRoot = path.resolve(path.join(process.cwd(), '..'));
 const siteDir = path.join(repoRoot, 'site');
 const publicDir = path.join(siteDir, 'public');
 const logsDir = path.join(repoRoot, 'logs');
-const memoryDir = path.join(logsDir, 'memory');
-const ledgerFile = path.join(memoryDir, 'agent-state', 'token-ledger.json');
+const ledgerFile = path.join(logsDir, 'memory', 'agent-state', 'token-ledger.json');
 
 // ---- Utilities ----
 function readJSON(p, fallback) {
@@ -31,35 +47,11 @@ function readJSON(p, fallback) {
 
 function loadLogsIndex() { return readJSON(path.join(publicDir, 'logs-index.json'), []); }
 function loadMemoryIndex() { return readJSON(path.join(publicDir, 'memory-index.json'), []); }
-function loadRagIndex() { return readJSON(path.join(publicDir, 'rag-index.json'), null); }
+function loadRagIndex() { return readRagIndex(publicDir); }
+function loadGraph() { return readJSON(path.join(publicDir, 'knowledge-graph.json'), { nodes: [], edges: [] }); }
 function loadHealth() { return readJSON(path.join(publicDir, 'health.json'), null); }
 function loadLedger() { return readJSON(ledgerFile, { days: {}, updatedAt: 0 }); }
 
-// Basic tokenizer & cosine (mirrors ai-cli implementation subset)
-const STOP = new Set('the,of,and,to,in,a,for,is,that,on,with,as,it,by,from,at,be,an,or,are,this,was,will,can,not,have,has,had,if,then,else,do,does,did,than,which,into,over,under,between,within,without,about,after,before,since,per,each,via'.split(','));
-function tokenize(text) { return (text.toLowerCase().match(/[a-z0-9_]+/g) || []).filter(t => t.length > 1 && !STOP.has(t)); }
-function buildQueryVector(q, idf) {
-  const toks = tokenize(q); const tf = new Map();
-  toks.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
-  const vec = []; let sumsq = 0;
-  for (const [t,f] of tf) { const w = f * (idf[t] || 1); if (w>0){ vec.push([t,w]); sumsq += w*w; } }
-  const norm = Math.sqrt(sumsq) || 1; return { vec, norm };
-}
-function cosineRank(rag, query, topK=6) {
-  if (!rag?.chunks?.length) return [];
-  const { vec, norm } = buildQueryVector(query, rag.idf || {});
-  const qWeights = Object.fromEntries(vec);
-  const scores = [];
-  for (let i=0;i<rag.chunks.length;i++) {
-    const c = rag.chunks[i]; let dot=0;
-    for (const [t,w] of c.vector) { const qw = qWeights[t]; if (qw) dot += w*qw; }
-    const denom = (c.norm||1)*norm; const s = denom? dot/denom : 0;
-    if (s>0) scores.push([i,s]);
-  }
-  scores.sort((a,b)=>b[1]-a[1]);
-  return scores.slice(0, topK).map(([i,s]) => ({ score:s, ...rag.chunks[i] }));
-}
-
 // ---- Method Implementations ----
 const methods = {
   'logs.list': ({ tag, limit=100 }={}) => {
@@ -68,8 +60,15 @@ const methods = {
     if (tag) out = out.filter(i => (i.tags||[]).includes(tag));
     return out.slice(0, Number(limit));
   },
-  'logs.get': ({ href, path: p }) => {
-    const target = href || p;
+  'logs.get': ({ href, path: p, turn }) => {
+    let target = String(href || p || '');
+    const anchor = target.match(/#turn-(\d+)$/);
+    if (anchor) {
+      target = target.slice(0, anchor.index);
+      if (turn === undefined || turn === null) turn = Number(anchor[1]);
+    }
+    const heading = target.match(/#([^#]+)$/);
+    if (heading) target = target.slice(0, heading.index);
     if (!target) throw rpcError('INVALID_INPUT', 'Provide href or path');
     if (target.includes('..')) throw rpcError('INVALID_INPUT', 'Path traversal disallowed');
     // href in logs-index.json usually like logs/2025/09/18/foo -> we expect .md file under logs.
@@ -79,7 +78,21 @@ const methods = {
     if (!abs.startsWith(logsDir)) throw rpcError('INVALID_INPUT', 'Outside logs root');
     if (!fs.existsSync(abs)) throw rpcError('NOT_FOUND', 'Log not found');
     const text = fs.readFileSync(abs, 'utf8');
-    return { path: full, bytes: Buffer.byteLength(text), content: text };
+    const doc = parseLogDoc(text);
+    if (heading) {
+      const i = doc.headings.findIndex(h => h.slug === decodeURIComponent(heading[1]));
+      if (i < 0) throw rpcError('NOT_FOUND', `Heading #${heading[1]} not found`);
+      const h = doc.headings[i];
+      const end = doc.headings.slice(i + 1).find(n => n.level <= h.level)?.start;
+      const section = text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n').slice(h.start, end).trim();
+      return { path: full, title: doc.title, turns: doc.turns.length, heading: { level: h.level, text: h.text, slug: h.slug }, section };
+    }
+    if (turn !== undefined && turn !== null) {
+      const t = doc.turns[Number(turn) - 1];
+      if (!t) throw rpcError('NOT_FOUND', `Turn ${turn} not found (log has ${doc.turns.length})`);
+      return { path: full, title: doc.title, turns: doc.turns.length, turn: t };
+    }
+    return { path: full, bytes: Buffer.byteLength(text), title: doc.title, turns: doc.turns.length, content: text };
   },
   'memory.list': ({ tag, limit=100 }={}) => {
     const items = loadMemoryIndex();
@@ -87,20 +100,39 @@ const methods = {
     if (tag) out = out.filter(m => (m.tags||[]).includes(tag));
     return out.slice(0, Number(limit));
   },
-  'memory.get': ({ id }) => {
-    if (!id) throw rpcError('INVALID_INPUT', 'Provide id');
-    const capsulePath = path.join(memoryDir, `${id}.json`);
-    if (!capsulePath.startsWith(memoryDir)) throw rpcError('INVALID_INPUT','Bad id');
-    if (!fs.existsSync(capsulePath)) throw rpcError('NOT_FOUND','Capsule not found');
-    return readJSON(capsulePath, {});
+  'memory.get': ({ id }) => memoryCall(() => getMemory(id).capsule, id),
+  'memory.history': ({ id }) => memoryCall(() => getMemoryHistory({ id }), id),
+  'memory.update': ({ id, reason, title, content, tags, source, summary, data }) => {
+    requireWrites();
+    const out = memoryCall(() => updateMemory({ id, reason, title, content, tags, source, summary, data }), id);
+    return { changed: out.changed, version: out.capsule.version };
   },
-  'rag.search': ({ query, k=6 }) => {
+  'memory.delete': ({ id, reason }) => {
+    requireWrites();
+    const out = memoryCall(() => deleteMemory({ id, reason }), id);
+    return { changed: out.changed, version: out.capsule.version };
+  },
+  'rag.search': ({ query, k=6, retriever='lexical' }) => {
     if (!query) throw rpcError('INVALID_INPUT', 'Provide query');
+    if (!RETRIEVERS.includes(retriever)) throw rpcError('INVALID_INPUT', `retriever must be one of ${RETRIEVERS.join(', ')}`);
     const rag = loadRagIndex();
     if (!rag) return { chunks: [], tookMs: 0 };
     const t0 = Date.now();
-    const chunks = cosineRank(rag, query, Number(k));
-    return { chunks: chunks.map(c => ({ score: c.score, href: c.href, title: c.title, snippet: c.snippet })), tookMs: Date.now()-t0 };
+    const chunks = searchChunks(rag, query, Number(k), { retriever });
+    return { chunks: chunks.map(c => {
+      const snip = snippetFor(rag, c.text ?? c.snippet, query);
+      return { score: c.score, href: chunkHref(c), title: c.title, turn: c.turn, role: c.role, headings: c.headings, start: c.start, end: c.end, date: c.date, tags: c.tags, snippet: snip.text, window: [snip.start, snip.end], matches: snip.matches };
+    }), tookMs: Date.now()-t0 };
+  },
+  'graph.neighbors': ({ id, depth=1, types, edgeTypes, limit=200 }) => {
+    if (!id) throw rpcError('INVALID_INPUT', 'Provide id');
+    const out = neighbors(loadGraph(), id, { depth: Math.min(3, Math.max(1, Number(depth) || 1)), types: listParam(types, NODE_TYPES, 'types'), edgeTypes: listParam(edgeTypes, EDGE_TYPES, 'edgeTypes'), limit: Number(limit) });
+    if (!out) throw rpcError('NOT_FOUND', 'Node not found');
+    return out;
+  },
+  'graph.search': ({ query, types, limit=20 }) => {
+    if (!query) throw rpcError('INVALID_INPUT', 'Provide query');
+    return { nodes: searchNodes(loadGraph(), query, { types: listParam(types, NODE_TYPES, 'types'), limit: Number(limit) }) };
   },
   'health.snapshot': () => {
     return loadHealth();
@@ -114,6 +146,27 @@ const methods = {
   }
 };
 
+// Capsule ids are looked up, never joined into paths; map tools/memory.mjs errors to RPC codes.
+function memoryCall(fn, id) {
+  if (!id) throw rpcError('INVALID_INPUT', 'Provide id');
+  try { return fn(); } catch (e) {
+    if (/not found/i.test(e?.message)) throw rpcError('NOT_FOUND', 'Capsule not found');
+    throw rpcError('INVALID_INPUT', e?.message || String(e));
+  }
+}
+
+// Node/edge type filters: an array or comma list, each one of `allowed`.
+function listParam(value, allowed, name) {
+  const list = (Array.isArray(value) ? value : String(value || '').split(',')).map(v => String(v).trim()).filter(Boolean);
+  const bad = list.find(v => !allowed.includes(v));
+  if (bad) throw rpcError('INVALID_INPUT', `${name} must be among ${allowed.join(', ')}`);
+  return list;
+}
+
+function requireWrites() {
+  if (!apiKey) throw rpcError('FORBIDDEN', 'Write methods need MCP_API_KEY');
+}
+
 // ---- JSON-RPC Helpers ----
 function rpcError(code, message, details) {
   const m = typeof message === 'string' ? message : 'Error';
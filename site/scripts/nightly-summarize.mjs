@@ -1,45 +1,166 @@
 #!/usr/bin/env node
+// Memory distillation (npm run memory:distill; the nightly maintenance job runs it too).
+// Usage examples:
+//  node scripts/nightly-summarize.mjs                        # up to 5 pending logs
+//  node scripts/nightly-summarize.mjs --limit 20 --dry-run   # what would be distilled
+//  node scripts/nightly-summarize.mjs --provider=gemini      # abstractive summaries
+//
+// Picks logs that were never distilled or changed since (content hash in
+// logs/memory/agent-state/distilled.json), oldest first. Each gets a summary capsule (TextRank,
+// or the configured provider's summary) and one capsule per key fact (lib/distill.mjs), all with
+// `source` set to the log. A changed log revises its existing capsules (memory update) and
+// tombstones facts it no longer states; unchanged logs are skipped.
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { parseLogDoc } from './lib/logdoc.mjs';
+import { contentHash } from './lib/dedupe.mjs';
+import { extractiveSummary, extractFacts, pendingLogs, planFacts } from './lib/distill.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const siteDir = path.resolve(__dirname, '..');
 const repoRoot = path.resolve(siteDir, '..');
+const logsDir = path.join(repoRoot, 'logs');
+const stateFile = path.join(logsDir, 'memory', 'agent-state', 'distilled.json');
 
-function pickRandom(arr){ return arr[Math.floor(Math.random() * arr.length)]; }
-
-async function main(){
-  const { addMemory, buildMemoryIndex } = await import('./tools/memory.mjs');
-  const logsDir = path.join(repoRoot, 'logs');
-  // find md files under logs
-  const files = [];
-  (function walk(dir){
-    if (!fs.existsSync(dir)) return;
-    for (const name of fs.readdirSync(dir)){
-      const fp = path.join(dir, name);
-      const st = fs.statSync(fp);
-      if (st.isDirectory()) walk(fp);
-      else if (st.isFile() && /\.md$/i.test(name)) files.push(fp);
+function help(exitCode = 0) {
+  console.log(`Usage:
+  nightly-summarize.mjs [--limit <n>] [--provider=gemini|openai|extractive] [--dry-run [--json]]`);
+  process.exit(exitCode);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = { limit: 5, provider: process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : process.env.OPENAI_API_KEY ? 'openai' : 'extractive') };
+  while (args.length) {
+    const a = args.shift();
+    if (a === '--help' || a === '-h') help();
+    else if (a === '--limit') opts.limit = Number(args.shift());
+    else if (a.startsWith('--provider=')) opts.provider = a.slice('--provider='.length);
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--json') opts.json = true;
+    else { console.error('Unknown option:', a); help(1); }
+  }
+  if (!(opts.limit > 0)) { console.error('--limit must be a positive number'); help(1); }
+  return opts;
+}
+
+function loadState() {
+  try {
+    const s = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    if (s?.version === 1 && s.logs) return s;
+  } catch { /* first run */ }
+  return { version: 1, updatedAt: '', logs: {} };
+}
+
+function saveState(state) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  const tmp = stateFile + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+  fs.renameSync(tmp, stateFile);
+}
+
+// Abstractive summary from gemini/openai; anything else (rag, extractive) stays offline.
+async function providerFor(name) {
+  const prov = String(name || '').toLowerCase();
+  if (prov === 'gemini' || prov === 'google') return (await import('./providers/gemini.mjs')).default;
+  if (prov === 'openai' || prov === 'gpt' || prov === 'chatgpt') return (await import('./providers/openai.mjs')).default;
+  return null;
+}
+
+async function summarize(doc, text, provider) {
+  if (provider) {
+    try {
+      const prompt = `Summarize this chat log in 3 to 5 sentences for a knowledge base. Keep versions, commands and fixes exact.\n\nTITLE: ${doc.title}\n\n${text.slice(0, 12000)}`;
+      const out = String(await provider.ask({ prompt }) || '').trim();
+      if (out && out !== '(no response)') return { mode: provider.name, text: out };
+    } catch (e) {
+      console.warn(`nightly-summarize: ${provider.name} failed, using TextRank:`, e?.message || e);
     }
-  })(logsDir);
-  if (files.length === 0){
-    console.log('nightly-summarize: no logs found, skipping');
+  }
+  return { mode: 'textrank', text: extractiveSummary(text).join(' ') };
+}
+
+async function distill(memory, log, prev, provider) {
+  const md = fs.readFileSync(path.join(repoRoot, log.rel), 'utf8');
+  const doc = parseLogDoc(md, { relPath: log.rel });
+  const text = doc.turns.length ? doc.turns.map((t) => t.text).join('\n') : doc.body;
+  const { mode, text: summary } = await summarize(doc, text, provider);
+  const tags = ['distilled', ...doc.tags];
+  const reason = 'log changed';
+
+  // Revise the previous capsule when there is one; a capsule deleted by hand stays deleted.
+  const upsert = (id, fields) => {
+    if (id) {
+      try { return memory.updateMemory({ id, reason, ...fields }).capsule.id; } catch (e) {
+        if (/deleted|merged/.test(e?.message)) return id;
+      }
+    }
+    return memory.addMemory(fields).capsule.id;
+  };
+
+  const summaryId = upsert(prev?.summaryId, {
+    title: `Summary: ${doc.title}`,
+    content: summary || doc.title,
+    summary: summary.split(/(?<=[.!?])\s+/)[0] || doc.title,
+    tags: [...tags, 'summary'],
+    source: log.rel,
+    data: { mode }
+  });
+  const facts = {};
+  const plan = planFacts(extractFacts(doc), prev?.facts || {});
+  for (const f of plan.add) facts[f.key] = upsert('', { title: f.title, content: f.text, summary: f.text, tags: [...tags, 'fact', f.kind], source: log.rel, data: { kind: f.kind, key: f.key } });
+  for (const { id, fact: f } of plan.update) facts[f.key] = upsert(id, { title: f.title, content: f.text, summary: f.text, tags: [...tags, 'fact', f.kind], source: log.rel, data: { kind: f.kind, key: f.key } });
+  for (const id of plan.remove) {
+    try { memory.deleteMemory({ id, reason: 'no longer in the log' }); } catch { /* already gone */ }
+  }
+  return { rel: log.rel, hash: log.hash, distilledAt: new Date().toISOString(), mode, summaryId, facts };
+}
+
+async function main() {
+  const opts = parseArgs();
+  const state = loadState();
+  const files = fs.existsSync(logsDir) ? (await fg('**/*.md', { cwd: logsDir, ignore: ['memory/**'] })).sort() : [];
+  const logs = files.map((f) => {
+    const rel = `logs/${f}`;
+    const md = fs.readFileSync(path.join(logsDir, f), 'utf8');
+    return { rel, hash: contentHash(md), date: parseLogDoc(md, { relPath: rel }).date };
+  });
+  const todo = pendingLogs(logs, state, { limit: opts.limit });
+
+  if (opts.dryRun) {
+    const plan = todo.map((l) => ({ rel: l.rel, reason: state.logs[l.rel] ? 'changed' : 'new' }));
+    if (opts.json) console.log(JSON.stringify({ pending: pendingLogs(logs, state).length, logs: plan }, null, 2));
+    else {
+      console.log(`nightly-summarize: ${pendingLogs(logs, state).length} of ${logs.length} log(s) pending`);
+      for (const p of plan) console.log(`  ${p.reason.padEnd(7)} ${p.rel}`);
+    }
+    return;
+  }
+  if (!todo.length) {
+    console.log('nightly-summarize: nothing to distill');
     return;
   }
-  const fp = pickRandom(files);
-  const rel = path.relative(repoRoot, fp);
-  const md = fs.readFileSync(fp, 'utf8');
-  // extract first H1 or fallback
-  const title = (md.match(/^#\s+(.+)$/m)?.[1] || path.basename(fp));
-  const snippet = md.split(/\n+/).slice(0, 40).join('\n');
-  const content = snippet;
-  const res = addMemory({ title: `Nightly: ${title}`, content, tags: ['nightly','summary'], source: rel, summary: `Auto summary of ${rel}` });
-  buildMemoryIndex();
-  console.log('nightly-summarize: added memory capsule', res.path);
-
-  // Refresh learn-policy after adding memory capsule
+
+  const memory = await import('./tools/memory.mjs');
+  let provider = null;
+  try { provider = await providerFor(opts.provider); } catch (e) {
+    console.warn(`nightly-summarize: provider ${opts.provider} not available, using TextRank:`, e?.message || e);
+  }
+  const done = [];
+  for (const log of todo) {
+    const { rel, ...entry } = await distill(memory, log, state.logs[log.rel], provider);
+    state.logs[rel] = entry;
+    saveState(state);
+    done.push({ rel, mode: entry.mode, facts: Object.keys(entry.facts).length });
+  }
+  memory.buildMemoryIndex();
+  for (const d of done) console.log(`nightly-summarize: ${d.rel} (${d.mode}, ${d.facts} fact(s))`);
+
+  // Refresh learn-policy after adding memory capsules
   try {
     await import('./learn.mjs');
     console.log('nightly-summarize: refreshed learn-policy.json');
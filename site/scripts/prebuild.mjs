@@ -3,7 +3,15 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fg from 'fast-glob';
 import { execSync } from 'node:child_process';
-import { normalizeTags, loadUiConfigTagAliases, applyTagAliases } from './lib/tags.mjs';
+import { parseLogDoc, RIG_FIELDS } from './lib/logdoc.mjs';
+import { loadUiConfigTagAliases } from './lib/tags.mjs';
+import { loadBuildCache, saveBuildCache, fileState, pruneMissing, writeIfChanged, sha1 } from './lib/build-cache.mjs';
+import { readRagIndex } from './lib/rag-index.mjs';
+import { savedSearchesOf, runSavedSearch, mergeHits, savedSearchFeed } from './lib/saved-searches.mjs';
+import { clusterTopics } from './lib/topics.mjs';
+import { normalizeBody } from './lib/dedupe.mjs';
+import { DUPE_DEFAULTS, signature, logTimestamp, findNearDuplicates } from './lib/near-dupes.mjs';
+import { extractLinks, buildKnowledgeGraph } from './lib/knowledge-graph.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,76 +20,85 @@ const repoRoot = path.resolve(siteDir, '..');
 const logsDir = path.join(repoRoot, 'logs');
 const publicDir = path.join(siteDir, 'public');
 
-function parseHeader(md) {
-  const lines = md.split('\n');
-  let offset = 0;
-  let fm = {};
-  if (lines[0]?.trim() === '---') {
-    // Simple YAML-like frontmatter: key: value per line until closing ---
-    for (let i = 1; i < Math.min(lines.length, 50); i++) {
-      const line = lines[i];
-      if (line.trim() === '---') { offset = i + 1; break; }
-      const m = /^(\w[\w-]*):\s*(.*)$/.exec(line);
-      if (m) {
-        const key = m[1].toLowerCase();
-        const val = m[2].trim();
-        fm[key] = val;
-      }
-    }
-  }
-  const head = lines.slice(0, 40).join('\n');
-  const idMatch = head.match(/Conversation ID:\s*(.+)/i) || (fm.id ? [null, fm.id] : null);
-  const receivedMatch = head.match(/Received At:\s*([^\n]+)/i) || (fm.receivedat ? [null, fm.receivedat] : null) || (fm.date ? [null, fm.date] : null);
-  const titleMatch = md.match(/^#\s*(.+)$/m) || (fm.title ? [null, fm.title] : null);
-  const tagsFromHead = head.match(/Tags:\s*([^\n]+)/i)?.[1];
-  const tagsStr = fm.tags || tagsFromHead || '';
-  const rawTags = tagsStr ? tagsStr.split(',').map((t) => t.trim()).filter(Boolean) : [];
-  const norm = normalizeTags(rawTags);
-  const aliases = loadUiConfigTagAliases();
-  const tags = applyTagAliases(norm, aliases);
-  return {
-    id: idMatch?.[1]?.trim() ?? '',
-    receivedAt: receivedMatch?.[1]?.trim() ?? '',
-    title: titleMatch?.[1]?.trim() ?? 'Chat Transcript',
-    tags
-  };
-}
-
-async function run() {
-  // Build learn-policy (next options) first so it's present even if logs/ is missing
+// learn-policy.json (next options and tag suggestions); written even if logs/ is missing.
+async function learn() {
   try {
     await import('./learn.mjs');
   } catch (e) {
     console.warn('Skipping learn-policy generation:', e?.message || e);
   }
+}
 
+async function run() {
   if (!fs.existsSync(logsDir)) {
+    await learn();
     console.log('No logs directory found, skipping prebuild.');
     return;
   }
   fs.mkdirSync(publicDir, { recursive: true });
 
-  const files = await fg('**/*.md', { cwd: logsDir });
+  // Unchanged logs (same content hash, same tag aliases) reuse their cached index entry and are
+  // not re-parsed; their per-log JSON is left as is.
+  const cache = loadBuildCache();
+  const entriesKey = sha1(JSON.stringify([1, loadUiConfigTagAliases()]));
+  if (cache.entries.key !== entriesKey) cache.entries = { key: entriesKey, logs: {} };
+  const cached = cache.entries.logs;
+  const dupesKey = sha1(JSON.stringify([1, DUPE_DEFAULTS.shingle, DUPE_DEFAULTS.hashes]));
+  if (cache.dupes.key !== dupesKey) cache.dupes = { key: dupesKey, logs: {} };
+  const sigs = cache.dupes.logs;
+  const graphKey = sha1(JSON.stringify([1]));
+  if (cache.graph.key !== graphKey) cache.graph = { key: graphKey, logs: {} };
+  const graphLogs = cache.graph.logs;
+  const files = (await fg('**/*.md', { cwd: logsDir })).sort();
+  let parsed = 0;
   const entries = files.map((rel) => {
-    const full = path.join(logsDir, rel);
-    const md = fs.readFileSync(full, 'utf8');
-    const meta = parseHeader(md);
+    const { hash, read } = fileState(cache, rel, path.join(logsDir, rel));
+    let parsedDoc;
+    const parse = () => (parsedDoc ??= parseLogDoc(read(), { relPath: rel }));
+    if (sigs[rel]?.hash !== hash) sigs[rel] = { hash, date: logTimestamp(parse()), ...signature(normalizeBody(read())) };
+    if (graphLogs[rel]?.hash !== hash) graphLogs[rel] = { hash, rig: parse().rig, links: extractLinks(parse().body) };
     const slugParts = rel.replace(/\.md$/i, '').split(path.sep);
+    // Per-log turn JSON next to the page: public/logs/<slug>.json
+    const jsonFile = path.join(publicDir, 'logs', ...slugParts) + '.json';
+    const hit = cached[rel];
+    if (hit && hit.hash === hash && fs.existsSync(jsonFile)) return hit.entry;
+    const doc = parse();
     const href = '/logs/' + slugParts.join('/');
-    const [yyyy, mm, dd] = slugParts;
-    const date = yyyy && mm && dd ? `${yyyy}-${mm}-${dd}` : meta.receivedAt;
-  return { href, title: meta.title || rel, date, relPath: `logs/${rel}`, tags: meta.tags };
+    const entry = { href, title: doc.title || rel, date: doc.date, relPath: `logs/${rel}`, tags: doc.tags };
+    writeIfChanged(jsonFile, JSON.stringify({
+      ...entry,
+      id: doc.id,
+      receivedAt: doc.receivedAt,
+      rig: doc.rig,
+      turns: doc.turns
+    }, null, 2));
+    cached[rel] = { hash, entry };
+    parsed++;
+    return entry;
   });
+  pruneMissing(new Set(files), cached, sigs, graphLogs, cache.files);
+  console.log(`Logs: ${entries.length} (${parsed} parsed, ${entries.length - parsed} from cache)`);
+
+  // Near-duplicates: MinHash/LSH over word shingles (DUPES_THRESHOLD, default 0.75) -> public/duplicates.json
+  try {
+    const threshold = Number(process.env.DUPES_THRESHOLD) || DUPE_DEFAULTS.threshold;
+    const dupes = findNearDuplicates(files.map((rel, i) => ({ ...entries[i], ...sigs[rel] })), { threshold });
+    writeIfChanged(path.join(publicDir, 'duplicates.json'), JSON.stringify(dupes, null, 2));
+    console.log(`Near-duplicates: ${dupes.groups.length} group(s), ${Object.values(dupes.byLog).filter((d) => 'keep' in d).length} superseded copies`);
+  } catch (e) {
+    console.warn('Skipping near-duplicates:', e?.message || e);
+  }
 
   entries.sort((a, b) => b.relPath.localeCompare(a.relPath));
 
   // Write JSON index
-  fs.writeFileSync(path.join(publicDir, 'logs-index.json'), JSON.stringify(entries, null, 2));
+  writeIfChanged(path.join(publicDir, 'logs-index.json'), JSON.stringify(entries, null, 2));
 
   // Minimal RSS feed
   const base = process.env.GITHUB_ACTIONS === 'true' && process.env.GITHUB_REPOSITORY
     ? `https://${process.env.GITHUB_REPOSITORY.split('/')[0]}.github.io/${process.env.GITHUB_REPOSITORY.split('/')[1]}`
     : 'http://localhost:3000';
+  // Undated logs get no pubDate; stamping the build time rewrote every feed on every run.
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0">
   <channel>
@@ -93,12 +110,12 @@ async function run() {
       <title>${e.title}</title>
       <link>${base}${e.href}/</link>
       <guid>${base}${e.href}/</guid>
-      <pubDate>${new Date(e.date || Date.now()).toUTCString()}</pubDate>
+      ${e.date ? `<pubDate>${new Date(e.date).toUTCString()}</pubDate>` : ''}
       <description>${e.relPath}</description>
     </item>`).join('')}
   </channel>
 </rss>`;
-  fs.writeFileSync(path.join(publicDir, 'feed.xml'), xml);
+  writeIfChanged(path.join(publicDir, 'feed.xml'), xml);
 
   // Per-tag RSS feeds
   const byTag = new Map();
@@ -110,7 +127,6 @@ async function run() {
   }
   for (const [tag, list] of byTag.entries()) {
     const tagDir = path.join(publicDir, 'tags', tag);
-    fs.mkdirSync(tagDir, { recursive: true });
     const txml = `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0">
   <channel>
@@ -122,12 +138,12 @@ async function run() {
       <title>${e.title}</title>
       <link>${base}${e.href}/</link>
       <guid>${base}${e.href}/</guid>
-      <pubDate>${new Date(e.date || Date.now()).toUTCString()}</pubDate>
+      ${e.date ? `<pubDate>${new Date(e.date).toUTCString()}</pubDate>` : ''}
       <description>${e.relPath}</description>
     </item>`).join('')}
   </channel>
 </rss>`;
-    fs.writeFileSync(path.join(tagDir, 'feed.xml'), txml);
+    writeIfChanged(path.join(tagDir, 'feed.xml'), txml);
   }
 
   // Optional: generate git commit data (best-effort)
@@ -142,19 +158,22 @@ async function run() {
         const subject = rest.join('|');
         return { hash, parents: (parents || '').split(' ').filter(Boolean), author, date, subject };
       });
-      fs.writeFileSync(path.join(publicDir, 'commits.json'), JSON.stringify(commits, null, 2));
+      writeIfChanged(path.join(publicDir, 'commits.json'), JSON.stringify(commits, null, 2));
       // File changes for most recent N commits (smaller)
       const changesLimit = Math.min(100, commits.length);
+      // A commit's file list never changes, so only commits not seen before hit `git show`.
       const filesMap = {};
       for (let i = 0; i < changesLimit; i++) {
         const h = commits[i].hash;
+        if (cache.commits[h]) { filesMap[h] = cache.commits[h]; continue; }
         try {
           const files = execSync(`git show --name-only --pretty=format: ${h}`, { cwd: repoRoot, encoding: 'utf8' })
             .split('\n').map((x) => x.trim()).filter((x) => x && !x.startsWith('commit '));
           filesMap[h] = files;
         } catch {}
       }
-      fs.writeFileSync(path.join(publicDir, 'commit-files.json'), JSON.stringify(filesMap, null, 2));
+      cache.commits = filesMap;
+      writeIfChanged(path.join(publicDir, 'commit-files.json'), JSON.stringify(filesMap, null, 2));
     }
   } catch (e) {
     console.warn('Skipping git graph generation:', e?.message || e);
@@ -162,7 +181,7 @@ async function run() {
 
   // Optional: generate repo file tree (ignore heavy dirs)
   try {
-    const ignore = ['.git', 'node_modules', 'out', 'dist', 'build', '.next'];
+    const ignore = ['.git', 'node_modules', 'out', 'dist', 'build', '.next', '.cache'];
     function walk(dir) {
       const entries = fs.readdirSync(dir, { withFileTypes: true });
       const children = [];
@@ -182,11 +201,14 @@ async function run() {
       return children;
     }
     const tree = walk(repoRoot);
-    fs.writeFileSync(path.join(publicDir, 'repo-tree.json'), JSON.stringify(tree, null, 2));
+    writeIfChanged(path.join(publicDir, 'repo-tree.json'), JSON.stringify(tree, null, 2));
   } catch (e) {
     console.warn('Skipping repo tree generation:', e?.message || e);
   }
 
+  // build-rag.mjs reads the same cache, so hand over the file hashes computed above.
+  saveBuildCache(cache);
+
     // Build RAG index and PNG capsule
     try {
       await import('./build-rag.mjs');
@@ -194,6 +216,55 @@ async function run() {
       console.warn('Skipping RAG build:', e?.message || e);
     }
 
+  // After the RAG build: tag suggestions are trained on its TF-IDF vectors.
+  await learn();
+
+  // The index just built, for the steps below that rank or cluster logs.
+  // No index: saved searches and topics are skipped.
+  const rag = readRagIndex(publicDir);
+
+  // Topics: k-means over per-log vectors (TOPICS_K topics, default about sqrt(logs / 2)) -> public/topics.json
+  try {
+    if (rag) {
+      const topics = clusterTopics(rag, { k: Number(process.env.TOPICS_K) || 0 });
+      writeIfChanged(path.join(publicDir, 'topics.json'), JSON.stringify(topics, null, 2));
+      console.log(`Topics: ${topics.topics.map((t) => `${t.id} ${t.size}`).join(', ') || 'none'}`);
+    }
+  } catch (e) {
+    console.warn('Skipping topics:', e?.message || e);
+  }
+
+  // Saved searches (ui/config.json savedSearches): per-search hits and RSS feed under public/searches/
+  try {
+    const ui = JSON.parse(fs.readFileSync(path.join(publicDir, 'ui', 'config.json'), 'utf8'));
+    const searches = savedSearchesOf(ui);
+    const searchesDir = path.join(publicDir, 'searches');
+    if (searches.length && rag) {
+      const now = new Date().toISOString();
+      const index = searches.map((s) => {
+        const hitsFile = path.join(searchesDir, s.slug, 'hits.json');
+        let previous = null;
+        try { previous = JSON.parse(fs.readFileSync(hitsFile, 'utf8')); } catch { /* first build for this search */ }
+        const { hits, added } = mergeHits(runSavedSearch(rag, s), previous, now);
+        writeIfChanged(hitsFile, JSON.stringify({ slug: s.slug, name: s.name, query: s.query, hits, added }, null, 2));
+        writeIfChanged(path.join(searchesDir, s.slug, 'feed.xml'), savedSearchFeed(s, hits, base));
+        const updatedAt = hits.reduce((m, h) => (h.seenAt > m ? h.seenAt : m), '');
+        return { slug: s.slug, name: s.name, query: s.query, count: hits.length, added: added.length, updatedAt, hrefs: hits.map((h) => h.href) };
+      });
+      writeIfChanged(path.join(searchesDir, 'index.json'), JSON.stringify(index, null, 2));
+      // Searches removed from the config lose their feeds.
+      const keep = new Set(searches.map((s) => s.slug));
+      for (const d of fs.readdirSync(searchesDir)) {
+        if (d !== 'index.json' && !keep.has(d)) fs.rmSync(path.join(searchesDir, d), { recursive: true, force: true });
+      }
+      console.log(`Saved searches: ${index.map((s) => `${s.slug} ${s.count} (+${s.added})`).join(', ')}`);
+    } else if (!searches.length) {
+      fs.rmSync(searchesDir, { recursive: true, force: true });
+    }
+  } catch (e) {
+    console.warn('Skipping saved searches:', e?.message || e);
+  }
+
   // Build Memory index (for /memory UI)
   try {
     const mem = await import('./tools/memory.mjs');
@@ -205,6 +276,23 @@ async function run() {
     console.warn('Skipping memory index build:', e?.message || e);
   }
 
+  // Knowledge graph: logs, capsules, tags, URLs and rig components -> public/knowledge-graph.json
+  try {
+    const { liveMemory } = await import('./tools/memory.mjs');
+    const graph = buildKnowledgeGraph({
+      logs: files.map((rel) => {
+        const e = cached[rel].entry;
+        return { href: e.href, title: e.title, tags: e.tags, rig: graphLogs[rel].rig, links: graphLogs[rel].links };
+      }),
+      capsules: liveMemory(),
+      rigFields: RIG_FIELDS
+    });
+    writeIfChanged(path.join(publicDir, 'knowledge-graph.json'), JSON.stringify(graph));
+    console.log(`Knowledge graph: ${graph.counts.nodes} nodes, ${graph.counts.edges} edges`);
+  } catch (e) {
+    console.warn('Skipping knowledge graph:', e?.message || e);
+  }
+
   // health.json meta summary
   try {
     const health = {};
@@ -232,7 +320,7 @@ async function run() {
       const memPath = path.join(publicDir, 'memory-index.json');
       if (fs.existsSync(memPath)) {
         const mem = JSON.parse(fs.readFileSync(memPath, 'utf8'));
-        health.memory = { items: mem.items?.length || mem.count || 0 };
+        health.memory = { items: Array.isArray(mem) ? mem.length : mem.items?.length || mem.count || 0 };
       }
     } catch {}
     // commit files counts
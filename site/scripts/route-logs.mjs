@@ -1,5 +1,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
+import { parseLogDoc } from './lib/logdoc.mjs';
+import { loadRegistry, saveRegistry, checkDuplicate, recordFile, forgetPath, updateInPlace, printReport } from './lib/dedupe.mjs';
 
 const repoRoot = path.join(process.cwd(), '..');
 const incomingDir = path.join(repoRoot, 'logs', 'incoming');
@@ -9,18 +11,8 @@ function sanitize(s) {
   return (s || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
 }
 
-function parseMeta(md) {
-  const first = md.split('\n').slice(0, 40).join('\n');
-  const title = md.match(/^#\s*(.+)$/m)?.[1]?.trim() || 'Chat Transcript';
-  const received = first.match(/Received At:\s*([^\n]+)/i)?.[1]?.trim();
-  const id = first.match(/Conversation ID:\s*([^\n]+)/i)?.[1]?.trim();
-  const tagsLine = first.match(/Tags:\s*([^\n]+)/i)?.[1];
-  const tags = tagsLine ? tagsLine.split(',').map((t) => t.trim()).filter(Boolean) : [];
-  return { title, received, id, tags };
-}
-
 function dateParts(meta) {
-  const d = meta.received ? new Date(meta.received) : new Date();
+  const d = meta.receivedAt ? new Date(meta.receivedAt) : new Date();
   const yyyy = String(d.getUTCFullYear());
   const mm = String(d.getUTCMonth() + 1).padStart(2, '0');
   const dd = String(d.getUTCDate()).padStart(2, '0');
@@ -39,9 +31,18 @@ function ensureUnique(filepath) {
   }
 }
 
-function routeOne(full) {
+function routeOne(full, reg) {
   const md = fs.readFileSync(full, 'utf8');
-  const meta = parseMeta(md);
+  const srcRel = path.relative(repoRoot, full);
+  const dup = checkDuplicate(reg, md, { self: srcRel });
+  if (dup.action !== 'new') {
+    // Same content (or a shorter copy of a known conversation) is already routed: fold it in.
+    if (dup.action === 'update') updateInPlace(reg, dup.existing, md);
+    forgetPath(reg, srcRel);
+    fs.unlinkSync(full);
+    return { dest: path.join(repoRoot, dup.existing), dup };
+  }
+  const meta = parseLogDoc(md);
   const { yyyy, mm, dd } = dateParts(meta);
   const slug = sanitize(meta.title);
   const destDir = path.join(logsDir, yyyy, mm, dd);
@@ -49,21 +50,24 @@ function routeOne(full) {
   let dest = path.join(destDir, `${slug}.md`);
   dest = ensureUnique(dest);
 
-  // Ensure header has required fields
+  // Ensure header has required fields (frontmatter counts; the header goes below it)
   let content = md;
-  const hasTitle = /^#\s+/m.test(md);
-  const hasId = /Conversation ID:/i.test(md);
-  const hasRecv = /Received At:/i.test(md);
+  const hasId = !!meta.id || /Conversation ID:/i.test(md);
+  const hasRecv = !!meta.receivedAt || /Received At:/i.test(md);
   let header = '';
-  if (!hasTitle) header += `# ${meta.title}\n\n`;
-  if (!hasId) header += `Conversation ID: ${meta.id || ''}\n`;
-  if (!hasRecv) header += `Received At: ${meta.received || new Date().toISOString()}\n`;
-  if (meta.tags && meta.tags.length && !/\nTags:/i.test(md)) header += `Tags: ${meta.tags.join(', ')}\n`;
-  if (header) content = header + '\n' + md;
+  if (!meta.hasTitle) header += `# ${meta.title}\n\n`;
+  if (!hasId) header += `Conversation ID: \n`;
+  if (!hasRecv) header += `Received At: ${new Date().toISOString()}\n`;
+  if (header) {
+    const lines = md.split('\n');
+    content = [...lines.slice(0, meta.bodyLine), header, ...lines.slice(meta.bodyLine)].join('\n');
+  }
 
   fs.writeFileSync(dest, content);
   fs.unlinkSync(full);
-  return dest;
+  forgetPath(reg, srcRel);
+  recordFile(reg, path.relative(repoRoot, dest), content);
+  return { dest, dup };
 }
 
 function main() {
@@ -76,13 +80,20 @@ function main() {
     console.log('No incoming .md files to route.');
     return;
   }
+  const reg = loadRegistry();
   const moved = [];
+  const events = [];
   for (const f of files) {
     const src = path.join(incomingDir, f);
-    const dest = routeOne(src);
-    moved.push({ from: path.relative(repoRoot, src), to: path.relative(repoRoot, dest) });
+    const { dest, dup } = routeOne(src, reg);
+    const from = path.relative(repoRoot, src);
+    if (dup.action === 'new') moved.push({ from, to: path.relative(repoRoot, dest) });
+    else events.push({ source: from, ...dup });
   }
-  console.log('Routed logs:', JSON.stringify(moved, null, 2));
+  saveRegistry(reg);
+  if (moved.length) console.log('Routed logs:', JSON.stringify(moved, null, 2));
+  if (events.length) console.log(`Folded ${events.length} duplicate(s) into existing logs.`);
+  if (process.argv.includes('--report')) printReport(events);
 }
 
 main();
@@ -2,6 +2,7 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { execSync } from 'node:child_process';
+import { loadRegistry, saveRegistry, checkDuplicate, recordFile, updateInPlace, printReport } from './lib/dedupe.mjs';
 
 function usage() {
   console.log(`Usage: npm run save:chat -- --title "Title" --content file.md|-
@@ -13,6 +14,7 @@ Options:
   --date       Optional date YYYY-MM-DD (default: today)
   --tags       Optional comma-separated tags (e.g. ai, action, debug)
   --commit     If set, git add+commit the new file
+  --report     Print whether the chat was merged into / skipped as a duplicate of an existing log
 
 If --content is '-', read from stdin; otherwise provide a path to a Markdown file.`);
 }
@@ -65,12 +67,28 @@ async function main() {
 
   const header = `# ${args.title}\n\nConversation ID: ${args.id || ''}\nReceived At: ${args.received || new Date().toISOString()}\n${args.tags ? `Tags: ${args.tags}\n` : ''}\n`;
   const body = header + content.trim() + '\n';
-  fs.writeFileSync(file, body);
-  console.log('Saved', path.relative(repoRoot, file));
+  const reg = loadRegistry();
+  const dup = checkDuplicate(reg, body);
+  if (args.report) printReport(dup.action === 'new' ? [] : [{ source: path.relative(repoRoot, file), ...dup }]);
+  if (dup.action === 'skip') {
+    console.log('Duplicate of', dup.existing, '- not saved');
+    return;
+  }
+  let saved = file;
+  if (dup.action === 'update') {
+    saved = path.join(repoRoot, dup.existing);
+    updateInPlace(reg, dup.existing, body);
+  } else {
+    fs.writeFileSync(file, body);
+    recordFile(reg, path.relative(repoRoot, file), body);
+  }
+  saveRegistry(reg);
+  console.log(dup.action === 'update' ? 'Updated' : 'Saved', path.relative(repoRoot, saved));
 
   if (args.commit) {
     execSync('git add logs', { stdio: 'inherit', cwd: repoRoot });
-    execSync(`git commit -m "chore(logs): add ${yyyy}/${mm}/${dd}/${slug}.md"`, { stdio: 'inherit', cwd: repoRoot });
+    const relSaved = path.relative(path.join(repoRoot, 'logs'), saved).split(path.sep).join('/');
+    execSync(`git commit -m "chore(logs): ${dup.action === 'update' ? 'update' : 'add'} ${relSaved}"`, { stdio: 'inherit', cwd: repoRoot });
   }
 }
 
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Tag administration (npm run tags -- <command>)
+// Usage examples:
+//  node scripts/tags-cli.mjs list                              # hierarchy with rolled-up counts
+//  node scripts/tags-cli.mjs rename "nvidia code" nvidia
+//  node scripts/tags-cli.mjs merge rtx geforce --into nvidia --rewrite
+//  node scripts/tags-cli.mjs split "ue5 vulkan" ue5,vulkan --rewrite --dry-run
+//  node scripts/tags-cli.mjs parent gpu/nvidia                 # nvidia becomes a child of gpu
+//  node scripts/tags-cli.mjs unparent nvidia
+//  node scripts/tags-cli.mjs apply --dry-run                   # write current aliases back to logs
+//
+// rename / merge / split record an alias in public/ui/config.json (`tagAliases`), so the index
+// maps the old tag from the next build on. `--rewrite` also rewrites the `Tags:` line / frontmatter
+// `tags:` of every affected log and the `tags` of live memory capsules (as a new capsule version;
+// deleted and merged capsules are skipped). parent / unparent edit `tagParents`. `--dry-run` prints the changes as a unified diff and writes nothing.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fg from 'fast-glob';
+import { UI_CONFIG_FILE, loadUiConfigTagParents, buildTagTree } from './lib/tags.mjs';
+import { tagMapping, updateTagConfig, rewriteLogTags, rewriteCapsuleTags, lineHunks, formatDiff } from './lib/tag-admin.mjs';
+import { parseLogDoc } from './lib/logdoc.mjs';
+import { getMemoryDir } from './tools/memory.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const repoRoot = path.resolve(__dirname, '..', '..');
+const logsDir = path.join(repoRoot, 'logs');
+
+function help(exitCode = 0) {
+  console.log(`Usage:
+  tags-cli.mjs list [--json]
+  tags-cli.mjs rename <tag> <new-name> [--rewrite] [--dry-run]
+  tags-cli.mjs merge <tag> [<tag>…] --into <target> [--rewrite] [--dry-run]
+  tags-cli.mjs split <tag> <new1,new2…> [--rewrite] [--dry-run]
+  tags-cli.mjs parent <parent>/<child> [--dry-run]
+  tags-cli.mjs unparent <child> [--dry-run]
+  tags-cli.mjs apply [--dry-run]     rewrite logs and capsules through the current tagAliases`);
+  process.exit(exitCode);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const cmd = args.shift();
+  if (!cmd || cmd === '--help' || cmd === '-h') help();
+  const opts = { cmd, names: [] };
+  while (args.length) {
+    const a = args.shift();
+    if (a === '--into') opts.into = args.shift();
+    else if (a === '--rewrite') opts.rewrite = true;
+    else if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--json') opts.json = true;
+    else if (a.startsWith('--')) { console.error('Unknown option:', a); help(1); }
+    else opts.names.push(a);
+  }
+  return opts;
+}
+
+/** @returns {import('./lib/tag-admin.mjs').TagOp} */
+function opFrom({ cmd, names, into }) {
+  switch (cmd) {
+    case 'rename': return { kind: 'rename', from: names[0], to: names[1] };
+    case 'merge': return { kind: 'merge', from: names, to: into };
+    case 'split': return { kind: 'split', from: names[0], to: names.slice(1).flatMap((n) => n.split(',')) };
+    case 'parent': {
+      // `parent gpu/nvidia` or `parent nvidia gpu`
+      if (names.length === 1) {
+        const at = names[0].lastIndexOf('/');
+        return { kind: 'parent', parent: names[0].slice(0, Math.max(at, 0)), child: names[0].slice(at + 1) };
+      }
+      return { kind: 'parent', child: names[0], parent: names[1] };
+    }
+    case 'unparent': return { kind: 'unparent', child: names[0] };
+    case 'apply': return { kind: 'apply' };
+    default:
+      console.error('Unknown command:', cmd);
+      return help(1);
+  }
+}
+
+function readConfig() {
+  return fs.existsSync(UI_CONFIG_FILE) ? JSON.parse(fs.readFileSync(UI_CONFIG_FILE, 'utf8')) : {};
+}
+
+async function list({ json }) {
+  const files = fs.existsSync(logsDir) ? await fg('**/*.md', { cwd: logsDir }) : [];
+  const tagLists = files.map((rel) => parseLogDoc(fs.readFileSync(path.join(logsDir, rel), 'utf8')).tags);
+  const tree = buildTagTree(tagLists, loadUiConfigTagParents());
+  if (json) return console.log(JSON.stringify(tree, null, 2));
+  const print = (nodes, depth) => {
+    for (const n of nodes) {
+      const own = n.children.length && n.count !== n.total ? ` (${n.count} own)` : '';
+      console.log(`${'  '.repeat(depth)}${n.tag}  ${n.total}${own}`);
+      print(n.children, depth + 1);
+    }
+  };
+  print(tree, 0);
+  console.log(`${files.length} logs`);
+}
+
+/** Logs and capsules whose tags change: [{ file, before, after }]. */
+async function fileEdits(mapping, reason) {
+  const edits = [];
+  const files = fs.existsSync(logsDir) ? await fg('**/*.md', { cwd: logsDir }) : [];
+  for (const rel of files.sort()) {
+    const full = path.join(logsDir, rel);
+    const md = fs.readFileSync(full, 'utf8');
+    const res = rewriteLogTags(md, mapping);
+    if (res) edits.push({ file: full, hunks: res.hunks, after: res.text });
+  }
+  const memDir = getMemoryDir();
+  for (const rel of (await fg('**/*.json', { cwd: memDir })).sort()) {
+    const full = path.join(memDir, rel);
+    const text = fs.readFileSync(full, 'utf8');
+    let capsule;
+    try { capsule = JSON.parse(text); } catch { continue; /* not a capsule */ }
+    const next = rewriteCapsuleTags(capsule, mapping, { reason });
+    if (!next) continue;
+    const after = JSON.stringify(next, null, 2);
+    edits.push({ file: full, hunks: lineHunks(JSON.stringify(capsule, null, 2), after), after });
+  }
+  return edits;
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (opts.cmd === 'list') return list(opts);
+  const op = opFrom(opts);
+  const config = readConfig();
+  let nextConfig;
+  let mapping;
+  try {
+    nextConfig = updateTagConfig(config, op);
+    mapping = tagMapping(op, config);
+  } catch (e) {
+    console.error(`tags ${opts.cmd}: ${e.message}`);
+    process.exit(1);
+  }
+  const rewrite = opts.rewrite || op.kind === 'apply';
+  const edits = rewrite ? await fileEdits(mapping, `tags ${opts.cmd}`) : [];
+  const configHunks = lineHunks(JSON.stringify(config, null, 2), JSON.stringify(nextConfig, null, 2));
+
+  if (configHunks.length) console.log(formatDiff(path.relative(repoRoot, UI_CONFIG_FILE), configHunks));
+  for (const e of edits) console.log(formatDiff(path.relative(repoRoot, e.file), e.hunks));
+
+  const summary = `${configHunks.length ? 'config' : 'no config change'}, ${edits.length} file(s)${rewrite ? '' : ' (pass --rewrite to update logs and capsules)'}`;
+  if (opts.dryRun) return console.log(`Dry run: ${summary}`);
+  if (configHunks.length) fs.writeFileSync(UI_CONFIG_FILE, JSON.stringify(nextConfig, null, 2) + '\n');
+  for (const e of edits) fs.writeFileSync(e.file, e.after);
+  console.log(`Updated ${summary}. Run npm run prebuild to rebuild the indexes.`);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
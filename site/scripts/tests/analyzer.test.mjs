@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Analyzer (no framework) exits non-zero on failure.
+// Unicode words, accent folding, CJK bigrams, Porter stemming, fuzzy expansion, and that indexes
+// built with the unicode analyzer find what the ASCII tokenizer could not.
+import assert from 'node:assert/strict';
+import { createAnalyzer, asciiTokenize, porterStem, expandFuzzy, withinOneEdit, DEFAULT_ANALYZER } from '../lib/analyzer.mjs';
+import { rankChunks, queryTerms } from '../lib/rag-score.mjs';
+
+const uni = createAnalyzer({ name: 'unicode', stem: false });
+const full = createAnalyzer(DEFAULT_ANALYZER);
+
+// 1) Legacy analyzer is the old tokenizer, and indexes without `analyzer` keep using it
+assert.deepEqual(createAnalyzer().tokenize('Café drivers'), asciiTokenize('Café drivers'));
+assert.deepEqual(asciiTokenize('Café drivers'), ['caf', 'drivers']);
+
+// 2) Unicode words in any script, Latin accents folded, stop words and 1-letter words dropped
+assert.deepEqual(uni.tokenize('Café Crème: the Драйверы и NVIDIA'), ['cafe', 'creme', 'драйверы', 'nvidia']);
+assert.deepEqual(uni.tokenize('vulkan_layers ue5 2025-09-18'), ['vulkan_layers', 'ue5', '2025', '09', '18'], 'ASCII tokens unchanged');
+
+// 3) CJK runs become overlapping bigrams (single characters stay)
+assert.deepEqual(uni.tokenize('日本語 字'), ['日本', '本語', '字']);
+assert.deepEqual(uni.tokenize('한국어'), ['한국', '국어']);
+
+// 4) Porter stemming, English words only
+for (const [w, s] of [['drivers', 'driver'], ['running', 'run'], ['connections', 'connect'], ['relational', 'relat'], ['hopeful', 'hope'], ['shaders', 'shader']]) {
+  assert.equal(porterStem(w), s, w);
+}
+assert.deepEqual(full.tokenize('drivers работают'), ['driver', 'работают']);
+
+// 5) Fuzzy expansion: one insertion, deletion, substitution or swap; known and short terms untouched
+assert.ok(withinOneEdit('vulkan', 'vulkna') && withinOneEdit('driver', 'drivr') && withinOneEdit('layer', 'layes'));
+assert.ok(!withinOneEdit('vulkan', 'vlkna'));
+assert.deepEqual(expandFuzzy(['vulkna', 'gpu', 'gpx', 'zzzzzz'], new Set(['vulkan', 'gpu'])), ['vulkan', 'gpu', 'gpx', 'zzzzzz']);
+
+// 6) Ranking through the index's analyzer: stems, typos and non-ASCII text all match
+const chunk = (id, vector) => ({ id, href: '/logs/' + id, relPath: `logs/${id}.md`, title: id, date: '', snippet: '', vector, norm: Math.hypot(...vector.map((v) => v[1])) });
+const rag = {
+  version: 1,
+  analyzer: DEFAULT_ANALYZER,
+  idf: { driver: 2, vulkan: 2, 'драйвер': 2, '日本': 3 },
+  chunks: [chunk('en', [['driver', 2], ['vulkan', 1]]), chunk('ru', [['драйвер', 1]]), chunk('ja', [['日本', 1]])]
+};
+assert.deepEqual(rankChunks(rag, 'Drivers').map((c) => c.id), ['en'], 'stemmed');
+assert.deepEqual(queryTerms(rag, 'vulkna drivr'), ['vulkan', 'driver'], 'typos expanded');
+assert.deepEqual(rankChunks(rag, 'драйвер').map((c) => c.id), ['ru']);
+assert.deepEqual(rankChunks(rag, '日本で').map((c) => c.id), ['ja']);
+assert.deepEqual(rankChunks({ ...rag, analyzer: undefined }, 'Drivers'), [], 'ASCII index does not stem');
+
+console.log('Analyzer tests passed');
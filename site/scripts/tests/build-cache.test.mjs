@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Build cache (no framework) exits non-zero on failure.
+// Hashes are reused while mtime and size hold, content changes are noticed, identical artifacts
+// are not rewritten, and a cache from another format version is discarded.
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadBuildCache, saveBuildCache, fileState, pruneMissing, writeIfChanged, CACHE_VERSION } from '../lib/build-cache.mjs';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-cache-'));
+const cacheFile = path.join(dir, 'cache', 'build-cache.json');
+const log = path.join(dir, 'a.md');
+
+try {
+  // 1) First sight hashes the file; same mtime+size reuses the hash without reading
+  fs.writeFileSync(log, '# A\n');
+  const cache = loadBuildCache(cacheFile);
+  const first = fileState(cache, 'a.md', log);
+  let reads = 0;
+  const again = fileState(cache, 'a.md', log);
+  const origRead = fs.readFileSync;
+  fs.readFileSync = (...args) => { reads++; return origRead(...args); };
+  assert.equal(fileState(cache, 'a.md', log).hash, first.hash);
+  fs.readFileSync = origRead;
+  assert.equal(reads, 0, 'no read while mtime and size are unchanged');
+  assert.equal(again.read(), '# A\n', 'text still available on demand');
+
+  // 2) Edits change the hash; a touch without edits keeps it
+  fs.writeFileSync(log, '# A, edited\n');
+  const edited = fileState(cache, 'a.md', log);
+  assert.notEqual(edited.hash, first.hash);
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(log, later, later);
+  assert.equal(fileState(cache, 'a.md', log).hash, edited.hash, 'touched but same content');
+
+  // 3) Round trip, version reset, pruning
+  saveBuildCache(cache, cacheFile);
+  assert.equal(loadBuildCache(cacheFile).files['a.md'].hash, edited.hash);
+  fs.writeFileSync(cacheFile, JSON.stringify({ ...cache, version: CACHE_VERSION + 1 }));
+  assert.deepEqual(loadBuildCache(cacheFile).files, {}, 'other format version discarded');
+  const map = { 'a.md': 1, 'gone.md': 2 };
+  pruneMissing(new Set(['a.md']), map);
+  assert.deepEqual(Object.keys(map), ['a.md']);
+
+  // 4) writeIfChanged leaves identical files alone
+  const out = path.join(dir, 'public', 'x.json');
+  assert.equal(writeIfChanged(out, '{"a":1}'), true, 'created');
+  assert.equal(writeIfChanged(out, '{"a":1}'), false, 'unchanged');
+  assert.equal(writeIfChanged(out, Buffer.from('{"a":2}')), true, 'changed');
+  assert.equal(fs.readFileSync(out, 'utf8'), '{"a":2}');
+} finally {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+console.log('Build cache tests passed');
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Chunkers (no framework) exits non-zero on failure.
+// Heading slugs (the same on the log page), offsets that slice back to the chunk text, question+answer pairing, heading paths
+// and anchors, fenced code kept whole, and overlapping windows.
+import assert from 'node:assert/strict';
+import { Marked } from 'marked';
+import { parseLogDoc, parseHeadings, headingSlugger, headingIdExtension } from '../lib/logdoc.mjs';
+import { chunkLog, CHUNKERS } from '../lib/chunkers.mjs';
+import { chunkHref } from '../lib/rag-score.mjs';
+
+// 1) Slugs: inline markup dropped, repeats numbered, fenced "headings" ignored
+const slug = headingSlugger();
+assert.deepEqual(['Setup', 'Setup', 'C++ & Rust!', '???'].map(slug), ['setup', 'setup-1', 'c--rust', 'section']);
+const hs = parseHeadings('# T\n## Install `foo` **now**\n```sh\n# not a heading\n```\n### [Docs](http://x) ##\n', 10);
+assert.deepEqual(hs.map((h) => [h.level, h.text, h.slug]), [[1, 'T', 't'], [2, 'Install foo now', 'install-foo-now'], [3, 'Docs', 'docs']]);
+assert.equal(hs[1].start, 14, 'offsets include the base');
+
+// 1b) The log page's heading ids (marked + headingIdExtension) match the chunk anchors, also for
+// headings with links, autolinks, code and entities
+const linked = [
+  '## Install [vulkan](https://x.y/a_b) now',
+  '## See <https://a.b/c>',
+  '## A &amp; B `vk_layer`',
+  '## Quoted [**bold** link](u)',
+  '## See <https://a.b/c>'
+].join('\n\n');
+const ids = headingIdExtension();
+const html = new Marked(ids.extension).parse(linked);
+const rendered = [...html.matchAll(/<h2 id="([^"]*)">/g)].map((m) => m[1]);
+assert.deepEqual(rendered, parseHeadings(linked).map((h) => h.slug));
+assert.deepEqual(rendered, ['install-vulkan-now', 'see', 'a-amp-b-vk_layer', 'quoted-bold-link', 'see-1']);
+ids.reset();
+assert.ok(new Marked(ids.extension).parse('## See <https://a.b/c>').includes('id="see"'), 'reset starts a new log');
+
+// 2) A log with frontmatter, CRLF line ends, headings and a long code block
+const code = '```sh\n' + Array.from({ length: 60 }, (_, i) => `echo line ${i} of the install script`).join('\n') + '\n```';
+const md = [
+  '---', 'title: Driver setup', '---',
+  '# Driver setup', '',
+  '**USER**: how do I install the driver?', '',
+  '**ASSISTANT**: Short answer first.', '',
+  '## Install', '', 'Run the script below.', '', code, '',
+  '### Verify', '', 'nvidia-smi shows the version.', '',
+  '**USER**: thanks'
+].join('\r\n');
+const doc = parseLogDoc(md);
+const flat = md.replace(/\r\n/g, '\n');
+
+for (const name of CHUNKERS) {
+  const chunks = chunkLog(doc, { name });
+  assert.ok(chunks.length, name);
+  for (const c of chunks) assert.equal(flat.slice(c.start, c.end), c.text, `${name}: offsets slice back to the text`);
+  assert.ok(chunks.every((c) => !c.text.includes('title: Driver setup')), `${name}: frontmatter is not chunked`);
+}
+
+// 3) turn: the question and its answer travel together; the title H1 is not a heading path
+const turns = chunkLog(doc, { name: 'turn' });
+const qa = turns.find((c) => c.text.startsWith('how do I install'));
+assert.ok(qa && qa.text.includes('nvidia-smi shows'), 'user turn paired with the answer');
+assert.equal(qa.role, undefined, 'paired chunks have no single role');
+assert.deepEqual(turns[0].headings, [], 'title left out');
+
+// 4) heading: one chunk per section with its path and anchor
+const verify = chunkLog(doc, { name: 'heading' }).find((c) => c.text.startsWith('### Verify'));
+assert.deepEqual(verify.headings, ['Install', 'Verify']);
+assert.equal(verify.anchor, 'verify');
+assert.equal(chunkHref({ href: '/logs/a', turn: 2, ...verify }), '/logs/a#verify');
+assert.equal(chunkHref({ href: '/logs/a', turn: 2 }), '/logs/a#turn-2');
+
+// 5) code: the fence is never split and windows overlap
+const cw = chunkLog(doc, { name: 'code', max: 600, overlap: 200 });
+const fences = cw.filter((c) => c.text.includes('```sh'));
+assert.ok(fences.every((c) => c.text.includes('line 59 of')), 'code block kept whole');
+const paras = parseLogDoc(Array.from({ length: 6 }, (_, i) => `Paragraph ${i} `.padEnd(150, 'x')).join('\n\n'));
+const win = chunkLog(paras, { name: 'code', max: 400, overlap: 200 });
+assert.ok(win.length > 1 && win.every((c, i) => !i || (c.start < win[i - 1].end && c.end > win[i - 1].end)), 'windows overlap and move forward');
+assert.ok(win[win.length - 1].text.includes('Paragraph 5'));
+
+console.log('Chunker tests passed');
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Dense retrieval (no framework) exits non-zero on failure.
+// Int8 round trip, that LSA finds a chunk sharing no word with the query, rank fusion, sharded
+// dense ranking equal to the full index, and the lexical fallback for indexes without embeddings.
+import assert from 'node:assert/strict';
+import { quantize, dequantize, buildDense, denseRank, fuseRankings, retrieve } from '../lib/dense.mjs';
+import { splitShards, shardsForQuery, assembleIndex, rankChunks } from '../lib/rag-score.mjs';
+import { searchChunks } from '../lib/rag-query.mjs';
+import { createAnalyzer, DEFAULT_ANALYZER } from '../lib/analyzer.mjs';
+
+// 1) Quantization keeps vectors within half a step
+const vec = [0.5, -0.25, 0, 0.125, -1, 0.9];
+const back = dequantize(quantize(vec));
+const step = 1 / 127;
+vec.forEach((v, i) => assert.ok(Math.abs(back[i] - v) <= step / 2 + 1e-6, `component ${i}`));
+assert.deepEqual(Array.from(dequantize(quantize([0, 0]))), [0, 0], 'zero vector');
+
+// 2) A small corpus where "gpu driver" and "nvidia-smi" travel together except in one log
+const an = createAnalyzer(DEFAULT_ANALYZER);
+const texts = {
+  a: 'gpu driver update: nvidia-smi shows the driver version',
+  b: 'checking the gpu driver with nvidia-smi after the update',
+  c: 'nvidia-smi reports 555.55',
+  d: 'vulkan validation layers and shader compilation',
+  e: 'vulkan layers list, shader cache cleared',
+  f: 'rust cargo build for the shader tool'
+};
+const ids = Object.keys(texts);
+const tfs = ids.map((id) => {
+  const tf = new Map();
+  for (const t of an.tokenize(texts[id])) tf.set(t, (tf.get(t) || 0) + 1);
+  return tf;
+});
+const df = new Map();
+for (const tf of tfs) for (const t of tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+const idf = new Map(Array.from(df, ([t, n]) => [t, Math.log((ids.length + 1) / (n + 1)) + 1]));
+const lsa = buildDense(tfs, idf, { dims: 2 });
+assert.ok(lsa && lsa.dense.dims === 2);
+assert.equal(buildDense(tfs, idf, { dims: 2 }).embs[2][1], lsa.embs[2][1], 'seeded, so rebuilds are identical');
+
+const rag = {
+  version: 1,
+  analyzer: DEFAULT_ANALYZER,
+  idf: Object.fromEntries(idf),
+  dense: lsa.dense,
+  chunks: ids.map((id, i) => {
+    const vector = Array.from(tfs[i], ([t, f]) => [t, f * idf.get(t)]).sort((x, y) => y[1] - x[1]);
+    return { id, href: '/logs/' + id, relPath: `logs/${id}.md`, title: id, date: '2025-09-1' + i, tags: [], snippet: texts[id], text: texts[id], vector, norm: Math.hypot(...vector.map((v) => v[1])), emb: lsa.embs[i] };
+  })
+};
+
+const lexical = rankChunks(rag, 'gpu driver version').map((c) => c.id);
+assert.ok(!lexical.includes('c'), 'no shared word, so lexical misses it');
+const dense = denseRank(rag, 'gpu driver version', 6).map((c) => c.id);
+assert.deepEqual(dense.slice(0, 3).sort(), ['a', 'b', 'c'], 'dense puts the nvidia-smi log with the driver logs');
+const hybrid = retrieve(rag, 'gpu driver version', 6, 'hybrid').map((c) => c.id);
+assert.deepEqual(hybrid.slice(0, 2).sort(), ['a', 'b'], 'hybrid keeps the lexical best on top');
+assert.ok(hybrid.includes('c'), 'and adds the dense-only hit');
+
+// 3) RRF: ranks, not raw scores, decide; agreement wins
+const fused = fuseRankings([[{ id: 'x' }, { id: 'y' }], [{ id: 'y' }, { id: 'z' }]], 3);
+assert.deepEqual(fused.map((c) => c.id), ['y', 'x', 'z']);
+assert.ok(Math.abs(fused[0].score - (1 / 62 + 1 / 61)) < 1e-12);
+
+// 4) Sharded index ranks dense/hybrid like the full index; query language filters still apply
+const split = splitShards(rag, 4);
+const manifest = { version: 1, analyzer: rag.analyzer, shards: split.shards, dense: { method: 'lsa', dims: rag.dense.dims } };
+for (const q of ['gpu driver version', 'shader layers', 'nvidia']) {
+  const idx = assembleIndex(manifest, split.chunks.map((c, i) => ({ ...c, emb: split.embs[i] })), shardsForQuery(manifest, q, split.vocab).map((i) => split.terms[i]), split.vocab);
+  for (const r of ['dense', 'hybrid']) {
+    assert.deepEqual(retrieve(idx, q, 6, r).map((c) => c.id), retrieve(rag, q, 6, r).map((c) => c.id), `${r}: ${q}`);
+  }
+}
+assert.ok(searchChunks(rag, 'gpu driver version -nvidia', 6, { retriever: 'dense' }).every((c) => !/nvidia/.test(c.text)));
+
+// 5) No embeddings: every retriever is the lexical one
+const { dense: _dense, ...plain } = rag;
+assert.deepEqual(retrieve(plain, 'gpu driver', 6, 'dense'), rankChunks(plain, 'gpu driver', 6));
+
+console.log('Dense retrieval tests passed');
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Memory distillation (no framework) exits non-zero on failure.
+// TextRank picks the sentences the rest of a log is about, key facts (rig versions, commands,
+// fixes) come out with stable keys, only new or changed logs are pending, and a changed log
+// updates or retires its fact capsules instead of adding duplicates.
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { parseLogDoc } from '../lib/logdoc.mjs';
+import { splitSentences, textRank, extractiveSummary, extractFacts, pendingLogs, planFacts } from '../lib/distill.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// 1) Sentences: prose only, fences, header lines and short fragments dropped
+const prose = [
+  '# Shader cache',
+  'Received At: 2025-09-18T02:36:52Z',
+  'Driver: 555.55',
+  '- The shader cache fills the disk after every engine update.',
+  '```bash',
+  'rm -rf ~/.cache/ue5. This is code.',
+  '```',
+  'Ok thanks. Clearing the shader cache before each engine update keeps the disk free.'
+].join('\n');
+assert.deepEqual(splitSentences(prose), [
+  'The shader cache fills the disk after every engine update.',
+  'Clearing the shader cache before each engine update keeps the disk free.'
+]);
+
+// 2) TextRank: the sentence sharing most terms with the others ranks first; deterministic
+const text = [
+  'Vulkan validation layers report errors in the swapchain setup.',
+  'The swapchain setup fails when validation layers are enabled on Wayland.',
+  'My cat likes to sleep on the warm keyboard all afternoon.',
+  'Disabling the Wayland swapchain path avoids the validation layers errors.'
+].join(' ');
+const scores = textRank(splitSentences(text));
+assert.equal(scores.length, 4);
+assert.equal(scores.indexOf(Math.min(...scores)), 2, 'the unrelated sentence ranks last');
+assert.equal(scores[2], Math.round((1 - 0.85) * 1e4) / 1e4, 'isolated sentences keep the base score');
+assert.deepEqual(textRank(splitSentences(text)), scores);
+assert.deepEqual(textRank([]), []);
+const summary = extractiveSummary(text, { sentences: 2 });
+assert.equal(summary.length, 2);
+assert.ok(!summary.some((s) => s.includes('cat')));
+assert.ok(text.indexOf(summary[0]) < text.indexOf(summary[1]), 'summary keeps document order');
+assert.deepEqual(extractiveSummary('Same sentence said twice here. Same sentence said twice here.'), ['Same sentence said twice here.'], 'repeats are dropped');
+
+// 3) Facts: rig versions, shell commands, fix sentences; user turns are not fixes
+const log = parseLogDoc([
+  '# Black screen after driver update',
+  'Received At: 2025-09-18T02:36:52Z',
+  'Driver: 555.55',
+  'Kernel: 6.9',
+  'Tags: nvidia',
+  '',
+  '**USER**: I fixed nothing yet, the screen stays black.',
+  '',
+  '**ASSISTANT**: Check the loaded module first:',
+  '```bash',
+  '$ nvidia-smi --query-gpu=driver_version --format=csv',
+  '# comment lines are skipped',
+  'sudo dracut --force',
+  '```',
+  '```js',
+  'console.log("not a command")',
+  '```',
+  'The issue was a stale initramfs, so rebuilding it fixed the black screen.'
+].join('\n'), { relPath: 'logs/2025/09/18/black-screen.md', aliases: {} });
+const facts = extractFacts(log);
+assert.deepEqual(facts.map((f) => f.key), [
+  'rig:driver',
+  'rig:kernel',
+  'command:nvidia-smi --query-gpu=driver_version --format=csv',
+  'command:sudo dracut --force',
+  'fix:the issue was a stale initramfs so rebuilding it fixed the black screen'
+]);
+assert.equal(facts[0].text, 'Driver: 555.55 (Black screen after driver update)');
+assert.deepEqual(facts.map((f) => f.kind), ['rig', 'rig', 'command', 'command', 'fix']);
+assert.deepEqual(extractFacts(log), facts, 'keys are stable');
+assert.equal(extractFacts(log, { maxFacts: 2 }).length, 2);
+
+// 4) Pending: new and changed logs, oldest first, unchanged skipped
+const state = { logs: { 'logs/a.md': { hash: 'h1' }, 'logs/b.md': { hash: 'old' } } };
+const logs = [
+  { rel: 'logs/c.md', hash: 'h3', date: '2025-09-20' },
+  { rel: 'logs/a.md', hash: 'h1', date: '2025-09-17' },
+  { rel: 'logs/b.md', hash: 'h2', date: '2025-09-18' }
+];
+assert.deepEqual(pendingLogs(logs, state).map((l) => l.rel), ['logs/b.md', 'logs/c.md']);
+assert.deepEqual(pendingLogs(logs, state, { limit: 1 }).map((l) => l.rel), ['logs/b.md']);
+assert.equal(pendingLogs(logs, { logs: {} }).length, 3);
+
+// 5) Fact plan for a changed log: keep ids for known keys, add new ones, retire the rest
+const plan = planFacts(facts.slice(0, 3), { 'rig:driver': 'cap-1', 'rig:rust': 'cap-2' });
+assert.deepEqual(plan.update.map((u) => [u.id, u.fact.key]), [['cap-1', 'rig:driver']]);
+assert.deepEqual(plan.add.map((f) => f.key), ['rig:kernel', 'command:nvidia-smi --query-gpu=driver_version --format=csv']);
+assert.deepEqual(plan.remove, ['cap-2']);
+
+// 6) CLI dry run on the repo logs writes nothing and lists what is pending
+const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'nightly-summarize.mjs'), '--dry-run', '--json', '--limit', '2'], { encoding: 'utf8', timeout: 60000 });
+assert.equal(cli.status, 0, cli.stderr);
+const res = JSON.parse(cli.stdout);
+assert.ok(res.logs.length <= 2 && res.pending >= res.logs.length);
+assert.ok(res.logs.every((l) => l.rel.startsWith('logs/') && !l.rel.startsWith('logs/memory/')));
+assert.equal(spawnSync(process.execPath, [path.join(__dirname, '..', 'nightly-summarize.mjs'), '--limit', '0'], { encoding: 'utf8', timeout: 60000 }).status, 1);
+
+console.log('Distillation tests passed');
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Ingestion edge cases (no framework) exits non-zero on failure.
+// Covers the source adapters: ChatGPT active branch selection, hidden/system nodes, code parts,
+// zip input, plus Claude, Gemini Takeout and generic messages JSONL exports.
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { parseChatGPTExport, activeBranch } from '../lib/importers/chatgpt.mjs';
+import { renderTranscript, transcriptFileName, isoDate } from '../lib/transcript.mjs';
+import { getImporter } from '../lib/importers/index.mjs';
+import { contentHash, conversationId, checkDuplicate } from '../lib/dedupe.mjs';
+
+function node(id, parent, children, role, content, extra = {}) {
+  return { id, parent, children, message: role ? { id, author: { role }, content, ...extra } : null };
+}
+const text = (...parts) => ({ content_type: 'text', parts });
+
+const conv = {
+  title: 'Vulkan layers',
+  conversation_id: 'abc12345-6789',
+  create_time: 1758153600.5, // 2025-09-18T00:00:00.500Z
+  current_node: 'a2',
+  mapping: {
+    root: node('root', null, ['sys'], null),
+    sys: node('sys', 'root', ['u1'], 'system', text(''), { metadata: { is_visually_hidden_from_conversation: true } }),
+    u1: node('u1', 'sys', ['a1', 'a1b'], 'user', text('How do I list Vulkan layers?')),
+    a1: node('a1', 'u1', [], 'assistant', text('Old regenerated answer')),
+    a1b: node('a1b', 'u1', ['tool'], 'assistant', { content_type: 'code', language: 'bash', text: 'vulkaninfo --summary' }),
+    tool: node('tool', 'a1b', ['a2'], 'tool', { content_type: 'execution_output', text: 'ignored' }),
+    a2: node('a2', 'tool', [], 'assistant', text('Run `vulkaninfo`.'))
+  }
+};
+
+// 1) Active branch follows current_node, not the first child
+const branch = activeBranch(conv).map((n) => n.id);
+assert.deepEqual(branch, ['root', 'sys', 'u1', 'a1b', 'tool', 'a2'], 'active branch from current_node');
+
+// 2) Without current_node the newest child is followed
+const noPtr = { ...conv, current_node: undefined };
+assert.equal(activeBranch(noPtr).at(-1).id, 'a2', 'fallback walks newest children to a leaf');
+
+// 3) Normalization: hidden system + tool nodes dropped, assistant nodes merged into one turn
+const [c] = parseChatGPTExport(Buffer.from(JSON.stringify([conv, { title: 'empty', mapping: {} }])));
+assert.equal(c.id, 'abc12345-6789');
+assert.equal(c.createdAt, '2025-09-18T00:00:00.500Z', 'create_time converted to ISO');
+assert.deepEqual(c.messages.map((m) => m.role), ['user', 'assistant'], 'turn roles');
+assert.ok(c.messages[1].text.startsWith('```bash\nvulkaninfo --summary\n```'), 'code part fenced with language');
+assert.ok(!c.messages[1].text.includes('Old regenerated'), 'inactive branch excluded');
+
+// 4) Rendered log carries the header route-logs expects
+const md = renderTranscript(c, { tags: ['chatgpt'] });
+assert.ok(md.startsWith('# Vulkan layers\n\nConversation ID: abc12345-6789\nReceived At: 2025-09-18T00:00:00.500Z\nTags: chatgpt\n'), 'header block');
+assert.ok(md.includes('**ASSISTANT**:\n\n```bash'), 'fence opens on its own line');
+assert.equal(transcriptFileName(c), '2025-09-18-vulkan-layers-abc12345.md');
+
+// 5) Zip input: conversations.json nested in a folder, deflated
+function zipOf(name, data) {
+  const nameBuf = Buffer.from(name);
+  const comp = zlib.deflateRawSync(data);
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0); local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(comp.length, 18); local.writeUInt32LE(data.length, 22); local.writeUInt16LE(nameBuf.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0); central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(comp.length, 20); central.writeUInt32LE(data.length, 24); central.writeUInt16LE(nameBuf.length, 28);
+  central.writeUInt32LE(0, 42);
+  const cdOffset = local.length + nameBuf.length + comp.length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0); eocd.writeUInt16LE(1, 8); eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(central.length + nameBuf.length, 12); eocd.writeUInt32LE(cdOffset, 16);
+  return Buffer.concat([local, nameBuf, comp, central, nameBuf, eocd]);
+}
+const fromZip = parseChatGPTExport(zipOf('export/conversations.json', Buffer.from(JSON.stringify([conv]))));
+assert.equal(fromZip.length, 1, 'zip export parsed');
+assert.equal(fromZip[0].messages.length, 2);
+
+// 6) Claude export: human/assistant senders, typed content parts preferred over text
+const claude = getImporter('claude').parse(Buffer.from(JSON.stringify([{
+  uuid: 'c-1', name: '', created_at: '2025-09-20T10:00:00Z',
+  chat_messages: [
+    { sender: 'human', text: 'Why is my shader cache slow?', attachments: [{ file_name: 'log.txt' }] },
+    { sender: 'assistant', text: 'legacy', content: [{ type: 'text', text: 'Check DDC.' }, { type: 'tool_use', name: 'x' }] }
+  ]
+}])));
+assert.equal(claude[0].title, 'Untitled conversation');
+assert.equal(claude[0].createdAt, '2025-09-20T10:00:00.000Z');
+assert.ok(claude[0].messages[0].text.includes('_Attachments: log.txt_'), 'attachments noted');
+assert.equal(claude[0].messages[1].text, 'Check DDC.', 'content parts win over legacy text');
+
+// 7) Gemini Takeout: only "Prompted" activity, HTML answer converted, stable hash id
+const activity = [
+  { header: 'Gemini Apps', title: 'Prompted list vulkan devices', time: '2025-09-21T08:00:00Z', products: ['Gemini Apps'], safeHtmlItem: [{ html: '<p>Use <b>vulkaninfo</b></p>' }] },
+  { header: 'Gemini Apps', title: 'Used Gemini Apps', time: '2025-09-21T08:01:00Z', products: ['Gemini Apps'] }
+];
+const gem = getImporter('gemini').parse(Buffer.from(JSON.stringify(activity)));
+assert.equal(gem.length, 1, 'non-prompt activity skipped');
+assert.equal(gem[0].messages[1].text, 'Use vulkaninfo', 'answer HTML converted to Markdown');
+assert.equal(gem[0].id, getImporter('gemini').parse(Buffer.from(JSON.stringify(activity)))[0].id, 'id is deterministic');
+assert.ok(gem[0].id.startsWith('gemini-'));
+
+// 8) JSONL: bare arrays and wrapped objects, system dropped, bad lines skipped
+const jsonlText = [
+  JSON.stringify([{ role: 'system', content: 'sys' }, { role: 'user', content: 'ping' }, { role: 'assistant', content: [{ type: 'text', text: 'pong' }] }]),
+  '{not json',
+  JSON.stringify({ id: 'run-7', title: 'Agent run', created_at: 1758153600, tags: ['agents'], messages: [{ role: 'user', content: 'go' }] })
+].join('\n');
+const origWarn = console.warn; console.warn = () => {};
+const jl = getImporter('jsonl').parse(Buffer.from(jsonlText));
+console.warn = origWarn;
+assert.equal(jl.length, 2, 'malformed line skipped');
+assert.deepEqual(jl[0].messages.map((m) => m.text), ['ping', 'pong']);
+assert.equal(jl[0].title, 'ping');
+assert.ok(jl[0].id.startsWith('jsonl-'));
+assert.deepEqual([jl[1].id, jl[1].createdAt, jl[1].tags], ['run-7', '2025-09-18T00:00:00.000Z', ['agents']]);
+
+// 8b) A malformed timestamp leaves createdAt empty instead of aborting the import
+const badClaude = getImporter('claude').parse(Buffer.from(JSON.stringify([
+  { uuid: 'c-bad', name: 'Bad date', created_at: 'yesterday-ish', chat_messages: [{ sender: 'human', text: 'hi' }] },
+  { uuid: 'c-ok', name: 'Good date', created_at: '2025-09-20T10:00:00Z', chat_messages: [{ sender: 'human', text: 'hi' }] }
+])));
+assert.deepEqual(badClaude.map((c) => [c.id, c.createdAt]), [['c-bad', ''], ['c-ok', '2025-09-20T10:00:00.000Z']]);
+const badGem = getImporter('gemini').parse(Buffer.from(JSON.stringify([{ title: 'Prompted hello', time: 'not a time', products: ['Gemini Apps'] }])));
+assert.deepEqual([badGem.length, badGem[0].createdAt], [1, '']);
+const badJl = getImporter('jsonl').parse(Buffer.from(JSON.stringify({ created_at: '31/31/2025', messages: [{ role: 'user', content: 'go' }] })));
+assert.equal(badJl[0].createdAt, '');
+assert.equal(isoDate(8.64e16), '', 'out-of-range epoch');
+
+// 9) Dedupe hashing ignores volatile header lines and frontmatter, not the body
+const a = '# T\n\nConversation ID: x1\nReceived At: 2025-01-01T00:00:00Z\n\n**USER**: hi\n';
+const b = '---\ntags: a\n---\n# T\n\nConversation ID: x1\nReceived At: 2026-02-02T00:00:00Z\nTags: ai\n\n**USER**:   hi\n';
+assert.equal(contentHash(a), contentHash(b), 'same body, same hash');
+assert.notEqual(contentHash(a), contentHash(a + 'more'), 'body change changes hash');
+assert.equal(conversationId(a), 'x1');
+assert.equal(conversationId('Conversation ID: \n# Next'), '', 'empty ID does not swallow the next line');
+assert.equal(checkDuplicate({ byHash: {}, byConversation: {} }, a).action, 'new');
+
+console.log('Ingest edge tests passed');
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Knowledge graph (no framework) exits non-zero on failure.
+// Links in Markdown become log and URL references, logs and capsules become nodes joined to their
+// tags, citations, sources and rig components, and neighborhoods follow edges both ways up to a
+// depth, filtered by node and edge type.
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { RIG_FIELDS } from '../lib/logdoc.mjs';
+import { normalizeUrl, logHref, extractLinks, rigMentions, buildKnowledgeGraph, resolveNode, neighbors, searchNodes } from '../lib/knowledge-graph.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// 1) References: hrefs, repo paths and URLs, each once
+assert.equal(normalizeUrl('https://example.com/docs/#intro.'), 'https://example.com/docs');
+assert.equal(logHref('logs/2025/09/17/vulkan-test.md'), '/logs/2025/09/17/vulkan-test');
+assert.equal(logHref('2025/09/17/vulkan-test.md#turn-2'), '/logs/2025/09/17/vulkan-test');
+assert.equal(logHref('/logs/2025/09/17/vulkan-test/'), '/logs/2025/09/17/vulkan-test');
+assert.deepEqual(extractLinks([
+  'See [the test](/logs/2025/09/17/vulkan-test#turn-2) and logs/2025/09/18/driver.md.',
+  'Docs: https://vulkan.lunarg.com/doc/, again (https://vulkan.lunarg.com/doc) and https://example.com/a?b=1.'
+].join('\n')), {
+  logs: ['/logs/2025/09/17/vulkan-test', '/logs/2025/09/18/driver'],
+  urls: ['https://vulkan.lunarg.com/doc', 'https://example.com/a?b=1']
+});
+assert.deepEqual(extractLinks(''), { logs: [], urls: [] });
+assert.deepEqual(rigMentions('Notes\n- Driver: 555.55 (beta)\nKernel: 6.9\n', RIG_FIELDS), { driver: '555.55', kernel: '6.9' });
+assert.deepEqual(rigMentions('Driver: 555.55'), {}, 'no fields, no mentions');
+
+// 2) Graph: nodes per type, edges per relation, unknown logs dropped, degrees counted
+const logs = [
+  { href: '/logs/2025/09/17/vulkan-test', title: 'Vulkan Test', tags: ['vulkan', 'nvidia'], rig: { driver: '555.55' }, links: { logs: ['/logs/2025/09/18/driver', '/logs/1999/01/01/missing'], urls: ['https://vulkan.lunarg.com/doc'] } },
+  { href: '/logs/2025/09/18/driver', title: 'Driver version', tags: ['nvidia'], rig: { driver: '555.55', kernel: '6.9' } }
+];
+const capsules = [
+  { id: 'cap-1', title: 'Summary: Vulkan Test', tags: ['vulkan'], source: 'logs/2025/09/17/vulkan-test.md', content: 'Layers listed in /logs/2025/09/17/vulkan-test and /logs/2025/09/18/driver.' },
+  { id: 'cap-2', title: 'LunarG docs', tags: [], source: 'https://vulkan.lunarg.com/doc/', content: 'Driver: 555.55', sources: [{ source: 'https://example.com/old' }] }
+];
+const graph = buildKnowledgeGraph({ logs, capsules, rigFields: RIG_FIELDS });
+const ids = graph.nodes.map((n) => n.id);
+assert.deepEqual(ids, [
+  'log:/logs/2025/09/17/vulkan-test',
+  'log:/logs/2025/09/18/driver',
+  'capsule:cap-1',
+  'capsule:cap-2',
+  'tag:nvidia',
+  'tag:vulkan',
+  'url:https://example.com/old',
+  'url:https://vulkan.lunarg.com/doc',
+  'rig:driver:555.55',
+  'rig:kernel:6.9'
+], 'grouped by type, sorted by id; the missing log is not a node');
+assert.deepEqual(graph.counts.byType, { log: 2, capsule: 2, tag: 2, url: 2, rig: 2 });
+const has = (source, target, type) => graph.edges.some((e) => e.source === source && e.target === target && e.type === type);
+assert.ok(has('log:/logs/2025/09/17/vulkan-test', 'log:/logs/2025/09/18/driver', 'cites'));
+assert.ok(has('log:/logs/2025/09/17/vulkan-test', 'url:https://vulkan.lunarg.com/doc', 'cites'));
+assert.ok(has('capsule:cap-1', 'log:/logs/2025/09/17/vulkan-test', 'derived-from'));
+assert.ok(!has('capsule:cap-1', 'log:/logs/2025/09/17/vulkan-test', 'cites'), 'a source is not cited again');
+assert.ok(has('capsule:cap-1', 'log:/logs/2025/09/18/driver', 'cites'));
+assert.ok(has('capsule:cap-2', 'url:https://vulkan.lunarg.com/doc', 'derived-from'));
+assert.ok(has('capsule:cap-2', 'url:https://example.com/old', 'derived-from'), 'merged sources count');
+assert.ok(has('capsule:cap-2', 'rig:driver:555.55', 'mentions'));
+assert.equal(graph.nodes.find((n) => n.id === 'rig:driver:555.55').label, 'Driver 555.55');
+assert.equal(graph.nodes.find((n) => n.id === 'rig:driver:555.55').degree, 3);
+assert.equal(graph.nodes.find((n) => n.id === 'tag:nvidia').href, '/tags/nvidia');
+assert.equal(graph.counts.edges, graph.edges.length);
+assert.equal(graph.nodes.reduce((a, n) => a + n.degree, 0), graph.edges.length * 2);
+assert.deepEqual(buildKnowledgeGraph({ logs: [...logs].reverse(), capsules: [...capsules].reverse(), rigFields: RIG_FIELDS }), graph, 'input order does not matter');
+
+// 3) Lookup: ids, hrefs, paths, capsule ids, tags and URLs
+assert.equal(resolveNode(graph, 'logs/2025/09/18/driver.md').id, 'log:/logs/2025/09/18/driver');
+assert.equal(resolveNode(graph, '/logs/2025/09/18/driver').id, 'log:/logs/2025/09/18/driver');
+assert.equal(resolveNode(graph, 'cap-2').id, 'capsule:cap-2');
+assert.equal(resolveNode(graph, '#vulkan').id, 'tag:vulkan');
+assert.equal(resolveNode(graph, 'https://vulkan.lunarg.com/doc/').id, 'url:https://vulkan.lunarg.com/doc');
+assert.equal(resolveNode(graph, 'nothing'), null);
+
+// 4) Neighborhoods: depth, node and edge type filters, nearest first, limit
+const one = neighbors(graph, 'tag:nvidia');
+assert.deepEqual(one.nodes.map((n) => [n.id, n.distance]), [
+  ['tag:nvidia', 0],
+  ['log:/logs/2025/09/17/vulkan-test', 1],
+  ['log:/logs/2025/09/18/driver', 1]
+]);
+assert.equal(one.edges.length, 3, 'the two tags and the citation between the logs');
+const two = neighbors(graph, 'tag:nvidia', { depth: 2 });
+assert.ok(two.nodes.some((n) => n.id === 'capsule:cap-1' && n.distance === 2));
+assert.ok(two.nodes.some((n) => n.id === 'rig:kernel:6.9' && n.distance === 2));
+assert.deepEqual(neighbors(graph, 'cap-2', { types: ['rig'] }).nodes.map((n) => n.id), ['capsule:cap-2', 'rig:driver:555.55']);
+assert.deepEqual(neighbors(graph, 'cap-1', { edgeTypes: ['derived-from'] }).nodes.map((n) => n.id), ['capsule:cap-1', 'log:/logs/2025/09/17/vulkan-test']);
+assert.ok(neighbors(graph, 'cap-1', { edgeTypes: ['derived-from'] }).edges.every((e) => e.type === 'derived-from'));
+assert.equal(neighbors(graph, 'tag:nvidia', { depth: 3, limit: 2 }).nodes.length, 2);
+assert.equal(neighbors(graph, 'nothing'), null);
+
+// 5) Search: every word, best connected first, by type
+assert.deepEqual(searchNodes(graph, 'driver').map((n) => n.id), ['log:/logs/2025/09/18/driver', 'rig:driver:555.55']);
+assert.deepEqual(searchNodes(graph, 'vulkan test', { types: ['log'] }).map((n) => n.id), ['log:/logs/2025/09/17/vulkan-test']);
+assert.deepEqual(searchNodes(graph, ''), []);
+
+// 6) The /graph/knowledge page bundles the library: it must not import Node modules
+const src = fs.readFileSync(path.join(__dirname, '..', 'lib', 'knowledge-graph.mjs'), 'utf8');
+assert.ok(!/^import /m.test(src), 'lib/knowledge-graph.mjs has no imports');
+
+console.log('Knowledge graph tests passed');
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Log document parser (no framework) exits non-zero on failure.
+// Frontmatter YAML, legacy header lines, rig lines, the precedence between them, and turns.
+import assert from 'node:assert/strict';
+import { parseLogDoc, parseYaml, parseFrontmatter } from '../lib/logdoc.mjs';
+
+// 1) YAML subset: nested maps, block/flow lists, quotes, comments, block scalars
+const y = parseYaml([
+  'title: "Vulkan: layers"',
+  "tags: [vulkan, 'ue 5', \"a, b\"]",
+  'meta:',
+  '  GPU: RTX 4090   # card',
+  '  rust: 1.80',
+  'steps:',
+  '  - name: build',
+  '    ok: true',
+  '  - plain',
+  'notes: |',
+  '  one',
+  '  two',
+  'empty:'
+].join('\n'));
+assert.equal(y.title, 'Vulkan: layers', 'colon inside quotes');
+assert.deepEqual(y.tags, ['vulkan', 'ue 5', 'a, b'], 'flow list keeps quoted commas');
+assert.deepEqual(y.meta, { GPU: 'RTX 4090', rust: '1.80' }, 'nested map; numbers stay strings');
+assert.deepEqual(y.steps, [{ name: 'build', ok: true }, 'plain'], 'list of maps and scalars');
+assert.equal(y.notes, 'one\ntwo\n', 'literal block scalar');
+assert.equal(y.empty, null);
+
+// 2) Unterminated frontmatter is body text, not metadata
+assert.deepEqual(parseFrontmatter('---\ntitle: x\n# Heading').data, {});
+
+// 3) Legacy header lines; blank Conversation ID does not swallow the next line
+const legacy = parseLogDoc('Conversation ID: \n\n# Vulkan Test\nReceived At: 2025-09-17T22:35:00Z\nGPU: RTX 4090\nNVIDIA: 555.55\nTags: Vulkan, ue5, vulkan\n\n**USER**: Tags: nope\n', { aliases: {} });
+assert.equal(legacy.id, '');
+assert.equal(legacy.title, 'Vulkan Test');
+assert.equal(legacy.date, '2025-09-17T22:35:00Z', 'no path: date falls back to receivedAt');
+assert.deepEqual(legacy.tags, ['vulkan', 'ue5'], 'normalized and deduped');
+assert.deepEqual(legacy.rig, { gpu: 'RTX 4090', driver: '555.55' });
+
+// 4) Frontmatter wins over legacy lines, aliases apply, H1 wins over frontmatter title
+const md = [
+  '---',
+  'id: conv-1',
+  'received_at: 2025-09-20T10:00:00Z',
+  'title: From YAML',
+  'tags:',
+  '  - "Nvidia Code:"',
+  '  - rag',
+  'meta:',
+  '  nvidia_driver: "560.1"',
+  '---',
+  '# Heading Title',
+  'Conversation ID: legacy',
+  'Tags: ignored',
+  'Kernel: 6.9',
+  ''
+].join('\n');
+const doc = parseLogDoc(md, { relPath: 'logs/2025/09/21/x.md', aliases: { 'nvidia code': 'nvidia' } });
+assert.equal(doc.id, 'conv-1');
+assert.equal(doc.receivedAt, '2025-09-20T10:00:00Z');
+assert.equal(doc.title, 'Heading Title');
+assert.equal(doc.date, '2025-09-21', 'date from logs/YYYY/MM/DD path');
+assert.deepEqual(doc.tags, ['nvidia', 'rag']);
+assert.deepEqual(doc.rig, { driver: '560.1', kernel: '6.9' }, 'meta map and rig lines combine');
+assert.ok(doc.body.startsWith('# Heading Title'), 'body excludes frontmatter');
+assert.equal(doc.bodyLine, 10);
+
+// 5) Frontmatter-only title; fallback title flagged
+assert.equal(parseLogDoc('---\ntitle: Only YAML\n---\ntext\n', { aliases: {} }).title, 'Only YAML');
+const bare = parseLogDoc('just text', { aliases: {} });
+assert.equal(bare.title, 'Chat Transcript');
+assert.equal(bare.hasTitle, false);
+
+// 6) Turns: markers inside fences are not turns, code blocks keep language, offsets index the file
+const chat = '---\ntags: a\n---\n# T\n\n**USER**: run this\n```bash\n**ASSISTANT**: not a turn\n```\n\n**ASSISTANT**:\n\nDone.\n';
+const t = parseLogDoc(chat, { aliases: {} });
+assert.deepEqual(t.turns.map((x) => [x.n, x.role]), [[1, 'user'], [2, 'assistant']]);
+assert.equal(t.preamble, '# T');
+assert.equal(t.turns[0].text, 'run this\n```bash\n**ASSISTANT**: not a turn\n```');
+assert.deepEqual(t.turns[0].code.map((c) => [c.lang, c.code]), [['bash', '**ASSISTANT**: not a turn']]);
+assert.ok(chat.slice(t.turns[1].start).startsWith('**ASSISTANT**:'), 'turn offset points at the marker');
+assert.equal(chat.slice(t.turns[0].code[0].start, t.turns[0].code[0].end), '```bash\n**ASSISTANT**: not a turn\n```\n');
+assert.equal(t.turns[1].end, chat.length);
+
+console.log('Logdoc tests passed');
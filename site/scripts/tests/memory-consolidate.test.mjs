@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Memory consolidation (no framework) exits non-zero on failure.
+// Near-identical capsules and captures of one URL cluster with the newest kept, merging keeps
+// every source and tag, merged capsules take no more edits, and ttl/expiresAt age capsules out.
+import assert from 'node:assert/strict';
+import { planConsolidation, mergeCapsules, expiresAtOf, isExpired, isLive } from '../lib/memory-consolidate.mjs';
+import { reviseCapsule, capsuleHistory } from '../lib/memory-revisions.mjs';
+
+const now = Date.parse('2026-01-01T00:00:00Z');
+const text = Array.from({ length: 60 }, (_, i) => `term${i}`).join(' ');
+const cap = (id, ts, extra = {}) => ({ id, ts, title: 'Nightly: Sample Chat', tags: ['nightly'], source: 'logs/2025/09/17/sample.md', summary: '', content: text, version: 1, ...extra });
+const capsules = [
+  cap('a-old', '2025-12-01T00:00:00Z'),
+  cap('b-new', '2025-12-20T00:00:00Z', { tags: ['nightly', 'summary'] }),
+  cap('c-edit', '2025-12-10T00:00:00Z', { content: text.replace('term30', 'changed') }),
+  cap('d-other', '2025-12-25T00:00:00Z', { title: 'Vulkan layers', content: 'vulkaninfo lists the layers of the loader' }),
+  cap('e-page1', '2025-11-01T00:00:00Z', { title: 'Docs v1', source: 'https://example.com/docs/', content: 'first capture of the page' }),
+  cap('f-page2', '2025-12-30T00:00:00Z', { title: 'Docs v2', source: 'https://example.com/docs#intro', content: 'a later capture with different wording' }),
+  cap('g-gone', '2025-12-31T00:00:00Z', { deleted: true }),
+  cap('h-stale', '2025-12-31T00:00:00Z', { expiresAt: '2025-12-31T12:00:00Z' })
+];
+
+// 1) Plan: near-copies and same-URL captures cluster, newest kept; deleted/expired left out
+const plan = planConsolidation(capsules, { now });
+assert.equal(plan.clusters.length, 2);
+const [copies, pages] = plan.clusters;
+assert.equal(copies.keep.id, 'b-new');
+assert.deepEqual(copies.merge.map((m) => m.id), ['c-edit', 'a-old'], 'newest first');
+assert.ok(copies.merge.every((m) => m.similarity >= 0.8 && !m.sameSource));
+assert.equal(pages.keep.id, 'f-page2');
+assert.deepEqual(pages.merge.map((m) => [m.id, m.sameSource]), [['e-page1', true]], 'same URL despite different text');
+assert.deepEqual(plan.expired.map((e) => [e.id, e.expiresAt]), [['h-stale', '2025-12-31T12:00:00.000Z']]);
+assert.ok(!JSON.stringify(plan).includes('g-gone'));
+assert.deepEqual(planConsolidation([...capsules].reverse(), { now }), plan, 'input order does not matter');
+assert.deepEqual(planConsolidation(capsules, { now, threshold: 1 }).clusters[0].merge.map((m) => m.id), ['a-old'], 'only exact copies at threshold 1');
+
+// 2) Merge: provenance of every capsule, tag union, new versions on both sides
+const byId = Object.fromEntries(capsules.map((c) => [c.id, c]));
+const at = '2026-01-01T00:00:00.000Z';
+const { keep, merged } = mergeCapsules(byId['b-new'], copies.merge.map((m) => byId[m.id]), { now: at });
+assert.deepEqual(keep.sources.map((s) => s.id), ['b-new', 'c-edit', 'a-old']);
+assert.ok(keep.sources.every((s) => s.source === 'logs/2025/09/17/sample.md' && s.ts));
+assert.deepEqual(keep.tags, ['nightly', 'summary']);
+assert.equal(keep.version, 2);
+assert.equal(keep.reason, 'consolidated 2 capsules');
+assert.equal(keep.content, text, 'canonical content is kept');
+assert.deepEqual(merged.map((c) => [c.id, c.mergedInto, c.version]), [['c-edit', 'b-new', 2], ['a-old', 'b-new', 2]]);
+assert.deepEqual(capsuleHistory(merged[0]).at(-1).changed, ['mergedInto']);
+assert.throws(() => reviseCapsule(merged[0], { title: 'x' }), /merged into b-new/);
+assert.equal(isLive(merged[0], now), false);
+
+// A canonical merged again later carries its earlier sources along
+const again = mergeCapsules(cap('z-newest', '2026-01-01T00:00:00Z'), [keep], { now: at }).keep;
+assert.deepEqual(again.sources.map((s) => s.id), ['z-newest', 'b-new', 'c-edit', 'a-old']);
+
+// 3) Expiry: expiresAt wins, else ttl days after the last edit; edits accept both fields
+assert.equal(expiresAtOf(cap('t', '2025-12-01T00:00:00Z', { ttl: 30 })), '2025-12-31T00:00:00.000Z');
+assert.equal(expiresAtOf(cap('t', '2025-12-01T00:00:00Z', { ttl: 30, updatedAt: '2025-12-15T00:00:00Z' })), '2026-01-14T00:00:00.000Z');
+assert.equal(expiresAtOf(cap('t', '2025-12-01T00:00:00Z', { ttl: 30, expiresAt: '2027-01-01' })), '2027-01-01T00:00:00.000Z');
+assert.equal(expiresAtOf(cap('t', '2025-12-01T00:00:00Z')), '');
+assert.equal(isExpired(cap('t', '2025-12-01T00:00:00Z', { ttl: 30 }), now), true);
+assert.equal(isExpired(cap('t', '2025-12-01T00:00:00Z', { ttl: 60 }), now), false);
+const renewed = reviseCapsule(cap('t', '2025-12-01T00:00:00Z', { ttl: 30 }), { ttl: '90', expiresAt: '2026-06-01' }, { now: at });
+assert.equal(renewed.ttl, 90);
+assert.equal(renewed.expiresAt, '2026-06-01T00:00:00.000Z');
+assert.equal(reviseCapsule(renewed, { ttl: 0 }, { now: at }).ttl, null, 'ttl 0 clears it');
+assert.throws(() => reviseCapsule(renewed, { expiresAt: 'soon' }), /Invalid expiresAt/);
+
+console.log('Memory consolidation tests passed');
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Memory ranking (no framework) exits non-zero on failure.
+// Terms deep in long capsules are found, rare terms outrank common ones, recent edits win ties,
+// the minimum score cuts weak matches, and typos and stems match like the RAG index.
+import assert from 'node:assert/strict';
+import { buildMemoryVectors, rankMemory, recencyFactor, MEMORY_RANK_DEFAULTS } from '../lib/memory-rank.mjs';
+
+const now = Date.parse('2026-01-01T00:00:00Z');
+const filler = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+const capsules = [
+  { id: 'a-long', ts: '2025-12-31T00:00:00Z', title: 'Build notes', tags: ['build'], summary: 'Notes', content: `${filler} the shader cache lives in DerivedDataCache` },
+  { id: 'b-driver', ts: '2025-12-31T00:00:00Z', title: 'Driver notes', tags: ['nvidia'], summary: 'Rig runs driver 555', content: 'notes about drivers' },
+  { id: 'c-old', ts: '2023-01-01T00:00:00Z', title: 'Vulkan layers', tags: ['vulkan'], summary: 'How to list layers', content: 'vulkaninfo lists layers' },
+  { id: 'd-new', ts: '2023-01-01T00:00:00Z', updatedAt: '2025-12-30T00:00:00Z', title: 'Vulkan layers', tags: ['vulkan'], summary: 'How to list layers', content: 'vulkaninfo lists layers' }
+];
+const index = buildMemoryVectors(capsules);
+
+// 1) Index: every term of the full content, idf like the RAG index, last edit as `at`
+assert.equal(index.items.length, 4);
+assert.ok(index.items[0].vector.some(([t]) => t === 'deriveddatacach'), 'terms past the first 280 characters are indexed');
+assert.equal(index.idf.shader, Math.round((Math.log(5 / 2) + 1) * 1e4) / 1e4);
+assert.equal(index.items[3].at, '2025-12-30T00:00:00Z');
+assert.deepEqual(buildMemoryVectors(capsules), index, 'deterministic');
+
+// 2) Long capsules are searchable; rare terms beat common ones
+const shader = rankMemory(index, 'shader cache', { now });
+assert.deepEqual(shader.map((r) => r.id), ['a-long']);
+const notes = rankMemory(index, 'driver notes', { now });
+assert.equal(notes[0].id, 'b-driver', 'title and summary match ranks first');
+assert.ok(notes[0].score > notes[1].score);
+
+// 3) Recency: same content, the recently edited capsule wins; decay is bounded
+const layers = rankMemory(index, 'vulkan layers', { now });
+assert.deepEqual(layers.map((r) => r.id), ['d-new', 'c-old']);
+assert.equal(layers[0].relevance, layers[1].relevance);
+assert.ok(layers[0].recency > layers[1].recency);
+assert.equal(recencyFactor('2026-01-01T00:00:00Z', now), 1);
+assert.ok(Math.abs(recencyFactor('2025-07-05T00:00:00Z', now) - (1 - MEMORY_RANK_DEFAULTS.recencyWeight / 2)) < 0.001, 'halved decay after the half-life');
+assert.ok(recencyFactor('2000-01-01T00:00:00Z', now) >= 1 - MEMORY_RANK_DEFAULTS.recencyWeight);
+assert.deepEqual(rankMemory(index, 'vulkan layers', { now, recencyWeight: 0 }).map((r) => r.score), [layers[0].relevance, layers[1].relevance]);
+
+// 4) Cutoff, k, typos, stems, no match
+assert.equal(rankMemory(index, 'driver notes', { now, minScore: notes[0].score }).length, 1);
+assert.equal(rankMemory(index, 'notes', { now, k: 1 }).length, 1);
+assert.equal(rankMemory(index, 'vulkna', { now })[0]?.id, 'd-new', 'typo matched');
+assert.equal(rankMemory(index, 'drivers', { now })[0]?.id, 'b-driver', 'stemmed');
+assert.deepEqual(rankMemory(index, 'kubernetes', { now }), []);
+assert.deepEqual(rankMemory(buildMemoryVectors([]), 'anything', { now }), []);
+
+console.log('Memory ranking tests passed');
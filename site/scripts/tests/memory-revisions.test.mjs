@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Memory capsule revisions (no framework) exits non-zero on failure.
+// Edits bump the version and keep the earlier state, no-op edits are dropped, deletes leave a
+// tombstone, and the history lists every version with what changed.
+import assert from 'node:assert/strict';
+import { reviseCapsule, tombstoneCapsule, capsuleHistory } from '../lib/memory-revisions.mjs';
+
+const v1 = {
+  id: '2025-09-18-120000-driver',
+  ts: '2025-09-18T12:00:00.000Z',
+  title: 'Driver version',
+  tags: ['nvidia'],
+  source: 'logs/2025/09/18/x.md',
+  summary: 'Rig runs driver 550',
+  content: 'The rig runs NVIDIA driver 550.54.',
+  data: null,
+  version: 1
+};
+
+// 1) Update: changed fields only, version bump, previous state kept without nesting
+const v2 = reviseCapsule(v1, { content: 'The rig runs NVIDIA driver 555.55.', summary: 'Rig runs driver 555', title: undefined }, { now: '2025-09-20T08:00:00.000Z', reason: 'wrong version' });
+assert.equal(v2.version, 2);
+assert.equal(v2.updatedAt, '2025-09-20T08:00:00.000Z');
+assert.equal(v2.reason, 'wrong version');
+assert.equal(v2.title, 'Driver version', 'fields not in the patch are kept');
+assert.equal(v2.ts, v1.ts, 'creation time is kept');
+assert.deepEqual(v2.revisions, [v1]);
+assert.equal(v1.version, 1, 'input is not mutated');
+
+const v3 = reviseCapsule(v2, { tags: 'nvidia, driver' }, { now: '2025-09-21T08:00:00.000Z' });
+assert.deepEqual(v3.tags, ['nvidia', 'driver'], 'comma-separated tags are split');
+assert.equal(v3.reason, undefined, 'reason belongs to the version that gave it');
+assert.equal(v3.revisions.length, 2);
+assert.ok(!('revisions' in v3.revisions[1]), 'revisions are not nested');
+
+// 2) No-op edits are not new versions
+assert.equal(reviseCapsule(v3, { tags: ['nvidia', 'driver'], title: 'Driver version' }), null);
+assert.equal(reviseCapsule(v3, {}), null);
+assert.equal(reviseCapsule(v1, { data: null }), null);
+
+// 3) Delete: tombstone with history, then no more edits
+const v4 = tombstoneCapsule(v3, { now: '2025-09-22T08:00:00.000Z', reason: 'duplicate' });
+assert.equal(v4.deleted, true);
+assert.equal(v4.version, 4);
+assert.equal(v4.content, v3.content);
+assert.equal(tombstoneCapsule(v4), null, 'deleting twice is a no-op');
+assert.throws(() => reviseCapsule(v4, { title: 'x' }), /deleted/);
+
+// 4) History: oldest first, with timestamps, reasons and changed fields
+const h = capsuleHistory(v4);
+assert.deepEqual(h.map((x) => x.version), [1, 2, 3, 4]);
+assert.deepEqual(h.map((x) => x.ts), ['2025-09-18T12:00:00.000Z', '2025-09-20T08:00:00.000Z', '2025-09-21T08:00:00.000Z', '2025-09-22T08:00:00.000Z']);
+assert.deepEqual(h.map((x) => x.changed), [[], ['summary', 'content'], ['tags'], ['deleted']]);
+assert.deepEqual(h.map((x) => x.reason), ['', 'wrong version', '', 'duplicate']);
+assert.equal(h[0].content, v1.content);
+assert.deepEqual(h.map((x) => x.deleted), [false, false, false, true]);
+assert.deepEqual(capsuleHistory(v1).map((x) => x.version), [1], 'an unedited capsule has one version');
+
+// 5) Limits match addMemory
+assert.equal(reviseCapsule(v1, { content: 'x'.repeat(20000) }).content.length, 10000);
+
+console.log('Memory revision tests passed');
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// Near-duplicate detection (no framework) exits non-zero on failure.
+// MinHash similarity tracks Jaccard similarity of word shingles, re-runs of one report are grouped
+// with the newest nearly-complete copy kept (a newer truncated run does not supersede a fuller
+// report, and archive never moves a longer copy), unrelated logs stay apart, and the CLI report
+// runs on the repo logs.
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { shingles, signature, similarity, logTimestamp, findNearDuplicates, archivable, DUPE_DEFAULTS } from '../lib/near-dupes.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const words = (n, seed) => Array.from({ length: n }, (_, i) => `w${(i * 7919 + seed * 104729) % 5003}`).join(' ');
+const report = words(400, 1);
+const jaccard = (a, b) => {
+  const x = shingles(a);
+  const y = shingles(b);
+  const both = [...x].filter((s) => y.has(s)).length;
+  return both / (x.size + y.size - both);
+};
+
+// 1) Shingles and signatures: deterministic, identical text 1, unrelated text ~0, estimate near Jaccard
+assert.equal(shingles('One two three four five six').size, 2);
+assert.equal(shingles('too short').size, 1, 'short texts still get one shingle');
+assert.equal(shingles('').size, 0);
+const a = signature(report);
+assert.equal(a.sig.length, DUPE_DEFAULTS.hashes);
+assert.equal(a.words, 400);
+assert.deepEqual(signature(report), a);
+assert.equal(similarity(a.sig, signature(report.toUpperCase()).sig), 1, 'case does not matter');
+assert.ok(similarity(a.sig, signature(words(400, 2)).sig) < 0.1);
+const edited = report.split(' ').map((w, i) => (i % 40 === 0 ? 'changed' : w)).join(' ');
+const estimate = similarity(a.sig, signature(edited).sig);
+assert.ok(Math.abs(estimate - jaccard(report, edited)) < 0.15, `estimate ${estimate} vs ${jaccard(report, edited)}`);
+
+// 2) Groups: re-runs of one report grouped, newest kept, unrelated and empty logs left out
+const doc = (name, date, text) => ({ href: `/logs/${name}`, relPath: `logs/${name}.md`, title: name, date, ...signature(text) });
+const docs = [
+  doc('run-1', '2025-09-18T02:36:18Z', report + ' ' + words(30, 3)),
+  doc('run-2', '2025-09-18T02:36:52Z', report),
+  doc('run-3', '2025-09-18T02:36:34Z', edited),
+  doc('other', '2025-09-18T03:00:00Z', words(400, 4)),
+  doc('empty', '2025-09-19', '')
+];
+const out = findNearDuplicates(docs);
+assert.equal(out.threshold, DUPE_DEFAULTS.threshold);
+assert.equal(out.groups.length, 1);
+const [g] = out.groups;
+assert.equal(g.keep.href, '/logs/run-2', 'newest copy kept even if slightly shorter');
+assert.deepEqual(g.copies.map((c) => c.href), ['/logs/run-3', '/logs/run-1'], 'copies newest first');
+assert.ok(g.copies.every((c) => c.similarity >= 0.75 && c.similarity <= 1));
+assert.ok(!('sig' in g.keep), 'signatures stay out of the report');
+assert.deepEqual(out.byLog['/logs/run-2'], { copies: 2 });
+assert.equal(out.byLog['/logs/run-1'].keep, '/logs/run-2');
+assert.equal(out.byLog['/logs/other'], undefined);
+assert.deepEqual(findNearDuplicates([...docs].reverse()), out, 'input order does not matter');
+assert.equal(findNearDuplicates(docs, { threshold: 1 }).groups.length, 0);
+
+// 2a) A newer copy meaningfully shorter than an older one does not supersede it; undated logs can win
+const cut = report.split(' ').slice(0, 350).join(' ');
+const fuller = findNearDuplicates([doc('full', '2025-09-18T02:36:18Z', report), doc('cut', '2025-09-18T02:36:52Z', cut)], { threshold: 0.7 });
+assert.deepEqual([fuller.groups[0].keep.href, fuller.groups[0].copies.map((c) => c.href)], ['/logs/full', ['/logs/cut']], 'older 400 words kept over newer 350');
+const undated = findNearDuplicates([doc('full', '', report), doc('cut', '2025-09-18', cut)], { threshold: 0.7 });
+assert.equal(undated.groups[0].keep.href, '/logs/full');
+assert.deepEqual(archivable(out.groups).map((c) => c.href), ['/logs/run-3'], 'run-1 is longer than run-2: never archived');
+assert.deepEqual(archivable(fuller.groups).map((c) => c.href), ['/logs/cut']);
+
+// 2b) Chains are not transitive: a copy must be close to the kept log itself
+const swap = (text, from, to, seed) => text.split(' ').map((w, i) => (i >= from && i < to ? `x${seed}${i}` : w)).join(' ');
+const chainB = swap(report, 0, 60, 'b');
+const chainC = swap(chainB, 340, 400, 'c');
+const chain = [doc('chain-a', '2025-09-01', report), doc('chain-b', '2025-09-02', chainB), doc('chain-c', '2025-09-03', chainC)];
+const sig = Object.fromEntries(chain.map((d) => [d.title, d.sig]));
+assert.ok(similarity(sig['chain-a'], sig['chain-b']) >= 0.62 && similarity(sig['chain-b'], sig['chain-c']) >= 0.62);
+assert.ok(similarity(sig['chain-a'], sig['chain-c']) < 0.62);
+const split = findNearDuplicates(chain, { threshold: 0.62 });
+assert.deepEqual(split.groups.map((x) => [x.keep.href, x.copies.map((c) => c.href)]), [['/logs/chain-c', ['/logs/chain-b']]], 'chain-a is only close to a copy');
+assert.equal(split.byLog['/logs/chain-a'], undefined);
+assert.ok(split.groups.every((x) => x.copies.every((c) => c.similarity >= 0.62)));
+
+// 3) Same timestamp: the longer copy wins
+const tie = findNearDuplicates([doc('short', '2025-09-18', report), doc('long', '2025-09-18', report + ' ' + words(30, 3))]);
+assert.equal(tie.groups[0].keep.href, '/logs/long');
+
+// 4) Timestamps: Received At, else the path date, else empty
+assert.equal(logTimestamp({ receivedAt: '2025-09-18T02:36:52.456Z', date: '2025-09-18' }), '2025-09-18T02:36:52.456Z');
+assert.equal(logTimestamp({ receivedAt: '2025-09-17T22:35:00Z GPU: RTX 4090', date: '' }), '2025-09-17T22:35:00Z');
+assert.equal(logTimestamp({ receivedAt: 'yesterday', date: '2025-09-18' }), '2025-09-18');
+assert.equal(logTimestamp({ receivedAt: '', date: '' }), '');
+
+// 5) CLI report on the repo logs
+const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'dupes-cli.mjs'), 'list', '--json', '--threshold', '0.9'], { encoding: 'utf8', timeout: 60000 });
+assert.equal(cli.status, 0, cli.stderr);
+const res = JSON.parse(cli.stdout);
+assert.equal(res.threshold, 0.9);
+assert.ok(Array.isArray(res.groups));
+assert.equal(spawnSync(process.execPath, [path.join(__dirname, '..', 'dupes-cli.mjs'), 'list', '--threshold', '2'], { encoding: 'utf8', timeout: 60000 }).status, 1);
+
+console.log('Near-duplicate tests passed');
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// RAG scoring (no framework) exits non-zero on failure.
+// Version-1 cosine ranking stays as before; version-2 BM25F finds terms outside a chunk's top-32 vector;
+// ranking over just the term shards a query needs matches ranking over the whole index, and chunk
+// text is split into files that a hit's index points to; the query language (phrases, exclusions,
+// field filters) narrows hits without changing plain-query ranking;
+// the relevance metrics behind `ai-cli.mjs eval` score rankings as expected; snippets pick the
+// window with the most query words and mark what the analyzer matched; chunk text kept out of
+// rag-index.json is joined back from the shards of the same build.
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { rankChunks, cosineRank, bm25Rank, tokenize, splitShards, shardsForQuery, textFilesFor, assembleIndex } from '../lib/rag-score.mjs';
+import { parseQuery, searchChunks, toggleTag, queryTags } from '../lib/rag-query.mjs';
+import { scoreRanking, judgmentsOf, rankedLogs, evaluate, compareRuns } from '../lib/rag-eval.mjs';
+import { snippetFor, markSnippet, passageHref } from '../lib/snippets.mjs';
+import { DEFAULT_ANALYZER } from '../lib/analyzer.mjs';
+import { readRagIndex } from '../lib/rag-index.mjs';
+
+const chunk = (id, title, tags, vector, extra = {}) => ({ id, href: '/logs/' + id, relPath: `logs/${id}.md`, title, date: '', tags, snippet: '', vector, norm: Math.hypot(...vector.map((v) => v[1])) || 1, ...extra });
+
+// 1) Version 1: cosine over the stored top terms only
+const v1 = {
+  version: 1,
+  idf: { vulkan: 2, layers: 1.5, driver: 1.2 },
+  chunks: [
+    chunk('a', 'Vulkan layers', ['vulkan'], [['vulkan', 2], ['layers', 3]]),
+    chunk('b', 'Driver', ['nvidia'], [['driver', 2]])
+  ]
+};
+assert.deepEqual(rankChunks(v1, 'vulkan layers').map((c) => c.id), ['a']);
+assert.deepEqual(rankChunks(v1, 'vulkan layers'), cosineRank(v1, 'vulkan layers'), 'v1 dispatches to cosine');
+assert.deepEqual(rankChunks(v1, 'renderdoc'), [], 'term outside vectors is unfindable in v1');
+
+// 2) Version 2: postings reach rare terms, title/tag fields are boosted
+const v2 = {
+  ...v1,
+  version: 2,
+  bm25: { k1: 1.2, b: 0.75, weights: { title: 2, tags: 1.5, body: 1 } },
+  avgLen: { title: 2, tags: 1, body: 10 },
+  chunks: [
+    { ...v1.chunks[0], len: [2, 1, 10] },
+    { ...v1.chunks[1], len: [1, 1, 10] },
+    chunk('c', 'Capture tips', ['tools'], [['capture', 1]], { len: [2, 1, 10] })
+  ],
+  postings: {
+    vulkan: [[0, 1, 1, 2], [2, 0, 0, 1]],
+    layers: [[0, 1, 0, 3]],
+    driver: [[1, 1, 0, 2], [2, 0, 0, 2]],
+    renderdoc: [[2, 0, 0, 1]]
+  }
+};
+assert.deepEqual(rankChunks(v2, 'renderdoc').map((c) => c.id), ['c'], 'rare body term found via postings');
+assert.deepEqual(bm25Rank(v2, 'driver').map((c) => c.id), ['b', 'c'], 'title match outranks body-only match');
+assert.equal(rankChunks(v2, 'vulkan')[0].id, 'a');
+assert.ok(rankChunks(v2, 'vulkan')[0].score > 0);
+assert.deepEqual(rankChunks({ ...v2, postings: undefined }, 'vulkan').map((c) => c.id), ['a'], 'v2 without postings falls back to cosine');
+
+// 3) Sharded index: only the query's shards are loaded, results identical to the full index
+v1.idf.renderdoc = 3; // idf-only term: no vector holds it, but it still shapes the query norm
+for (const rag of [v1, v2]) {
+  const split = splitShards(rag, 2);
+  assert.ok(split.shards > 1, 'several shards');
+  assert.ok(!('vector' in split.chunks[0]), 'chunk metadata ships without vectors');
+  const manifest = { version: rag.version, shards: split.shards, bm25: rag.bm25, avgLen: rag.avgLen };
+  for (const q of ['vulkan layers', 'driver renderdoc', 'vulkan driver capture', 'nothing here']) {
+    const needed = shardsForQuery(manifest, q);
+    const idx = assembleIndex(manifest, split.chunks, needed.map((i) => split.terms[i]));
+    const strip = (hits) => hits.map(({ vector: _v, ...h }) => h);
+    assert.deepEqual(strip(rankChunks(idx, q)), strip(rankChunks(rag, q)), `v${rag.version} sharded "${q}"`);
+  }
+}
+
+// 3b) Chunk text in runs of textPerFile chunks; a hit's text file follows from its index
+const texted = { ...v1, chunks: ['one', 'two', 'three', 'four', 'five'].map((t, i) => chunk(String(i), t, [], [], { text: t })) };
+const byText = splitShards(texted, 2, 2);
+assert.deepEqual(byText.texts, [['one', 'two'], ['three', 'four'], ['five']]);
+assert.ok(!('text' in byText.chunks[0]), 'chunk metadata ships without text');
+assert.deepEqual(textFilesFor({ textPerFile: 2 }, [4, 0, 1]), [0, 2], 'only the files holding the hits');
+
+// 4) Query language
+const q = parseQuery('"validation layers" tag:vulkan -ue5 date:2025-09..2025-10 title:driver role:user');
+assert.equal(q.text, 'validation layers', 'phrase words are ranked');
+assert.deepEqual(q.clauses.map((c) => (c.neg ? '-' : '') + c.any.map((a) => a.field).join('|')), ['phrase', 'tag', '-word', 'date', 'title', 'role']);
+assert.deepEqual(parseQuery('tag:a OR tag:b NOT title:x').clauses.map((c) => [c.neg, c.any.map((a) => a.value)]), [[false, ['a', 'b']], [true, ['x']]]);
+assert.deepEqual(searchChunks(v2, 'vulkan driver'), rankChunks(v2, 'vulkan driver'), 'plain queries rank as before');
+
+const docs = {
+  version: 1,
+  idf: { vulkan: 2, layers: 1.5 },
+  chunks: [
+    chunk('x', 'Vulkan driver', ['vulkan'], [['vulkan', 2], ['layers', 1]], { date: '2025-09-18', turn: 1, role: 'user', text: 'Enable the Vulkan validation layers in UE5.' }),
+    chunk('y', 'Layers', ['vulkan'], [['vulkan', 1], ['layers', 2]], { date: '2025-10-02', turn: 2, role: 'assistant', text: 'Validation, then layers: order matters.' }),
+    chunk('z', 'Old', ['nvidia'], [['vulkan', 1], ['layers', 1]], { date: '2025-08-01', text: 'vulkan validation layers again' })
+  ]
+};
+const ids = (query) => searchChunks(docs, query, 10).map((c) => c.id);
+assert.deepEqual(ids('"validation layers"').sort(), ['x', 'z'], 'phrase verified against chunk text (y has both words, not the phrase)');
+const textless = { ...docs, chunks: docs.chunks.map(({ text: _text, ...c }) => c) };
+assert.throws(() => searchChunks(textless, '"validation layers"'), /chunk text/, 'no silent phrase match on snippets');
+assert.throws(() => searchChunks(textless, 'vulkan -ue5'), /chunk text/);
+assert.equal(searchChunks(textless, 'vulkan tag:vulkan').length, 2, 'other filters do not need the text');
+assert.deepEqual(ids('vulkan -ue5'), ids('vulkan').filter((id) => id !== 'x'), 'excluded word');
+assert.deepEqual(ids('layers tag:vulkan date:2025-09..2025-10'), ids('layers').filter((id) => id !== 'z'), 'tag + date range');
+assert.deepEqual(ids('vulkan role:assistant'), ['y']);
+assert.deepEqual(ids('title:driver'), ['x'], 'filter-only query');
+assert.deepEqual(ids('tag:nvidia OR date:2025-10'), ['y', 'z'], 'OR between filters, newest first');
+assert.equal(toggleTag('vulkan', 'nvidia'), 'vulkan tag:nvidia');
+assert.equal(toggleTag('vulkan tag:nvidia', 'nvidia'), 'vulkan');
+assert.equal(toggleTag('vulkan', 'nvidia code'), 'vulkan tag:"nvidia code"');
+assert.equal(toggleTag('vulkan tag:"nvidia code"', 'nvidia code'), 'vulkan', 'quoted multi-word tags toggle off');
+assert.equal(toggleTag('tag:"nvidia code" vulkan', 'nvidia'), 'tag:"nvidia code" vulkan tag:nvidia');
+assert.deepEqual(queryTags('tag:a -tag:b tag:c,d'), ['a', 'c', 'd']);
+
+// 5) Evaluation metrics: chunk hits collapse to logs, hrefs normalize, graded nDCG
+assert.deepEqual(rankedLogs([{ href: '/logs/a' }, { href: '/logs/b' }, { href: '/logs/a' }]), ['/logs/a', '/logs/b']);
+assert.deepEqual(Array.from(judgmentsOf(['logs/a.md', '/logs/b#turn-2']).keys()), ['/logs/a', '/logs/b']);
+const graded = judgmentsOf({ '/logs/a': 2, '/logs/b': 1, '/logs/c': 0 });
+assert.deepEqual(scoreRanking(['/logs/a', '/logs/b'], graded, 10), { rr: 1, ndcg10: 1, recall: 1 }, 'ideal order');
+const swapped = scoreRanking(['/logs/x', '/logs/b', '/logs/a'], graded, 2);
+assert.equal(swapped.rr, 1 / 2);
+assert.equal(swapped.recall, 1 / 2, 'only b within k=2');
+assert.ok(swapped.ndcg10 > 0 && swapped.ndcg10 < 1);
+const run = evaluate(docs, [{ query: 'title:driver', relevant: ['/logs/x'] }, { query: 'tag:nvidia', relevant: ['/logs/x'] }], { k: 5 });
+assert.deepEqual([run.mrr, run.recall], [0.5, 0.5], 'averaged over queries; misses score 0');
+assert.deepEqual(compareRuns([{ ...run, retriever: 'lexical' }], [{ retriever: 'lexical', mrr: 0.25, ndcg10: run.ndcg10, recall: 1 }]).lexical, { mrr: 0.25, ndcg10: 0, recall: -0.5 });
+
+// 6) Shared tokenizer
+assert.deepEqual(tokenize('The Vulkan-layers of a GPU'), ['vulkan', 'layers', 'gpu']);
+
+// 7) Snippets: best window, stemmed matches, exclusions not marked, passage links
+const stemmed = { version: 1, analyzer: DEFAULT_ANALYZER, idf: { driver: 1, version: 1, nvidia: 1 }, chunks: [] };
+const long = 'Intro text. '.repeat(40) + 'Check the Drivers: nvidia-smi prints the driver version. ' + 'Outro. '.repeat(40);
+const snip = snippetFor(stemmed, long, 'driver version -nvidia', { size: 120 });
+assert.ok(snip.start > 0 && snip.end < long.length, 'window inside the text');
+assert.equal(long.slice(snip.start, snip.end), snip.text);
+assert.deepEqual(snip.matches.map(([s, e]) => snip.text.slice(s, e)), ['Drivers', 'driver', 'version']);
+assert.deepEqual(snip.words, ['drivers', 'driver', 'version']);
+assert.ok(markSnippet(snip, '[', ']').includes('[Drivers]: nvidia-smi'), 'excluded word left plain');
+assert.equal(snippetFor(stemmed, 'no match here', 'driver').text, 'no match here');
+assert.equal(passageHref({ href: '/logs/a', turn: 3 }, ['driver', 'version']), '/logs/a?hl=driver%20version#turn-3');
+assert.equal(passageHref({ href: '/logs/a' }, []), '/logs/a');
+
+// 8) Node loader: text from the shards of the same build, snippets only for a stale or missing copy
+const pub = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-index-'));
+assert.equal(readRagIndex(pub), null, 'no index');
+const write = (rel, data) => { fs.mkdirSync(path.dirname(path.join(pub, rel)), { recursive: true }); fs.writeFileSync(path.join(pub, rel), JSON.stringify(data)); };
+write('rag-index.json', { version: 1, builtAt: 'b1', chunks: [{ id: 'a', snippet: 'Short' }, { id: 'b', snippet: '' }] });
+assert.deepEqual(readRagIndex(pub).chunks.map((c) => c.text), [undefined, undefined], 'no shards');
+write('rag-shards/text-000.x.json', ['Short and long text']);
+write('rag-shards/text-001.x.json', ['More']);
+write('rag-shards/manifest.json', { builtAt: 'b0', textPerFile: 1, text: ['rag-shards/text-000.x.json', 'rag-shards/text-001.x.json'] });
+assert.equal(readRagIndex(pub).chunks[0].text, undefined, 'shards from another build are ignored');
+write('rag-shards/manifest.json', { builtAt: 'b1', textPerFile: 1, text: ['rag-shards/text-000.x.json', 'rag-shards/text-001.x.json'] });
+assert.deepEqual(readRagIndex(pub).chunks.map((c) => c.text), ['Short and long text', 'More']);
+fs.rmSync(pub, { recursive: true, force: true });
+
+console.log('RAG tests passed');
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Saved searches (no framework) exits non-zero on failure.
+// Config validation and slugs, one hit per log with a passage link, `seenAt` carried across builds
+// so only new logs count as added, and an escaped RSS feed.
+import assert from 'node:assert/strict';
+import { savedSearchesOf, runSavedSearch, mergeHits, savedSearchFeed, searchSlug } from '../lib/saved-searches.mjs';
+
+// 1) Config: invalid entries skipped, duplicate names get distinct slugs, defaults filled in
+const searches = savedSearchesOf({
+  savedSearches: [
+    { name: 'Vulkan crash', query: 'vulkan crash' },
+    { name: 'Vulkan crash', query: 'vulkan -layers', retriever: 'hybrid', limit: 1 },
+    { name: 'No query' },
+    { query: 'no name' },
+    { name: 'Bad retriever', query: 'x', retriever: 'magic' }
+  ]
+});
+assert.deepEqual(searches.map((s) => s.slug), ['vulkan-crash', 'vulkan-crash-2', 'bad-retriever']);
+assert.equal(searches[0].retriever, 'lexical');
+assert.equal(searches[1].limit, 1);
+assert.equal(searches[2].retriever, 'lexical', 'unknown retriever falls back');
+assert.equal(searchSlug('Crash & Burn!'), 'crash-burn');
+assert.deepEqual(savedSearchesOf({}), []);
+
+// 2) Hits: best chunk per log, limit applied, links carry the passage
+const chunk = (id, href, title, vector, extra = {}) => ({ id, href, relPath: href.slice(1) + '.md', title, date: '2025-09-18', tags: [], snippet: title, text: title, vector, norm: Math.hypot(...vector.map((v) => v[1])), ...extra });
+const rag = {
+  version: 1,
+  idf: { vulkan: 2, crash: 3, layers: 1 },
+  chunks: [
+    chunk('a1', '/logs/a', 'Vulkan crash on start', [['vulkan', 2], ['crash', 3]], { turn: 2 }),
+    chunk('a2', '/logs/a', 'Vulkan again', [['vulkan', 2]]),
+    chunk('b1', '/logs/b', 'Vulkan layers', [['vulkan', 2], ['layers', 1]])
+  ]
+};
+const hits = runSavedSearch(rag, searches[0]);
+assert.deepEqual(hits.map((h) => h.href), ['/logs/a', '/logs/b']);
+assert.equal(hits[0].link, '/logs/a?hl=vulkan%20crash#turn-2');
+assert.deepEqual(runSavedSearch(rag, searches[1]).map((h) => h.href), ['/logs/a'], 'exclusion and limit');
+
+// 3) Only logs not in the previous build are added; their first-seen time sticks
+const first = mergeHits(hits.slice(1), null, '2025-10-01T00:00:00.000Z');
+assert.deepEqual(first.added, ['/logs/b']);
+const second = mergeHits(hits, { hits: first.hits }, '2025-10-02T00:00:00.000Z');
+assert.deepEqual(second.added, ['/logs/a']);
+assert.equal(second.hits.find((h) => h.href === '/logs/b').seenAt, '2025-10-01T00:00:00.000Z');
+
+// 4) Feed: newest match first, XML-escaped, links with trailing slash before the passage
+const xml = savedSearchFeed({ name: 'A & B', query: 'a <b>' }, second.hits, 'https://x.test');
+assert.ok(xml.includes('<title>A &amp; B - Saved search - Chat Logs</title>'));
+assert.ok(xml.indexOf('/logs/a/') < xml.indexOf('/logs/b/'), 'newest match first');
+assert.ok(xml.includes('<link>https://x.test/logs/a/?hl=vulkan%20crash#turn-2</link>'));
+assert.ok(!/<b>/.test(xml));
+
+console.log('Saved search tests passed');
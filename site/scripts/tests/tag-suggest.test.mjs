@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Tag suggestions (no framework) exits non-zero on failure.
+// Per-log vectors from chunks, centroid training, confidence relative to a tag's own logs,
+// and adding suggested tags to a log's header.
+import assert from 'node:assert/strict';
+import { buildDocVectors, cosine } from '../lib/doc-vectors.mjs';
+import { trainTagModel, suggestTags, suggestAll } from '../lib/tag-suggest.mjs';
+import { addLogTags } from '../lib/tag-admin.mjs';
+import { parseLogDoc } from '../lib/logdoc.mjs';
+
+const chunk = (log, tags, vector) => ({ href: `/logs/${log}`, relPath: `logs/${log}.md`, title: log, tags, vector });
+const rag = {
+  chunks: [
+    chunk('gpu-1', ['gpu'], [['driver', 2], ['nvidia', 3]]),
+    chunk('gpu-1', ['gpu'], [['vulkan', 2]]),
+    chunk('gpu-2', ['gpu', 'linux'], [['driver', 2], ['nvidia', 2], ['kernel', 1]]),
+    chunk('cook-1', ['food'], [['pasta', 3], ['salt', 1]]),
+    chunk('cook-2', ['food'], [['pasta', 2], ['sauce', 2]]),
+    chunk('untagged-gpu', [], [['nvidia', 2], ['driver', 1]]),
+    chunk('untagged-other', [], [['weather', 4]])
+  ]
+};
+
+// 1) Doc vectors average a log's chunks
+const docs = buildDocVectors(rag.chunks);
+assert.equal(docs.size, 6);
+assert.deepEqual([...docs.get('logs/gpu-1.md').vec], [['driver', 1], ['nvidia', 1.5], ['vulkan', 1]]);
+assert.ok(Math.abs(cosine(docs.get('logs/gpu-1.md'), docs.get('logs/gpu-1.md')) - 1) < 1e-9);
+
+// 2) Tags on fewer than minDocs logs are not learned
+const model = trainTagModel(rag);
+assert.deepEqual(model.tags.map((t) => [t.tag, t.docs]), [['food', 2], ['gpu', 2]]);
+assert.ok(model.tags.every((t) => t.spread > 0 && t.spread <= 1));
+
+// 3) Suggestions: the matching tag with high confidence, unrelated content gets none, own tags skipped
+const s = suggestTags(model, docs.get('logs/untagged-gpu.md'));
+assert.equal(s[0].tag, 'gpu');
+assert.ok(s[0].confidence >= 0.9, `confidence ${s[0].confidence}`);
+assert.ok(!s.some((x) => x.tag === 'food'));
+assert.deepEqual(suggestTags(model, docs.get('logs/untagged-other.md')), []);
+assert.deepEqual(suggestTags(model, docs.get('logs/gpu-2.md')), []);
+const all = suggestAll(rag);
+assert.deepEqual(Object.keys(all), ['/logs/untagged-gpu']);
+assert.deepEqual(suggestAll(rag, { minConfidence: 1.01 }), {});
+
+// 4) Applying: appended to existing tags, or a new Tags line in the header
+assert.equal(addLogTags('# T\n\nReceived At: 2025-01-01\nTags: a\n\n**USER**: hi', ['b', 'A']).text, '# T\n\nReceived At: 2025-01-01\nTags: a, b\n\n**USER**: hi');
+assert.equal(addLogTags('# T\n\nConversation ID: 1\nReceived At: x\n\n**USER**: hi', ['gpu']).text, '# T\n\nConversation ID: 1\nReceived At: x\nTags: gpu\n\n**USER**: hi');
+assert.equal(addLogTags('---\ntags: [a]\n---\n# T', ['b']).text, '---\ntags: [a, b]\n---\n# T', 'frontmatter tags extended');
+assert.equal(addLogTags('# Title\nbody text: with colon', ['x']).text, '# Title\nTags: x\nbody text: with colon');
+const plain = addLogTags('notes\n\nConversation ID: quoted later', ['x']);
+assert.equal(plain.text, 'Tags: x\nnotes\n\nConversation ID: quoted later', 'header lines after content do not count');
+assert.deepEqual(parseLogDoc(plain.text, { aliases: {} }).tags, ['x']);
+assert.equal(addLogTags('Tags: a, b\n', ['b']), null);
+
+console.log('Tag suggestion tests passed');
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+// Tag administration (no framework) exits non-zero on failure.
+// Aliases with splits, the parent hierarchy and rolled-up counts, config edits for each operation,
+// and rewriting log frontmatter / `Tags:` lines and memory capsules.
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import { tagAliasesOf, applyTagAliases, tagParentsOf, tagPath, buildTagTree, UI_CONFIG_FILE } from '../lib/tags.mjs';
+import { tagMapping, mapTags, updateTagConfig, rewriteLogTags, rewriteCapsuleTags, lineHunks, formatDiff } from '../lib/tag-admin.mjs';
+import { parseLogDoc } from '../lib/logdoc.mjs';
+
+// 1) Aliases: normalized, self-maps dropped, a list value splits a tag
+const aliases = tagAliasesOf({ 'NVIDIA Code:': 'nvidia', same: 'same', 'ue5 vulkan': ['UE5', 'vulkan'] });
+assert.deepEqual(aliases, { 'nvidia code': 'nvidia', 'ue5 vulkan': ['ue5', 'vulkan'] });
+assert.deepEqual(applyTagAliases(['ue5 vulkan', 'vulkan', 'nvidia code'], aliases), ['ue5', 'vulkan', 'nvidia']);
+
+// 2) Hierarchy: cycles dropped, rolled-up counts count each log once
+const parents = tagParentsOf({ nvidia: 'gpu', rtx: 'nvidia', gpu: 'rtx', amd: 'GPU' });
+assert.deepEqual(parents, { nvidia: 'gpu', rtx: 'nvidia', amd: 'gpu' }, 'gpu → rtx would close a cycle');
+assert.equal(tagPath('rtx', parents), 'gpu/nvidia/rtx');
+const tree = buildTagTree([['nvidia', 'rtx'], ['amd'], ['gpu'], ['ai']], parents);
+assert.deepEqual(tree.map((n) => [n.tag, n.count, n.total]), [['gpu', 1, 3], ['ai', 1, 1]]);
+assert.deepEqual(tree[0].children.map((n) => [n.tag, n.total]), [['amd', 1], ['nvidia', 1]]);
+assert.deepEqual(tree[0].children[1].children.map((n) => n.tag), ['rtx']);
+
+// 3) Operations → mappings and config edits
+assert.deepEqual(tagMapping({ kind: 'merge', from: ['RTX', 'geforce', 'nvidia'], to: 'nvidia' }), { rtx: ['nvidia'], geforce: ['nvidia'] });
+assert.throws(() => tagMapping({ kind: 'split', from: 'a', to: ['b'] }), /at least two/);
+assert.throws(() => tagMapping({ kind: 'rename', from: 'a', to: 'A' }), /already/);
+assert.deepEqual(mapTags(['Vulkan', 'old', 'new'], { old: ['new'] }), ['Vulkan', 'new'], 'untouched spelling kept, merged tag deduped');
+
+const config = { search: { maxResults: 5 }, tagAliases: { 'nvidia code': 'nvidia' }, tagParents: { nvidia: 'gpu', rtx: 'nvidia' } };
+const renamed = updateTagConfig(config, { kind: 'rename', from: 'nvidia', to: 'geforce' });
+assert.deepEqual(renamed.tagAliases, { 'nvidia code': 'geforce', nvidia: 'geforce' }, 'old alias redirected, new alias added');
+assert.deepEqual(renamed.tagParents, { geforce: 'gpu', rtx: 'geforce' }, 'renamed tag keeps its place');
+assert.deepEqual(renamed.search, config.search);
+assert.deepEqual(config.tagAliases, { 'nvidia code': 'nvidia' }, 'input not mutated');
+const split = updateTagConfig(config, { kind: 'split', from: 'nvidia', to: ['gpu', 'driver'] });
+assert.deepEqual(split.tagAliases.nvidia, ['gpu', 'driver']);
+assert.deepEqual(split.tagParents, {}, 'a split tag leaves the hierarchy');
+assert.deepEqual(updateTagConfig({}, { kind: 'parent', parent: 'gpu', child: 'amd' }).tagParents, { amd: 'gpu' });
+assert.throws(() => updateTagConfig(config, { kind: 'parent', parent: 'rtx', child: 'gpu' }), /cycle/);
+assert.deepEqual(updateTagConfig(config, { kind: 'unparent', child: 'rtx' }).tagParents, { nvidia: 'gpu' });
+
+// 4) Log rewrite: each frontmatter style kept, header line kept in step, other lines untouched
+const mapping = { old: ['new'], 'ue5 vulkan': ['ue5', 'vulkan'] };
+const flow = rewriteLogTags('---\ntitle: T\ntags: [Old, "ue5 vulkan", keep]\n---\n# T\nTags: old, keep\n\n**USER**: Tags: old\n', mapping);
+assert.equal(flow.text, '---\ntitle: T\ntags: [new, ue5, vulkan, keep]\n---\n# T\nTags: new, keep\n\n**USER**: Tags: old\n');
+assert.deepEqual(flow.hunks.map((h) => h.line), [3, 6]);
+const block = rewriteLogTags('---\nTags:\n    - old\n    - ue5 vulkan\n    - "c#"\nid: 1\n---\nbody', mapping);
+assert.equal(block.text, '---\nTags:\n    - new\n    - ue5\n    - vulkan\n    - "c#"\nid: 1\n---\nbody', 'block list keeps its indent; odd tags quoted');
+assert.deepEqual(parseLogDoc(block.text, { aliases: {} }).tags, ['new', 'ue5', 'vulkan', 'c#']);
+const scalar = rewriteLogTags('---\ntags: old, x\n---\n', mapping);
+assert.equal(scalar.text, '---\ntags: new, x\n---\n');
+assert.equal(rewriteLogTags('Tags: a, b\r\n\r\nhello', { a: ['c'] }).text, 'Tags: c, b\r\n\r\nhello', 'CRLF kept');
+assert.equal(rewriteLogTags('Tags: a\n', { z: ['y'] }), null, 'nothing to change');
+
+// 5) Capsules and diffs
+const at = '2026-01-01T00:00:00.000Z';
+const revised = rewriteCapsuleTags({ id: 'x', tags: ['old', 'ci'], version: 1 }, mapping, { now: at, reason: 'tags rename' });
+assert.deepEqual(revised.tags, ['new', 'ci']);
+assert.deepEqual([revised.version, revised.updatedAt, revised.reason], [2, at, 'tags rename'], 'a new version');
+assert.deepEqual(revised.revisions, [{ id: 'x', tags: ['old', 'ci'], version: 1 }], 'old tags kept in the history');
+assert.equal(rewriteCapsuleTags({ id: 'x', tags: ['ci'] }, mapping), null);
+assert.equal(rewriteCapsuleTags({ id: 'x', tags: ['old'], deleted: true }, mapping), null, 'tombstones are left alone');
+assert.equal(rewriteCapsuleTags({ id: 'x', tags: ['old'], mergedInto: 'y' }, mapping), null, 'merged capsules are left alone');
+assert.deepEqual(lineHunks('a\nb\nc', 'a\nB\nc'), [{ line: 2, remove: ['b'], add: ['B'] }]);
+assert.equal(formatDiff('f.md', flow.hunks), [
+  '--- a/f.md', '+++ b/f.md',
+  '@@ -3,1 +3,1 @@', '-tags: [Old, "ue5 vulkan", keep]', '+tags: [new, ue5, vulkan, keep]',
+  '@@ -6,1 +6,1 @@', '-Tags: old, keep', '+Tags: new, keep'
+].join('\n'));
+
+// 6) CLI dry run prints a diff and writes nothing
+const before = fs.readFileSync(UI_CONFIG_FILE, 'utf8');
+const out = execFileSync(process.execPath, [new URL('../tags-cli.mjs', import.meta.url).pathname, 'rename', 'ai', 'artificial-intelligence', '--rewrite', '--dry-run'], { encoding: 'utf8' });
+assert.ok(out.includes('+    "ai": "artificial-intelligence"'), 'config diff');
+assert.ok(/^\+Tags: artificial-intelligence/m.test(out), 'log diff');
+assert.ok(out.includes('Dry run:'));
+assert.equal(fs.readFileSync(UI_CONFIG_FILE, 'utf8'), before);
+
+console.log('Tag tests passed');
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Topic clustering (no framework) exits non-zero on failure.
+// Separable groups land in their own topics, labels come from distinctive terms in their written
+// form (function words skipped), date spans and the per-log map are filled in, and the result is
+// deterministic.
+import assert from 'node:assert/strict';
+import { clusterTopics, autoTopicCount } from '../lib/topics.mjs';
+
+const an = { name: 'unicode', stem: true, fuzzy: true };
+const chunk = (log, date, text, vector) => ({ href: `/logs/${log}`, relPath: `logs/${log}.md`, title: log, date, tags: [], text, vector });
+const common = ['2025', 1];
+const rag = {
+  analyzer: an,
+  chunks: [
+    chunk('gpu-1', '2025-09-01', 'Browsing the nvidia driver', [['nvidia', 3], ['driver', 2], common]),
+    chunk('gpu-2', '2025-09-03', 'nvidia driver crashes', [['nvidia', 2], ['driver', 3], ['crash', 1], common]),
+    chunk('gpu-3', '2025-09-02', 'driver for nvidia vulkan', [['nvidia', 2], ['vulkan', 2], ['driver', 1], common]),
+    chunk('cook-1', '2025-10-05', 'pasta with sauce', [['pasta', 3], ['sauc', 2], common]),
+    chunk('cook-2', '', 'sauces and pasta', [['pasta', 2], ['sauc', 3], common]),
+    chunk('empty', '2025-01-01', '', [])
+  ]
+};
+
+// 1) Two clear groups → two topics, largest first; logs without terms are left out
+const out = clusterTopics(rag, { k: 2 });
+assert.equal(out.k, 2);
+assert.deepEqual(out.topics.map((t) => t.size), [3, 2]);
+const [gpu, cook] = out.topics;
+assert.deepEqual(gpu.logs.map((l) => l.href), ['/logs/gpu-2', '/logs/gpu-3', '/logs/gpu-1'], 'newest first');
+assert.equal(gpu.label, 'nvidia, driver, vulkan');
+assert.equal(gpu.id, 'nvidia-driver');
+assert.ok(!gpu.terms.includes('2025'), 'shared and numeric terms are not labels');
+assert.deepEqual([gpu.from, gpu.to], ['2025-09-01', '2025-09-03']);
+assert.equal(cook.terms[1], 'sauce', 'stem shown as the word written most often');
+assert.deepEqual([cook.from, cook.to], ['2025-10-05', '2025-10-05'], 'undated logs do not widen the span');
+assert.equal(out.byLog['/logs/cook-2'], cook.id);
+assert.equal(out.byLog['/logs/empty'], undefined);
+
+// 2) Deterministic, auto k, degenerate inputs
+assert.deepEqual(clusterTopics(rag, { k: 2 }), out);
+assert.equal(clusterTopics(rag).k, autoTopicCount(5));
+assert.equal(clusterTopics(rag, { k: 50 }).k, 5, 'k capped at the number of logs');
+assert.deepEqual(clusterTopics({ chunks: [] }), { k: 0, topics: [], byLog: {} });
+assert.equal(autoTopicCount(1), 1);
+assert.equal(autoTopicCount(800), 12);
+
+// 3) Function words the index keeps ("no", "using") are not labels, even when most distinctive
+const chatty = { ...rag, chunks: rag.chunks.map((c) => c.href.startsWith('/logs/gpu')
+  ? { ...c, text: `${c.text}, no, using it`, vector: [['no', 5], ['us', 4], ...c.vector] } : c) };
+const [gpuChatty] = clusterTopics(chatty, { k: 2 }).topics;
+assert.equal(gpuChatty.label, 'nvidia, driver, vulkan');
+assert.ok(!gpuChatty.terms.some((t) => ['no', 'using', 'us'].includes(t)));
+
+console.log('Topic tests passed');
@@ -1,10 +1,13 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { reviseCapsule, tombstoneCapsule, capsuleHistory } from '../lib/memory-revisions.mjs';
+import { buildMemoryVectors, rankMemory } from '../lib/memory-rank.mjs';
+import { isLive, expiresAtOf, planConsolidation, mergeCapsules, CONSOLIDATE_DEFAULTS } from '../lib/memory-consolidate.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const siteDir = path.resolve(__dirname, '..');
+const siteDir = path.resolve(__dirname, '..', '..');
 const repoRoot = path.resolve(siteDir, '..');
 const logsDir = path.join(repoRoot, 'logs');
 const memoryDir = path.join(logsDir, 'memory');
@@ -16,7 +19,8 @@ function nowISO(){ return new Date().toISOString(); }
 
 export function getMemoryDir(){ ensureDir(memoryDir); return memoryDir; }
 
-export function addMemory({ title, content, tags = [], source = '', data = null, summary = '' }){
+/** New capsule; `ttl` (days) or `expiresAt` make it drop out of the index once stale. */
+export function addMemory({ title, content, tags = [], source = '', data = null, summary = '', ttl = null, expiresAt = null }){
   ensureDir(memoryDir);
   const ts = new Date();
   const yyyy = String(ts.getFullYear());
@@ -26,9 +30,11 @@ export function addMemory({ title, content, tags = [], source = '', data = null,
   const mi = String(ts.getMinutes()).padStart(2,'0');
   const ss = String(ts.getSeconds()).padStart(2,'0');
   const stamp = `${yyyy}-${mm}-${dd}-${hh}${mi}${ss}`;
-  const base = `${stamp}-${slugify(title)}`;
   const dir = path.join(memoryDir, yyyy, mm, dd);
   ensureDir(dir);
+  // Several capsules with the same title in one second (a distill run) get -2, -3, … ids.
+  let base = `${stamp}-${slugify(title)}`;
+  for (let n = 2; fs.existsSync(path.join(dir, `${base}.json`)); n++) base = `${stamp}-${slugify(title)}-${n}`;
   const file = path.join(dir, `${base}.json`);
   const capsule = {
     id: base,
@@ -41,10 +47,16 @@ export function addMemory({ title, content, tags = [], source = '', data = null,
     data: data ?? null,
     version: 1
   };
+  if (Number(ttl) > 0) capsule.ttl = Number(ttl);
+  if (expiresAt) {
+    if (!Number.isFinite(Date.parse(expiresAt))) throw new Error(`Invalid expiresAt: ${expiresAt}`);
+    capsule.expiresAt = new Date(expiresAt).toISOString();
+  }
   fs.writeFileSync(file, JSON.stringify(capsule, null, 2));
   return { path: file, capsule };
 }
 
+// Capsules, including tombstones; agent-state/ holds checkpoints, not capsules.
 function readAllCapsules(){
   ensureDir(memoryDir);
   const out = [];
@@ -52,9 +64,9 @@ function readAllCapsules(){
     for (const name of fs.readdirSync(d)){
       const p = path.join(d, name);
       const st = fs.statSync(p);
-      if (st.isDirectory()) walk(p);
+      if (st.isDirectory()) { if (name !== 'agent-state') walk(p); }
       else if (name.endsWith('.json')){
-        try { const c = JSON.parse(fs.readFileSync(p,'utf8')); out.push({ file: p, capsule: c }); } catch {}
+        try { const c = JSON.parse(fs.readFileSync(p,'utf8')); if (c && c.id) out.push({ file: p, capsule: c }); } catch { /* not JSON */ }
       }
     }
   };
@@ -62,8 +74,16 @@ function readAllCapsules(){
   return out;
 }
 
-export function buildMemoryIndex(){
-  const items = readAllCapsules().map(({ file, capsule }) => ({
+function findCapsule(id){
+  if (!id) throw new Error('Provide id');
+  const hit = readAllCapsules().find(({ capsule }) => capsule.id === String(id));
+  if (!hit) throw new Error(`Memory not found: ${id}`);
+  return hit;
+}
+
+/** Index entry; capsules that were edited also carry their revision history (without full content). */
+function indexItem({ file, capsule }){
+  const item = {
     id: capsule.id,
     ts: capsule.ts,
     title: capsule.title,
@@ -71,12 +91,98 @@ export function buildMemoryIndex(){
     source: capsule.source || '',
     summary: capsule.summary || '',
     snippet: (capsule.content||'').slice(0, 280),
-    file: path.relative(repoRoot, file)
-  })).sort((a,b)=> (a.ts<b.ts?1:-1));
+    file: path.relative(repoRoot, file),
+    version: capsule.version || 1
+  };
+  if (capsule.updatedAt) item.updatedAt = capsule.updatedAt;
+  const expiresAt = expiresAtOf(capsule);
+  if (expiresAt) item.expiresAt = expiresAt;
+  if (capsule.sources?.length) item.sources = capsule.sources;
+  if (capsule.revisions?.length) {
+    item.history = capsuleHistory(capsule).map(({ content, data: _data, ...h }) => ({ ...h, snippet: content.slice(0, 280) }));
+  }
+  return item;
+}
+
+// Not deleted, merged into another capsule or expired.
+function liveCapsules(){
+  const now = Date.now();
+  return readAllCapsules().filter(({ capsule }) => isLive(capsule, now));
+}
+
+function liveItems(){
+  return liveCapsules().map(indexItem);
+}
+
+/** Capsules as stored (full content), without deleted, merged or expired ones. */
+export function liveMemory(){
+  return liveCapsules().map(({ capsule }) => capsule);
+}
+
+export function getMemory(id){
+  const { file, capsule } = findCapsule(id);
+  return { path: file, capsule };
+}
+
+// Keep an existing index in step, so a corrected or deleted fact stops showing up in list/search.
+function refreshIndex(){
+  if (fs.existsSync(path.join(publicDir, 'memory-index.json'))) buildMemoryIndex();
+}
+
+/** Edit a capsule; the previous state is kept in `revisions` and `version` goes up. No-op edits are not written. */
+export function updateMemory({ id, reason = '', ...patch }){
+  const { file, capsule } = findCapsule(id);
+  const next = reviseCapsule(capsule, patch, { reason });
+  if (next) { fs.writeFileSync(file, JSON.stringify(next, null, 2)); refreshIndex(); }
+  return { path: file, capsule: next || capsule, changed: !!next };
+}
+
+/** Tombstone a capsule: it leaves the index and search but keeps its history. */
+export function deleteMemory({ id, reason = '' }){
+  const { file, capsule } = findCapsule(id);
+  const next = tombstoneCapsule(capsule, { reason });
+  if (next) { fs.writeFileSync(file, JSON.stringify(next, null, 2)); refreshIndex(); }
+  return { path: file, capsule: next || capsule, changed: !!next };
+}
+
+/**
+ * Merge clusters of near-identical capsules into the newest one and report expired capsules
+ * (lib/memory-consolidate.mjs). `dryRun` only returns the plan.
+ */
+export function consolidateMemory({ threshold = CONSOLIDATE_DEFAULTS.threshold, dryRun = false } = {}){
+  const all = readAllCapsules();
+  const byId = new Map(all.map(x => [x.capsule.id, x]));
+  const plan = planConsolidation(all.map(x => x.capsule), { threshold: Number(threshold) });
+  if (dryRun || !plan.clusters.length) return { ...plan, dryRun, merged: 0 };
+  let merged = 0;
+  for (const cl of plan.clusters){
+    const keep = byId.get(cl.keep.id);
+    const others = cl.merge.map(m => byId.get(m.id));
+    const out = mergeCapsules(keep.capsule, others.map(x => x.capsule));
+    fs.writeFileSync(keep.file, JSON.stringify(out.keep, null, 2));
+    out.merged.forEach((c, i) => fs.writeFileSync(others[i].file, JSON.stringify(c, null, 2)));
+    merged += others.length;
+  }
+  refreshIndex();
+  return { ...plan, dryRun, merged };
+}
+
+/** All versions of a capsule, oldest first (see lib/memory-revisions.mjs capsuleHistory). */
+export function getMemoryHistory({ id }){
+  const { file, capsule } = findCapsule(id);
+  return { id: capsule.id, file: path.relative(repoRoot, file), deleted: !!capsule.deleted, history: capsuleHistory(capsule) };
+}
+
+/** memory-index.json (list view) and memory-vectors.json (full-text TF-IDF vectors for searchMemory). */
+export function buildMemoryIndex(){
+  const live = liveCapsules().sort((a,b)=> (a.capsule.ts<b.capsule.ts?1:-1));
+  const items = live.map(indexItem);
   ensureDir(publicDir);
   const outPath = path.join(publicDir, 'memory-index.json');
   fs.writeFileSync(outPath, JSON.stringify(items, null, 2));
-  return { count: items.length, path: outPath };
+  const vectorsPath = path.join(publicDir, 'memory-vectors.json');
+  fs.writeFileSync(vectorsPath, JSON.stringify(buildMemoryVectors(live.map(x => x.capsule))));
+  return { count: items.length, path: outPath, vectorsPath };
 }
 
 export function listMemory({ limit = 50, tag = '' } = {}){
@@ -85,42 +191,45 @@ export function listMemory({ limit = 50, tag = '' } = {}){
   if (fs.existsSync(idxPath)){
     try { items = JSON.parse(fs.readFileSync(idxPath,'utf8')); } catch {}
   } else {
-    items = readAllCapsules().map(({ file, capsule }) => ({
-      id: capsule.id, ts: capsule.ts, title: capsule.title, tags: capsule.tags||[], source: capsule.source||'', summary: capsule.summary||'', snippet: (capsule.content||'').slice(0,280), file: path.relative(repoRoot, file)
-    }));
+    items = liveItems();
   }
   if (tag) items = items.filter(x => (x.tags||[]).map(t=>t.toLowerCase()).includes(String(tag).toLowerCase()));
   items.sort((a,b)=> (a.ts<b.ts?1:-1));
   return items.slice(0, Number(limit)||50);
 }
 
-function tokenize(text){ return (String(text||'').toLowerCase().match(/[a-z0-9_]+/g)||[]).filter(t=>t.length>1); }
-export function searchMemory({ query, k = 10 } = {}){
-  const idxPath = path.join(publicDir, 'memory-index.json');
-  let items = [];
-  if (fs.existsSync(idxPath)){
-    try { items = JSON.parse(fs.readFileSync(idxPath,'utf8')); } catch {}
-  } else {
-    items = readAllCapsules().map(({ file, capsule }) => ({ id: capsule.id, ts: capsule.ts, title: capsule.title, tags: capsule.tags||[], source: capsule.source||'', summary: capsule.summary||'', snippet: (capsule.content||'').slice(0,280), file: path.relative(repoRoot, file) }));
+/**
+ * Capsules ranked by IDF-weighted cosine over their full text, decayed by age (lib/memory-rank.mjs).
+ * Items are index entries plus `score`, `relevance` and `recency`; `minScore` drops weak matches.
+ */
+export function searchMemory({ query, k = 10, minScore = 0, halfLifeDays, recencyWeight } = {}){
+  let items = null;
+  let vectors = null;
+  try {
+    items = JSON.parse(fs.readFileSync(path.join(publicDir, 'memory-index.json'),'utf8'));
+    vectors = JSON.parse(fs.readFileSync(path.join(publicDir, 'memory-vectors.json'),'utf8'));
+  } catch { /* no index built yet: rank the capsules on disk */ }
+  if (!Array.isArray(items) || !vectors?.items) {
+    const live = liveCapsules();
+    items = live.map(indexItem);
+    vectors = buildMemoryVectors(live.map(x => x.capsule));
   }
-  const q = tokenize(query);
-  const scored = items.map(it => {
-    const hay = [it.title, it.summary, it.snippet, ...(it.tags||[])].join(' ').toLowerCase();
-    let score = 0;
-    for (const t of q){
-      const re = new RegExp(`\\b${t.replace(/[.*+?^${}()|[\\]\\\\]/g,'\\$&')}\\b`, 'g');
-      const matches = hay.match(re);
-      score += matches ? matches.length : 0;
-    }
-    return { item: it, score };
-  }).filter(x=>x.score>0);
-  scored.sort((a,b)=> b.score - a.score || (a.item.ts<b.item.ts?1:-1));
-  return scored.slice(0, Number(k)||10).map(x=>x.item);
+  const byId = new Map(items.map(it => [it.id, it]));
+  return rankMemory(vectors, query, { k: Infinity, minScore: Number(minScore) || 0, halfLifeDays, recencyWeight })
+    .filter(r => byId.has(r.id))
+    .slice(0, Number(k)||10)
+    .map(r => ({ ...byId.get(r.id), score: r.score, relevance: r.relevance, recency: r.recency }));
 }
 
 export default {
   getMemoryDir,
   addMemory,
+  getMemory,
+  liveMemory,
+  updateMemory,
+  deleteMemory,
+  getMemoryHistory,
+  consolidateMemory,
   buildMemoryIndex,
   listMemory,
   searchMemory,
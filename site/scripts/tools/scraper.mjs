@@ -8,6 +8,8 @@ const siteDir = path.resolve(__dirname, '..');
 const repoRoot = path.resolve(siteDir, '..');
 const publicDir = path.join(siteDir, 'public');
 const allowedRoots = [ path.join(repoRoot, 'logs'), publicDir ];
+// Saved URL captures expire after this many days (0 keeps them); see memory consolidate.
+const SCRAPE_TTL_DAYS = Number(process.env.MEMORY_SCRAPE_TTL_DAYS ?? 90);
 
 function isAllowed(fp){ const r = path.resolve(fp); return allowedRoots.some(root => r === root || r.startsWith(root+path.sep)); }
 function clampBytes(str, maxBytes){
@@ -29,7 +31,7 @@ function decodeEntities(s){
     .replace(/&amp;/g,'&').replace(/&lt;/g,'<').replace(/&gt;/g,'>')
     .replace(/&quot;/g,'"').replace(/&#39;/g,"'");
 }
-function htmlToMarkdown(html){
+export function htmlToMarkdown(html){
   let h = stripScriptsStyles(html);
   h = h.replace(/\r/g,'');
   const title = decodeEntities((h.match(/<title>([\s\S]*?)<\/title>/i)?.[1]||'').trim());
@@ -126,7 +128,8 @@ export function makeMemoryFromScrape({ out, kind='url' }){
   const content = out.markdown || out.text || out.content || '';
   const summary = summarize(content, 400);
   const source = kind==='url' ? out.url : out.file;
-  return { title, content, summary, source };
+  const ttl = kind==='url' && SCRAPE_TTL_DAYS > 0 ? SCRAPE_TTL_DAYS : null;
+  return { title, content, summary, source, ttl };
 }
 
 export default { scrapeUrl, scrapeFile, makeMemoryFromScrape };